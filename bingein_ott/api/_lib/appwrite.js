@@ -0,0 +1,38 @@
+// --- Shared Appwrite Server Client ---
+// node-appwrite client authenticated with the server API key, shared by every API route.
+import { Client, Databases, Query } from 'node-appwrite';
+
+// --- Appwrite Configuration (Environment Variables) ---
+export const APPWRITE_PROJECT_ID = process.env.APPWRITE_PROJECT_ID;
+export const APPWRITE_API_KEY = process.env.APPWRITE_API_KEY;
+export const APPWRITE_DATABASE_ID = process.env.APPWRITE_DATABASE_ID;
+export const APPWRITE_COLLECTION_ID = process.env.APPWRITE_COLLECTION_ID;
+export const APPWRITE_UPLOADS_COLLECTION_ID = process.env.APPWRITE_UPLOADS_COLLECTION_ID;
+export const APPWRITE_ENDPOINT = process.env.APPWRITE_ENDPOINT || 'https://cloud.appwrite.io/v1';
+
+// --- Initialize Appwrite Client ---
+export const client = new Client();
+client
+    .setEndpoint(APPWRITE_ENDPOINT)
+    .setProject(APPWRITE_PROJECT_ID)
+    .setKey(APPWRITE_API_KEY); // This line is crucial for authentication
+
+export const databases = new Databases(client);
+
+const LIST_PAGE_SIZE = 100;
+
+// Every document in a collection matching `queries`, paging through it with a cursor.
+export async function listAllDocuments(collectionId, queries = []) {
+  const all = [];
+  let cursor = null;
+  for (;;) {
+    const { documents } = await databases.listDocuments(APPWRITE_DATABASE_ID, collectionId, [
+      ...queries,
+      Query.limit(LIST_PAGE_SIZE),
+      ...(cursor ? [Query.cursorAfter(cursor)] : []),
+    ]);
+    all.push(...documents);
+    if (documents.length < LIST_PAGE_SIZE) return all;
+    cursor = documents.at(-1).$id;
+  }
+}
@@ -0,0 +1,61 @@
+// --- Request Authentication and Authorization ---
+// The frontend sends an Appwrite JWT (account.createJWT()) as "Authorization: Bearer <jwt>".
+// The JWT is verified by asking Appwrite for the account it belongs to; team membership is then
+// read with the server key, so neither identity nor role can be forged by the client.
+import { Client, Account, Users } from 'node-appwrite';
+import { client as serverClient, APPWRITE_ENDPOINT, APPWRITE_PROJECT_ID } from './appwrite.js';
+import { HttpError } from './http.js';
+
+// Members of this team may upload and manage content (the "content-management" team).
+export const APPWRITE_ADMIN_TEAM_ID = process.env.APPWRITE_ADMIN_TEAM_ID;
+
+const users = new Users(serverClient);
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// Returns the verified Appwrite user, or null when the request carries no token.
+// An invalid or expired token is a 401, not an anonymous request.
+export async function getRequestUser(req) {
+  const jwt = getBearerToken(req);
+  if (!jwt) return null;
+
+  const userClient = new Client().setEndpoint(APPWRITE_ENDPOINT).setProject(APPWRITE_PROJECT_ID).setJWT(jwt);
+  try {
+    return await new Account(userClient).get();
+  } catch (error) {
+    if (error.code === 401) throw new HttpError(401, 'Unauthorized', 'Your session has expired. Please log in again.');
+    throw error;
+  }
+}
+
+export async function requireUser(req) {
+  const user = await getRequestUser(req);
+  if (!user) throw new HttpError(401, 'Unauthorized', 'You must be logged in.');
+  return user;
+}
+
+// True when the user is a confirmed member of the content-management team.
+export async function isAdmin(user) {
+  if (!APPWRITE_ADMIN_TEAM_ID) {
+    console.warn('APPWRITE_ADMIN_TEAM_ID is not set; nobody is treated as an admin.');
+    return false;
+  }
+  const { memberships } = await users.listMemberships(user.$id);
+  return memberships.some((membership) => membership.teamId === APPWRITE_ADMIN_TEAM_ID && membership.confirm);
+}
+
+/**
+ * Requires a logged-in content-management team member.
+ * @returns {Promise<{ user: object, teamId: string }>} the user and the team that owns managed content
+ */
+export async function requireAdmin(req) {
+  const user = await requireUser(req);
+  if (!(await isAdmin(user))) {
+    throw new HttpError(403, 'Forbidden', 'Only content managers can perform this action.');
+  }
+  return { user, teamId: APPWRITE_ADMIN_TEAM_ID };
+}
@@ -0,0 +1,80 @@
+// --- Per-User Entitlements ---
+// One document per user (document ID = user ID) in APPWRITE_ENTITLEMENTS_COLLECTION_ID recording
+// the plan, its status and when access ends. Only the server writes these documents; the owner
+// may read their own.
+import { Permission, Role } from 'node-appwrite';
+import { databases, APPWRITE_DATABASE_ID } from './appwrite.js';
+import { getPlan } from './plans.js';
+
+export const APPWRITE_ENTITLEMENTS_COLLECTION_ID = process.env.APPWRITE_ENTITLEMENTS_COLLECTION_ID;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+}
+
+export async function getEntitlement(userId) {
+  try {
+    return await databases.getDocument(APPWRITE_DATABASE_ID, APPWRITE_ENTITLEMENTS_COLLECTION_ID, userId);
+  } catch (error) {
+    if (error.code === 404) return null;
+    throw error;
+  }
+}
+
+// Cancelled subscriptions keep access until the paid (or trial) period runs out.
+export function hasPremiumAccess(entitlement, now = new Date()) {
+  if (!entitlement) return false;
+  const plan = getPlan(entitlement.planId);
+  return Boolean(plan?.premium) &&
+    ['trialing', 'active', 'canceled'].includes(entitlement.status) &&
+    new Date(entitlement.expiresAt) > now;
+}
+
+// Shape returned to the frontend.
+export function describeEntitlement(entitlement, now = new Date()) {
+  return {
+    planId: entitlement?.planId || 'free',
+    status: entitlement?.status || 'active',
+    trialEndsAt: entitlement?.trialEndsAt || null,
+    expiresAt: entitlement?.expiresAt || null,
+    hasPremium: hasPremiumAccess(entitlement, now),
+  };
+}
+
+/**
+ * Starts a trial or a paid period on `plan`. A first-time subscriber gets the plan's trial;
+ * renewing an active subscription extends it from its current end date.
+ */
+export async function grantPlan(userId, plan, { provider, reference, now = new Date() }) {
+  const current = await getEntitlement(userId);
+  const startTrial = plan.trialDays > 0 && !current?.hadTrial;
+
+  const periodStart = hasPremiumAccess(current, now) && current.planId === plan.id ? new Date(current.expiresAt) : now;
+  const expiresAt = startTrial ? new Date(now.getTime() + plan.trialDays * DAY_MS) : addMonths(periodStart, plan.intervalMonths);
+
+  const data = {
+    userId,
+    planId: plan.id,
+    status: startTrial ? 'trialing' : 'active',
+    trialEndsAt: startTrial ? expiresAt.toISOString() : null,
+    expiresAt: expiresAt.toISOString(),
+    hadTrial: Boolean(current?.hadTrial || startTrial),
+    provider,
+    providerReference: reference,
+  };
+
+  if (current) {
+    return databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_ENTITLEMENTS_COLLECTION_ID, userId, data);
+  }
+  return databases.createDocument(APPWRITE_DATABASE_ID, APPWRITE_ENTITLEMENTS_COLLECTION_ID, userId, data, [
+    Permission.read(Role.user(userId)),
+  ]);
+}
+
+export async function cancelEntitlement(userId) {
+  return databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_ENTITLEMENTS_COLLECTION_ID, userId, { status: 'canceled' });
+}
@@ -0,0 +1,121 @@
+// --- Genre Taxonomy ---
+// Managed genres live in APPWRITE_GENRES_COLLECTION_ID with the slug as document ID, so a genre can
+// be renamed without touching the titles that use it. Videos store their genres as an array of
+// slugs in `genres`. Anyone may read genres; only content managers change them (see api/genres).
+import { ID, Permission, Query, Role } from 'node-appwrite';
+import { databases, APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID } from './appwrite.js';
+import { HttpError } from './http.js';
+
+export const APPWRITE_GENRES_COLLECTION_ID = process.env.APPWRITE_GENRES_COLLECTION_ID;
+
+const MAX_NAME_LENGTH = 64;
+const MAX_GENRES_PER_TITLE = 5;
+
+// "Sci-Fi & Fantasy" -> "sci-fi-fantasy"
+export function slugify(name) {
+  return String(name || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 36); // Appwrite document IDs are at most 36 characters
+}
+
+// Public shape of a genre document.
+function toGenre(doc) {
+  return { slug: doc.$id, name: doc.name, description: doc.description || '', order: doc.order ?? 0 };
+}
+
+function validateFields({ name, description, order }, { partial = false } = {}) {
+  const data = {};
+  if (name !== undefined || !partial) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+      throw new HttpError(400, 'Bad Request', `Genre name is required and must be at most ${MAX_NAME_LENGTH} characters.`);
+    }
+    data.name = trimmed;
+  }
+  if (description !== undefined) data.description = String(description).trim().slice(0, 500);
+  if (order !== undefined) {
+    if (!Number.isInteger(order)) throw new HttpError(400, 'Bad Request', '"order" must be an integer.');
+    data.order = order;
+  }
+  return data;
+}
+
+// Every genre, in display order.
+export async function listGenres() {
+  const { documents } = await databases.listDocuments(APPWRITE_DATABASE_ID, APPWRITE_GENRES_COLLECTION_ID, [
+    Query.orderAsc('order'),
+    Query.orderAsc('name'),
+    Query.limit(100),
+  ]);
+  return documents.map(toGenre);
+}
+
+export async function getGenre(slug) {
+  try {
+    return toGenre(await databases.getDocument(APPWRITE_DATABASE_ID, APPWRITE_GENRES_COLLECTION_ID, slug));
+  } catch (error) {
+    if (error.code === 404) throw new HttpError(404, 'Not Found', `Genre "${slug}" does not exist.`);
+    throw error;
+  }
+}
+
+export async function createGenre(fields, teamId) {
+  const data = validateFields(fields);
+  const slug = slugify(fields.slug || data.name);
+  if (!slug) throw new HttpError(400, 'Bad Request', 'The genre name must contain letters or digits.');
+
+  try {
+    const doc = await databases.createDocument(
+      APPWRITE_DATABASE_ID,
+      APPWRITE_GENRES_COLLECTION_ID,
+      ID.custom(slug),
+      { order: 0, description: '', ...data },
+      [Permission.read(Role.any()), Permission.update(Role.team(teamId)), Permission.delete(Role.team(teamId))]
+    );
+    return toGenre(doc);
+  } catch (error) {
+    if (error.code === 409) throw new HttpError(409, 'Conflict', `A genre with the slug "${slug}" already exists.`);
+    throw error;
+  }
+}
+
+// The slug is permanent; only the name, description and order change.
+export async function updateGenre(slug, fields) {
+  await getGenre(slug);
+  const doc = await databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_GENRES_COLLECTION_ID, slug, validateFields(fields, { partial: true }));
+  return toGenre(doc);
+}
+
+// Refused while titles still use the genre, so no video is left pointing at a missing slug.
+export async function deleteGenre(slug) {
+  await getGenre(slug);
+  const { total } = await databases.listDocuments(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, [
+    Query.contains('genres', slug),
+    Query.limit(1),
+  ]);
+  if (total > 0) {
+    throw new HttpError(409, 'Conflict', `"${slug}" is used by ${total} title(s); remove it from them first.`);
+  }
+  await databases.deleteDocument(APPWRITE_DATABASE_ID, APPWRITE_GENRES_COLLECTION_ID, slug);
+}
+
+/**
+ * Checks a title's genre slugs against the managed list: at least one, at most five, all known.
+ * @returns {Promise<string[]>} the de-duplicated slugs
+ */
+export async function validateGenreSlugs(slugs) {
+  const unique = [...new Set(slugs.map((slug) => String(slug).trim()).filter(Boolean))];
+  if (unique.length === 0 || unique.length > MAX_GENRES_PER_TITLE) {
+    throw new HttpError(400, 'Bad Request', `Choose between 1 and ${MAX_GENRES_PER_TITLE} genres.`);
+  }
+
+  const known = new Set((await listGenres()).map((genre) => genre.slug));
+  const unknown = unique.filter((slug) => !known.has(slug));
+  if (unknown.length > 0) {
+    throw new HttpError(400, 'Bad Request', `Unknown genre(s): ${unknown.join(', ')}.`);
+  }
+  return unique;
+}
@@ -0,0 +1,43 @@
+// --- HTTP Helpers for API Routes ---
+import crypto from 'crypto';
+
+// Error carrying an HTTP status, thrown from helpers and translated into a JSON response by sendError.
+export class HttpError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.status = status;
+    this.error = error;
+  }
+}
+
+// Sends the repo's standard error payload: { error, message[, details] }.
+// Unexpected errors become a 500 and are logged with the route name for the server logs.
+export function sendError(res, err, context) {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ error: err.error, message: err.message });
+  }
+
+  console.error(`Error in ${context}:`, err);
+  return res.status(500).json({
+    error: 'Internal Server Error',
+    message: 'An unexpected error occurred. Please check server logs for details and try again.',
+    details: err.message,
+  });
+}
+
+// The viewer's IP address. Vercel (and most proxies) put the original client first in X-Forwarded-For.
+export function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.socket?.remoteAddress || '';
+}
+
+// Vercel Cron calls jobs with "Authorization: Bearer $CRON_SECRET"; anything else gets a 401.
+export function requireCronSecret(req) {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.headers.authorization || '');
+  if (!secret || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new HttpError(401, 'Unauthorized', 'Missing or invalid cron secret.');
+  }
+}
@@ -0,0 +1,195 @@
+// --- Title Creation ---
+// What /api/upload-video does with an uploaded video and its metadata, shared with the bulk
+// importer (api/import-manifest.js and scripts/import-catalog.js):
+//   1. validateUploadFields  checks the metadata and subtitle files without storing anything
+//   2. createVideo           probes the video, stores the files and creates the title's document
+// Callers own their local files: nothing here deletes them.
+import path from 'path';
+import * as fsSync from 'fs';
+import { ID } from 'node-appwrite';
+import { databases, APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID } from './appwrite.js';
+import { getStorage, createObjectKey } from './storage/index.js';
+import { getUploadSession, claimUpload, releaseUpload } from './uploads.js';
+import { HttpError } from './http.js';
+import { probeMedia, resolveMediaInput, assertContainerMatches } from './media.js';
+import { extractFrame, discardPosterCandidates } from './thumbnails.js';
+import { saveVideoSources } from './sources.js';
+import { validateGenreSlugs } from './genres.js';
+import { validateTags } from './tags.js';
+import { validatePublication, videoPermissions } from './publishing.js';
+import { validateEpisode } from './series.js';
+import {
+  prepareSubtitleTrack, validateTrackFields, validateTrackSet, storeSubtitleTracks, serializeTracks,
+} from './subtitles.js';
+import { validateLocalizations } from './localization.js';
+
+const MAX_TITLE_LENGTH = 255;
+
+/**
+ * Checks a new title's metadata and subtitle files.
+ * @param {object} fields `title`, `description`, `duration` (seconds, or null to use the probed
+ *   one), `isPremium`, `genres`, `tags`, `status`, `publishAt`, `publishTimezone`, `seasonId`,
+ *   `episodeNumber` (a number or null), `localizations` (an array of translations) and `subtitles`
+ *   ([{ fileName, buffer, language, label, kind }]). A subtitle without a `buffer` only has its
+ *   fields checked, for a dry run before its file is uploaded.
+ * @returns {Promise<object>} the values createVideo takes
+ */
+export async function validateUploadFields({
+  title, description, duration = null, isPremium = false, genres = [], tags = [], status = 'published',
+  publishAt, publishTimezone, seasonId, episodeNumber = null, localizations = [], subtitles = [],
+}) {
+  const trimmedTitle = String(title || '').trim();
+  if (!trimmedTitle || trimmedTitle.length > MAX_TITLE_LENGTH) {
+    throw new HttpError(400, 'Bad Request', `Title is required and must be at most ${MAX_TITLE_LENGTH} characters.`);
+  }
+  const trimmedDescription = String(description || '').trim();
+  if (!trimmedDescription) throw new HttpError(400, 'Bad Request', 'Description is required.');
+  if (duration !== null && !(Number.isInteger(duration) && duration > 0)) {
+    throw new HttpError(400, 'Bad Request', '"duration" must be a whole number of seconds.');
+  }
+
+  const tracks = subtitles.map(({ fileName, buffer, ...track }) =>
+    buffer ? prepareSubtitleTrack({ fileName, buffer, ...track }) : { ...validateTrackFields(track), fileName });
+  validateTrackSet(tracks);
+
+  return {
+    title: trimmedTitle,
+    description: trimmedDescription,
+    durationOverride: duration,
+    isPremium: Boolean(isPremium),
+    genres: await validateGenreSlugs(genres),
+    tags: validateTags(tags),
+    publication: validatePublication({ status, publishAt, publishTimezone }),
+    episode: await validateEpisode({ seasonId, episodeNumber }),
+    subtitles: tracks,
+    localized: validateLocalizations(localizations),
+  };
+}
+
+/**
+ * Creates a title from validated fields. The video is either a local file or a completed resumable
+ * upload; the thumbnail is a local image, a poster frame the admin picked, or else a frame grabbed
+ * from the video. Local files are `{ filepath, originalFilename, mimetype }`, as formidable gives them.
+ * An upload can only become one title: it is claimed for the new title up front, and reusing it
+ * answers 409. The claim is released if the title cannot be created.
+ * @param {object} validated the result of validateUploadFields, with every subtitle file read
+ * @param {{ videoFile?: object, videoUploadId?: string, thumbnailFile?: object, thumbnailCandidate?: string, teamId: string }} sources
+ * @returns {Promise<{ video: object, videoUrl: string, thumbnailUrl: string }>}
+ */
+export async function createVideo(validated, sources) {
+  const videoId = ID.unique();
+
+  // --- Resolve the Uploaded Video ---
+  let uploadSession = null;
+  if (sources.videoUploadId) {
+    uploadSession = await getUploadSession(sources.videoUploadId);
+    if (uploadSession.status !== 'completed') {
+      throw new HttpError(409, 'Conflict', 'The video upload has not been completed yet.');
+    }
+    uploadSession = await claimUpload(uploadSession, videoId);
+  }
+
+  try {
+    return await storeVideo(videoId, validated, { ...sources, uploadSession });
+  } catch (error) {
+    if (uploadSession) await releaseUpload(uploadSession).catch(err => console.warn('Releasing the upload failed:', err));
+    throw error;
+  }
+}
+
+async function storeVideo(videoId, validated, { videoFile, videoUploadId, uploadSession, thumbnailFile, thumbnailCandidate, teamId }) {
+  const storage = getStorage();
+
+  // --- Probe the Video for Technical Metadata ---
+  // Files whose real container does not match the declared mimetype are rejected (and discarded).
+  let media;
+  try {
+    media = await probeMedia(videoFile ? videoFile.filepath : await resolveMediaInput(uploadSession.key));
+    assertContainerMatches(media, videoFile ? videoFile.mimetype : uploadSession.contentType);
+  } catch (probeError) {
+    if (uploadSession) await storage.delete(uploadSession.key).catch(err => console.warn('Cleanup failed:', err));
+    throw probeError;
+  }
+  console.log('DEBUG: Probed media:', media);
+
+  const duration = validated.durationOverride ?? media.duration;
+  if (!(duration > 0)) {
+    throw new HttpError(400, 'Bad Request', 'Could not determine the video duration; please enter it manually.');
+  }
+
+  // --- Upload Files to the Active Storage Backend ---
+  // Files are streamed from disk so large videos are never held in memory.
+  const videoBlob = uploadSession
+    ? { key: uploadSession.key, url: uploadSession.url }
+    : await storage.put(
+      createObjectKey('videos', videoFile.originalFilename || path.basename(videoFile.filepath)),
+      fsSync.createReadStream(videoFile.filepath),
+      { contentType: videoFile.mimetype }
+    );
+
+  // Uploaded image first, then the admin's chosen poster candidate, else a frame grabbed automatically.
+  let thumbnailBlob;
+  if (thumbnailFile) {
+    thumbnailBlob = await storage.put(
+      createObjectKey('thumbnails', thumbnailFile.originalFilename || path.basename(thumbnailFile.filepath)),
+      fsSync.createReadStream(thumbnailFile.filepath),
+      { contentType: thumbnailFile.mimetype }
+    );
+  } else if (thumbnailCandidate) {
+    thumbnailBlob = await storage.head(thumbnailCandidate);
+    if (!thumbnailBlob) {
+      throw new HttpError(400, 'Bad Request', 'The selected thumbnail no longer exists. Please generate the candidates again.');
+    }
+  } else {
+    const input = videoFile ? videoFile.filepath : await resolveMediaInput(videoBlob.key);
+    thumbnailBlob = await extractFrame(input, Math.floor(media.duration * 0.3), createObjectKey('thumbnails', 'poster.jpg'));
+  }
+  if (videoUploadId) await discardPosterCandidates(videoUploadId, thumbnailFile ? null : thumbnailCandidate);
+
+  const subtitleTracks = await storeSubtitleTracks(validated.subtitles);
+
+  // --- Insert Video Metadata into Appwrite Database with Permissions ---
+  const videoData = {
+    title: validated.title,
+    description: validated.description,
+    duration,
+    isPremium: validated.isPremium,
+    genres: validated.genres,
+    tags: validated.tags,
+    width: media.width,
+    height: media.height,
+    frameRate: media.frameRate,
+    videoCodec: media.videoCodec,
+    audioCodec: media.audioCodec,
+    bitrate: media.bitrate,
+    container: media.container,
+    thumbnailUrl: thumbnailBlob.url,
+    // Media URLs are saved privately below and only served, signed, through /api/playback
+    videoUrl: null,
+    // Picked up by scripts/transcode-worker.js, which fills in playbackManifestUrl
+    transcodeStatus: 'pending',
+    playbackManifestUrl: null,
+    viewsCount: 0,
+    ratingAverage: 0, // Kept up to date from reviews (see _lib/reviews.js)
+    ratingCount: 0,
+    uploadDate: new Date().toISOString(),
+    ...validated.publication,
+    ...validated.episode,
+    subtitles: serializeTracks(subtitleTracks),
+    ...validated.localized,
+  };
+
+  // Everyone may read a published title; drafts and scheduled titles only the content team.
+  // The team always gets update and delete access.
+  const video = await databases.createDocument(
+    APPWRITE_DATABASE_ID,
+    APPWRITE_COLLECTION_ID,
+    videoId,
+    videoData,
+    videoPermissions(validated.publication.status, teamId)
+  );
+  console.log('Video metadata saved to Appwrite:', video.$id);
+
+  await saveVideoSources(video, { videoUrl: videoBlob.url, playbackManifestUrl: null });
+  return { video, videoUrl: videoBlob.url, thumbnailUrl: thumbnailBlob.url };
+}
@@ -0,0 +1,275 @@
+// --- Content Library ---
+// Editing and deleting existing titles for content managers (see api/videos). Every blob a title
+// owns is tracked down and removed when it is replaced or the title is deleted, so storage is never
+// left holding files no document points at:
+//   thumbnailUrl                 the poster image
+//   videoUrl                     the uploaded original (private sources, or the legacy public field)
+//   playbackManifestUrl          the HLS ladder under hls/<videoId>/<random>/ (master, renditions, segments)
+//   previewTrackUrl              the seek-preview sprite and WebVTT track under previews/<videoId>/
+//   subtitles                    one WebVTT file per subtitle track under subtitles/
+// Translations (`localizations`) are plain metadata and own no blobs. Deleting a title also deletes
+// the viewer data kept per title: reviews, My List entries, watch progress and view records.
+import { Query } from 'node-appwrite';
+import { databases, APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, listAllDocuments } from './appwrite.js';
+import { HttpError } from './http.js';
+import { getStorage } from './storage/index.js';
+import { getUploadSession, claimUpload } from './uploads.js';
+import { probeMedia, resolveMediaInput, assertContainerMatches } from './media.js';
+import { listHlsObjects } from './transcode.js';
+import { listPreviewObjects } from './thumbnails.js';
+import { getVideoSources, saveVideoSources, APPWRITE_SOURCES_COLLECTION_ID } from './sources.js';
+import { validateGenreSlugs } from './genres.js';
+import { validateTags } from './tags.js';
+import { listAllVideos, invalidateCatalog } from './videos.js';
+import { validatePublication, publishedFields, videoPermissions, isPublished } from './publishing.js';
+import { validateEpisode } from './series.js';
+import {
+  prepareSubtitleTrack, validateExistingTrack, validateTrackSet, storeSubtitleTracks, serializeTracks, subtitleTracks,
+} from './subtitles.js';
+import { validateLocalizations } from './localization.js';
+import { APPWRITE_REVIEWS_COLLECTION_ID } from './reviews.js';
+import { APPWRITE_WATCHLIST_COLLECTION_ID } from './watchlist.js';
+import { APPWRITE_PROGRESS_COLLECTION_ID } from './progress.js';
+import { APPWRITE_VIEWS_COLLECTION_ID } from './views.js';
+
+const MAX_TITLE_LENGTH = 255;
+
+// Collections holding per-viewer documents for a title, each with a `videoId` attribute
+const VIEWER_DATA_COLLECTIONS = [
+  APPWRITE_REVIEWS_COLLECTION_ID,
+  APPWRITE_WATCHLIST_COLLECTION_ID,
+  APPWRITE_PROGRESS_COLLECTION_ID,
+  APPWRITE_VIEWS_COLLECTION_ID,
+];
+
+export async function getVideo(videoId) {
+  try {
+    return await databases.getDocument(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, videoId);
+  } catch (error) {
+    if (error.code === 404) throw new HttpError(404, 'Not Found', 'Video does not exist.');
+    throw error;
+  }
+}
+
+// Every title, newest first.
+export async function listLibrary() {
+  const videos = await listAllVideos();
+  return videos.sort((a, b) => (b.uploadDate || '').localeCompare(a.uploadDate || ''));
+}
+
+// A completed resumable upload whose content type starts with `kind` ("image/" or "video/"),
+// claimed for `videoId` (see claimUpload).
+async function getCompletedUpload(uploadId, kind, videoId) {
+  const session = await getUploadSession(uploadId);
+  if (session.status !== 'completed') {
+    throw new HttpError(409, 'Conflict', 'The replacement upload has not been completed yet.');
+  }
+  if (!session.contentType?.startsWith(kind)) {
+    throw new HttpError(400, 'Bad Request', `The replacement must be a ${kind.slice(0, -1)} file.`);
+  }
+  return claimUpload(session, videoId);
+}
+
+async function validateMetadata({ title, description, duration, isPremium, genres, tags, localizations }) {
+  const data = {};
+  if (title !== undefined) {
+    const trimmed = String(title).trim();
+    if (!trimmed || trimmed.length > MAX_TITLE_LENGTH) {
+      throw new HttpError(400, 'Bad Request', `Title is required and must be at most ${MAX_TITLE_LENGTH} characters.`);
+    }
+    data.title = trimmed;
+  }
+  if (description !== undefined) {
+    const trimmed = String(description).trim();
+    if (!trimmed) throw new HttpError(400, 'Bad Request', 'Description is required.');
+    data.description = trimmed;
+  }
+  if (duration !== undefined) {
+    if (typeof duration !== 'number' || !(duration > 0)) {
+      throw new HttpError(400, 'Bad Request', '"duration" must be a positive number of seconds.');
+    }
+    data.duration = duration;
+  }
+  if (isPremium !== undefined) {
+    if (typeof isPremium !== 'boolean') throw new HttpError(400, 'Bad Request', '"isPremium" must be a boolean.');
+    data.isPremium = isPremium;
+  }
+  if (genres !== undefined) {
+    if (!Array.isArray(genres)) throw new HttpError(400, 'Bad Request', '"genres" must be an array of slugs.');
+    data.genres = await validateGenreSlugs(genres);
+  }
+  if (tags !== undefined) data.tags = validateTags(tags);
+  if (localizations !== undefined) Object.assign(data, validateLocalizations(localizations));
+  return data;
+}
+
+// Deletes blobs one by one; a failure is logged and the rest are still attempted.
+async function deleteBlobs(urls, context) {
+  const storage = getStorage();
+  let failed = 0;
+  for (const url of urls) {
+    try {
+      await storage.delete(url);
+    } catch (error) {
+      failed++;
+      console.warn(`${context}: failed to delete ${url}:`, error);
+    }
+  }
+  return failed;
+}
+
+// The transcoded ladder and seek previews, which are derived from the original.
+async function derivedBlobs(video, sources) {
+  return [
+    ...(sources.playbackManifestUrl ? await listHlsObjects(sources.playbackManifestUrl) : []),
+    ...(video.previewTrackUrl ? await listPreviewObjects(video.previewTrackUrl) : []),
+  ];
+}
+
+/**
+ * The full list of subtitle tracks a title should have. Entries with a `url` are tracks it already
+ * has (possibly relabelled); entries with `data` (the file's bytes, base64) and `fileName` are new
+ * files. Tracks left out are removed.
+ * @returns {Promise<{ tracks: object[], removed: string[] }>} the document entries and the URLs of the removed files
+ */
+async function resolveSubtitles(entries, video) {
+  if (!Array.isArray(entries)) throw new HttpError(400, 'Bad Request', '"subtitles" must be an array of tracks.');
+  const current = subtitleTracks(video);
+  const kept = [];
+  const added = [];
+  for (const entry of entries) {
+    if (entry?.url) {
+      if (!current.some((track) => track.url === entry.url)) {
+        throw new HttpError(400, 'Bad Request', 'A subtitle track to keep does not belong to this title.');
+      }
+      kept.push(validateExistingTrack(entry));
+    } else {
+      added.push(prepareSubtitleTrack({ ...entry, buffer: Buffer.from(String(entry?.data || ''), 'base64') }));
+    }
+  }
+  validateTrackSet([...kept, ...added]);
+
+  return {
+    tracks: [...kept, ...(await storeSubtitleTracks(added))],
+    removed: current.filter((track) => !kept.some((keptTrack) => keptTrack.url === track.url)).map((track) => track.url),
+  };
+}
+
+/**
+ * Applies a content manager's changes to a title. Metadata fields (including `localizations`, the
+ * complete list of translations, see localization.js) are optional; so are
+ * `status` (with `publishAt` and `publishTimezone` when scheduling, see publishing.js),
+ * `seasonId` and `episodeNumber` (a null `seasonId` makes an episode standalone, see series.js),
+ * `subtitles` (see resolveSubtitles),
+ * and `thumbnailUploadId` and `videoUploadId`, completed resumable uploads that replace the poster
+ * or the video. A replaced video is probed like a new upload, queued for transcoding again, and
+ * its old original, HLS ladder and seek previews are deleted.
+ * @returns {Promise<object>} the updated video document
+ */
+export async function updateVideo(videoId, fields) {
+  const video = await getVideo(videoId);
+  const data = await validateMetadata(fields);
+  const replacedBlobs = [];
+
+  // Publishing, scheduling or unpublishing also switches who may read the document
+  let permissions;
+  if (fields.status !== undefined) {
+    const publication = validatePublication(fields);
+    Object.assign(data, publication.status === 'published' && !isPublished(video) ? publishedFields() : publication);
+    permissions = videoPermissions(publication.status);
+  }
+
+  if (fields.seasonId !== undefined || fields.episodeNumber !== undefined) {
+    Object.assign(data, await validateEpisode({
+      seasonId: fields.seasonId !== undefined ? fields.seasonId : video.seasonId,
+      episodeNumber: fields.episodeNumber ?? video.episodeNumber,
+    }, videoId));
+  }
+
+  if (fields.subtitles !== undefined) {
+    const { tracks, removed } = await resolveSubtitles(fields.subtitles, video);
+    data.subtitles = serializeTracks(tracks);
+    replacedBlobs.push(...removed);
+  }
+
+  if (fields.thumbnailUploadId) {
+    const upload = await getCompletedUpload(fields.thumbnailUploadId, 'image/', video.$id);
+    data.thumbnailUrl = upload.url;
+    if (video.thumbnailUrl && video.thumbnailUrl !== upload.url) replacedBlobs.push(video.thumbnailUrl);
+  }
+
+  if (fields.videoUploadId) {
+    const upload = await getCompletedUpload(fields.videoUploadId, 'video/', video.$id);
+    const media = await probeMedia(await resolveMediaInput(upload.key));
+    assertContainerMatches(media, upload.contentType);
+
+    const sources = await getVideoSources(video);
+    if (sources.videoUrl && sources.videoUrl !== upload.url) replacedBlobs.push(sources.videoUrl);
+
+    Object.assign(data, {
+      duration: data.duration ?? media.duration,
+      width: media.width,
+      height: media.height,
+      frameRate: media.frameRate,
+      videoCodec: media.videoCodec,
+      audioCodec: media.audioCodec,
+      bitrate: media.bitrate,
+      container: media.container,
+      // The worker transcodes the new original and records fresh previews
+      transcodeStatus: 'pending',
+      transcodeError: null,
+      previewTrackUrl: null,
+    });
+    await saveVideoSources(video, { videoUrl: upload.url, playbackManifestUrl: null });
+    // Removed now, before the title is queued: the worker writes the new ladder to the same keys
+    await deleteBlobs(await derivedBlobs(video, sources), `Replacing the video of ${videoId}`);
+  }
+
+  if (Object.keys(data).length === 0) {
+    throw new HttpError(400, 'Bad Request', 'Nothing to update.');
+  }
+
+  const updated = await databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, videoId, data, permissions);
+  invalidateCatalog();
+  // The document no longer points at them, so a failure here only leaves a stray blob behind
+  await deleteBlobs(replacedBlobs, `Updating video ${videoId}`);
+  return updated;
+}
+
+async function deleteViewerData(videoId) {
+  for (const collectionId of VIEWER_DATA_COLLECTIONS) {
+    const documents = await listAllDocuments(collectionId, [Query.equal('videoId', videoId), Query.select(['$id'])]);
+    for (const doc of documents) {
+      await databases.deleteDocument(APPWRITE_DATABASE_ID, collectionId, doc.$id).catch((error) => {
+        if (error.code !== 404) throw error; // Already removed by the viewer
+      });
+    }
+  }
+}
+
+/**
+ * Deletes a title, every blob it owns and its viewer data. The blobs go first: if any cannot be
+ * deleted the document is kept, so the admin can retry instead of losing track of them. The video
+ * document goes last, so a failed delete can always be retried from the library.
+ */
+export async function deleteVideo(videoId) {
+  const video = await getVideo(videoId);
+  const sources = await getVideoSources(video);
+  const blobs = [
+    ...(await derivedBlobs(video, sources)),
+    ...[sources.videoUrl, video.thumbnailUrl].filter(Boolean),
+    ...subtitleTracks(video).map((track) => track.url),
+  ];
+
+  const failed = await deleteBlobs(blobs, `Deleting video ${videoId}`);
+  if (failed > 0) {
+    throw new HttpError(502, 'Bad Gateway', `${failed} of ${blobs.length} stored file(s) could not be deleted; the title was kept. Please try again.`);
+  }
+
+  await databases.deleteDocument(APPWRITE_DATABASE_ID, APPWRITE_SOURCES_COLLECTION_ID, videoId).catch((error) => {
+    if (error.code !== 404) throw error; // Legacy titles have no private sources document
+  });
+  await deleteViewerData(videoId);
+  await databases.deleteDocument(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, videoId);
+  invalidateCatalog();
+}
@@ -0,0 +1,106 @@
+// --- Localized Metadata ---
+// A title's `title`, `description` and `tags` are in DEFAULT_LOCALE. Translations are kept in
+// `localizations`, a string array with one JSON entry per locale:
+//   {"locale":"pt-BR","title":"…","description":"…","tags":["viagem"]}
+// A translation's description and tags are optional and fall back to the default ones. Two derived
+// attributes let Appwrite find titles by their translations too: `localizedText` (every
+// translation's title, description and tags, fulltext-indexed for search) and `localizedTags`
+// (every translation's tags, for tag pages).
+// APIs that return titles pick the best translation for the viewer's ?locale= or Accept-Language.
+import { HttpError } from './http.js';
+import { validateTags, normalizeTags } from './tags.js';
+import { canonicalLocale, videoLocalizations, pickLocalization } from '../../shared/localization.js';
+
+export { canonicalLocale, videoLocalizations };
+
+export const DEFAULT_LOCALE = canonicalLocale(process.env.DEFAULT_LOCALE) || 'en';
+export const MAX_LOCALIZATIONS = 30;
+const MAX_TITLE_LENGTH = 255;
+const MAX_ACCEPTED_LOCALES = 10; // Accept-Language entries considered; browsers send a handful at most
+
+// "fr-CH, fr;q=0.9, en;q=0.8, *;q=0.5" -> ["fr-CH", "fr", "en"], most preferred first
+export function parseAcceptLanguage(header) {
+  return String(header || '')
+    .split(',')
+    .slice(0, MAX_ACCEPTED_LOCALES)
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map((param) => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+      return { locale: tag === '*' ? null : canonicalLocale(tag), quality: q ? Number(q[1]) : 1, index };
+    })
+    .filter((entry) => entry.locale && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map((entry) => entry.locale);
+}
+
+// The viewer's locales for an API request: an explicit ?locale= (the one chosen in the app) first,
+// then the browser's Accept-Language.
+export function requestLocales(req) {
+  const chosen = canonicalLocale(req.query.locale);
+  return [...new Set([...(chosen ? [chosen] : []), ...parseAcceptLanguage(req.headers['accept-language'])])];
+}
+
+// The video with its title, description and tags in the best locale for `locales`, and `locale`
+// set to the one used.
+export function localizeVideo(video, locales) {
+  const localization = pickLocalization(videoLocalizations(video), locales, DEFAULT_LOCALE);
+  if (!localization) return { ...video, locale: DEFAULT_LOCALE };
+  return {
+    ...video,
+    locale: localization.locale,
+    title: localization.title,
+    description: localization.description || video.description,
+    tags: localization.tags?.length > 0 ? localization.tags : video.tags,
+  };
+}
+
+// Every locale's words at once, for matching a title in any language.
+export function allLocalesText(video) {
+  const localizations = videoLocalizations(video);
+  return {
+    titles: [video.title, ...localizations.map((localization) => localization.title)],
+    descriptions: [video.description, ...localizations.map((localization) => localization.description)].filter(Boolean),
+    tags: [...normalizeTags(video.tags), ...localizations.flatMap((localization) => localization.tags || [])],
+  };
+}
+
+/**
+ * Checks a title's translations, as sent by the upload form and the library editor: an array of
+ * { locale, title, description?, tags? }. The default locale is the title's own metadata, so it
+ * cannot be given a translation, and each locale appears at most once.
+ * @returns {{ localizations: string[], localizedText: string, localizedTags: string[] }} the document attributes
+ */
+export function validateLocalizations(entries) {
+  if (!Array.isArray(entries)) {
+    throw new HttpError(400, 'Bad Request', '"localizations" must be an array of { locale, title, description, tags }.');
+  }
+  if (entries.length > MAX_LOCALIZATIONS) {
+    throw new HttpError(400, 'Bad Request', `A title can have at most ${MAX_LOCALIZATIONS} translations.`);
+  }
+
+  const localizations = [];
+  for (const entry of entries) {
+    const locale = canonicalLocale(entry?.locale);
+    if (!locale) throw new HttpError(400, 'Bad Request', 'Each translation needs a language code such as "fr" or "pt-BR".');
+    if (locale === DEFAULT_LOCALE) {
+      throw new HttpError(400, 'Bad Request', `"${locale}" is the default language; edit the main title and description instead.`);
+    }
+    if (localizations.some((localization) => localization.locale === locale)) {
+      throw new HttpError(400, 'Bad Request', `There are two "${locale}" translations.`);
+    }
+
+    const title = String(entry.title || '').trim();
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+      throw new HttpError(400, 'Bad Request', `The "${locale}" title is required and must be at most ${MAX_TITLE_LENGTH} characters.`);
+    }
+    localizations.push({ locale, title, description: String(entry.description || '').trim(), tags: validateTags(entry.tags) });
+  }
+
+  return {
+    localizations: localizations.map((localization) => JSON.stringify(localization)),
+    localizedText: localizations
+      .map((localization) => [localization.title, localization.description, ...localization.tags].filter(Boolean).join('\n'))
+      .join('\n\n'),
+    localizedTags: [...new Set(localizations.flatMap((localization) => localization.tags))],
+  };
+}
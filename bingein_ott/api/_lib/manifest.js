@@ -0,0 +1,234 @@
+// --- Catalog Import Manifests ---
+// A manifest lists titles to import in bulk (see scripts/import-catalog.js and the admin import
+// page), as CSV with a header row or as a JSON array of objects with the same keys:
+//   id                  optional; names the row in the result log (defaults to the video path)
+//   title, description  required
+//   duration            optional override in seconds
+//   isPremium           true / false
+//   genres, tags        lists; "|"-separated in CSV
+//   status, publishAt, publishTimezone, seasonId, episodeNumber   as in the upload form
+//   video               path of the video file (required)
+//   thumbnail           optional path of the poster image
+//   subtitles           optional list of { file, language, label, kind }; JSON text in CSV
+//   localizations       optional list of { locale, title, description, tags }; JSON text in CSV
+// Parsing never touches the database; each row's fields are checked by validateUploadFields
+// (see ingest.js), exactly as /api/upload-video checks a form.
+import path from 'path';
+import { HttpError } from './http.js';
+
+export const MAX_MANIFEST_ROWS = 1000;
+
+const COLUMNS = [
+  'id', 'title', 'description', 'duration', 'isPremium', 'genres', 'tags', 'status', 'publishAt', 'publishTimezone',
+  'seasonId', 'episodeNumber', 'video', 'thumbnail', 'subtitles', 'localizations',
+];
+
+const MIMETYPES = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo',
+  '.ts': 'video/mp2t',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+};
+
+// The mimetype of a video or image file by its extension; undefined for anything else
+export const mimetypeFor = (filePath) => MIMETYPES[path.extname(filePath).toLowerCase()];
+
+// RFC 4180 CSV: quoted fields may contain commas, line breaks and doubled quotes ("").
+function parseCsv(source) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new HttpError(400, 'Bad Request', 'The manifest has an unterminated quoted field.');
+  if (field !== '' || record.length > 0) records.push([...record, field]);
+  // Blank lines carry no row
+  return records.filter((fields) => fields.some((value) => value.trim() !== ''));
+}
+
+// CSV text or a JSON array -> one object per row, keyed by column
+function readRecords(source, format) {
+  if (format === 'json') {
+    let records;
+    try {
+      records = JSON.parse(source);
+    } catch {
+      throw new HttpError(400, 'Bad Request', 'The manifest is not valid JSON.');
+    }
+    if (!Array.isArray(records) || records.some((record) => !record || typeof record !== 'object' || Array.isArray(record))) {
+      throw new HttpError(400, 'Bad Request', 'A JSON manifest must be an array of objects.');
+    }
+    return records;
+  }
+  if (format !== 'csv') throw new HttpError(400, 'Bad Request', 'The manifest must be CSV or JSON.');
+
+  const [header = [], ...rows] = parseCsv(source.replace(/^\uFEFF/, ''));
+  const columns = header.map((name) => name.trim());
+  return rows.map((values) => Object.fromEntries(columns.map((name, index) => [name, values[index] ?? ''])));
+}
+
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+function list(value) {
+  if (Array.isArray(value)) return value.map(text).filter(Boolean);
+  return text(value).split('|').map((item) => item.trim()).filter(Boolean);
+}
+
+function number(value, name) {
+  if (text(value) === '') return null;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) throw new HttpError(400, 'Bad Request', `"${name}" must be a number.`);
+  return parsed;
+}
+
+function boolean(value, name) {
+  if (typeof value === 'boolean') return value;
+  const normalized = text(value).toLowerCase();
+  if (['', 'false', 'no', '0'].includes(normalized)) return false;
+  if (['true', 'yes', '1'].includes(normalized)) return true;
+  throw new HttpError(400, 'Bad Request', `"${name}" must be true or false.`);
+}
+
+// A list of objects, given as an array in JSON or as JSON text in a CSV cell
+function objectList(value, name) {
+  let parsed = value;
+  if (typeof value === 'string') {
+    if (!value.trim()) return [];
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      throw new HttpError(400, 'Bad Request', `"${name}" must be a JSON array.`);
+    }
+  }
+  if (parsed === undefined || parsed === null) return [];
+  if (!Array.isArray(parsed) || parsed.some((item) => !item || typeof item !== 'object')) {
+    throw new HttpError(400, 'Bad Request', `"${name}" must be an array of objects.`);
+  }
+  return parsed;
+}
+
+// One record -> { fields, files }; throws on a value that cannot be read
+function readRow(record) {
+  const subtitles = objectList(record.subtitles, 'subtitles').map((track) => ({
+    file: text(track.file),
+    language: text(track.language),
+    label: text(track.label),
+    kind: text(track.kind) || undefined,
+  }));
+  if (subtitles.some((track) => !track.file)) throw new HttpError(400, 'Bad Request', 'Every subtitle track needs a "file".');
+
+  const video = text(record.video);
+  if (!video) throw new HttpError(400, 'Bad Request', '"video" (the path of the video file) is required.');
+
+  return {
+    fields: {
+      title: text(record.title),
+      description: text(record.description),
+      duration: number(record.duration, 'duration'),
+      isPremium: boolean(record.isPremium, 'isPremium'),
+      genres: list(record.genres),
+      tags: list(record.tags),
+      status: text(record.status) || 'published',
+      publishAt: text(record.publishAt) || undefined,
+      publishTimezone: text(record.publishTimezone) || undefined,
+      seasonId: text(record.seasonId) || undefined,
+      episodeNumber: number(record.episodeNumber, 'episodeNumber'),
+      localizations: objectList(record.localizations, 'localizations'),
+    },
+    files: { video, thumbnail: text(record.thumbnail) || null, subtitles },
+  };
+}
+
+/**
+ * Parses a manifest into rows. A row that cannot be read keeps its `error` instead of failing the
+ * whole manifest, so every problem is reported at once; so do repeated ids and two rows claiming
+ * the same episode.
+ * @param {string} manifest the file's text
+ * @param {'csv'|'json'} format
+ * @returns {Array<{ row: number, id: string, fields: object|null, files: object|null, error: string|null }>}
+ *   `row` counts from 1, not including the CSV header
+ */
+export function parseManifest(manifest, format) {
+  const records = readRecords(manifest, format);
+  if (records.length === 0) throw new HttpError(400, 'Bad Request', 'The manifest lists no titles.');
+  if (records.length > MAX_MANIFEST_ROWS) {
+    throw new HttpError(400, 'Bad Request', `A manifest can list at most ${MAX_MANIFEST_ROWS} titles; split it into several.`);
+  }
+  const unknown = [...new Set(records.flatMap(Object.keys))].filter((name) => !COLUMNS.includes(name));
+  if (unknown.length > 0) {
+    throw new HttpError(400, 'Bad Request', `Unknown column(s): ${unknown.join(', ')}. Expected: ${COLUMNS.join(', ')}.`);
+  }
+
+  const ids = new Map();
+  const episodes = new Map();
+  return records.map((record, index) => {
+    const row = index + 1;
+    const id = text(record.id) || text(record.video) || `row-${row}`;
+    let parsed = { fields: null, files: null };
+    let error = null;
+    try {
+      parsed = readRow(record);
+    } catch (readError) {
+      if (!(readError instanceof HttpError)) throw readError;
+      error = readError.message;
+    }
+
+    const episode = parsed.fields?.seasonId && parsed.fields.episodeNumber !== null
+      ? `${parsed.fields.seasonId}:${parsed.fields.episodeNumber}`
+      : null;
+    if (!error && ids.has(id)) error = `Row ${ids.get(id)} has the same id ("${id}").`;
+    else if (!error && episode && episodes.has(episode)) error = `Row ${episodes.get(episode)} is already episode ${parsed.fields.episodeNumber} of this season.`;
+    if (!ids.has(id)) ids.set(id, row);
+    if (episode && !episodes.has(episode)) episodes.set(episode, row);
+
+    return { row, id, ...parsed, error };
+  });
+}
+
+// A row's fields as validateUploadFields takes them; `subtitleBuffers` holds the subtitle files'
+// bytes in the row's order, or is omitted to check only the tracks' fields.
+export function uploadFields(row, subtitleBuffers = []) {
+  return {
+    ...row.fields,
+    subtitles: row.files.subtitles.map((track, index) => ({
+      fileName: path.basename(track.file),
+      buffer: subtitleBuffers[index],
+      language: track.language,
+      label: track.label,
+      kind: track.kind,
+    })),
+  };
+}
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseManifest, uploadFields, mimetypeFor } from './manifest.js';
+
+const badRequest = { status: 400 };
+
+test('parseManifest reads CSV rows keyed by the header', () => {
+  const rows = parseManifest('title,description,video,genres,isPremium,duration\nAlps,A hike,alps.mp4,travel|nature,yes,90\n', 'csv');
+  assert.equal(rows.length, 1);
+  assert.deepEqual(rows[0].files, { video: 'alps.mp4', thumbnail: null, subtitles: [] });
+  assert.equal(rows[0].row, 1);
+  assert.equal(rows[0].id, 'alps.mp4');
+  assert.equal(rows[0].error, null);
+  assert.equal(rows[0].fields.title, 'Alps');
+  assert.deepEqual(rows[0].fields.genres, ['travel', 'nature']);
+  assert.equal(rows[0].fields.isPremium, true);
+  assert.equal(rows[0].fields.duration, 90);
+  assert.equal(rows[0].fields.status, 'published');
+});
+
+test('parseManifest keeps commas, line breaks and doubled quotes inside quoted CSV fields', () => {
+  const csv = 'title,description,video\r\n"Rock, Paper","Line one\r\nLine ""two""",a.mp4\r\n';
+  const [row] = parseManifest(csv, 'csv');
+  assert.equal(row.fields.title, 'Rock, Paper');
+  assert.equal(row.fields.description, 'Line one\r\nLine "two"');
+});
+
+test('parseManifest reads JSON text in CSV cells and skips blank lines and a byte order mark', () => {
+  const csv = '\uFEFFtitle,video,subtitles\n\nA,a.mp4,"[{""file"":""a.fr.srt"",""language"":""fr""}]"\n\n';
+  const rows = parseManifest(csv, 'csv');
+  assert.equal(rows.length, 1);
+  assert.deepEqual(rows[0].files.subtitles, [{ file: 'a.fr.srt', language: 'fr', label: '', kind: undefined }]);
+});
+
+test('parseManifest gives a JSON manifest the same rows as the equivalent CSV', () => {
+  const json = JSON.stringify([{
+    title: 'Alps', description: 'A hike', video: 'alps.mp4', genres: ['travel', 'nature'], isPremium: true, duration: 90,
+    subtitles: [{ file: 'alps.de.srt', language: 'de' }],
+  }]);
+  const csv = 'title,description,video,genres,isPremium,duration,subtitles\n' +
+    'Alps,A hike,alps.mp4,travel|nature,true,90,"[{""file"":""alps.de.srt"",""language"":""de""}]"\n';
+  assert.deepEqual(parseManifest(json, 'json'), parseManifest(csv, 'csv'));
+});
+
+test('parseManifest reports a row without a video, repeated ids and repeated episodes on the row', () => {
+  const rows = parseManifest(JSON.stringify([
+    { id: 'one', title: 'A', video: 'a.mp4', seasonId: 's1', episodeNumber: 1 },
+    { id: 'two', title: 'B' },
+    { id: 'one', title: 'C', video: 'c.mp4' },
+    { id: 'four', title: 'D', video: 'd.mp4', seasonId: 's1', episodeNumber: '1' },
+  ]), 'json');
+  assert.equal(rows[0].error, null);
+  assert.match(rows[1].error, /"video"/);
+  assert.equal(rows[1].fields, null);
+  assert.match(rows[2].error, /Row 1 has the same id/);
+  assert.match(rows[3].error, /Row 1 is already episode 1/);
+});
+
+test('parseManifest reports unreadable values on their row', () => {
+  const rows = parseManifest('title,video,isPremium,duration,localizations\nA,a.mp4,maybe,,\nB,b.mp4,,long,\nC,c.mp4,,,not json\n', 'csv');
+  assert.match(rows[0].error, /"isPremium"/);
+  assert.match(rows[1].error, /"duration"/);
+  assert.match(rows[2].error, /"localizations"/);
+});
+
+test('parseManifest rejects manifests it cannot read at all', () => {
+  assert.throws(() => parseManifest('title,video\n"A,a.mp4\n', 'csv'), badRequest); // Unterminated quote
+  assert.throws(() => parseManifest('title,video,rating\nA,a.mp4,5\n', 'csv'), { status: 400, message: /Unknown column\(s\): rating/ });
+  assert.throws(() => parseManifest('title,video\n', 'csv'), { status: 400, message: /no titles/ });
+  assert.throws(() => parseManifest('{"title":"A"}', 'json'), { status: 400, message: /array of objects/ });
+  assert.throws(() => parseManifest('[{', 'json'), { status: 400, message: /not valid JSON/ });
+  assert.throws(() => parseManifest('title\nA\n', 'xml'), badRequest);
+});
+
+test('uploadFields pairs subtitle tracks with their files', () => {
+  const [row] = parseManifest(JSON.stringify([{ title: 'A', video: 'a.mp4', subtitles: [{ file: 'subs/a.en.srt', language: 'en' }] }]), 'json');
+  const buffer = Buffer.from('1\n00:00:01,000 --> 00:00:02,000\nHi\n');
+  assert.deepEqual(uploadFields(row, [buffer]).subtitles, [{ fileName: 'a.en.srt', buffer, language: 'en', label: '', kind: undefined }]);
+});
+
+test('mimetypeFor knows video and image extensions only', () => {
+  assert.equal(mimetypeFor('clips/A.MOV'), 'video/quicktime');
+  assert.equal(mimetypeFor('poster.jpeg'), 'image/jpeg');
+  assert.equal(mimetypeFor('notes.txt'), undefined);
+});
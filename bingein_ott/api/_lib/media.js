@@ -0,0 +1,107 @@
+// --- Media Probing (ffprobe) ---
+// Reads duration, resolution, codecs, bitrate and container from an uploaded video.
+// Requires the ffprobe binary on PATH, or FFPROBE_PATH pointing at it.
+import { spawn } from 'child_process';
+import { getStorage } from './storage/index.js';
+import { HttpError } from './http.js';
+
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+// ffprobe reports demuxer names; these are the ones each accepted mimetype may produce.
+// Matroska and WebM share a demuxer, so WebM is additionally checked for WebM-legal codecs.
+const CONTAINERS_BY_MIMETYPE = {
+  'video/mp4': ['mov', 'mp4'],
+  'video/quicktime': ['mov', 'mp4'],
+  'video/mov': ['mov', 'mp4'],
+  'video/webm': ['webm'],
+  'video/x-matroska': ['matroska'],
+  'video/mkv': ['matroska'],
+  'video/x-msvideo': ['avi'],
+  'video/avi': ['avi'],
+  'video/mp2t': ['mpegts'],
+};
+const WEBM_VIDEO_CODECS = ['vp8', 'vp9', 'av1'];
+
+// Runs ffprobe against a local path or URL and returns its parsed JSON output.
+function runFfprobe(input) {
+  return new Promise((resolve, reject) => {
+    const args = ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', input];
+    const child = spawn(FFPROBE_PATH, args);
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (data) => { stdout += data; });
+    child.stderr.on('data', (data) => { stderr += data; });
+    child.on('error', (err) => {
+      reject(err.code === 'ENOENT' ? new Error(`ffprobe not found at "${FFPROBE_PATH}". Install FFmpeg or set FFPROBE_PATH.`) : err);
+    });
+    child.on('close', (code) => {
+      if (code !== 0) {
+        return reject(new HttpError(422, 'Unprocessable Entity', `The uploaded file could not be read as a video: ${stderr.trim() || `ffprobe exited with ${code}`}`));
+      }
+      try {
+        resolve(JSON.parse(stdout));
+      } catch (parseError) {
+        reject(parseError);
+      }
+    });
+  });
+}
+
+// "30000/1001" -> 29.97
+function parseFrameRate(rate) {
+  const [num, den] = String(rate || '').split('/').map(Number);
+  if (!num || !den) return null;
+  return Math.round((num / den) * 100) / 100;
+}
+
+// Returns something ffprobe can open for a stored object: a path on disk for the local backend,
+// otherwise a short-lived URL.
+export async function resolveMediaInput(keyOrUrl) {
+  const storage = getStorage();
+  if (storage.name === 'local') return storage.resolvePath(keyOrUrl);
+  return storage.getSignedUrl(keyOrUrl, { expiresIn: 15 * 60 });
+}
+
+/**
+ * Probes a video and returns the metadata stored on the video document.
+ * @returns {Promise<{ duration: number, width: number, height: number, frameRate: number|null,
+ *   videoCodec: string, audioCodec: string|null, bitrate: number|null, container: string }>}
+ */
+export async function probeMedia(input) {
+  const { format = {}, streams = [] } = await runFfprobe(input);
+  const video = streams.find((stream) => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+  const audio = streams.find((stream) => stream.codec_type === 'audio');
+
+  if (!video) {
+    throw new HttpError(422, 'Unprocessable Entity', 'The uploaded file does not contain a video stream.');
+  }
+
+  const duration = Number(format.duration || video.duration);
+  return {
+    duration: Number.isFinite(duration) ? Math.round(duration) : null,
+    width: video.width,
+    height: video.height,
+    frameRate: parseFrameRate(video.avg_frame_rate) ?? parseFrameRate(video.r_frame_rate),
+    videoCodec: video.codec_name,
+    audioCodec: audio ? audio.codec_name : null,
+    bitrate: format.bit_rate ? parseInt(format.bit_rate, 10) : null,
+    container: format.format_name,
+  };
+}
+
+// Throws 415 when the probed container does not match the mimetype the client declared.
+export function assertContainerMatches(metadata, mimetype) {
+  const allowed = CONTAINERS_BY_MIMETYPE[(mimetype || '').toLowerCase()];
+  if (!allowed) {
+    throw new HttpError(415, 'Unsupported Media Type', `Video type "${mimetype}" is not supported.`);
+  }
+
+  const demuxers = (metadata.container || '').split(',');
+  const matches = allowed.some((name) => demuxers.includes(name)) &&
+    (mimetype !== 'video/webm' || WEBM_VIDEO_CODECS.includes(metadata.videoCodec));
+
+  if (!matches) {
+    throw new HttpError(415, 'Unsupported Media Type', `File declared as ${mimetype} but its container is "${metadata.container}" (${metadata.videoCodec}).`);
+  }
+}
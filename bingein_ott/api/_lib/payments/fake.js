@@ -0,0 +1,18 @@
+// --- Fake Payment Provider ---
+// Approves every checkout immediately. For local development and testing only.
+import crypto from 'crypto';
+
+export function createFakePaymentProvider() {
+  return {
+    name: 'fake',
+
+    async createCheckout({ user, plan }) {
+      console.log(`[fake payments] Charging ${plan.price} ${plan.currency} to ${user.$id} for ${plan.id}`);
+      return { status: 'succeeded', reference: `fake_${crypto.randomUUID()}` };
+    },
+
+    async cancelSubscription(reference) {
+      console.log(`[fake payments] Cancelled ${reference}`);
+    },
+  };
+}
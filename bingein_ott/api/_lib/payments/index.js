@@ -0,0 +1,34 @@
+// --- Payment Provider Registry ---
+// Every provider exposes:
+//
+//   createCheckout({ user, plan })  -> { status: 'succeeded' | 'pending', reference, redirectUrl? }
+//   cancelSubscription(reference)   -> void
+//
+// A 'pending' checkout (real card flows) sends the viewer to `redirectUrl`; the provider then
+// confirms the payment out of band, e.g. through a webhook route that calls grantPlan().
+// Chosen with PAYMENT_PROVIDER; only 'fake' ships today. The fake provider approves every checkout,
+// so it is only picked without being named outside production: a deployment that forgets the
+// variable fails closed instead of giving premium away.
+import { createFakePaymentProvider } from './fake.js';
+
+const factories = {
+  fake: createFakePaymentProvider,
+};
+
+let activeProvider = null;
+
+export function getPaymentProvider() {
+  if (activeProvider) return activeProvider;
+
+  const name = process.env.PAYMENT_PROVIDER || (process.env.NODE_ENV !== 'production' ? 'fake' : null);
+  if (!name) {
+    throw new Error('PAYMENT_PROVIDER is not set. Name a payment provider (set it to "fake" explicitly to approve every checkout).');
+  }
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${name}". Expected one of: ${Object.keys(factories).join(', ')}.`);
+  }
+
+  activeProvider = factory();
+  return activeProvider;
+}
@@ -0,0 +1,38 @@
+// --- Subscription Plans ---
+// Static catalogue of plans. Prices are in minor units (cents) of `currency`.
+export const PLANS = {
+  free: {
+    id: 'free',
+    name: 'Free',
+    price: 0,
+    currency: 'usd',
+    intervalMonths: null,
+    trialDays: 0,
+    premium: false,
+    description: 'All non-premium titles.',
+  },
+  premium_monthly: {
+    id: 'premium_monthly',
+    name: 'Premium Monthly',
+    price: 999,
+    currency: 'usd',
+    intervalMonths: 1,
+    trialDays: 7,
+    premium: true,
+    description: 'Every title, including premium releases. First week free.',
+  },
+  premium_yearly: {
+    id: 'premium_yearly',
+    name: 'Premium Yearly',
+    price: 9999,
+    currency: 'usd',
+    intervalMonths: 12,
+    trialDays: 7,
+    premium: true,
+    description: 'Every title for a year at two months off. First week free.',
+  },
+};
+
+export function getPlan(planId) {
+  return PLANS[planId] || null;
+}
@@ -0,0 +1,57 @@
+// --- Signed Playback Tokens ---
+// /api/playback hands out a token authorising one title's media for a short time; /api/media checks it
+// on every request. A token is "<base64url JSON payload>.<HMAC>" (see signing.js) and covers:
+//   videoId  the title it was issued for
+//   userId   who it was issued to (null for anonymous viewers of free titles)
+//   ip       the viewer's IP, only when PLAYBACK_BIND_IP=true (breaks on networks that switch IPs)
+//   file     storage key of the original upload
+//   prefix   storage key prefix of the HLS ladder (hls/<videoId>/<random>/)
+//   started  when the playback session began, in seconds since the epoch; kept by refreshed tokens
+//            so /api/views can tell how long the viewer has been watching
+//   exp      expiry, in seconds since the epoch
+import { createSignature, verifySignature } from './signing.js';
+import { HttpError } from './http.js';
+
+export const PLAYBACK_TOKEN_TTL = Number(process.env.PLAYBACK_TOKEN_TTL || 600); // seconds
+const PLAYBACK_BIND_IP = process.env.PLAYBACK_BIND_IP === 'true';
+
+export function createPlaybackToken({ videoId, userId, ip, file, prefix, started }, now = Date.now()) {
+  const payload = {
+    videoId,
+    userId: userId || null,
+    ip: PLAYBACK_BIND_IP ? ip : null,
+    file: file || null,
+    prefix: prefix || null,
+    started: started || Math.floor(now / 1000),
+    exp: Math.floor(now / 1000) + PLAYBACK_TOKEN_TTL,
+  };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return { token: `${encoded}.${createSignature(encoded)}`, expiresAt: new Date(payload.exp * 1000).toISOString() };
+}
+
+// Returns the token's payload, or throws a 403 when it is forged, expired, or used from another IP.
+export function verifyPlaybackToken(token, { ip }, now = Date.now()) {
+  const [encoded, signature] = String(token || '').split('.');
+  if (!encoded || !verifySignature(encoded, signature)) {
+    throw new HttpError(403, 'Forbidden', 'Invalid playback token.');
+  }
+
+  const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  if (payload.exp < Math.floor(now / 1000)) {
+    throw new HttpError(403, 'Forbidden', 'Playback token has expired.');
+  }
+  if (payload.ip && payload.ip !== ip) {
+    throw new HttpError(403, 'Forbidden', 'Playback token was issued to another network address.');
+  }
+  return payload;
+}
+
+// Whether a token's payload grants access to a storage key ("..": no climbing out of the HLS prefix).
+export function tokenCoversKey(payload, key) {
+  if (key.split('/').includes('..')) return false;
+  return key === payload.file || Boolean(payload.prefix && key.startsWith(payload.prefix));
+}
+
+export function mediaUrl(key, token) {
+  return `/api/media?key=${encodeURIComponent(key)}&token=${token}`;
+}
@@ -0,0 +1,120 @@
+// --- Watch Progress ---
+// One document per user and title in APPWRITE_PROGRESS_COLLECTION_ID, written by the player's
+// heartbeats (see api/progress). A title counts as finished once FINISHED_RATIO of it has been
+// played; finished titles and ones barely started drop out of Continue Watching. Documents carry
+// no client permissions: progress is only read and written through the API, with the server key.
+import crypto from 'crypto';
+import { Query } from 'node-appwrite';
+import { databases, APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID } from './appwrite.js';
+import { HttpError } from './http.js';
+import { publishedQuery } from './publishing.js';
+
+export const APPWRITE_PROGRESS_COLLECTION_ID = process.env.APPWRITE_PROGRESS_COLLECTION_ID;
+const FINISHED_RATIO = 0.95;
+const MIN_RESUME_SECONDS = 10; // Anything earlier starts from the beginning anyway
+const CONTINUE_WATCHING_LIMIT = 20;
+
+// Deterministic, so a heartbeat can upsert without looking the document up first.
+const progressId = (userId, videoId) => crypto.createHash('sha256').update(`${userId}|${videoId}`).digest('hex').slice(0, 36);
+
+function toProgress(doc) {
+  return {
+    videoId: doc.videoId,
+    position: doc.position,
+    duration: doc.duration,
+    completed: doc.completed,
+    updatedAt: doc.updatedAt,
+  };
+}
+
+// The user's saved position in a title, or null when there is nothing to resume.
+export async function getProgress(userId, videoId) {
+  try {
+    const doc = await databases.getDocument(APPWRITE_DATABASE_ID, APPWRITE_PROGRESS_COLLECTION_ID, progressId(userId, videoId));
+    const progress = toProgress(doc);
+    return progress.completed || progress.position < MIN_RESUME_SECONDS ? null : progress;
+  } catch (error) {
+    if (error.code === 404) return null;
+    throw error;
+  }
+}
+
+// 404 unless `videoId` names a title, so progress is never kept for titles that don't exist.
+async function assertVideoExists(videoId) {
+  try {
+    await databases.getDocument(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, videoId, [Query.select(['$id'])]);
+  } catch (error) {
+    if (error.code === 404) throw new HttpError(404, 'Not Found', 'Video does not exist.');
+    throw error;
+  }
+}
+
+/**
+ * Records a heartbeat. Positions are in seconds; `duration` is what the player reports.
+ * @returns {Promise<object>} the saved progress
+ */
+export async function saveProgress(userId, videoId, { position, duration }) {
+  if (!Number.isFinite(position) || position < 0 || !Number.isFinite(duration) || duration <= 0) {
+    throw new HttpError(400, 'Bad Request', '"position" and "duration" must be non-negative numbers of seconds.');
+  }
+  await assertVideoExists(videoId);
+
+  const clamped = Math.min(position, duration);
+  const data = {
+    userId,
+    videoId,
+    position: clamped,
+    duration,
+    completed: clamped >= duration * FINISHED_RATIO,
+    updatedAt: new Date().toISOString(),
+  };
+  const id = progressId(userId, videoId);
+
+  try {
+    return toProgress(await databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_PROGRESS_COLLECTION_ID, id, data));
+  } catch (error) {
+    if (error.code !== 404) throw error;
+  }
+  try {
+    return toProgress(await databases.createDocument(APPWRITE_DATABASE_ID, APPWRITE_PROGRESS_COLLECTION_ID, id, data, []));
+  } catch (error) {
+    if (error.code !== 409) throw error;
+    // A concurrent heartbeat created it first
+    return toProgress(await databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_PROGRESS_COLLECTION_ID, id, data));
+  }
+}
+
+export async function clearProgress(userId, videoId) {
+  try {
+    await databases.deleteDocument(APPWRITE_DATABASE_ID, APPWRITE_PROGRESS_COLLECTION_ID, progressId(userId, videoId));
+  } catch (error) {
+    if (error.code !== 404) throw error;
+  }
+}
+
+/**
+ * Titles the user started but hasn't finished, most recently watched first.
+ * @returns {Promise<Array<{ video: object, position: number, duration: number, updatedAt: string }>>}
+ */
+export async function listContinueWatching(userId) {
+  const { documents } = await databases.listDocuments(APPWRITE_DATABASE_ID, APPWRITE_PROGRESS_COLLECTION_ID, [
+    Query.equal('userId', userId),
+    Query.equal('completed', false),
+    Query.greaterThanEqual('position', MIN_RESUME_SECONDS),
+    Query.orderDesc('updatedAt'),
+    Query.limit(CONTINUE_WATCHING_LIMIT),
+  ]);
+  if (documents.length === 0) return [];
+
+  const { documents: videos } = await databases.listDocuments(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, [
+    Query.equal('$id', documents.map((doc) => doc.videoId)),
+    publishedQuery(),
+    Query.limit(documents.length),
+  ]);
+  const byId = new Map(videos.map((video) => [video.$id, video]));
+
+  // Titles deleted or unpublished since they were watched are skipped
+  return documents
+    .filter((doc) => byId.has(doc.videoId))
+    .map((doc) => ({ ...toProgress(doc), video: byId.get(doc.videoId) }));
+}
@@ -0,0 +1,110 @@
+// --- Publication Workflow ---
+// A title is a draft, scheduled for release, or published (`status`). Who can see it is enforced
+// by the document's permissions: only published titles are readable by `any`; drafts and scheduled
+// titles are readable by the content-management team alone, so the browser SDK never returns them
+// to viewers. Server code that reads with the API key must filter with isPublished() itself.
+//
+// Scheduled titles carry `publishAt` (UTC) and the IANA `publishTimezone` the release was entered
+// in. The scheduler (api/cron/publish.js) publishes them once that time has passed; so do catalog
+// reads, through releaseDueVideos() in videos.js, for plans where the cron runs only daily.
+import { Permission, Query, Role } from 'node-appwrite';
+import { databases, APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, listAllDocuments } from './appwrite.js';
+import { HttpError } from './http.js';
+import { APPWRITE_ADMIN_TEAM_ID } from './auth.js';
+
+export const STATUSES = ['draft', 'scheduled', 'published'];
+
+// Titles from before the workflow have no status and were always public.
+export const isPublished = (video) => (video.status ?? 'published') === 'published';
+
+// The same rule as a query, for listDocuments with the server key.
+export const publishedQuery = () => Query.or([Query.equal('status', 'published'), Query.isNull('status')]);
+
+export function videoPermissions(status, teamId = APPWRITE_ADMIN_TEAM_ID) {
+  return [
+    status === 'published' ? Permission.read(Role.any()) : Permission.read(Role.team(teamId)),
+    Permission.update(Role.team(teamId)),
+    Permission.delete(Role.team(teamId)),
+  ];
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Milliseconds `timeZone` is ahead of UTC at the instant `utcMs`.
+function zoneOffset(utcMs, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }).formatToParts(new Date(utcMs)).map(({ type, value }) => [type, Number(value)])
+  );
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * "2025-03-30T09:00" wall-clock time in `timeZone` -> UTC ISO string. The offset is looked up
+ * twice so releases on either side of a daylight-saving change land on the intended local time.
+ */
+export function zonedTimeToUtc(localDateTime, timeZone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(localDateTime || '');
+  if (!match) throw new HttpError(400, 'Bad Request', '"publishAt" must be a local date and time such as 2025-03-30T09:00.');
+  const [, year, month, day, hour, minute] = match.map(Number);
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = wall - zoneOffset(wall, timeZone);
+  return new Date(wall - zoneOffset(guess, timeZone)).toISOString();
+}
+
+/**
+ * Validates a requested publication state and returns the document fields for it.
+ * `publishAt` (local wall-clock time) and `publishTimezone` are required when scheduling.
+ * @returns {{ status: string, publishAt: string|null, publishTimezone: string|null }}
+ */
+export function validatePublication({ status, publishAt, publishTimezone }) {
+  if (!STATUSES.includes(status)) {
+    throw new HttpError(400, 'Bad Request', `"status" must be one of: ${STATUSES.join(', ')}.`);
+  }
+  if (status !== 'scheduled') return { status, publishAt: null, publishTimezone: null };
+
+  if (!publishTimezone || !isValidTimeZone(publishTimezone)) {
+    throw new HttpError(400, 'Bad Request', '"publishTimezone" must be an IANA time zone such as Europe/Berlin.');
+  }
+  const utc = zonedTimeToUtc(publishAt, publishTimezone);
+  if (new Date(utc).getTime() <= Date.now()) {
+    throw new HttpError(400, 'Bad Request', 'The release time must be in the future; publish now instead.');
+  }
+  return { status, publishAt: utc, publishTimezone };
+}
+
+// Release fields for a title going public now. `uploadDate` becomes the release time so the
+// title sorts as new in the catalog rather than by when its draft was started.
+export const publishedFields = () => ({ status: 'published', publishAt: null, publishTimezone: null, uploadDate: new Date().toISOString() });
+
+/**
+ * Publishes every scheduled title whose release time has passed. Safe to run concurrently or
+ * repeatedly: a title that is already published is not matched again.
+ * @returns {Promise<string[]>} IDs of the titles published
+ */
+export async function publishDueVideos() {
+  const due = await listAllDocuments(APPWRITE_COLLECTION_ID, [
+    Query.equal('status', 'scheduled'),
+    Query.lessThanEqual('publishAt', new Date().toISOString()),
+  ]);
+
+  const published = [];
+  for (const video of due) {
+    try {
+      await databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, video.$id, publishedFields(), videoPermissions('published'));
+      published.push(video.$id);
+    } catch (error) {
+      console.error(`Publishing scheduled video ${video.$id} failed:`, error); // Retried on the next run
+    }
+  }
+  return published;
+}
@@ -0,0 +1,123 @@
+// --- Recommendations ---
+// Gathers the signals for score.js: the catalog, co-viewing from watch progress, and for the
+// "Recommended for you" row the viewer's history (progress, My List, ratings).
+import { Query } from 'node-appwrite';
+import { databases, APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, listAllDocuments } from '../appwrite.js';
+import { HttpError } from '../http.js';
+import { getCatalog, toPublicVideo } from '../videos.js';
+import { localizeVideo } from '../localization.js';
+import { APPWRITE_PROGRESS_COLLECTION_ID } from '../progress.js';
+import { APPWRITE_REVIEWS_COLLECTION_ID } from '../reviews.js';
+import { getWatchlist, APPWRITE_WATCHLIST_COLLECTION_ID } from '../watchlist.js';
+import { isPublished } from '../publishing.js';
+import { rankRelated, buildProfile, rankForProfile } from './score.js';
+
+const CO_VIEWERS = 100; // Most recent viewers of the seed titles whose history is consulted
+const HISTORY_SIZE = 100;
+
+// Appwrite takes at most 100 values per query
+async function listByValues(collectionId, attribute, values, queries) {
+  const documents = [];
+  for (let start = 0; start < values.length; start += 100) {
+    const page = await databases.listDocuments(APPWRITE_DATABASE_ID, collectionId, [
+      Query.equal(attribute, values.slice(start, start + 100)),
+      ...queries,
+    ]);
+    documents.push(...page.documents);
+  }
+  return documents;
+}
+
+// A collection that isn't configured contributes nothing rather than failing the row.
+const ifConfigured = (collectionId, load) => (collectionId ? load() : Promise.resolve([]));
+
+/**
+ * How many other viewers of `seedIds` also watched each title (seeds themselves are left out).
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getCoViews(seedIds, { excludeUserId = null } = {}) {
+  if (!APPWRITE_PROGRESS_COLLECTION_ID || seedIds.length === 0) return new Map();
+  const seeds = new Set(seedIds);
+  const seedViews = await listByValues(APPWRITE_PROGRESS_COLLECTION_ID, 'videoId', seedIds, [
+    Query.orderDesc('updatedAt'),
+    Query.select(['userId']),
+    Query.limit(CO_VIEWERS),
+  ]);
+  const viewers = [...new Set(seedViews.map((doc) => doc.userId))].filter((id) => id !== excludeUserId).slice(0, CO_VIEWERS);
+  if (viewers.length === 0) return new Map();
+
+  const theirViews = await listAllDocuments(APPWRITE_PROGRESS_COLLECTION_ID, [
+    Query.equal('userId', viewers),
+    Query.select(['$id', 'userId', 'videoId']),
+  ]);
+  const coViewers = new Map(); // videoId -> Set of viewers
+  for (const { userId, videoId } of theirViews) {
+    if (seeds.has(videoId)) continue;
+    if (!coViewers.has(videoId)) coViewers.set(videoId, new Set());
+    coViewers.get(videoId).add(userId);
+  }
+  return new Map([...coViewers].map(([videoId, users]) => [videoId, users.size]));
+}
+
+/**
+ * "More like this" for one title.
+ * @param {{ limit?: number, locales?: string[] }} options `locales` picks each title's translation (see localization.js)
+ * @returns {Promise<object[]>} public video fields, best match first
+ */
+export async function recommendRelated(videoId, { limit = 12, locales = [] } = {}) {
+  const catalog = await getCatalog();
+  const seed = catalog.find((video) => video.$id === videoId) ||
+    (await databases.getDocument(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, videoId).catch((error) => {
+      if (error.code === 404) return null;
+      throw error;
+    }));
+  // The catalog only holds published titles; a draft is treated as missing
+  if (!seed || !isPublished(seed)) throw new HttpError(404, 'Not Found', 'Video does not exist.');
+
+  const coViews = await getCoViews([videoId]);
+  return rankRelated(seed, catalog, { coViews, limit }).map(({ video }) => toPublicVideo(localizeVideo(video, locales)));
+}
+
+// Weighted history: finished or long-watched titles count most, low ratings count against.
+async function getHistory(userId) {
+  const [progress, listed, reviews] = await Promise.all([
+    ifConfigured(APPWRITE_PROGRESS_COLLECTION_ID, () => databases.listDocuments(APPWRITE_DATABASE_ID, APPWRITE_PROGRESS_COLLECTION_ID, [
+      Query.equal('userId', userId),
+      Query.orderDesc('updatedAt'),
+      Query.limit(HISTORY_SIZE),
+    ]).then((page) => page.documents)),
+    ifConfigured(APPWRITE_WATCHLIST_COLLECTION_ID, () => getWatchlist(userId)),
+    ifConfigured(APPWRITE_REVIEWS_COLLECTION_ID, () => databases.listDocuments(APPWRITE_DATABASE_ID, APPWRITE_REVIEWS_COLLECTION_ID, [
+      Query.equal('userId', userId),
+      Query.select(['videoId', 'rating']),
+      Query.limit(HISTORY_SIZE),
+    ]).then((page) => page.documents)),
+  ]);
+
+  const weights = new Map();
+  const add = (videoId, weight) => weights.set(videoId, (weights.get(videoId) || 0) + weight);
+  progress.forEach((doc) => add(doc.videoId, 0.5 + (doc.duration > 0 ? Math.min(doc.position / doc.duration, 1) : 0)));
+  listed.slice(0, HISTORY_SIZE).forEach((videoId) => add(videoId, 1));
+  reviews.forEach((doc) => add(doc.videoId, doc.rating - 3)); // 1 star: -2 ... 5 stars: +2
+  return weights;
+}
+
+/**
+ * "Recommended for you": titles matching the viewer's history, never ones already in it.
+ * Viewers without history get the most popular titles.
+ * @returns {Promise<object[]>} public video fields, best match first
+ */
+export async function recommendForUser(userId, { limit = 12, locales = [] } = {}) {
+  const [catalog, weights] = await Promise.all([getCatalog(), getHistory(userId)]);
+  const byId = new Map(catalog.map((video) => [video.$id, video]));
+  const history = [...weights]
+    .filter(([videoId]) => byId.has(videoId))
+    .map(([videoId, weight]) => ({ video: byId.get(videoId), weight }));
+
+  const coViews = history.length > 0
+    ? await getCoViews(history.filter(({ weight }) => weight > 0).map(({ video }) => video.$id), { excludeUserId: userId })
+    : new Map();
+
+  return rankForProfile(buildProfile(history), catalog, { exclude: new Set(weights.keys()), coViews, limit })
+    .map(({ video }) => toPublicVideo(localizeVideo(video, locales)));
+}
@@ -0,0 +1,109 @@
+// --- Recommendation Scoring ---
+// Pure functions: given the same catalog and signals they always return the same ranking (ties are
+// broken by views, then by ID), so results can be checked without a database. Every signal is
+// scaled to 0..1 before weighting:
+//   genre       overlap of genre slugs (Jaccard for "more like this", profile affinity for "for you")
+//   tag         overlap of tags, measured the same way
+//   coView      viewers who watched the seed title(s) also watched this one, relative to the top title
+//   popularity  log-scaled viewsCount relative to the most viewed title
+import { normalizeTags } from '../tags.js';
+
+export const WEIGHTS = { genre: 4, tag: 3, coView: 5, popularity: 1 };
+
+// Genre slugs plus the free-text genre of older titles, and normalized tags.
+export function featuresOf(video) {
+  const genres = new Set([...(video.genres || []), ...(video.genre ? [video.genre.trim().toLowerCase()] : [])]);
+  return { genres, tags: new Set(normalizeTags(video.tags)) };
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+// Mean profile weight of the title's features (each weight is already 0..1).
+function affinity(weights, items) {
+  if (items.size === 0) return 0;
+  let total = 0;
+  for (const item of items) total += Math.max(weights.get(item) || 0, 0);
+  return total / items.size;
+}
+
+function rank(scored, limit) {
+  return scored
+    .sort((a, b) => b.score - a.score || (b.video.viewsCount || 0) - (a.video.viewsCount || 0) || (a.video.$id < b.video.$id ? -1 : 1))
+    .slice(0, limit);
+}
+
+function scalers(candidates, coViews) {
+  const maxViews = Math.max(0, ...candidates.map((video) => video.viewsCount || 0));
+  const maxCoViews = Math.max(0, ...coViews.values());
+  return {
+    popularity: (video) => (maxViews > 0 ? Math.log1p(video.viewsCount || 0) / Math.log1p(maxViews) : 0),
+    coView: (video) => (maxCoViews > 0 ? (coViews.get(video.$id) || 0) / maxCoViews : 0),
+  };
+}
+
+/**
+ * Titles related to `seed`, best first.
+ * @param {Map<string, number>} [options.coViews] videoId -> number of the seed's viewers who also watched it
+ * @returns {Array<{ video: object, score: number }>}
+ */
+export function rankRelated(seed, catalog, { coViews = new Map(), limit = 12 } = {}) {
+  const candidates = catalog.filter((video) => video.$id !== seed.$id);
+  const seedFeatures = featuresOf(seed);
+  const scale = scalers(candidates, coViews);
+
+  return rank(candidates.map((video) => {
+    const features = featuresOf(video);
+    const score =
+      WEIGHTS.genre * jaccard(seedFeatures.genres, features.genres) +
+      WEIGHTS.tag * jaccard(seedFeatures.tags, features.tags) +
+      WEIGHTS.coView * scale.coView(video) +
+      WEIGHTS.popularity * scale.popularity(video);
+    return { video, score };
+  }), limit);
+}
+
+/**
+ * A viewer's taste from their history: genre and tag weights scaled so the strongest is 1.
+ * Negative signals (low ratings) lower a feature's weight but never below zero overall.
+ * @param {Array<{ video: object, weight: number }>} history
+ * @returns {{ genres: Map<string, number>, tags: Map<string, number> }}
+ */
+export function buildProfile(history) {
+  const genres = new Map();
+  const tags = new Map();
+  for (const { video, weight } of history) {
+    const features = featuresOf(video);
+    features.genres.forEach((genre) => genres.set(genre, (genres.get(genre) || 0) + weight));
+    features.tags.forEach((tag) => tags.set(tag, (tags.get(tag) || 0) + weight));
+  }
+  const normalize = (weights) => {
+    const max = Math.max(0, ...weights.values());
+    return new Map([...weights].map(([key, value]) => [key, max > 0 ? Math.max(value, 0) / max : 0]));
+  };
+  return { genres: normalize(genres), tags: normalize(tags) };
+}
+
+/**
+ * Titles for a viewer with `profile`, leaving out `exclude` (titles already in their history).
+ * With an empty profile and no co-views this is simply the most popular titles.
+ * @returns {Array<{ video: object, score: number }>}
+ */
+export function rankForProfile(profile, catalog, { exclude = new Set(), coViews = new Map(), limit = 12 } = {}) {
+  const candidates = catalog.filter((video) => !exclude.has(video.$id));
+  const scale = scalers(candidates, coViews);
+
+  return rank(candidates.map((video) => {
+    const features = featuresOf(video);
+    const score =
+      WEIGHTS.genre * affinity(profile.genres, features.genres) +
+      WEIGHTS.tag * affinity(profile.tags, features.tags) +
+      WEIGHTS.coView * scale.coView(video) +
+      WEIGHTS.popularity * scale.popularity(video);
+    return { video, score };
+  }), limit);
+}
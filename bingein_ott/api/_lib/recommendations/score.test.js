@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildProfile, rankForProfile, rankRelated } from './score.js';
+
+const video = ($id, { genres = [], tags = [], viewsCount = 0 } = {}) => ({ $id, genres, tags, viewsCount });
+const ids = (ranking) => ranking.map(({ video }) => video.$id);
+
+test('rankRelated leaves out the seed and puts shared genres and tags first', () => {
+  const seed = video('seed', { genres: ['drama'], tags: ['space'] });
+  const catalog = [
+    seed,
+    video('comedy', { genres: ['comedy'], viewsCount: 1000 }),
+    video('drama', { genres: ['drama'] }),
+    video('space-drama', { genres: ['drama'], tags: ['space'] }),
+  ];
+
+  assert.deepEqual(ids(rankRelated(seed, catalog)), ['space-drama', 'drama', 'comedy']);
+});
+
+test('rankRelated breaks ties by views, then by ID', () => {
+  const seed = video('seed', { genres: ['drama'] });
+  const catalog = [video('b'), video('a'), video('c', { viewsCount: 0 }), video('z', { viewsCount: 5 })];
+  // Only popularity differs: "z" has views, the others tie on zero
+  assert.deepEqual(ids(rankRelated(seed, catalog)), ['z', 'a', 'b', 'c']);
+  assert.deepEqual(ids(rankRelated(seed, [...catalog].reverse())), ['z', 'a', 'b', 'c']);
+});
+
+test('rankRelated counts co-views and respects the limit', () => {
+  const seed = video('seed');
+  const catalog = [video('a', { viewsCount: 10 }), video('b'), video('c')];
+  const coViews = new Map([['c', 3], ['b', 1]]);
+
+  assert.deepEqual(ids(rankRelated(seed, catalog, { coViews, limit: 2 })), ['c', 'b']);
+});
+
+test('buildProfile returns empty weights for an empty history', () => {
+  const profile = buildProfile([]);
+  assert.equal(profile.genres.size, 0);
+  assert.equal(profile.tags.size, 0);
+});
+
+test('buildProfile scales the strongest feature to 1 and clamps negative weights to 0', () => {
+  const profile = buildProfile([
+    { video: video('a', { genres: ['drama'], tags: ['space'] }), weight: 2 },
+    { video: video('b', { genres: ['drama', 'horror'] }), weight: 2 },
+    { video: video('c', { genres: ['horror'] }), weight: -3 },
+  ]);
+
+  assert.equal(profile.genres.get('drama'), 1);
+  assert.equal(profile.genres.get('horror'), 0);
+  assert.equal(profile.tags.get('space'), 1);
+});
+
+test('rankForProfile falls back to the most popular titles for an empty history', () => {
+  const catalog = [video('b', { viewsCount: 5 }), video('a', { viewsCount: 50 }), video('c'), video('d', { viewsCount: 5 })];
+
+  assert.deepEqual(ids(rankForProfile(buildProfile([]), catalog)), ['a', 'b', 'd', 'c']);
+});
+
+test('rankForProfile leaves out excluded titles and favours the profile', () => {
+  const watched = video('watched', { genres: ['drama'], tags: ['space'] });
+  const catalog = [
+    watched,
+    video('popular', { genres: ['comedy'], viewsCount: 1000 }),
+    video('similar', { genres: ['drama'], tags: ['space'] }),
+  ];
+  const profile = buildProfile([{ video: watched, weight: 1 }]);
+  const ranking = rankForProfile(profile, catalog, { exclude: new Set(['watched']) });
+
+  assert.deepEqual(ids(ranking), ['similar', 'popular']);
+});
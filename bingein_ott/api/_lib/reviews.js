@@ -0,0 +1,138 @@
+// --- Ratings and Reviews ---
+// One review per user and title in APPWRITE_REVIEWS_COLLECTION_ID: the document ID is derived from
+// both, so a second review from the same user replaces the first. A review is a 1-5 star rating
+// with optional text. The title's `ratingAverage` and `ratingCount` are recomputed from its reviews
+// after every change and stored on the video document, where the catalog can sort by them. The
+// recount is not locked: two changes at the same moment can each read the reviews before the other
+// is saved, leaving a summary one review behind until the title's next change recounts it. Reviews
+// are only written through the API with the server key.
+import crypto from 'crypto';
+import { Query } from 'node-appwrite';
+import { databases, APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, listAllDocuments } from './appwrite.js';
+import { HttpError } from './http.js';
+import { isPublished } from './publishing.js';
+
+export const APPWRITE_REVIEWS_COLLECTION_ID = process.env.APPWRITE_REVIEWS_COLLECTION_ID;
+const MAX_BODY_LENGTH = 2000;
+export const REVIEWS_PAGE_SIZE = 10;
+
+const reviewId = (userId, videoId) => crypto.createHash('sha256').update(`${userId}|${videoId}`).digest('hex').slice(0, 36);
+
+// Public shape of a review; account IDs stay on the server.
+function toReview(doc) {
+  return {
+    id: doc.$id,
+    userName: doc.userName,
+    rating: doc.rating,
+    body: doc.body || '',
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+  };
+}
+
+// Only published titles can be reviewed; drafts look the same as missing titles.
+async function getVideo(videoId) {
+  let video;
+  try {
+    video = await databases.getDocument(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, videoId);
+  } catch (error) {
+    if (error.code === 404) throw new HttpError(404, 'Not Found', 'Video does not exist.');
+    throw error;
+  }
+  if (!isPublished(video)) throw new HttpError(404, 'Not Found', 'Video does not exist.');
+  return video;
+}
+
+// Recounts the title's reviews and stores the result on its document.
+async function refreshRatingSummary(videoId) {
+  const reviews = await listAllDocuments(APPWRITE_REVIEWS_COLLECTION_ID, [Query.equal('videoId', videoId), Query.select(['$id', 'rating'])]);
+  const ratingCount = reviews.length;
+  const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+  const ratingAverage = ratingCount > 0 ? Math.round((total / ratingCount) * 100) / 100 : 0;
+  await databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, videoId, { ratingAverage, ratingCount });
+  return { average: ratingAverage, count: ratingCount };
+}
+
+/**
+ * A page of a title's reviews, newest first, plus its summary and the viewer's own review.
+ * @returns {Promise<{ summary: { average, count }, reviews: object[], own: object|null, nextCursor: string|null }>}
+ */
+export async function listReviews(videoId, { userId = null, cursor = null, limit = REVIEWS_PAGE_SIZE } = {}) {
+  const video = await getVideo(videoId);
+  const { documents } = await databases.listDocuments(APPWRITE_DATABASE_ID, APPWRITE_REVIEWS_COLLECTION_ID, [
+    Query.equal('videoId', videoId),
+    Query.orderDesc('updatedAt'),
+    Query.limit(limit + 1), // One extra tells whether there is another page
+    ...(cursor ? [Query.cursorAfter(cursor)] : []),
+  ]);
+
+  let own = null;
+  if (userId) {
+    try {
+      own = toReview(await databases.getDocument(APPWRITE_DATABASE_ID, APPWRITE_REVIEWS_COLLECTION_ID, reviewId(userId, videoId)));
+    } catch (error) {
+      if (error.code !== 404) throw error;
+    }
+  }
+
+  const page = documents.slice(0, limit);
+  return {
+    summary: { average: video.ratingAverage ?? 0, count: video.ratingCount ?? 0 },
+    reviews: page.map(toReview),
+    own,
+    nextCursor: documents.length > limit ? page.at(-1).$id : null,
+  };
+}
+
+/**
+ * Creates or replaces the user's review of a title.
+ * @returns {Promise<{ review: object, summary: { average, count } }>}
+ */
+export async function saveReview(user, videoId, { rating, body }) {
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new HttpError(400, 'Bad Request', '"rating" must be a whole number of stars from 1 to 5.');
+  }
+  const text = String(body ?? '').trim();
+  if (text.length > MAX_BODY_LENGTH) {
+    throw new HttpError(400, 'Bad Request', `Reviews can be at most ${MAX_BODY_LENGTH} characters.`);
+  }
+  await getVideo(videoId);
+
+  const id = reviewId(user.$id, videoId);
+  const now = new Date().toISOString();
+  const data = {
+    userId: user.$id,
+    videoId,
+    userName: user.name || user.email.split('@')[0],
+    rating,
+    body: text,
+    updatedAt: now,
+  };
+
+  let doc;
+  try {
+    doc = await databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_REVIEWS_COLLECTION_ID, id, data);
+  } catch (error) {
+    if (error.code !== 404) throw error;
+    try {
+      doc = await databases.createDocument(APPWRITE_DATABASE_ID, APPWRITE_REVIEWS_COLLECTION_ID, id, { ...data, createdAt: now }, []);
+    } catch (createError) {
+      if (createError.code !== 409) throw createError;
+      // Submitted twice at once: the first one created it
+      doc = await databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_REVIEWS_COLLECTION_ID, id, data);
+    }
+  }
+
+  return { review: toReview(doc), summary: await refreshRatingSummary(videoId) };
+}
+
+// Removes the user's review; returns the title's new summary.
+export async function deleteReview(userId, videoId) {
+  await getVideo(videoId);
+  try {
+    await databases.deleteDocument(APPWRITE_DATABASE_ID, APPWRITE_REVIEWS_COLLECTION_ID, reviewId(userId, videoId));
+  } catch (error) {
+    if (error.code !== 404) throw error;
+  }
+  return refreshRatingSummary(videoId);
+}
@@ -0,0 +1,145 @@
+// --- Video Search ---
+// searchVideos() ranks catalog titles against a free-text query. SEARCH_BACKEND picks how
+// candidates are found:
+//   'appwrite' (default)  fulltext indexes on title and description (plus exact tags) narrow the catalog
+//   'memory'              an in-memory copy of the catalog is scanned (local dev, no indexes needed)
+// Candidates are always scored here (see text.js), so prefix matching, typo tolerance and highlights
+// behave the same on both. Appwrite's fulltext search has no typo tolerance of its own, so when it
+// finds nothing the in-memory index is scanned as well.
+// Every locale's title, description and tags are searched (see localization.js); results are shown,
+// and highlighted, in the viewer's best locale.
+import { Query } from 'node-appwrite';
+import { databases, APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID } from '../appwrite.js';
+import { getCatalog, toPublicVideo } from '../videos.js';
+import { allLocalesText, localizeVideo } from '../localization.js';
+import { publishedQuery } from '../publishing.js';
+import { tokenize, bestMatch, highlightSegments } from './text.js';
+
+const SEARCH_BACKEND = process.env.SEARCH_BACKEND || 'appwrite';
+const SNIPPET_LENGTH = 160;
+// Fulltext matches read per search, most viewed first. Search and every suggestion keystroke read one
+// bounded page instead of the whole catalog; a query matching more titles than this ranks (and
+// counts) only the most viewed ones.
+const MAX_FULLTEXT_CANDIDATES = Number(process.env.SEARCH_MAX_CANDIDATES || 200);
+
+// A match in the title counts for more than one in the description
+const FIELD_WEIGHTS = { title: 3, tags: 2, genre: 2, description: 1 };
+
+let memoryIndex = null; // { videos, entries: [{ video, words }] }, rebuilt whenever getCatalog() reloads
+
+function indexEntry(video) {
+  const text = allLocalesText(video);
+  return {
+    video,
+    words: {
+      title: tokenize(text.titles.join(' ')),
+      tags: tokenize(text.tags.join(' ')),
+      // Genre slugs ("sci-fi" -> "sci", "fi"), plus the free-text genre of older titles
+      genre: tokenize([...(video.genres || []), video.genre].join(' ')),
+      description: tokenize(text.descriptions.join(' ')),
+    },
+  };
+}
+
+async function getMemoryIndex() {
+  const videos = await getCatalog();
+  if (memoryIndex?.videos !== videos) memoryIndex = { videos, entries: videos.map(indexEntry) };
+  return memoryIndex.entries;
+}
+
+function filterQueries({ genre, isPremium, minDuration, maxDuration }) {
+  return [
+    genre !== undefined && Query.contains('genres', genre),
+    isPremium !== undefined && Query.equal('isPremium', isPremium),
+    minDuration !== undefined && Query.greaterThanEqual('duration', minDuration),
+    maxDuration !== undefined && Query.lessThanEqual('duration', maxDuration),
+  ].filter(Boolean);
+}
+
+function matchesFilters(video, { genre, isPremium, minDuration, maxDuration }) {
+  return (genre === undefined || (video.genres || []).includes(genre)) &&
+    (isPremium === undefined || Boolean(video.isPremium) === isPremium) &&
+    (minDuration === undefined || video.duration >= minDuration) &&
+    (maxDuration === undefined || video.duration <= maxDuration);
+}
+
+// Up to MAX_FULLTEXT_CANDIDATES matching titles in one request. Ranking happens here, so `total`
+// and every page of results come from this candidate set.
+async function fulltextCandidates(query, filters) {
+  const { documents } = await databases.listDocuments(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, [
+    Query.or([
+      ...['title', 'description', 'localizedText'].map((attribute) => Query.search(attribute, query)),
+      // Arrays: whole-tag matches only
+      ...['tags', 'localizedTags'].map((attribute) => Query.contains(attribute, tokenize(query))),
+    ]),
+    ...filterQueries(filters),
+    publishedQuery(), // The server key also sees drafts
+    Query.orderDesc('viewsCount'),
+    Query.limit(MAX_FULLTEXT_CANDIDATES),
+  ]);
+  return documents.map(indexEntry);
+}
+
+// Every query term must match some field; the score adds up each term's best weighted match.
+function scoreEntry(entry, terms) {
+  let score = 0;
+  for (const term of terms) {
+    let best = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      best = Math.max(best, bestMatch(term, entry.words[field]) * weight);
+    }
+    if (best === 0) return 0;
+    score += best;
+  }
+  return score;
+}
+
+function rank(entries, terms) {
+  return entries
+    .map((entry) => ({ video: entry.video, score: scoreEntry(entry, terms) }))
+    .filter((hit) => hit.score > 0)
+    .sort((a, b) => b.score - a.score || (b.video.viewsCount || 0) - (a.video.viewsCount || 0))
+    .map((hit) => hit.video);
+}
+
+function toResult(video, terms, locales) {
+  const localized = localizeVideo(video, locales);
+  const result = toPublicVideo(localized);
+  result.highlights = {
+    title: highlightSegments(localized.title, terms),
+    description: highlightSegments(localized.description, terms, { maxLength: SNIPPET_LENGTH }),
+  };
+  return result;
+}
+
+/**
+ * @param {string} query free text; empty lists the filtered catalog, newest first
+ * @param {{ genre?: string, isPremium?: boolean, minDuration?: number, maxDuration?: number }} filters
+ *   `genre` is a genre slug; durations are in seconds
+ * @param {{ limit?: number, offset?: number, locales?: string[] }} options `locales` picks each result's translation
+ * @returns {Promise<{ total: number, results: object[] }>}
+ */
+export async function searchVideos(query, filters, { limit = 20, offset = 0, locales = [] } = {}) {
+  const terms = tokenize(query);
+
+  let matches;
+  if (terms.length === 0) {
+    matches = (await getMemoryIndex())
+      .map((entry) => entry.video)
+      .filter((video) => matchesFilters(video, filters))
+      .sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate));
+  } else if (SEARCH_BACKEND === 'memory') {
+    matches = rank((await getMemoryIndex()).filter((entry) => matchesFilters(entry.video, filters)), terms);
+  } else {
+    matches = rank(await fulltextCandidates(query, filters), terms);
+    if (matches.length === 0) {
+      // Probably a typo: fulltext only matches whole words and prefixes
+      matches = rank((await getMemoryIndex()).filter((entry) => matchesFilters(entry.video, filters)), terms);
+    }
+  }
+
+  return {
+    total: matches.length,
+    results: matches.slice(offset, offset + limit).map((video) => toResult(video, terms, locales)),
+  };
+}
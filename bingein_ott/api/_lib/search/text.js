@@ -0,0 +1,94 @@
+// --- Search Text Matching ---
+// Tokenising, fuzzy term matching and highlight segments shared by every search backend.
+
+// "Amélie's Café" -> "amelie's cafe"
+export function normalize(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+export function tokenize(text) {
+  return normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Levenshtein distance, giving up (returning max + 1) once it is certain to exceed `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos allowed for a query term: none for short terms, where a single edit changes the word.
+function allowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * How well a query term matches one word of a document: 3 exact, 2 prefix ("inter" -> "interstellar"),
+ * 1 within the allowed typos (also against the word's prefix, so "intersteler" still matches), 0 no match.
+ */
+export function matchTerm(term, word) {
+  if (word === term) return 3;
+  if (word.startsWith(term)) return 2;
+  const typos = allowedTypos(term);
+  if (typos === 0) return 0;
+  if (editDistance(term, word, typos) <= typos) return 1;
+  if (word.length > term.length && editDistance(term, word.slice(0, term.length), typos) <= typos) return 1;
+  return 0;
+}
+
+// Best score of `term` against any of `words`.
+export function bestMatch(term, words) {
+  let best = 0;
+  for (const word of words) {
+    best = Math.max(best, matchTerm(term, word));
+    if (best === 3) break;
+  }
+  return best;
+}
+
+/**
+ * Splits `text` into [{ text, match }] segments, marking every word matched by a query term.
+ * With `maxLength`, the text is cut to a window around the first match (with ellipses).
+ * Segments rather than HTML, so the client renders <mark> without trusting markup.
+ */
+export function highlightSegments(text, terms, { maxLength } = {}) {
+  let source = String(text || '');
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+
+  if (maxLength && source.length > maxLength) {
+    let firstMatch = 0;
+    for (const found of source.matchAll(wordPattern)) {
+      const word = normalize(found[0]);
+      if (terms.some((term) => matchTerm(term, word) > 0)) {
+        firstMatch = found.index;
+        break;
+      }
+    }
+    const start = Math.max(0, Math.min(firstMatch - Math.floor(maxLength / 4), source.length - maxLength));
+    source = `${start > 0 ? '…' : ''}${source.slice(start, start + maxLength)}${start + maxLength < source.length ? '…' : ''}`;
+  }
+
+  const segments = [];
+  let cursor = 0;
+  for (const found of source.matchAll(wordPattern)) {
+    const word = normalize(found[0]);
+    if (!terms.some((term) => matchTerm(term, word) > 0)) continue;
+    if (found.index > cursor) segments.push({ text: source.slice(cursor, found.index), match: false });
+    segments.push({ text: found[0], match: true });
+    cursor = found.index + found[0].length;
+  }
+  if (cursor < source.length) segments.push({ text: source.slice(cursor), match: false });
+  return segments;
+}
@@ -0,0 +1,226 @@
+// --- Series, Seasons and Episodes ---
+// A series (APPWRITE_SERIES_COLLECTION_ID) has numbered seasons (APPWRITE_SEASONS_COLLECTION_ID,
+// each with `seriesId` and `number`). An episode is an ordinary video document that also carries
+// `seriesId`, `seasonId` and `episodeNumber`; everything else about it (publication, premium,
+// transcoding) works as for any title. Episodes play in season number, then episode number order.
+// Anyone may read series and seasons; only content managers change them (see api/series, api/seasons).
+import { ID, Permission, Query, Role } from 'node-appwrite';
+import { databases, APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, listAllDocuments } from './appwrite.js';
+import { HttpError } from './http.js';
+import { getCatalog, toPublicVideo } from './videos.js';
+import { localizeVideo } from './localization.js';
+
+export const APPWRITE_SERIES_COLLECTION_ID = process.env.APPWRITE_SERIES_COLLECTION_ID;
+export const APPWRITE_SEASONS_COLLECTION_ID = process.env.APPWRITE_SEASONS_COLLECTION_ID;
+
+const MAX_TITLE_LENGTH = 255;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+const teamPermissions = (teamId) => [Permission.read(Role.any()), Permission.update(Role.team(teamId)), Permission.delete(Role.team(teamId))];
+
+const bySeasonNumber = (a, b) => a.number - b.number;
+const byEpisodeNumber = (a, b) => a.episodeNumber - b.episodeNumber || a.$id.localeCompare(b.$id);
+
+function toSeries(doc) {
+  return { id: doc.$id, title: doc.title, description: doc.description || '' };
+}
+
+function toSeason(doc) {
+  return { id: doc.$id, seriesId: doc.seriesId, number: doc.number, title: doc.title || '' };
+}
+
+function validateSeriesFields({ title, description }, { partial = false } = {}) {
+  const data = {};
+  if (title !== undefined || !partial) {
+    const trimmed = String(title || '').trim();
+    if (!trimmed || trimmed.length > MAX_TITLE_LENGTH) {
+      throw new HttpError(400, 'Bad Request', `Series title is required and must be at most ${MAX_TITLE_LENGTH} characters.`);
+    }
+    data.title = trimmed;
+  }
+  if (description !== undefined) data.description = String(description).trim().slice(0, MAX_DESCRIPTION_LENGTH);
+  return data;
+}
+
+function validateSeasonFields({ number, title }, { partial = false } = {}) {
+  const data = {};
+  if (number !== undefined || !partial) {
+    if (!Number.isInteger(number) || number < 0) {
+      throw new HttpError(400, 'Bad Request', '"number" must be a whole number (0 for specials).');
+    }
+    data.number = number;
+  }
+  if (title !== undefined) data.title = String(title).trim().slice(0, MAX_TITLE_LENGTH);
+  return data;
+}
+
+async function getSeriesDocument(seriesId) {
+  try {
+    return await databases.getDocument(APPWRITE_DATABASE_ID, APPWRITE_SERIES_COLLECTION_ID, seriesId);
+  } catch (error) {
+    if (error.code === 404) throw new HttpError(404, 'Not Found', 'Series does not exist.');
+    throw error;
+  }
+}
+
+export async function getSeason(seasonId) {
+  try {
+    return toSeason(await databases.getDocument(APPWRITE_DATABASE_ID, APPWRITE_SEASONS_COLLECTION_ID, seasonId));
+  } catch (error) {
+    if (error.code === 404) throw new HttpError(404, 'Not Found', 'Season does not exist.');
+    throw error;
+  }
+}
+
+async function listSeasons(seriesId) {
+  const documents = await listAllDocuments(APPWRITE_SEASONS_COLLECTION_ID, seriesId ? [Query.equal('seriesId', seriesId)] : []);
+  return documents.map(toSeason).sort(bySeasonNumber);
+}
+
+// Number of video documents (any publication state) matching `queries`.
+async function countVideos(queries) {
+  const { total } = await databases.listDocuments(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, [...queries, Query.limit(1)]);
+  return total;
+}
+
+async function assertSeasonNumberFree(seriesId, number, seasonId = null) {
+  const { documents } = await databases.listDocuments(APPWRITE_DATABASE_ID, APPWRITE_SEASONS_COLLECTION_ID, [
+    Query.equal('seriesId', seriesId),
+    Query.equal('number', number),
+    Query.limit(2),
+  ]);
+  if (documents.some((doc) => doc.$id !== seasonId)) {
+    throw new HttpError(409, 'Conflict', `This series already has a season ${number}.`);
+  }
+}
+
+/**
+ * Every series with its seasons, by title. `episodeCount` and `thumbnailUrl` (the poster of the
+ * first episode) come from the published catalog, so a series without released episodes has none.
+ */
+export async function listSeries() {
+  const [documents, seasons, catalog] = await Promise.all([
+    listAllDocuments(APPWRITE_SERIES_COLLECTION_ID),
+    listSeasons(),
+    getCatalog(),
+  ]);
+  const seasonNumbers = new Map(seasons.map((season) => [season.id, season.number]));
+  const episodeOrder = (a, b) => seasonNumbers.get(a.seasonId) - seasonNumbers.get(b.seasonId) || byEpisodeNumber(a, b);
+
+  return documents
+    .map((doc) => {
+      const episodes = catalog.filter((video) => video.seriesId === doc.$id && seasonNumbers.has(video.seasonId)).sort(episodeOrder);
+      return {
+        ...toSeries(doc),
+        seasons: seasons.filter((season) => season.seriesId === doc.$id),
+        episodeCount: episodes.length,
+        thumbnailUrl: episodes[0]?.thumbnailUrl || null,
+      };
+    })
+    .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * A series with its seasons in order, each holding its published episodes in order. Episodes are
+ * in the best translation for `locales` (see localization.js).
+ * @returns {Promise<{ id, title, description, seasons: Array<{ id, number, title, episodes: object[] }> }>}
+ */
+export async function getSeries(seriesId, locales = []) {
+  const [doc, seasons, catalog] = await Promise.all([getSeriesDocument(seriesId), listSeasons(seriesId), getCatalog()]);
+  const episodes = catalog
+    .filter((video) => video.seriesId === seriesId)
+    .sort(byEpisodeNumber)
+    .map((video) => toPublicVideo(localizeVideo(video, locales)));
+  return {
+    ...toSeries(doc),
+    seasons: seasons.map((season) => ({ ...season, episodes: episodes.filter((video) => video.seasonId === season.id) })),
+  };
+}
+
+export async function createSeries(fields, teamId) {
+  const doc = await databases.createDocument(
+    APPWRITE_DATABASE_ID,
+    APPWRITE_SERIES_COLLECTION_ID,
+    ID.unique(),
+    { description: '', ...validateSeriesFields(fields) },
+    teamPermissions(teamId)
+  );
+  return { ...toSeries(doc), seasons: [], episodeCount: 0, thumbnailUrl: null };
+}
+
+export async function updateSeries(seriesId, fields) {
+  await getSeriesDocument(seriesId);
+  const doc = await databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_SERIES_COLLECTION_ID, seriesId, validateSeriesFields(fields, { partial: true }));
+  return toSeries(doc);
+}
+
+// Refused while any title is still an episode of the series; its empty seasons go with it.
+export async function deleteSeries(seriesId) {
+  await getSeriesDocument(seriesId);
+  const total = await countVideos([Query.equal('seriesId', seriesId)]);
+  if (total > 0) {
+    throw new HttpError(409, 'Conflict', `The series still has ${total} episode(s); delete them or move them to another series first.`);
+  }
+  for (const season of await listSeasons(seriesId)) {
+    await databases.deleteDocument(APPWRITE_DATABASE_ID, APPWRITE_SEASONS_COLLECTION_ID, season.id);
+  }
+  await databases.deleteDocument(APPWRITE_DATABASE_ID, APPWRITE_SERIES_COLLECTION_ID, seriesId);
+}
+
+export async function createSeason({ seriesId, ...fields }, teamId) {
+  await getSeriesDocument(seriesId);
+  const data = validateSeasonFields(fields);
+  await assertSeasonNumberFree(seriesId, data.number);
+  const doc = await databases.createDocument(
+    APPWRITE_DATABASE_ID,
+    APPWRITE_SEASONS_COLLECTION_ID,
+    ID.unique(),
+    { seriesId, title: '', ...data },
+    teamPermissions(teamId)
+  );
+  return toSeason(doc);
+}
+
+// A season keeps its series; its number and title can change.
+export async function updateSeason(seasonId, fields) {
+  const season = await getSeason(seasonId);
+  const data = validateSeasonFields(fields, { partial: true });
+  if (data.number !== undefined && data.number !== season.number) await assertSeasonNumberFree(season.seriesId, data.number, seasonId);
+  return toSeason(await databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_SEASONS_COLLECTION_ID, seasonId, data));
+}
+
+// Refused while titles are still episodes of the season.
+export async function deleteSeason(seasonId) {
+  await getSeason(seasonId);
+  const total = await countVideos([Query.equal('seasonId', seasonId)]);
+  if (total > 0) {
+    throw new HttpError(409, 'Conflict', `The season still has ${total} episode(s); delete them or move them to another season first.`);
+  }
+  await databases.deleteDocument(APPWRITE_DATABASE_ID, APPWRITE_SEASONS_COLLECTION_ID, seasonId);
+}
+
+/**
+ * Checks where a title sits in a series: an existing season and an episode number no other title
+ * in that season has. A null `seasonId` makes the title standalone again.
+ * @param {string} [videoId] the title being edited, which may keep its own number
+ * @returns {Promise<{ seriesId: string|null, seasonId: string|null, episodeNumber: number|null }>}
+ */
+export async function validateEpisode({ seasonId, episodeNumber }, videoId = null) {
+  if (!seasonId) return { seriesId: null, seasonId: null, episodeNumber: null };
+  if (!Number.isInteger(episodeNumber) || episodeNumber < 1) {
+    throw new HttpError(400, 'Bad Request', '"episodeNumber" must be a whole number from 1.');
+  }
+
+  const season = await getSeason(seasonId);
+  const { documents } = await databases.listDocuments(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, [
+    Query.equal('seasonId', seasonId),
+    Query.equal('episodeNumber', episodeNumber),
+    Query.select(['$id', 'title']),
+    Query.limit(2),
+  ]);
+  const taken = documents.find((doc) => doc.$id !== videoId);
+  if (taken) {
+    throw new HttpError(409, 'Conflict', `Episode ${episodeNumber} of season ${season.number} is already "${taken.title}".`);
+  }
+  return { seriesId: season.seriesId, seasonId, episodeNumber };
+}
@@ -0,0 +1,26 @@
+// --- HMAC URL Signing ---
+// Shared by storage backends that cannot presign URLs themselves (e.g. the local filesystem)
+// and by playback tokens (playbackTokens.js).
+import crypto from 'crypto';
+
+const STORAGE_SIGNING_SECRET = process.env.STORAGE_SIGNING_SECRET;
+
+function getSecret() {
+  if (!STORAGE_SIGNING_SECRET) {
+    throw new Error('STORAGE_SIGNING_SECRET must be set to create or verify signed URLs.');
+  }
+  return STORAGE_SIGNING_SECRET;
+}
+
+// Signs an arbitrary string payload, returning a URL-safe base64 HMAC-SHA256 digest.
+export function createSignature(payload) {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+// Constant-time comparison of a received signature against the expected one.
+export function verifySignature(payload, signature) {
+  if (typeof signature !== 'string' || !signature) return false;
+  const expected = Buffer.from(createSignature(payload));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
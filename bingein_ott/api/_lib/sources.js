@@ -0,0 +1,52 @@
+// --- Video Source Locations ---
+// Where a title's media lives (`videoUrl`, `playbackManifestUrl`). These are stored in
+// APPWRITE_SOURCES_COLLECTION_ID (document ID = video ID, no client permissions) rather than on the
+// public video document, so viewers only ever receive short-lived signed URLs from /api/playback.
+import { databases, APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID } from './appwrite.js';
+
+export const APPWRITE_SOURCES_COLLECTION_ID = process.env.APPWRITE_SOURCES_COLLECTION_ID;
+
+export const SOURCE_FIELDS = ['videoUrl', 'playbackManifestUrl'];
+
+async function getPrivateSources(videoId) {
+  try {
+    return await databases.getDocument(APPWRITE_DATABASE_ID, APPWRITE_SOURCES_COLLECTION_ID, videoId);
+  } catch (error) {
+    if (error.code === 404) return null;
+    throw error;
+  }
+}
+
+// Videos uploaded before sources were made private still carry them on the video document.
+export async function getVideoSources(video) {
+  const holder = (await getPrivateSources(video.$id)) || video;
+  return {
+    videoUrl: holder.videoUrl || null,
+    playbackManifestUrl: holder.playbackManifestUrl || null,
+  };
+}
+
+// Whether a title still carries its media URLs on the public video document
+export const hasLegacySources = (video) => SOURCE_FIELDS.some((field) => Boolean(video[field]));
+
+// Updates some of the source fields. A legacy title's public URLs move to the private collection
+// (filling only fields it doesn't have there yet) and are cleared on the video document.
+export async function saveVideoSources(video, sources) {
+  const existing = await getPrivateSources(video.$id);
+  const legacy = Object.fromEntries(SOURCE_FIELDS.filter((field) => video[field] && !existing?.[field]).map((field) => [field, video[field]]));
+  const data = { ...legacy, ...sources };
+
+  let saved = existing;
+  if (!existing) {
+    // No permissions: only the server key can read or write private sources
+    const empty = Object.fromEntries(SOURCE_FIELDS.map((field) => [field, null]));
+    saved = await databases.createDocument(APPWRITE_DATABASE_ID, APPWRITE_SOURCES_COLLECTION_ID, video.$id, { ...empty, ...data }, []);
+  } else if (Object.keys(data).length > 0) {
+    saved = await databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_SOURCES_COLLECTION_ID, video.$id, data);
+  }
+
+  if (hasLegacySources(video)) {
+    await databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, video.$id, { videoUrl: null, playbackManifestUrl: null });
+  }
+  return saved;
+}
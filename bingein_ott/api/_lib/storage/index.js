@@ -0,0 +1,81 @@
+// --- Storage Adapter Registry ---
+// Every backend exposes the same shape so API routes never talk to a vendor SDK directly:
+//
+//   put(key, body, { contentType })        -> { key, url }          (body: Buffer or Readable stream)
+//   get(keyOrUrl, { range })               -> { body, size, contentType } | null   (body: Readable stream)
+//                                             range: optional { start, end } (inclusive bytes); size is the full object size
+//   delete(keyOrUrl)                       -> void
+//   head(keyOrUrl)                         -> { key, url, size, contentType } | null
+//   getSignedUrl(keyOrUrl, { expiresIn })  -> string                 (expiresIn in seconds)
+//   toKey(keyOrUrl)                        -> string                 (the key behind a URL this backend produced)
+//
+// Multipart uploads, assembled by the backend itself (see _lib/uploads.js):
+//   createMultipartUpload(key, { contentType })             -> upload (a small JSON-serialisable handle)
+//   uploadPart(key, upload, partNumber, body)                -> { partNumber, etag }   (body: Buffer; 1-based)
+//   completeMultipartUpload(key, upload, parts, { contentType }) -> { key, url }
+//   abortMultipartUpload(key, upload)                        -> void
+//
+// Media (originals, HLS ladders and upload chunks, see PRIVATE_PREFIXES) is never publicly readable:
+// Vercel Blob stores it as private blobs, S3 relies on the bucket staying private for those
+// prefixes, and the local backend only serves it with a signature. Viewers reach it through
+// /api/media with a playback token.
+//
+// The active backend is chosen with STORAGE_BACKEND: 'vercel-blob' (default), 'local' or 's3'.
+// Note: files under api/_lib are not exposed as routes by Vercel (underscore-prefixed directory).
+import crypto from 'crypto';
+import path from 'path';
+import { createVercelBlobStorage } from './vercel-blob.js';
+import { createLocalStorage } from './local.js';
+import { createS3Storage } from './s3.js';
+
+const factories = {
+  'vercel-blob': createVercelBlobStorage,
+  local: createLocalStorage,
+  s3: createS3Storage,
+};
+
+let activeStorage = null;
+
+export const PRIVATE_PREFIXES = ['videos/', 'hls/', 'uploads/'];
+
+// Whether a key holds media that must not be readable without a playback token
+export function isPrivateKey(key) {
+  return PRIVATE_PREFIXES.some((prefix) => key.startsWith(prefix));
+}
+
+// Returns the adapter selected by STORAGE_BACKEND, creating it on first use.
+export function getStorage() {
+  if (activeStorage) return activeStorage;
+
+  const backend = process.env.STORAGE_BACKEND || 'vercel-blob';
+  const factory = factories[backend];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}". Expected one of: ${Object.keys(factories).join(', ')}.`);
+  }
+
+  activeStorage = factory();
+  console.log(`Storage backend initialised: ${backend}`);
+  return activeStorage;
+}
+
+// Builds a collision-free object key such as "videos/3f2c…-my-episode.mp4".
+// The original filename is kept (sanitised) so objects stay recognisable in the bucket.
+export function createObjectKey(folder, filename) {
+  const originalExt = path.extname(filename || '');
+  const ext = originalExt.toLowerCase();
+  const base = path.basename(filename || 'file', originalExt)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80) || 'file';
+  return `${folder}/${crypto.randomUUID()}-${base}${ext}`;
+}
+
+// A stored text object (a playlist or WebVTT track) as a string, or null when it doesn't exist.
+export async function readText(keyOrUrl) {
+  const object = await getStorage().get(keyOrUrl);
+  if (!object) return null;
+  let text = '';
+  for await (const chunk of object.body) text += chunk;
+  return text;
+}
@@ -0,0 +1,117 @@
+// --- Local Filesystem Storage Adapter ---
+// Intended for local development (`vercel dev`) and testing. Objects are written under
+// LOCAL_STORAGE_DIR (default ./storage) and served back by the /api/files route.
+// Each object gets a "<file>.meta.json" sidecar holding its content type.
+import { promises as fs } from 'fs';
+import * as fsSync from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { createSignature } from '../signing.js';
+
+const META_SUFFIX = '.meta.json';
+const PARTS_SUFFIX = '.parts';
+
+export function createLocalStorage() {
+  const rootDir = path.resolve(process.env.LOCAL_STORAGE_DIR || './storage');
+  const baseUrl = (process.env.LOCAL_STORAGE_BASE_URL || '/api/files').replace(/\/+$/, '');
+
+  // Accepts either a bare key or a URL previously produced by this adapter ("/api/files?key=...").
+  const toKey = (keyOrUrl) => {
+    if (!keyOrUrl.startsWith(`${baseUrl}?`)) return keyOrUrl;
+    return new URLSearchParams(keyOrUrl.slice(baseUrl.length + 1)).get('key') || '';
+  };
+
+  const toUrl = (key) => `${baseUrl}?key=${encodeURIComponent(key)}`;
+
+  return {
+    name: 'local',
+    rootDir,
+
+    // Resolves a key to an absolute path, refusing anything that escapes the storage root.
+    resolvePath(keyOrUrl) {
+      const filePath = path.resolve(rootDir, toKey(keyOrUrl));
+      if (!filePath.startsWith(rootDir + path.sep) || filePath.endsWith(META_SUFFIX)) {
+        throw new Error(`Invalid storage key: ${keyOrUrl}`);
+      }
+      return filePath;
+    },
+
+    async put(key, body, { contentType } = {}) {
+      const filePath = this.resolvePath(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+      if (Buffer.isBuffer(body) || typeof body === 'string') {
+        await fs.writeFile(filePath, body);
+      } else {
+        await pipeline(body, fsSync.createWriteStream(filePath));
+      }
+      await fs.writeFile(filePath + META_SUFFIX, JSON.stringify({ contentType: contentType || 'application/octet-stream' }));
+
+      return { key, url: toUrl(key) };
+    },
+
+    toKey,
+
+    async get(keyOrUrl, { range } = {}) {
+      const object = await this.head(keyOrUrl);
+      if (!object) return null;
+      const body = fsSync.createReadStream(this.resolvePath(keyOrUrl), range ? { start: range.start, end: range.end } : undefined);
+      return { body, size: object.size, contentType: object.contentType };
+    },
+
+    async delete(keyOrUrl) {
+      const filePath = this.resolvePath(keyOrUrl);
+      await fs.rm(filePath, { force: true });
+      await fs.rm(filePath + META_SUFFIX, { force: true });
+    },
+
+    async head(keyOrUrl) {
+      const key = toKey(keyOrUrl);
+      const filePath = this.resolvePath(key);
+      try {
+        const stats = await fs.stat(filePath);
+        const meta = JSON.parse(await fs.readFile(filePath + META_SUFFIX, 'utf8').catch(() => '{}'));
+        return { key, url: toUrl(key), size: stats.size, contentType: meta.contentType || 'application/octet-stream' };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    // Parts are kept in a "<file>.parts" directory until the upload completes. Assembling them is
+    // plain file copying, so there is no request time limit to worry about here.
+    async createMultipartUpload(key) {
+      await fs.mkdir(this.resolvePath(key) + PARTS_SUFFIX, { recursive: true });
+      return {};
+    },
+
+    async uploadPart(key, _upload, partNumber, body) {
+      await fs.writeFile(path.join(this.resolvePath(key) + PARTS_SUFFIX, String(partNumber)), body);
+      return { partNumber, etag: String(partNumber) };
+    },
+
+    async completeMultipartUpload(key, _upload, parts, { contentType } = {}) {
+      const filePath = this.resolvePath(key);
+      const partsDir = filePath + PARTS_SUFFIX;
+      await fs.rm(filePath, { force: true });
+      for (const part of [...parts].sort((a, b) => a.partNumber - b.partNumber)) {
+        await fs.appendFile(filePath, await fs.readFile(path.join(partsDir, String(part.partNumber))));
+      }
+      await fs.writeFile(filePath + META_SUFFIX, JSON.stringify({ contentType: contentType || 'application/octet-stream' }));
+      await fs.rm(partsDir, { recursive: true, force: true });
+      return { key, url: toUrl(key) };
+    },
+
+    async abortMultipartUpload(key) {
+      await fs.rm(this.resolvePath(key) + PARTS_SUFFIX, { recursive: true, force: true });
+    },
+
+    // Signed URLs carry an expiry timestamp and an HMAC over "key:expires" (see api/files.js).
+    async getSignedUrl(keyOrUrl, { expiresIn = 3600 } = {}) {
+      const key = toKey(keyOrUrl);
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const signature = createSignature(`${key}:${expires}`);
+      return `${toUrl(key)}&expires=${expires}&signature=${signature}`;
+    },
+  };
+}
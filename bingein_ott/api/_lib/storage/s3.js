@@ -0,0 +1,128 @@
+// --- S3-Compatible Storage Adapter ---
+// Works with AWS S3 and S3-compatible servers such as MinIO (path-style addressing is used so a
+// local MinIO at http://localhost:9000 works without DNS tricks).
+//
+// Environment: S3_BUCKET (required), S3_ENDPOINT, S3_REGION, S3_ACCESS_KEY_ID,
+// S3_SECRET_ACCESS_KEY, and optionally S3_PUBLIC_URL (e.g. a CDN in front of the bucket).
+import {
+  S3Client, DeleteObjectCommand, GetObjectCommand, HeadObjectCommand,
+  CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand,
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+export function createS3Storage() {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set when STORAGE_BACKEND=s3.');
+  }
+
+  const endpoint = process.env.S3_ENDPOINT;
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint,
+    forcePathStyle: true,
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined, // Fall back to the SDK's default credential chain
+  });
+
+  const publicBaseUrl = (
+    process.env.S3_PUBLIC_URL ||
+    (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.amazonaws.com`)
+  ).replace(/\/+$/, '');
+
+  // Accepts either a bare key or a URL previously produced by this adapter.
+  const toKey = (keyOrUrl) => {
+    const withoutQuery = keyOrUrl.split('?')[0];
+    const key = withoutQuery.startsWith(`${publicBaseUrl}/`) ? withoutQuery.slice(publicBaseUrl.length + 1) : withoutQuery;
+    return key.split('/').map(decodeURIComponent).join('/');
+  };
+
+  const toUrl = (key) => `${publicBaseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+  return {
+    name: 's3',
+    client,
+    bucket,
+
+    // lib-storage's Upload switches to multipart automatically, so streams of unknown length work.
+    async put(key, body, { contentType } = {}) {
+      const upload = new Upload({
+        client,
+        params: { Bucket: bucket, Key: key, Body: body, ContentType: contentType },
+      });
+      await upload.done();
+      return { key, url: toUrl(key) };
+    },
+
+    toKey,
+
+    async get(keyOrUrl, { range } = {}) {
+      try {
+        const object = await client.send(new GetObjectCommand({
+          Bucket: bucket,
+          Key: toKey(keyOrUrl),
+          Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+        }));
+        // ContentRange ("bytes 0-99/1234") carries the full size when only a range was fetched
+        const size = object.ContentRange ? Number(object.ContentRange.split('/')[1]) : object.ContentLength;
+        return { body: object.Body, size, contentType: object.ContentType };
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async delete(keyOrUrl) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: toKey(keyOrUrl) }));
+    },
+
+    async head(keyOrUrl) {
+      const key = toKey(keyOrUrl);
+      try {
+        const object = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return { key, url: toUrl(key), size: object.ContentLength, contentType: object.ContentType };
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async createMultipartUpload(key, { contentType } = {}) {
+      const { UploadId } = await client.send(new CreateMultipartUploadCommand({ Bucket: bucket, Key: key, ContentType: contentType }));
+      return { uploadId: UploadId };
+    },
+
+    async uploadPart(key, upload, partNumber, body) {
+      const { ETag } = await client.send(new UploadPartCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: upload.uploadId,
+        PartNumber: partNumber,
+        Body: body,
+        ContentLength: body.length,
+      }));
+      return { partNumber, etag: ETag };
+    },
+
+    async completeMultipartUpload(key, upload, parts) {
+      await client.send(new CompleteMultipartUploadCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: upload.uploadId,
+        MultipartUpload: { Parts: parts.map((part) => ({ PartNumber: part.partNumber, ETag: part.etag })) },
+      }));
+      return { key, url: toUrl(key) };
+    },
+
+    async abortMultipartUpload(key, upload) {
+      await client.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: key, UploadId: upload.uploadId }));
+    },
+
+    async getSignedUrl(keyOrUrl, { expiresIn = 3600 } = {}) {
+      const command = new GetObjectCommand({ Bucket: bucket, Key: toKey(keyOrUrl) });
+      return getSignedUrl(client, command, { expiresIn });
+    },
+  };
+}
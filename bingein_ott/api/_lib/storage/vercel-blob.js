@@ -0,0 +1,95 @@
+// --- Vercel Blob Storage Adapter ---
+// The original backend. Requires BLOB_READ_WRITE_TOKEN (injected automatically on Vercel).
+// Media keys (see isPrivateKey) are stored as private blobs, which can only be read with the store's
+// token or a presigned URL; posters, subtitles and seek previews stay public.
+import { Readable } from 'stream';
+import {
+  put, del, head, get, createMultipartUpload, uploadPart, completeMultipartUpload, issueSignedToken, presignUrl,
+  BlobNotFoundError,
+} from '@vercel/blob';
+import { isPrivateKey } from './index.js';
+
+export function createVercelBlobStorage() {
+  // Blob URLs are "<store origin>/<pathname>", so the key is the decoded path.
+  const toKey = (keyOrUrl) => {
+    if (!/^https?:\/\//.test(keyOrUrl)) return keyOrUrl;
+    return decodeURIComponent(new URL(keyOrUrl).pathname.slice(1));
+  };
+
+  // Keys are chosen by the caller (createObjectKey or the HLS and preview folders), so no random
+  // suffix is added and re-running a job may overwrite its own output.
+  const writeOptions = (key, contentType) => ({
+    access: isPrivateKey(key) ? 'private' : 'public',
+    contentType,
+    addRandomSuffix: false,
+    allowOverwrite: true,
+  });
+
+  return {
+    name: 'vercel-blob',
+
+    async put(key, body, { contentType } = {}) {
+      const blob = await put(key, body, writeOptions(key, contentType));
+      return { key: blob.pathname, url: blob.url };
+    },
+
+    toKey,
+
+    async get(keyOrUrl, { range } = {}) {
+      const object = await this.head(keyOrUrl);
+      if (!object) return null;
+      // By URL, so a public blob stored before media was made private can still be read
+      const blob = await get(object.url, {
+        access: isPrivateKey(object.key) ? 'private' : 'public',
+        headers: range ? { Range: `bytes=${range.start}-${range.end}` } : undefined,
+      });
+      if (!blob) return null;
+      return { body: Readable.fromWeb(blob.stream), size: object.size, contentType: object.contentType };
+    },
+
+    async delete(keyOrUrl) {
+      await del(keyOrUrl);
+    },
+
+    async head(keyOrUrl) {
+      try {
+        const blob = await head(keyOrUrl);
+        return { key: blob.pathname, url: blob.url, size: blob.size, contentType: blob.contentType };
+      } catch (error) {
+        if (error instanceof BlobNotFoundError) return null;
+        throw error;
+      }
+    },
+
+    // The store assembles the parts itself; each part but the last must be at least 5 MB.
+    async createMultipartUpload(key, { contentType } = {}) {
+      const { key: blobKey, uploadId } = await createMultipartUpload(key, writeOptions(key, contentType));
+      return { key: blobKey, uploadId };
+    },
+
+    async uploadPart(key, upload, partNumber, body) {
+      const part = await uploadPart(key, body, { ...writeOptions(key), key: upload.key, uploadId: upload.uploadId, partNumber });
+      return { partNumber: part.partNumber, etag: part.etag };
+    },
+
+    async completeMultipartUpload(key, upload, parts, { contentType } = {}) {
+      const blob = await completeMultipartUpload(key, parts, { ...writeOptions(key, contentType), key: upload.key, uploadId: upload.uploadId });
+      return { key: blob.pathname, url: blob.url };
+    },
+
+    // Vercel Blob has no abort call; parts of an unfinished upload are discarded by the store.
+    async abortMultipartUpload() {},
+
+    // Public blobs have no expiring URLs, so their URL is returned as-is. Private blobs get a
+    // presigned URL, scoped to the one pathname, for tools like ffprobe that can't send the token.
+    async getSignedUrl(keyOrUrl, { expiresIn = 3600 } = {}) {
+      const key = toKey(keyOrUrl);
+      if (!isPrivateKey(key)) return /^https?:\/\//.test(keyOrUrl) ? keyOrUrl : (await head(key)).url;
+
+      const validUntil = Date.now() + expiresIn * 1000;
+      const signedToken = await issueSignedToken({ pathname: key, operations: ['get'], validUntil });
+      const { presignedUrl } = await presignUrl(signedToken, { operation: 'get', pathname: key, validUntil, access: 'private' });
+      return presignedUrl;
+    },
+  };
+}
@@ -0,0 +1,157 @@
+// --- Subtitle and Caption Tracks ---
+// Content managers attach SubRip (.srt) or WebVTT (.vtt) files to a title. Every file is checked,
+// converted to WebVTT when needed and stored under subtitles/. The video document lists its tracks
+// in `subtitles`, a string array with one JSON entry per track:
+//   {"language":"pt-BR","label":"Português (Brasil)","kind":"subtitles","url":"https://…/subtitles/….vtt"}
+// `kind` is "subtitles" (dialogue only) or "captions" (also describes sounds, for deaf and
+// hard-of-hearing viewers). Subtitles are not access-controlled, like thumbnails.
+import path from 'path';
+import { getStorage, createObjectKey } from './storage/index.js';
+import { HttpError } from './http.js';
+
+export const TRACK_KINDS = ['subtitles', 'captions'];
+export const MAX_SUBTITLE_TRACKS = 20;
+const MAX_SUBTITLE_BYTES = 1024 * 1024;
+const MAX_LABEL_LENGTH = 64;
+
+// "00:01:02,500 --> 00:01:04,000" (SRT) or "01:02.500 --> 01:04.000" (WebVTT), with optional settings after it
+const TIMING = /^\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})/;
+
+// Bytes as text: UTF-8 (with or without a byte order mark), UTF-16 with a byte order mark, and
+// otherwise Windows-1252, which most non-Unicode subtitle files are in.
+function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+  } catch {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+}
+
+// "1:02,5" -> "00:01:02.500"
+function vttTimestamp(value) {
+  const [clock, fraction] = value.split(/[,.]/);
+  const parts = clock.split(':').map((part) => part.padStart(2, '0'));
+  if (parts.length === 2) parts.unshift('00');
+  return `${parts.join(':')}.${fraction.padEnd(3, '0')}`;
+}
+
+/**
+ * SubRip text -> WebVTT. Cue numbers are dropped, timestamps get a "." before the milliseconds,
+ * and SubRip-only markup (<font> tags, {\an8}-style positioning) is removed. <i>, <b> and <u> are
+ * valid WebVTT and kept.
+ */
+export function srtToVtt(text) {
+  const cues = [];
+  for (const block of text.replace(/\r\n?/g, '\n').split(/\n\s*\n/)) {
+    const lines = block.trim().split('\n');
+    const timingIndex = lines.findIndex((line) => TIMING.test(line));
+    if (timingIndex === -1 || timingIndex > 1) continue; // Not a cue: only a number may precede the timing
+
+    const [, start, end] = TIMING.exec(lines[timingIndex]);
+    const cueText = lines.slice(timingIndex + 1)
+      .map((line) => line.replace(/<\/?font[^>]*>/gi, '').replace(/\{\\[^}]*\}/g, '').replace(/-->/g, '->'))
+      .join('\n')
+      .trim();
+    if (cueText) cues.push(`${vttTimestamp(start)} --> ${vttTimestamp(end)}\n${cueText}`);
+  }
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+const countCues = (vtt) => vtt.split('\n').filter((line) => TIMING.test(line)).length;
+
+// A track's language, label and kind, without its file
+export function validateTrackFields({ language, label, kind }) {
+  let canonical;
+  try {
+    [canonical] = Intl.getCanonicalLocales(String(language || '').trim());
+  } catch {
+    canonical = null;
+  }
+  if (!canonical) {
+    throw new HttpError(400, 'Bad Request', 'Each subtitle track needs a language code such as "en" or "pt-BR".');
+  }
+
+  const trackKind = kind || 'subtitles';
+  if (!TRACK_KINDS.includes(trackKind)) {
+    throw new HttpError(400, 'Bad Request', `A subtitle track's kind must be one of: ${TRACK_KINDS.join(', ')}.`);
+  }
+
+  // The language's own name ("Deutsch") when no label is given
+  const languageName = new Intl.DisplayNames([canonical], { type: 'language' }).of(canonical);
+  const trackLabel = String(label || '').trim() || languageName.charAt(0).toLocaleUpperCase(canonical) + languageName.slice(1);
+  if (trackLabel.length > MAX_LABEL_LENGTH) {
+    throw new HttpError(400, 'Bad Request', `Subtitle labels must be at most ${MAX_LABEL_LENGTH} characters.`);
+  }
+  return { language: canonical, label: trackLabel, kind: trackKind };
+}
+
+/**
+ * Checks one uploaded subtitle file and its track fields and converts it to WebVTT. Nothing is
+ * stored yet, so a title's files can all be checked before any of them is kept.
+ * @param {{ fileName: string, buffer: Buffer, language: string, label?: string, kind?: string }} file
+ * @returns {{ language, label, kind, fileName, vtt }}
+ */
+export function prepareSubtitleTrack({ fileName, buffer, ...fields }) {
+  const track = validateTrackFields(fields);
+  if (!buffer?.length || buffer.length > MAX_SUBTITLE_BYTES) {
+    throw new HttpError(400, 'Bad Request', `"${fileName}" must be a non-empty subtitle file of at most ${MAX_SUBTITLE_BYTES / 1024} KB.`);
+  }
+
+  const text = decodeText(buffer);
+  let vtt;
+  if (/^WEBVTT(?:[ \t]|\r?\n|$)/.test(text)) {
+    vtt = text.replace(/\r\n?/g, '\n');
+  } else if (text.split(/\r?\n/).some((line) => TIMING.test(line))) {
+    vtt = srtToVtt(text);
+  } else {
+    throw new HttpError(400, 'Bad Request', `"${fileName}" is not a SubRip (.srt) or WebVTT (.vtt) file.`);
+  }
+  if (countCues(vtt) === 0) {
+    throw new HttpError(400, 'Bad Request', `"${fileName}" contains no subtitles.`);
+  }
+  return { ...track, fileName, vtt };
+}
+
+// Re-validates the fields of a track a title already has (it may have been relabelled).
+export const validateExistingTrack = (track) => ({ ...validateTrackFields(track), url: track.url });
+
+// A title's tracks: at most MAX_SUBTITLE_TRACKS, and no two with the same label.
+export function validateTrackSet(tracks) {
+  if (tracks.length > MAX_SUBTITLE_TRACKS) {
+    throw new HttpError(400, 'Bad Request', `A title can have at most ${MAX_SUBTITLE_TRACKS} subtitle tracks.`);
+  }
+  const labels = new Set();
+  for (const track of tracks) {
+    const key = track.label.toLocaleLowerCase();
+    if (labels.has(key)) throw new HttpError(400, 'Bad Request', `Two subtitle tracks are labelled "${track.label}"; give each a different label.`);
+    labels.add(key);
+  }
+}
+
+// Stores prepared tracks as .vtt objects and returns their document entries.
+export async function storeSubtitleTracks(prepared) {
+  const storage = getStorage();
+  const tracks = [];
+  for (const { fileName, vtt, ...track } of prepared) {
+    const name = `${path.basename(fileName || 'subtitles', path.extname(fileName || ''))}.vtt`;
+    const { url } = await storage.put(createObjectKey('subtitles', name), Buffer.from(vtt, 'utf8'), { contentType: 'text/vtt' });
+    tracks.push({ ...track, url });
+  }
+  return tracks;
+}
+
+// The `subtitles` attribute <-> track objects. Malformed entries are skipped when reading.
+export const serializeTracks = (tracks) => tracks.map(({ language, label, kind, url }) => JSON.stringify({ language, label, kind, url }));
+
+export function subtitleTracks(video) {
+  return (video.subtitles || []).flatMap((entry) => {
+    try {
+      const track = JSON.parse(entry);
+      return track?.url && track.language ? [track] : [];
+    } catch {
+      return [];
+    }
+  });
+}
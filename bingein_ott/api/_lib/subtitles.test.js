@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { srtToVtt, prepareSubtitleTrack } from './subtitles.js';
+
+const srt = (text) => Buffer.from(text, 'utf8');
+
+test('srtToVtt drops cue numbers and puts a "." before the milliseconds', () => {
+  const vtt = srtToVtt('1\n00:00:01,000 --> 00:00:02,500\nHello\n\n2\n00:00:03,000 --> 00:00:04,000\nWorld\n');
+  assert.equal(vtt, 'WEBVTT\n\n00:00:01.000 --> 00:00:02.500\nHello\n\n00:00:03.000 --> 00:00:04.000\nWorld\n');
+});
+
+test('srtToVtt reads CRLF line endings', () => {
+  const vtt = srtToVtt('1\r\n00:00:01,000 --> 00:00:02,000\r\nFirst line\r\nSecond line\r\n\r\n');
+  assert.equal(vtt, 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nFirst line\nSecond line\n');
+});
+
+test('srtToVtt keeps cues without a number and pads short timestamps', () => {
+  const vtt = srtToVtt('1:02,5 --> 1:04,25\nNo number\n\n3\n00:01:05,000 --> 00:01:06,000\nNumbered\n');
+  assert.equal(vtt, 'WEBVTT\n\n00:01:02.500 --> 00:01:04.250\nNo number\n\n00:01:05.000 --> 00:01:06.000\nNumbered\n');
+});
+
+test('srtToVtt removes SubRip-only markup but keeps <i>, <b> and <u>', () => {
+  const vtt = srtToVtt('1\n00:00:01,000 --> 00:00:02,000\n{\\an8}<font color="#fff"><i>Up</i> here</font>\n');
+  assert.equal(vtt, 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n<i>Up</i> here\n');
+});
+
+test('srtToVtt skips blocks that are not cues', () => {
+  const vtt = srtToVtt('Some header text\n\n1\n00:00:01,000 --> 00:00:02,000\nKept\n\n2\n00:00:03,000 --> 00:00:04,000\n\n');
+  assert.equal(vtt, 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nKept\n');
+});
+
+test('prepareSubtitleTrack converts a SubRip file with a byte order mark', () => {
+  const buffer = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), srt('1\r\n00:00:01,000 --> 00:00:02,000\r\nBonjour\r\n')]);
+  const track = prepareSubtitleTrack({ fileName: 'movie.fr.srt', buffer, language: 'fr' });
+  assert.equal(track.vtt, 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nBonjour\n');
+  assert.equal(track.language, 'fr');
+  assert.equal(track.label, 'Français');
+  assert.equal(track.kind, 'subtitles');
+  assert.equal(track.fileName, 'movie.fr.srt');
+});
+
+test('prepareSubtitleTrack decodes UTF-16 and Windows-1252 files', () => {
+  const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('1\n00:00:01,000 --> 00:00:02,000\nÜber\n', 'utf16le')]);
+  assert.match(prepareSubtitleTrack({ fileName: 'a.srt', buffer: utf16, language: 'de' }).vtt, /\nÜber\n/);
+
+  const latin1 = Buffer.from('1\n00:00:01,000 --> 00:00:02,000\nCaf\xe9\n', 'latin1');
+  assert.match(prepareSubtitleTrack({ fileName: 'b.srt', buffer: latin1, language: 'fr' }).vtt, /\nCafé\n/);
+});
+
+test('prepareSubtitleTrack keeps WebVTT files, normalising CRLF', () => {
+  const buffer = srt('WEBVTT\r\n\r\n00:01.000 --> 00:02.000\r\nHi\r\n');
+  const track = prepareSubtitleTrack({ fileName: 'a.vtt', buffer, language: 'en', label: 'English SDH', kind: 'captions' });
+  assert.equal(track.vtt, 'WEBVTT\n\n00:01.000 --> 00:02.000\nHi\n');
+  assert.equal(track.label, 'English SDH');
+  assert.equal(track.kind, 'captions');
+});
+
+test('prepareSubtitleTrack canonicalises the language code', () => {
+  const track = prepareSubtitleTrack({ fileName: 'a.srt', buffer: srt('00:00:01,000 --> 00:00:02,000\nOi\n'), language: 'pt-br' });
+  assert.equal(track.language, 'pt-BR');
+});
+
+test('prepareSubtitleTrack rejects files that are not subtitles or have no cues', () => {
+  const badRequest = { status: 400 };
+  assert.throws(() => prepareSubtitleTrack({ fileName: 'a.srt', buffer: srt('just some text'), language: 'en' }), badRequest);
+  assert.throws(() => prepareSubtitleTrack({ fileName: 'a.vtt', buffer: srt('WEBVTT\n\n'), language: 'en' }), badRequest);
+  assert.throws(() => prepareSubtitleTrack({ fileName: 'a.srt', buffer: Buffer.alloc(0), language: 'en' }), badRequest);
+  assert.throws(() => prepareSubtitleTrack({ fileName: 'a.srt', buffer: srt('00:00:01,000 --> 00:00:02,000\nHi\n'), language: '' }), badRequest);
+});
@@ -0,0 +1,66 @@
+// --- Tags ---
+// Videos store `tags` as an array of normalized strings: trimmed, lowercased, inner whitespace
+// collapsed, "#" prefixes dropped, no duplicates. Older documents held one comma-separated string;
+// scripts/migrate-tags.js converts them, and normalizeTags() reads both shapes meanwhile.
+import { getCatalog } from './videos.js';
+import { HttpError } from './http.js';
+
+export const MAX_TAGS_PER_TITLE = 20;
+export const MAX_TAG_LENGTH = 32;
+let tagCounts = null; // { videos, counts: Map<tag, number> }, recomputed whenever getCatalog() reloads
+
+// "  Road Trip " -> "road trip"
+export function normalizeTag(tag) {
+  return String(tag).replace(/^#+/, '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Normalizes tags given as an array, a comma-separated string, or a mix of both
+ * (repeated form fields). Order is kept; empty entries and duplicates are dropped.
+ * @returns {string[]}
+ */
+export function normalizeTags(input) {
+  const tags = [].concat(input ?? [])
+    .flatMap((value) => String(value).split(','))
+    .map(normalizeTag)
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+// normalizeTags() plus the limits enforced on save.
+export function validateTags(input) {
+  const tags = normalizeTags(input);
+  if (tags.length > MAX_TAGS_PER_TITLE) {
+    throw new HttpError(400, 'Bad Request', `A title can have at most ${MAX_TAGS_PER_TITLE} tags.`);
+  }
+  const tooLong = tags.find((tag) => tag.length > MAX_TAG_LENGTH);
+  if (tooLong) {
+    throw new HttpError(400, 'Bad Request', `Tag "${tooLong}" is longer than ${MAX_TAG_LENGTH} characters.`);
+  }
+  return tags;
+}
+
+async function getTagCounts() {
+  const videos = await getCatalog();
+  if (tagCounts?.videos === videos) return tagCounts.counts;
+  const counts = new Map();
+  for (const video of videos) {
+    for (const tag of normalizeTags(video.tags)) counts.set(tag, (counts.get(tag) || 0) + 1);
+  }
+  tagCounts = { videos, counts };
+  return counts;
+}
+
+/**
+ * Existing tags with the number of titles using each, most used first.
+ * @param {{ prefix?: string, limit?: number }} options `prefix` keeps tags containing a word that starts with it
+ * @returns {Promise<Array<{ name: string, count: number }>>}
+ */
+export async function listTags({ prefix = '', limit = 20 } = {}) {
+  const needle = normalizeTag(prefix);
+  return [...(await getTagCounts())]
+    .filter(([name]) => !needle || name.startsWith(needle) || name.includes(` ${needle}`))
+    .sort(([nameA, countA], [nameB, countB]) => countB - countA || nameA.localeCompare(nameB))
+    .slice(0, limit)
+    .map(([name, count]) => ({ name, count }));
+}
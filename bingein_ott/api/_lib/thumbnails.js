@@ -0,0 +1,121 @@
+// --- Poster Frames and Seek-Preview Sprites (ffmpeg) ---
+// Candidate posters are offered to the admin when no thumbnail is uploaded; sprite sheets plus a
+// WebVTT thumbnail track give the player frame previews while seeking.
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { getStorage, readText } from './storage/index.js';
+import { runFfmpeg } from './transcode.js';
+
+// Positions (fraction of the duration) at which candidate posters are grabbed.
+const CANDIDATE_POSITIONS = [0.1, 0.3, 0.5, 0.7];
+const SPRITE_COLUMNS = 10;
+const SPRITE_THUMB_WIDTH = 160;
+const MAX_SPRITE_TILES = 200;
+
+// Storage key of the n-th (1-based) candidate for one upload session.
+export const candidateKey = (uploadId, n) => `thumbnails/candidates/${uploadId}/frame-${n}.jpg`;
+
+// True when `key` is one of the candidates generated for this upload session.
+export const isPosterCandidate = (uploadId, key) =>
+  CANDIDATE_POSITIONS.some((_, index) => candidateKey(uploadId, index + 1) === key);
+
+async function withWorkDir(label, task) {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), `${label}-`));
+  try {
+    return await task(workDir);
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// Grabs the frame at `time` seconds as a 1280px-wide JPEG and stores it under `key`.
+export async function extractFrame(input, time, key) {
+  return withWorkDir('frame', async (workDir) => {
+    const file = path.join(workDir, 'frame.jpg');
+    // -ss before -i seeks on keyframes, which is fast even for remote inputs
+    await runFfmpeg(['-ss', String(time), '-i', input, '-frames:v', '1', '-vf', 'scale=1280:-2', '-q:v', '3', file]);
+    return getStorage().put(key, await fs.readFile(file), { contentType: 'image/jpeg' });
+  });
+}
+
+/**
+ * Grabs a handful of frames spread across the video and stores them as poster candidates.
+ * @returns {Promise<Array<{ key: string, url: string, time: number }>>}
+ */
+export async function extractPosterCandidates(uploadId, input, duration) {
+  const candidates = [];
+  for (const [index, position] of CANDIDATE_POSITIONS.entries()) {
+    const time = Math.floor((duration || 0) * position);
+    const stored = await extractFrame(input, time, candidateKey(uploadId, index + 1));
+    candidates.push({ ...stored, time });
+  }
+  return candidates;
+}
+
+// Removes the candidates of an upload session, except the one kept as the poster.
+export async function discardPosterCandidates(uploadId, keepKey) {
+  const storage = getStorage();
+  for (let n = 1; n <= CANDIDATE_POSITIONS.length; n++) {
+    const key = candidateKey(uploadId, n);
+    if (key !== keepKey) await storage.delete(key).catch(err => console.warn(`Failed to delete poster candidate ${key}:`, err));
+  }
+}
+
+// "HH:MM:SS.mmm" as required by WebVTT
+function formatVttTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const h = String(Math.floor(ms / 3600000)).padStart(2, '0');
+  const m = String(Math.floor((ms % 3600000) / 60000)).padStart(2, '0');
+  const s = String(Math.floor((ms % 60000) / 1000)).padStart(2, '0');
+  return `${h}:${m}:${s}.${String(ms % 1000).padStart(3, '0')}`;
+}
+
+export function buildThumbnailVtt(spriteUrl, { count, interval, duration, width, height }) {
+  const cues = ['WEBVTT', ''];
+  for (let index = 0; index < count; index++) {
+    const start = index * interval;
+    const end = Math.min((index + 1) * interval, duration);
+    const x = (index % SPRITE_COLUMNS) * width;
+    const y = Math.floor(index / SPRITE_COLUMNS) * height;
+    cues.push(`${formatVttTime(start)} --> ${formatVttTime(end)}`, `${spriteUrl}#xywh=${x},${y},${width},${height}`, '');
+  }
+  return cues.join('\n');
+}
+
+/**
+ * Renders one sprite sheet of evenly spaced frames plus the WebVTT track that maps time ranges
+ * onto sprite tiles, stored under previews/<videoId>/.
+ * @returns {Promise<string>} URL of the WebVTT thumbnail track
+ */
+export async function generateSeekPreviews(videoId, input, { duration, width, height }) {
+  // One tile every 5 seconds, spaced further apart for long videos to keep the sheet bounded.
+  const interval = Math.max(5, Math.ceil(duration / MAX_SPRITE_TILES));
+  const count = Math.max(1, Math.ceil(duration / interval));
+  const rows = Math.ceil(count / SPRITE_COLUMNS);
+  const thumbHeight = Math.round((SPRITE_THUMB_WIDTH * (height || 9)) / (width || 16) / 2) * 2;
+
+  return withWorkDir(`previews-${videoId}`, async (workDir) => {
+    const storage = getStorage();
+    const spriteFile = path.join(workDir, 'sprite.jpg');
+    await runFfmpeg([
+      '-i', input,
+      '-vf', `fps=1/${interval},scale=${SPRITE_THUMB_WIDTH}:${thumbHeight},tile=${SPRITE_COLUMNS}x${rows}`,
+      '-frames:v', '1', '-q:v', '5',
+      spriteFile,
+    ]);
+
+    const sprite = await storage.put(`previews/${videoId}/sprite.jpg`, await fs.readFile(spriteFile), { contentType: 'image/jpeg' });
+    const vtt = buildThumbnailVtt(sprite.url, { count, interval, duration, width: SPRITE_THUMB_WIDTH, height: thumbHeight });
+    const track = await storage.put(`previews/${videoId}/thumbnails.vtt`, Buffer.from(vtt), { contentType: 'text/vtt' });
+    return track.url;
+  });
+}
+
+// The sprite sheet(s) a stored thumbnail track points at, followed by the track itself.
+export async function listPreviewObjects(trackUrl) {
+  const track = await readText(trackUrl);
+  if (track === null) return [];
+  const sprites = new Set(track.split('\n').filter((line) => line.includes('#xywh=')).map((line) => line.trim().split('#')[0]));
+  return [...sprites, trackUrl];
+}
@@ -0,0 +1,152 @@
+// --- HLS Transcoding (ffmpeg) ---
+// Turns an uploaded original into an adaptive-bitrate HLS ladder and uploads it to storage.
+// Requires the ffmpeg binary on PATH, or FFMPEG_PATH pointing at it. Run by scripts/transcode-worker.js,
+// never inside an API route: transcoding takes far longer than a serverless request may run.
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { getStorage, readText } from './storage/index.js';
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const SEGMENT_SECONDS = 6;
+
+// Renditions from smallest to largest; rungs taller than the source are skipped.
+export const HLS_LADDER = [
+  { name: '240p', height: 240, videoBitrate: 400, audioBitrate: 64 },
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 },
+  { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+];
+
+export function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(FFMPEG_PATH, ['-hide_banner', '-loglevel', 'error', '-y', ...args]);
+    let stderr = '';
+
+    child.stderr.on('data', (data) => { stderr += data; });
+    child.on('error', (err) => {
+      reject(err.code === 'ENOENT' ? new Error(`ffmpeg not found at "${FFMPEG_PATH}". Install FFmpeg or set FFMPEG_PATH.`) : err);
+    });
+    child.on('close', (code) => {
+      if (code !== 0) return reject(new Error(`ffmpeg exited with ${code}: ${stderr.trim()}`));
+      resolve();
+    });
+  });
+}
+
+// Picks the rungs to encode for a source of the given size (always at least the lowest rung).
+export function selectRenditions(sourceWidth, sourceHeight) {
+  const rungs = HLS_LADDER.filter((rung) => rung.height <= sourceHeight);
+  const selected = rungs.length > 0 ? rungs : [HLS_LADDER[0]];
+  const aspect = sourceWidth && sourceHeight ? sourceWidth / sourceHeight : 16 / 9;
+  // Widths must be even for H.264
+  return selected.map((rung) => ({ ...rung, width: Math.round((rung.height * aspect) / 2) * 2 }));
+}
+
+async function encodeRendition(input, outDir, rendition) {
+  const dir = path.join(outDir, rendition.name);
+  await fs.mkdir(dir, { recursive: true });
+
+  await runFfmpeg([
+    '-i', input,
+    '-map', '0:v:0', '-map', '0:a:0?',
+    '-vf', `scale=${rendition.width}:${rendition.height}`,
+    '-c:v', 'libx264', '-preset', 'veryfast', '-profile:v', 'main',
+    '-b:v', `${rendition.videoBitrate}k`,
+    '-maxrate', `${Math.round(rendition.videoBitrate * 1.07)}k`,
+    '-bufsize', `${rendition.videoBitrate * 2}k`,
+    // Fixed GOP aligned with the segment length so every rendition switches on the same boundaries
+    '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_SECONDS})`, '-sc_threshold', '0',
+    '-c:a', 'aac', '-b:a', `${rendition.audioBitrate}k`, '-ac', '2',
+    '-f', 'hls',
+    '-hls_time', String(SEGMENT_SECONDS),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', path.join(dir, 'segment_%04d.ts'),
+    path.join(dir, 'index.m3u8'),
+  ]);
+
+  return dir;
+}
+
+// Uploads a rendition's segments and playlist. ffmpeg writes segment URIs relative to the playlist,
+// and they stay that way: /api/media resolves them against the playlist's key when it rewrites it,
+// so no storage URL ever appears in a playlist.
+async function uploadRendition(prefix, dir, rendition) {
+  const storage = getStorage();
+  const files = (await fs.readdir(dir)).filter((name) => name.endsWith('.ts')).sort();
+  for (const file of files) {
+    await storage.put(`${prefix}/${rendition.name}/${file}`, await fs.readFile(path.join(dir, file)), { contentType: 'video/mp2t' });
+  }
+  await storage.put(`${prefix}/${rendition.name}/index.m3u8`, await fs.readFile(path.join(dir, 'index.m3u8')), { contentType: 'application/vnd.apple.mpegurl' });
+  return `${rendition.name}/index.m3u8`;
+}
+
+export function buildMasterPlaylist(variants) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  for (const { rendition, url } of variants) {
+    const bandwidth = (rendition.videoBitrate + rendition.audioBitrate) * 1000;
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${rendition.width}x${rendition.height},NAME="${rendition.name}"`);
+    lines.push(url);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Transcodes `input` (a local path or URL) into an HLS ladder stored under hls/<videoId>/<random>/.
+ * The random folder keeps the ladder's keys unguessable, and a new transcode never overwrites the
+ * ladder that is still being played.
+ * @returns {Promise<{ manifestUrl: string, renditions: string[] }>}
+ */
+export async function transcodeToHls(videoId, input, { width, height }) {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), `hls-${videoId}-`));
+  const prefix = `hls/${videoId}/${crypto.randomUUID()}`;
+  try {
+    const variants = [];
+    for (const rendition of selectRenditions(width, height)) {
+      console.log(`[${videoId}] Encoding ${rendition.name}...`);
+      const dir = await encodeRendition(input, workDir, rendition);
+      variants.push({ rendition, url: await uploadRendition(prefix, dir, rendition) });
+    }
+
+    const master = await getStorage().put(
+      `${prefix}/master.m3u8`,
+      Buffer.from(buildMasterPlaylist(variants)),
+      { contentType: 'application/vnd.apple.mpegurl' }
+    );
+    return { manifestUrl: master.key, renditions: variants.map((variant) => variant.rendition.name) };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// URI lines of a playlist (everything that isn't a tag or blank).
+const playlistEntries = (playlist) =>
+  playlist.split('\n').map((line) => line.trim()).filter((line) => line && !line.startsWith('#'));
+
+/**
+ * Every object of a stored HLS ladder: the master playlist, each rendition's playlist and its
+ * segments. The ladder is found by following the playlists, since storage backends can't list.
+ * URIs are resolved against the playlist that lists them; ladders transcoded before playlists
+ * used relative URIs list absolute storage URLs, which are returned as they are.
+ * @returns {Promise<string[]>} keys or URLs, playlists after the segments they reference
+ */
+export async function listHlsObjects(manifestUrl) {
+  const storage = getStorage();
+  const resolve = (playlistKey, uri) => (/^https?:\/\//.test(uri) || uri.startsWith('/')
+    ? uri
+    : path.posix.join(path.posix.dirname(storage.toKey(playlistKey)), uri));
+
+  const master = await readText(manifestUrl);
+  if (master === null) return [];
+
+  const objects = [];
+  for (const variantUrl of playlistEntries(master).map((uri) => resolve(manifestUrl, uri))) {
+    const variant = await readText(variantUrl);
+    if (variant !== null) objects.push(...playlistEntries(variant).map((uri) => resolve(variantUrl, uri)), variantUrl);
+  }
+  objects.push(manifestUrl);
+  return objects;
+}
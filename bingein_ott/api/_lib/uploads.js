@@ -0,0 +1,225 @@
+// --- Resumable Upload Sessions ---
+// A tus-style protocol on top of the storage adapter:
+//
+//   1. init      POST  /api/uploads               -> creates a session document and a multipart upload
+//   2. offset    HEAD  /api/uploads/:uploadId     -> Upload-Offset header (bytes received so far)
+//   3. chunk     PATCH /api/uploads/:uploadId     -> appends the request body at Upload-Offset
+//   4. complete  POST  /api/uploads/:uploadId     -> has the backend assemble the parts
+//
+// Every chunk is streamed into storage as its own staging object, so any serverless instance can
+// take the next chunk. Vercel caps request bodies below the backends' 5 MB minimum part size, so
+// staged chunks are gathered into one multipart part once they reach MIN_PART_SIZE, and deleted.
+// Completing a session uploads the last, smaller part and asks the backend to join the parts, so
+// no request ever copies more than a part's worth of bytes, whatever the size of the file.
+import { Transform } from 'stream';
+import { ID, Query } from 'node-appwrite';
+import { databases, APPWRITE_DATABASE_ID, APPWRITE_UPLOADS_COLLECTION_ID } from './appwrite.js';
+import { getStorage, createObjectKey } from './storage/index.js';
+import { HttpError } from './http.js';
+
+// Vercel rejects request bodies above 4.5 MB, so chunks must stay below that.
+export const MAX_CHUNK_SIZE = 4 * 1024 * 1024;
+export const MAX_UPLOAD_SIZE = 20 * 1024 * 1024 * 1024; // 20 GB
+export const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+// S3 and Vercel Blob reject parts below 5 MB, except the last
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+const chunkKey = (uploadId, index) => `uploads/${uploadId}/chunk-${String(index).padStart(6, '0')}`;
+
+// The backend's handle and the parts uploaded so far are kept on the session as JSON text
+const sessionUpload = (session) => JSON.parse(session.multipart);
+const sessionParts = (session) => JSON.parse(session.parts || '[]');
+
+export async function createUploadSession({ fileName, contentType, size, folder = 'videos' }) {
+  if (!fileName || !contentType || !Number.isInteger(size) || size <= 0) {
+    throw new HttpError(400, 'Bad Request', 'fileName, contentType and a positive integer size are required.');
+  }
+  if (size > MAX_UPLOAD_SIZE) {
+    throw new HttpError(413, 'Payload Too Large', `Uploads are limited to ${MAX_UPLOAD_SIZE} bytes.`);
+  }
+
+  const key = createObjectKey(folder, fileName);
+  const upload = await getStorage().createMultipartUpload(key, { contentType });
+  return databases.createDocument(APPWRITE_DATABASE_ID, APPWRITE_UPLOADS_COLLECTION_ID, ID.unique(), {
+    fileName,
+    contentType,
+    size,
+    offset: 0,
+    chunkCount: 0,
+    stagedFrom: 0,
+    stagedSize: 0,
+    multipart: JSON.stringify(upload),
+    parts: '[]',
+    status: 'uploading',
+    key,
+    url: null,
+    videoId: null,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString(),
+  });
+}
+
+// Loads a session, translating "missing" and "expired" into 404 / 410 for the client.
+export async function getUploadSession(uploadId) {
+  let session;
+  try {
+    session = await databases.getDocument(APPWRITE_DATABASE_ID, APPWRITE_UPLOADS_COLLECTION_ID, uploadId);
+  } catch (error) {
+    if (error.code === 404) throw new HttpError(404, 'Not Found', 'Upload session does not exist.');
+    throw error;
+  }
+
+  if (session.status === 'aborted') {
+    throw new HttpError(410, 'Gone', 'Upload session was aborted.');
+  }
+  if (session.status === 'uploading' && new Date(session.expiresAt).getTime() < Date.now()) {
+    throw new HttpError(410, 'Gone', 'Upload session has expired. Please start the upload again.');
+  }
+  return session;
+}
+
+// Streams one chunk into storage. The client must send the offset it believes is current;
+// a mismatch means it missed an acknowledgement and should re-query the offset (409).
+export async function appendChunk(uploadId, { offset, contentLength, body }) {
+  const session = await getUploadSession(uploadId);
+
+  if (session.status !== 'uploading') {
+    throw new HttpError(409, 'Conflict', 'Upload session is already complete.');
+  }
+  if (offset !== session.offset) {
+    throw new HttpError(409, 'Conflict', `Upload-Offset ${offset} does not match the current offset ${session.offset}.`);
+  }
+  if (!Number.isInteger(contentLength) || contentLength <= 0 || contentLength > MAX_CHUNK_SIZE) {
+    throw new HttpError(400, 'Bad Request', `Each chunk needs a Content-Length between 1 and ${MAX_CHUNK_SIZE} bytes.`);
+  }
+  if (session.offset + contentLength > session.size) {
+    throw new HttpError(400, 'Bad Request', 'Chunk would exceed the declared upload size.');
+  }
+
+  // Count the bytes actually received so a dropped connection never advances the offset.
+  let received = 0;
+  const counter = new Transform({
+    transform(chunk, _encoding, callback) {
+      received += chunk.length;
+      callback(null, chunk);
+    },
+  });
+
+  const storage = getStorage();
+  const key = chunkKey(uploadId, session.chunkCount);
+  await storage.put(key, body.pipe(counter), { contentType: 'application/octet-stream' });
+
+  if (received !== contentLength) {
+    await storage.delete(key).catch(err => console.warn('Cleanup of partial chunk failed:', err));
+    throw new HttpError(400, 'Bad Request', `Received ${received} of ${contentLength} bytes; please retry the chunk.`);
+  }
+
+  const chunkCount = session.chunkCount + 1;
+  const stagedSize = session.stagedSize + received;
+  const update = { offset: session.offset + received, chunkCount, stagedSize };
+  if (stagedSize >= MIN_PART_SIZE) Object.assign(update, await uploadStagedPart(session, chunkCount));
+
+  const updated = await databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_UPLOADS_COLLECTION_ID, uploadId, update);
+  // Only once the session records the part: a retried chunk must still find its staged neighbours
+  if (update.stagedFrom !== undefined) await deleteChunks(uploadId, session.stagedFrom, chunkCount);
+  return updated;
+}
+
+// Joins the staged chunks [stagedFrom, chunkCount) into the next multipart part. At most
+// MIN_PART_SIZE + MAX_CHUNK_SIZE bytes, so it fits in memory. Returns the session fields to save.
+async function uploadStagedPart(session, chunkCount) {
+  const storage = getStorage();
+  const buffers = [];
+  for (let index = session.stagedFrom; index < chunkCount; index++) {
+    const chunk = await storage.get(chunkKey(session.$id, index));
+    if (!chunk) throw new Error(`Chunk ${index} of upload ${session.$id} is missing from storage.`);
+    for await (const data of chunk.body) buffers.push(data);
+  }
+
+  const parts = sessionParts(session);
+  const part = await storage.uploadPart(session.key, sessionUpload(session), parts.length + 1, Buffer.concat(buffers));
+  return { parts: JSON.stringify([...parts, part]), stagedFrom: chunkCount, stagedSize: 0 };
+}
+
+// Uploads the remaining staged chunks as the last part and has the backend assemble the object.
+// Completing an already-completed session is a no-op so clients can safely retry.
+export async function completeUploadSession(uploadId) {
+  const session = await getUploadSession(uploadId);
+  if (session.status === 'completed') return session;
+
+  if (session.offset !== session.size) {
+    throw new HttpError(409, 'Conflict', `Upload is incomplete: ${session.offset} of ${session.size} bytes received.`);
+  }
+
+  const storage = getStorage();
+  const { parts } = session.stagedFrom < session.chunkCount ? await uploadStagedPart(session, session.chunkCount) : session;
+  const stored = await storage.completeMultipartUpload(session.key, sessionUpload(session), JSON.parse(parts), { contentType: session.contentType });
+
+  const completed = await databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_UPLOADS_COLLECTION_ID, uploadId, {
+    status: 'completed',
+    stagedFrom: session.chunkCount,
+    stagedSize: 0,
+    parts,
+    key: stored.key,
+    url: stored.url,
+  });
+  await deleteChunks(uploadId, session.stagedFrom, session.chunkCount);
+  return completed;
+}
+
+// Attaches a completed upload to the title `videoId`. An upload backs one title only: a second title
+// would share its stored file, and deleting either would delete it for both (409).
+export async function claimUpload(session, videoId) {
+  if (session.videoId && session.videoId !== videoId) {
+    throw new HttpError(409, 'Conflict', 'This upload is already used by another title.');
+  }
+  if (session.videoId === videoId) return session;
+  return databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_UPLOADS_COLLECTION_ID, session.$id, { videoId });
+}
+
+// Frees an upload claimed for a title that was not created after all.
+export async function releaseUpload(session) {
+  await databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_UPLOADS_COLLECTION_ID, session.$id, { videoId: null });
+}
+
+export async function abortUploadSession(uploadId) {
+  const session = await getUploadSession(uploadId);
+  if (session.status === 'completed') {
+    throw new HttpError(409, 'Conflict', 'Completed uploads cannot be aborted.');
+  }
+
+  await discardUpload(session);
+  return databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_UPLOADS_COLLECTION_ID, uploadId, { status: 'aborted' });
+}
+
+// Drops everything an unfinished session stored: its staged chunks and its multipart parts.
+async function discardUpload(session) {
+  await deleteChunks(session.$id, session.stagedFrom, session.chunkCount);
+  await getStorage().abortMultipartUpload(session.key, sessionUpload(session))
+    .catch(err => console.warn(`Failed to abort the multipart upload of ${session.$id}:`, err));
+}
+
+/**
+ * Discards sessions that expired before completing, so abandoned uploads don't keep their
+ * chunks and parts in storage. Run daily by Vercel Cron (api/cron/uploads.js).
+ * @returns {Promise<string[]>} IDs of the sessions discarded
+ */
+export async function discardExpiredUploads(now = new Date()) {
+  const { documents } = await databases.listDocuments(APPWRITE_DATABASE_ID, APPWRITE_UPLOADS_COLLECTION_ID, [
+    Query.equal('status', 'uploading'),
+    Query.lessThan('expiresAt', now.toISOString()),
+    Query.limit(100),
+  ]);
+
+  for (const session of documents) {
+    await discardUpload(session);
+    await databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_UPLOADS_COLLECTION_ID, session.$id, { status: 'aborted' });
+  }
+  return documents.map((session) => session.$id);
+}
+
+async function deleteChunks(uploadId, from, to) {
+  const storage = getStorage();
+  for (let index = from; index < to; index++) {
+    await storage.delete(chunkKey(uploadId, index)).catch(err => console.warn(`Failed to delete chunk ${index}:`, err));
+  }
+}
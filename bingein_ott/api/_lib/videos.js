@@ -0,0 +1,61 @@
+// --- Video Catalog Helpers ---
+// Server-side reads over the whole videos collection, for the features that need every title at
+// once (search index, tag counts, recommendations, migrations).
+import { APPWRITE_COLLECTION_ID, listAllDocuments } from './appwrite.js';
+import { isPublished, publishDueVideos } from './publishing.js';
+
+const CATALOG_TTL_MS = 60 * 1000; // getCatalog() re-reads the collection at most once a minute per instance
+const RELEASE_CHECK_MS = 60 * 1000; // releaseDueVideos() queries for due titles at most once a minute per instance
+
+// Fields sent to clients when an API returns titles; never the media URLs
+export const PUBLIC_VIDEO_FIELDS = [
+  '$id', 'title', 'description', 'thumbnailUrl', 'genres', 'genre', 'tags', 'duration',
+  'isPremium', 'viewsCount', 'ratingAverage', 'ratingCount', 'uploadDate', 'status',
+  'seriesId', 'seasonId', 'episodeNumber', 'locale',
+];
+
+let catalog = null; // { loadedAt, videos }
+let releaseCheckedAt = 0;
+
+// Every video document matching `queries`.
+export function listAllVideos(queries = []) {
+  return listAllDocuments(APPWRITE_COLLECTION_ID, queries);
+}
+
+/**
+ * Fallback for the scheduled-release cron, which Vercel's Hobby plan runs at most once a day:
+ * routes that read the catalog also publish titles whose release time has passed. Throttled, and
+ * never fails the read; the cron retries anything left behind.
+ */
+export async function releaseDueVideos() {
+  if (Date.now() - releaseCheckedAt < RELEASE_CHECK_MS) return;
+  releaseCheckedAt = Date.now();
+  try {
+    const published = await publishDueVideos();
+    if (published.length > 0) {
+      invalidateCatalog();
+      console.log(`Published ${published.length} scheduled title(s) on read:`, published.join(', '));
+    }
+  } catch (error) {
+    console.error('Releasing scheduled titles failed:', error);
+  }
+}
+
+// The published catalog, cached briefly. The same array is returned until it is reloaded, so
+// callers can cache work derived from it by identity.
+export async function getCatalog() {
+  await releaseDueVideos();
+  if (catalog && Date.now() - catalog.loadedAt < CATALOG_TTL_MS) return catalog.videos;
+  catalog = { loadedAt: Date.now(), videos: (await listAllVideos()).filter(isPublished) };
+  return catalog.videos;
+}
+
+// Drops this instance's cached catalog after a title is edited or deleted.
+export function invalidateCatalog() {
+  catalog = null;
+}
+
+// `locale` is only set on titles passed through localizeVideo() (see localization.js)
+export function toPublicVideo(video) {
+  return Object.fromEntries(PUBLIC_VIDEO_FIELDS.map((field) => [field, video[field] ?? null]));
+}
@@ -0,0 +1,71 @@
+// --- View Counting ---
+// A view counts once the viewer has been watching for VIEW_THRESHOLD_SECONDS, or half of a shorter
+// title (see shared/views.js), measured from the start of their playback session. Each viewer (the logged-in user, otherwise IP + user agent) counts at most once per video
+// per VIEW_DEDUP_WINDOW; the last counted time is kept in APPWRITE_VIEWS_COLLECTION_ID, one
+// server-only document per video and viewer. `viewsCount` is incremented atomically with the
+// server key; viewers have no write access to video documents.
+import crypto from 'crypto';
+import { databases, APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID } from './appwrite.js';
+import { viewThreshold } from '../../shared/views.js';
+
+export const APPWRITE_VIEWS_COLLECTION_ID = process.env.APPWRITE_VIEWS_COLLECTION_ID;
+const VIEW_DEDUP_WINDOW = Number(process.env.VIEW_DEDUP_WINDOW || 6 * 60 * 60); // seconds
+
+// Crawlers, link previewers, headless browsers and HTTP libraries. An empty user agent counts too.
+const BOT_PATTERN = /bot|crawl|spider|slurp|mediapartners|facebookexternalhit|embedly|preview|headless|phantomjs|puppeteer|playwright|selenium|lighthouse|curl|wget|python|java\/|go-http-client|okhttp|axios|node-fetch|undici|libwww|httpclient/i;
+
+export function isBot(userAgent) {
+  return !userAgent || BOT_PATTERN.test(userAgent);
+}
+
+// Whether a playback session that began at `started` (seconds since the epoch, from the playback
+// token) has lasted long enough to count a view of a title of `duration` seconds.
+export function watchedLongEnough(started, duration, now = Date.now()) {
+  return Number.isFinite(started) && now / 1000 - started >= viewThreshold(duration);
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Logged-in viewers are counted per account, anonymous ones per network address and browser.
+function viewerKey({ userId, ip, userAgent }) {
+  return userId ? `user:${userId}` : `anon:${sha256(`${ip}|${userAgent}`)}`;
+}
+
+// Claims the viewer's slot for this video; false while an earlier view is inside the window.
+async function claimView(videoId, viewer, now) {
+  const documentId = sha256(`${videoId}|${viewer}`).slice(0, 36); // Appwrite IDs are at most 36 characters
+  const lastCountedAt = new Date(now).toISOString();
+
+  let existing = null;
+  try {
+    existing = await databases.getDocument(APPWRITE_DATABASE_ID, APPWRITE_VIEWS_COLLECTION_ID, documentId);
+  } catch (error) {
+    if (error.code !== 404) throw error;
+  }
+
+  if (existing) {
+    if (now - new Date(existing.lastCountedAt).getTime() < VIEW_DEDUP_WINDOW * 1000) return false;
+    await databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_VIEWS_COLLECTION_ID, documentId, { lastCountedAt });
+    return true;
+  }
+
+  try {
+    // No permissions: only the server key reads or writes these
+    await databases.createDocument(APPWRITE_DATABASE_ID, APPWRITE_VIEWS_COLLECTION_ID, documentId, { videoId, viewer, lastCountedAt }, []);
+    return true;
+  } catch (error) {
+    if (error.code === 409) return false; // A concurrent request from the same viewer got there first
+    throw error;
+  }
+}
+
+/**
+ * Counts one view of `videoId` unless the same viewer was counted within the dedup window.
+ * @param {{ userId?: string|null, ip: string, userAgent: string }} viewer
+ * @returns {Promise<{ counted: boolean, viewsCount?: number }>}
+ */
+export async function recordView(videoId, viewer, now = Date.now()) {
+  if (!(await claimView(videoId, viewerKey(viewer), now))) return { counted: false };
+  const video = await databases.incrementDocumentAttribute(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, videoId, 'viewsCount', 1);
+  return { counted: true, viewsCount: video.viewsCount };
+}
@@ -0,0 +1,104 @@
+// --- Watchlist ("My List") ---
+// One document per user and title in APPWRITE_WATCHLIST_COLLECTION_ID. `position` orders the list
+// (lowest first); a newly added title goes to the top. Like watch progress, documents carry no
+// client permissions and are only read and written through the API with the server key.
+import crypto from 'crypto';
+import { Query } from 'node-appwrite';
+import { databases, APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, listAllDocuments } from './appwrite.js';
+import { HttpError } from './http.js';
+import { publishedQuery } from './publishing.js';
+
+export const APPWRITE_WATCHLIST_COLLECTION_ID = process.env.APPWRITE_WATCHLIST_COLLECTION_ID;
+export const MAX_WATCHLIST_SIZE = 500;
+
+const entryId = (userId, videoId) => crypto.createHash('sha256').update(`${userId}|${videoId}`).digest('hex').slice(0, 36);
+
+const listEntries = (userId) =>
+  listAllDocuments(APPWRITE_WATCHLIST_COLLECTION_ID, [Query.equal('userId', userId), Query.orderAsc('position')]);
+
+function validateIds(videoIds) {
+  if (!Array.isArray(videoIds) || videoIds.some((id) => typeof id !== 'string' || !id)) {
+    throw new HttpError(400, 'Bad Request', '"videoIds" must be an array of video IDs.');
+  }
+  return [...new Set(videoIds)];
+}
+
+// The user's list as ordered video IDs.
+export async function getWatchlist(userId) {
+  return (await listEntries(userId)).map((entry) => entry.videoId);
+}
+
+/**
+ * Adds titles to the top of the list, keeping their given order; titles already on it stay where
+ * they are and unknown IDs are skipped. Also used to merge a signed-out list after login.
+ * @returns {Promise<string[]>} the whole list afterwards
+ */
+export async function addToWatchlist(userId, videoIds) {
+  const ids = validateIds(videoIds);
+  const entries = await listEntries(userId);
+  const existing = new Set(entries.map((entry) => entry.videoId));
+  const candidates = ids.filter((id) => !existing.has(id));
+  if (candidates.length === 0) return entries.map((entry) => entry.videoId);
+
+  if (entries.length + candidates.length > MAX_WATCHLIST_SIZE) {
+    throw new HttpError(400, 'Bad Request', `My List can hold at most ${MAX_WATCHLIST_SIZE} titles.`);
+  }
+
+  // Titles deleted or unpublished since they were saved (e.g. in a signed-out list) are dropped
+  const known = new Set();
+  for (let start = 0; start < candidates.length; start += 100) { // Appwrite takes at most 100 values per query
+    const { documents } = await databases.listDocuments(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, [
+      Query.equal('$id', candidates.slice(start, start + 100)),
+      publishedQuery(),
+      Query.select(['$id']),
+      Query.limit(100),
+    ]);
+    documents.forEach((video) => known.add(video.$id));
+  }
+  const added = candidates.filter((id) => known.has(id));
+
+  const top = entries.length > 0 ? entries[0].position : 0;
+  const addedAt = new Date().toISOString();
+  for (const [index, videoId] of added.entries()) {
+    try {
+      await databases.createDocument(
+        APPWRITE_DATABASE_ID,
+        APPWRITE_WATCHLIST_COLLECTION_ID,
+        entryId(userId, videoId),
+        { userId, videoId, position: top - added.length + index, addedAt },
+        []
+      );
+    } catch (error) {
+      if (error.code !== 409) throw error; // Added concurrently from another tab
+    }
+  }
+  return [...added, ...entries.map((entry) => entry.videoId)];
+}
+
+export async function removeFromWatchlist(userId, videoId) {
+  try {
+    await databases.deleteDocument(APPWRITE_DATABASE_ID, APPWRITE_WATCHLIST_COLLECTION_ID, entryId(userId, videoId));
+  } catch (error) {
+    if (error.code !== 404) throw error;
+  }
+}
+
+/**
+ * Reorders the list. `videoIds` must hold exactly the titles currently on it.
+ * @returns {Promise<string[]>} the list in its new order
+ */
+export async function reorderWatchlist(userId, videoIds) {
+  const ids = validateIds(videoIds);
+  const entries = await listEntries(userId);
+  const current = new Set(entries.map((entry) => entry.videoId));
+  if (ids.length !== current.size || ids.some((id) => !current.has(id))) {
+    throw new HttpError(409, 'Conflict', 'My List changed in the meantime; reload it and try again.');
+  }
+
+  const positions = new Map(entries.map((entry) => [entry.videoId, entry.position]));
+  for (const [position, videoId] of ids.entries()) {
+    if (positions.get(videoId) === position) continue; // Only rewrite entries that moved
+    await databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_WATCHLIST_COLLECTION_ID, entryId(userId, videoId), { position });
+  }
+  return ids;
+}
@@ -0,0 +1,28 @@
+// --- Scheduled Release Job ---
+// GET /api/cron/publish  ->  { published: [videoId] }
+// Run every minute by Vercel Cron (see vercel.json), which sends "Authorization: Bearer $CRON_SECRET".
+// Publishes scheduled titles whose release time has passed (see _lib/publishing.js). Per-minute
+// crons need a Pro plan; on Hobby they run once a day and releaseDueVideos() (_lib/videos.js)
+// publishes due titles when the catalog is read.
+import { publishDueVideos } from '../_lib/publishing.js';
+import { sendError, requireCronSecret } from '../_lib/http.js';
+import { invalidateCatalog } from '../_lib/videos.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts GET requests.' });
+  }
+
+  try {
+    requireCronSecret(req);
+
+    const published = await publishDueVideos();
+    if (published.length > 0) {
+      invalidateCatalog();
+      console.log(`Published ${published.length} scheduled title(s):`, published.join(', '));
+    }
+    res.status(200).json({ published });
+  } catch (error) {
+    sendError(res, error, 'publish cron');
+  }
+}
@@ -0,0 +1,23 @@
+// --- Abandoned Upload Cleanup ---
+// GET /api/cron/uploads  ->  { discarded: [uploadId] }
+// Run daily by Vercel Cron (see vercel.json), which sends "Authorization: Bearer $CRON_SECRET".
+// Deletes the staged chunks and multipart parts of upload sessions that expired unfinished
+// (see _lib/uploads.js).
+import { discardExpiredUploads } from '../_lib/uploads.js';
+import { sendError, requireCronSecret } from '../_lib/http.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts GET requests.' });
+  }
+
+  try {
+    requireCronSecret(req);
+
+    const discarded = await discardExpiredUploads();
+    if (discarded.length > 0) console.log(`Discarded ${discarded.length} expired upload session(s):`, discarded.join(', '));
+    res.status(200).json({ discarded });
+  } catch (error) {
+    sendError(res, error, 'upload cleanup cron');
+  }
+}
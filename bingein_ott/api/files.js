@@ -0,0 +1,52 @@
+// --- Local Storage File Server ---
+// Serves objects written by the 'local' storage backend: GET /api/files?key=videos/abc.mp4
+// Signed URLs (from storage.getSignedUrl) additionally carry `expires` and `signature`,
+// which are verified before the file is streamed. Media (see PRIVATE_PREFIXES) is only served
+// with a signature; viewers reach it through /api/media instead.
+import * as fsSync from 'fs';
+import { getStorage, isPrivateKey } from './_lib/storage/index.js';
+import { verifySignature } from './_lib/signing.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only serves files.' });
+  }
+
+  const storage = getStorage();
+  if (storage.name !== 'local') {
+    return res.status(404).json({ error: 'Not Found', message: 'File serving is only available with the local storage backend.' });
+  }
+
+  const { key, expires, signature } = req.query;
+  if (!key) {
+    return res.status(400).json({ error: 'Bad Request', message: 'Missing "key" query parameter.' });
+  }
+
+  if (!signature && isPrivateKey(key)) {
+    return res.status(403).json({ error: 'Forbidden', message: 'This file can only be played through a signed playback URL.' });
+  }
+
+  if (signature || expires) {
+    const expired = !/^\d+$/.test(expires || '') || Number(expires) < Math.floor(Date.now() / 1000);
+    if (expired || !verifySignature(`${key}:${expires}`, signature)) {
+      return res.status(403).json({ error: 'Forbidden', message: 'Invalid or expired signature.' });
+    }
+  }
+
+  try {
+    const object = await storage.head(key);
+    if (!object) {
+      return res.status(404).json({ error: 'Not Found', message: 'File does not exist.' });
+    }
+
+    res.setHeader('Content-Type', object.contentType);
+    res.setHeader('Content-Length', object.size);
+    if (req.method === 'HEAD') return res.status(200).end();
+
+    res.status(200);
+    fsSync.createReadStream(storage.resolvePath(key)).pipe(res);
+  } catch (error) {
+    console.error('Error in files API:', error);
+    res.status(500).json({ error: 'Internal Server Error', message: 'Failed to read file.', details: error.message });
+  }
+}
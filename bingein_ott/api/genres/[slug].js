@@ -0,0 +1,36 @@
+// --- Single Genre ---
+//   GET    /api/genres/:slug                              -> { genre }
+//   PATCH  /api/genres/:slug  { name?, description?, order? }  -> { genre }   (content managers only)
+//   DELETE /api/genres/:slug                              -> 204; 409 while titles still use it
+import { getGenre, updateGenre, deleteGenre } from '../_lib/genres.js';
+import { sendError } from '../_lib/http.js';
+import { requireAdmin } from '../_lib/auth.js';
+
+export default async function handler(req, res) {
+  const { slug } = req.query;
+
+  try {
+    switch (req.method) {
+      case 'GET': {
+        res.setHeader('Cache-Control', 'public, s-maxage=60');
+        return res.status(200).json({ genre: await getGenre(slug) });
+      }
+
+      case 'PATCH': {
+        await requireAdmin(req);
+        return res.status(200).json({ genre: await updateGenre(slug, req.body || {}) });
+      }
+
+      case 'DELETE': {
+        await requireAdmin(req);
+        await deleteGenre(slug);
+        return res.status(204).end();
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts GET, PATCH and DELETE requests.' });
+    }
+  } catch (error) {
+    sendError(res, error, 'genres API');
+  }
+}
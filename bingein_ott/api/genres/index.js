@@ -0,0 +1,31 @@
+// --- Genre List ---
+//   GET  /api/genres                                  -> { genres: [{ slug, name, description, order }] }
+//   POST /api/genres  { name, slug?, description?, order? }  -> { genre }   (content managers only)
+import { listGenres, createGenre } from '../_lib/genres.js';
+import { sendError } from '../_lib/http.js';
+import { requireAdmin } from '../_lib/auth.js';
+import { releaseDueVideos } from '../_lib/videos.js';
+
+export default async function handler(req, res) {
+  try {
+    switch (req.method) {
+      case 'GET': {
+        // Every page loads the genre menu, so this is the most frequent read of the catalog
+        await releaseDueVideos();
+        res.setHeader('Cache-Control', 'public, s-maxage=60');
+        return res.status(200).json({ genres: await listGenres() });
+      }
+
+      case 'POST': {
+        const { teamId } = await requireAdmin(req);
+        const genre = await createGenre(req.body || {}, teamId);
+        return res.status(201).json({ genre });
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts GET and POST requests.' });
+    }
+  } catch (error) {
+    sendError(res, error, 'genres API');
+  }
+}
@@ -0,0 +1,45 @@
+// --- Bulk Import Check ---
+// POST /api/import-manifest  { manifest, format: 'csv'|'json' }
+//   -> { rows: [{ row, id, fields, files, error }] }
+// The admin import page's dry run: parses a manifest (see _lib/manifest.js) and checks every row's
+// metadata the way /api/upload-video will, without saving anything. `error` is null for a row that
+// is ready to import. The files themselves are checked as each row is uploaded.
+import { HttpError, sendError } from './_lib/http.js';
+import { requireAdmin } from './_lib/auth.js';
+import { parseManifest, uploadFields } from './_lib/manifest.js';
+import { validateUploadFields } from './_lib/ingest.js';
+
+// Rows checked at the same time; each check reads genres and, for episodes, the season
+const CHECK_BATCH_SIZE = 10;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method Not Allowed',
+      message: 'This endpoint only accepts POST requests to check an import manifest.',
+    });
+  }
+
+  try {
+    await requireAdmin(req);
+    const { manifest, format } = req.body || {};
+    if (typeof manifest !== 'string') throw new HttpError(400, 'Bad Request', '"manifest" must be the text of the manifest file.');
+
+    const rows = parseManifest(manifest, format);
+    for (let start = 0; start < rows.length; start += CHECK_BATCH_SIZE) {
+      await Promise.all(rows.slice(start, start + CHECK_BATCH_SIZE).map(async (row) => {
+        if (row.error) return;
+        try {
+          await validateUploadFields(uploadFields(row));
+        } catch (error) {
+          if (!(error instanceof HttpError)) throw error;
+          row.error = error.message;
+        }
+      }));
+    }
+
+    res.status(200).json({ rows });
+  } catch (error) {
+    sendError(res, error, 'import-manifest API');
+  }
+}
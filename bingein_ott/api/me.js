@@ -0,0 +1,21 @@
+// --- Current User ---
+// GET /api/me  ->  { user: { $id, name, email }, isAdmin }
+// Lets the frontend decide which navigation to show; every protected route re-checks on its own.
+import { requireUser, isAdmin } from './_lib/auth.js';
+import { sendError } from './_lib/http.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts GET requests.' });
+  }
+
+  try {
+    const user = await requireUser(req);
+    res.status(200).json({
+      user: { $id: user.$id, name: user.name, email: user.email },
+      isAdmin: await isAdmin(user),
+    });
+  } catch (error) {
+    sendError(res, error, 'me API');
+  }
+}
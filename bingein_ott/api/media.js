@@ -0,0 +1,108 @@
+// --- Signed Media Server ---
+// GET/HEAD /api/media?key=hls/abc/720p/segment_0001.ts&token=...
+// Streams a stored media object after checking the playback token from /api/playback
+// (signature, expiry, optional IP binding, and that the key belongs to the token's title).
+// Supports single HTTP Range requests so players can seek in progressive MP4/WebM files.
+// HLS playlists are rewritten on the fly so every variant and segment URI points back here
+// with the same token; the player swaps in a fresh token when it refreshes.
+import path from 'path';
+import { getStorage } from './_lib/storage/index.js';
+import { HttpError, sendError, getClientIp } from './_lib/http.js';
+import { verifyPlaybackToken, tokenCoversKey, mediaUrl } from './_lib/playbackTokens.js';
+
+const PLAYLIST_CONTENT_TYPE = 'application/vnd.apple.mpegurl';
+
+// Parses "bytes=start-end", "bytes=start-" or "bytes=-suffix" against the object size.
+// Returns null to serve the whole object (no header, or a multi-range request we don't support),
+// or false when the range cannot be satisfied.
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    start = Math.max(size - Number(match[2]), 0); // Last N bytes
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+  return start <= end && start < size ? { start, end } : false;
+}
+
+// Points every URI line of a playlist at this route, resolving relative URIs against the playlist's key.
+function rewritePlaylist(playlist, playlistKey, payload, token, storage) {
+  return playlist
+    .split('\n')
+    .map((line) => {
+      const uri = line.trim();
+      if (!uri || uri.startsWith('#')) return line;
+
+      const key = /^https?:\/\//.test(uri) || uri.startsWith('/')
+        ? storage.toKey(uri)
+        : path.posix.join(path.posix.dirname(playlistKey), uri);
+      return tokenCoversKey(payload, key) ? mediaUrl(key, token) : line;
+    })
+    .join('\n');
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only serves media.' });
+  }
+
+  try {
+    const { key, token } = req.query;
+    if (!key || !token) throw new HttpError(400, 'Bad Request', 'Missing "key" or "token" query parameter.');
+
+    const payload = verifyPlaybackToken(token, { ip: getClientIp(req) });
+    if (!tokenCoversKey(payload, key)) {
+      throw new HttpError(403, 'Forbidden', 'This playback token does not cover the requested file.');
+    }
+
+    const storage = getStorage();
+    const object = await storage.head(key);
+    if (!object) throw new HttpError(404, 'Not Found', 'File does not exist.');
+
+    const maxAge = Math.max(payload.exp - Math.floor(Date.now() / 1000), 0);
+
+    // Playlists are small: read, rewrite and send whole.
+    if (key.endsWith('.m3u8')) {
+      const { body } = await storage.get(key);
+      const chunks = [];
+      for await (const chunk of body) chunks.push(chunk);
+      const playlist = rewritePlaylist(Buffer.concat(chunks).toString('utf8'), key, payload, token, storage);
+
+      res.setHeader('Content-Type', PLAYLIST_CONTENT_TYPE);
+      res.setHeader('Cache-Control', 'private, no-store');
+      return req.method === 'HEAD' ? res.status(200).end() : res.status(200).send(playlist);
+    }
+
+    const range = parseRange(req.headers.range, object.size);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Content-Type', object.contentType);
+    res.setHeader('Cache-Control', `private, max-age=${maxAge}`);
+
+    if (range === false) {
+      res.setHeader('Content-Range', `bytes */${object.size}`);
+      return res.status(416).end();
+    }
+
+    if (range) {
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${object.size}`);
+      res.setHeader('Content-Length', range.end - range.start + 1);
+      res.status(206);
+    } else {
+      res.setHeader('Content-Length', object.size);
+      res.status(200);
+    }
+    if (req.method === 'HEAD') return res.end();
+
+    const { body } = await storage.get(key, { range: range || undefined });
+    res.on('close', () => body.destroy()); // Players abort requests constantly while seeking
+    body.pipe(res);
+  } catch (error) {
+    sendError(res, error, 'media API');
+  }
+}
@@ -0,0 +1,11 @@
+// --- Subscription Plans ---
+// GET /api/plans  ->  { plans: [...] }
+import { PLANS } from './_lib/plans.js';
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts GET requests.' });
+  }
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  res.status(200).json({ plans: Object.values(PLANS) });
+}
@@ -0,0 +1,85 @@
+// --- Playback Sources ---
+// GET /api/playback?videoId=...&token=  ->  { videoUrl, playbackManifestUrl, token, expiresAt }
+// Returns /api/media URLs signed with a short-lived playback token (see _lib/playbackTokens.js).
+// The player calls this again before `expiresAt`, passing its current `token` so the session keeps
+// its start time, and swaps the new token into its requests.
+// Premium titles require an active premium entitlement; otherwise 402 with `upgradeRequired`.
+// Unpublished titles are only played for content managers.
+import path from 'path';
+import { databases, APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID } from './_lib/appwrite.js';
+import { getRequestUser, isAdmin } from './_lib/auth.js';
+import { HttpError, sendError, getClientIp } from './_lib/http.js';
+import { getEntitlement, hasPremiumAccess } from './_lib/entitlements.js';
+import { getVideoSources } from './_lib/sources.js';
+import { isPublished } from './_lib/publishing.js';
+import { getStorage } from './_lib/storage/index.js';
+import { createPlaybackToken, verifyPlaybackToken, mediaUrl } from './_lib/playbackTokens.js';
+
+// Start time of the session a refreshed token continues; null (a new session) when the old token
+// is invalid, expired or for another title.
+function sessionStart(token, videoId, ip) {
+  try {
+    const payload = verifyPlaybackToken(token, { ip });
+    return payload.videoId === videoId ? payload.started || null : null;
+  } catch {
+    return null;
+  }
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts GET requests.' });
+  }
+
+  try {
+    const { videoId, token: currentToken } = req.query;
+    if (!videoId) throw new HttpError(400, 'Bad Request', 'videoId is required.');
+
+    const video = await databases.getDocument(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, videoId).catch((error) => {
+      if (error.code === 404) throw new HttpError(404, 'Not Found', 'Video does not exist.');
+      throw error;
+    });
+
+    const user = await getRequestUser(req);
+    // Drafts and scheduled titles can only be previewed by content managers
+    if (!isPublished(video) && !(user && (await isAdmin(user)))) {
+      throw new HttpError(404, 'Not Found', 'Video does not exist.');
+    }
+    if (video.isPremium) {
+      const entitled = user && hasPremiumAccess(await getEntitlement(user.$id));
+      if (!entitled) {
+        return res.status(402).json({
+          error: 'Payment Required',
+          message: user ? 'This title needs a premium subscription.' : 'Log in with a premium subscription to watch this title.',
+          upgradeRequired: true,
+          loggedIn: Boolean(user),
+        });
+      }
+    }
+
+    const storage = getStorage();
+    const sources = await getVideoSources(video);
+    const file = sources.videoUrl ? storage.toKey(sources.videoUrl) : null;
+    const manifest = sources.playbackManifestUrl ? storage.toKey(sources.playbackManifestUrl) : null;
+
+    const ip = getClientIp(req);
+    const { token, expiresAt } = createPlaybackToken({
+      videoId: video.$id,
+      userId: user?.$id,
+      ip,
+      file,
+      prefix: manifest ? `${path.posix.dirname(manifest)}/` : null,
+      started: currentToken ? sessionStart(currentToken, video.$id, ip) : null,
+    });
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.status(200).json({
+      videoUrl: file ? mediaUrl(file, token) : null,
+      playbackManifestUrl: manifest ? mediaUrl(manifest, token) : null,
+      token,
+      expiresAt,
+    });
+  } catch (error) {
+    sendError(res, error, 'playback API');
+  }
+}
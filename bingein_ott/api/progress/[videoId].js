@@ -0,0 +1,35 @@
+// --- Watch Progress for One Title ---
+//   GET    /api/progress/:videoId                       -> { progress }  (null: start from the beginning)
+//   PUT    /api/progress/:videoId  { position, duration }  -> { progress }  (player heartbeat)
+//   DELETE /api/progress/:videoId                       -> 204; removes it from Continue Watching
+import { getProgress, saveProgress, clearProgress } from '../_lib/progress.js';
+import { sendError } from '../_lib/http.js';
+import { requireUser } from '../_lib/auth.js';
+
+export default async function handler(req, res) {
+  const { videoId } = req.query;
+
+  try {
+    const user = await requireUser(req);
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    switch (req.method) {
+      case 'GET':
+        return res.status(200).json({ progress: await getProgress(user.$id, videoId) });
+
+      case 'PUT': {
+        const { position, duration } = req.body || {};
+        return res.status(200).json({ progress: await saveProgress(user.$id, videoId, { position, duration }) });
+      }
+
+      case 'DELETE':
+        await clearProgress(user.$id, videoId);
+        return res.status(204).end();
+
+      default:
+        return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts GET, PUT and DELETE requests.' });
+    }
+  } catch (error) {
+    sendError(res, error, 'progress API');
+  }
+}
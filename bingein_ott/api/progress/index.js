@@ -0,0 +1,20 @@
+// --- Continue Watching ---
+// GET /api/progress  ->  { items: [{ videoId, position, duration, completed, updatedAt, video }] }
+// The logged-in user's unfinished titles, most recently watched first.
+import { listContinueWatching } from '../_lib/progress.js';
+import { sendError } from '../_lib/http.js';
+import { requireUser } from '../_lib/auth.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts GET requests.' });
+  }
+
+  try {
+    const user = await requireUser(req);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.status(200).json({ items: await listContinueWatching(user.$id) });
+  } catch (error) {
+    sendError(res, error, 'progress API');
+  }
+}
@@ -0,0 +1,30 @@
+// --- More Like This ---
+// GET /api/recommendations/:videoId?limit=&locale=  ->  { videoId, results: [video] }
+// Titles related to one title by genre, tags, co-viewing and popularity (see _lib/recommendations),
+// in the viewer's language (`locale`, else Accept-Language).
+import { recommendRelated } from '../_lib/recommendations/index.js';
+import { HttpError, sendError } from '../_lib/http.js';
+import { requestLocales } from '../_lib/localization.js';
+
+const MAX_LIMIT = 24;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts GET requests.' });
+  }
+
+  try {
+    const { videoId } = req.query;
+    const limit = req.query.limit === undefined ? 12 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new HttpError(400, 'Bad Request', '"limit" must be a positive integer.');
+    }
+
+    const results = await recommendRelated(videoId, { limit: Math.min(limit, MAX_LIMIT), locales: requestLocales(req) });
+    res.setHeader('Cache-Control', 'public, s-maxage=300');
+    res.setHeader('Vary', 'Accept-Language');
+    res.status(200).json({ videoId, results });
+  } catch (error) {
+    sendError(res, error, 'recommendations API');
+  }
+}
@@ -0,0 +1,30 @@
+// --- Recommended for You ---
+// GET /api/recommendations?limit=&locale=  ->  { results: [video] }
+// Personalized from the logged-in viewer's watch progress, My List and ratings; titles already in
+// that history are left out. Without any history the most popular titles are returned. Titles are
+// in the viewer's language (`locale`, else Accept-Language).
+import { recommendForUser } from '../_lib/recommendations/index.js';
+import { HttpError, sendError } from '../_lib/http.js';
+import { requireUser } from '../_lib/auth.js';
+import { requestLocales } from '../_lib/localization.js';
+
+const MAX_LIMIT = 24;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts GET requests.' });
+  }
+
+  try {
+    const user = await requireUser(req);
+    const limit = req.query.limit === undefined ? 12 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new HttpError(400, 'Bad Request', '"limit" must be a positive integer.');
+    }
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.status(200).json({ results: await recommendForUser(user.$id, { limit: Math.min(limit, MAX_LIMIT), locales: requestLocales(req) }) });
+  } catch (error) {
+    sendError(res, error, 'recommendations API');
+  }
+}
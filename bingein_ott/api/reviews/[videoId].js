@@ -0,0 +1,38 @@
+// --- Reviews of One Title ---
+//   GET    /api/reviews/:videoId?cursor=          -> { summary: { average, count }, reviews, own, nextCursor }
+//   PUT    /api/reviews/:videoId  { rating, body? }  -> { review, summary }  (creates or replaces your review)
+//   DELETE /api/reviews/:videoId                  -> { summary }
+// Reading is public; `own` is the logged-in viewer's review, if any. Writing requires a login.
+import { listReviews, saveReview, deleteReview } from '../_lib/reviews.js';
+import { sendError } from '../_lib/http.js';
+import { getRequestUser, requireUser } from '../_lib/auth.js';
+
+export default async function handler(req, res) {
+  const { videoId } = req.query;
+
+  try {
+    switch (req.method) {
+      case 'GET': {
+        const user = await getRequestUser(req);
+        res.setHeader('Cache-Control', user ? 'private, no-store' : 'public, s-maxage=30');
+        return res.status(200).json(await listReviews(videoId, { userId: user?.$id, cursor: req.query.cursor || null }));
+      }
+
+      case 'PUT': {
+        const user = await requireUser(req);
+        const { rating, body } = req.body || {};
+        return res.status(200).json(await saveReview(user, videoId, { rating, body }));
+      }
+
+      case 'DELETE': {
+        const user = await requireUser(req);
+        return res.status(200).json({ summary: await deleteReview(user.$id, videoId) });
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts GET, PUT and DELETE requests.' });
+    }
+  } catch (error) {
+    sendError(res, error, 'reviews API');
+  }
+}
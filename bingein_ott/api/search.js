@@ -0,0 +1,51 @@
+// --- Catalog Search ---
+// GET /api/search?q=...&genre=&premium=true|false&minDuration=&maxDuration=&limit=&offset=&locale=
+//   ->  { query, total, limit, offset, results: [{ ...video fields, highlights: { title, description } }] }
+// `genre` is a genre slug; durations are in seconds. Highlights are [{ text, match }] segments (see _lib/search/text.js).
+// Results are in the viewer's language: `locale`, else Accept-Language (see _lib/localization.js).
+import { searchVideos } from './_lib/search/index.js';
+import { HttpError, sendError } from './_lib/http.js';
+import { requestLocales } from './_lib/localization.js';
+
+const MAX_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+
+function parseNumber(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new HttpError(400, 'Bad Request', `"${name}" must be a non-negative number.`);
+  }
+  return number;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts GET requests.' });
+  }
+
+  try {
+    const query = String(req.query.q || '').trim().slice(0, MAX_QUERY_LENGTH);
+    const { genre, premium } = req.query;
+    if (premium !== undefined && premium !== 'true' && premium !== 'false') {
+      throw new HttpError(400, 'Bad Request', '"premium" must be "true" or "false".');
+    }
+
+    const filters = {
+      genre: genre || undefined,
+      isPremium: premium === undefined ? undefined : premium === 'true',
+      minDuration: parseNumber(req.query.minDuration, 'minDuration'),
+      maxDuration: parseNumber(req.query.maxDuration, 'maxDuration'),
+    };
+    const limit = Math.min(parseNumber(req.query.limit, 'limit') ?? 20, MAX_LIMIT);
+    const offset = parseNumber(req.query.offset, 'offset') ?? 0;
+
+    const { total, results } = await searchVideos(query, filters, { limit, offset, locales: requestLocales(req) });
+
+    res.setHeader('Cache-Control', 'public, s-maxage=30');
+    res.setHeader('Vary', 'Accept-Language');
+    res.status(200).json({ query, total, limit, offset, results });
+  } catch (error) {
+    sendError(res, error, 'search API');
+  }
+}
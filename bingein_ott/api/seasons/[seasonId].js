@@ -0,0 +1,30 @@
+// --- Single Season ---   (content managers only)
+//   PATCH  /api/seasons/:seasonId  { number?, title? }  -> { season }
+//   DELETE /api/seasons/:seasonId                       -> 204; 409 while it still has episodes
+import { updateSeason, deleteSeason } from '../_lib/series.js';
+import { sendError } from '../_lib/http.js';
+import { requireAdmin } from '../_lib/auth.js';
+
+export default async function handler(req, res) {
+  const { seasonId } = req.query;
+
+  try {
+    switch (req.method) {
+      case 'PATCH': {
+        await requireAdmin(req);
+        return res.status(200).json({ season: await updateSeason(seasonId, req.body || {}) });
+      }
+
+      case 'DELETE': {
+        await requireAdmin(req);
+        await deleteSeason(seasonId);
+        return res.status(204).end();
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts PATCH and DELETE requests.' });
+    }
+  } catch (error) {
+    sendError(res, error, 'seasons API');
+  }
+}
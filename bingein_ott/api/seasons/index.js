@@ -0,0 +1,19 @@
+// --- Seasons ---   (content managers only)
+//   POST /api/seasons  { seriesId, number, title? }  -> { season }; 409 if the series already has that number
+// Seasons are read as part of their series (see api/series).
+import { createSeason } from '../_lib/series.js';
+import { sendError } from '../_lib/http.js';
+import { requireAdmin } from '../_lib/auth.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts POST requests.' });
+  }
+
+  try {
+    const { teamId } = await requireAdmin(req);
+    return res.status(201).json({ season: await createSeason(req.body || {}, teamId) });
+  } catch (error) {
+    sendError(res, error, 'seasons API');
+  }
+}
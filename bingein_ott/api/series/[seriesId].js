@@ -0,0 +1,39 @@
+// --- Single Series ---
+//   GET    /api/series/:seriesId?locale=                   -> { series: { id, title, description, seasons: [{ id, number, title, episodes }] } }
+//   PATCH  /api/series/:seriesId  { title?, description? }  -> { series }   (content managers only)
+//   DELETE /api/series/:seriesId                           -> 204; 409 while it still has episodes
+// Only published episodes are listed, in the viewer's language (`locale`, else Accept-Language).
+import { getSeries, updateSeries, deleteSeries } from '../_lib/series.js';
+import { sendError } from '../_lib/http.js';
+import { requireAdmin } from '../_lib/auth.js';
+import { requestLocales } from '../_lib/localization.js';
+
+export default async function handler(req, res) {
+  const { seriesId } = req.query;
+
+  try {
+    switch (req.method) {
+      case 'GET': {
+        res.setHeader('Cache-Control', 'public, s-maxage=60');
+        res.setHeader('Vary', 'Accept-Language');
+        return res.status(200).json({ series: await getSeries(seriesId, requestLocales(req)) });
+      }
+
+      case 'PATCH': {
+        await requireAdmin(req);
+        return res.status(200).json({ series: await updateSeries(seriesId, req.body || {}) });
+      }
+
+      case 'DELETE': {
+        await requireAdmin(req);
+        await deleteSeries(seriesId);
+        return res.status(204).end();
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts GET, PATCH and DELETE requests.' });
+    }
+  } catch (error) {
+    sendError(res, error, 'series API');
+  }
+}
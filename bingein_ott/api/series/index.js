@@ -0,0 +1,27 @@
+// --- Series List ---
+//   GET  /api/series                          -> { series: [{ id, title, description, seasons, episodeCount, thumbnailUrl }] }
+//   POST /api/series  { title, description? }  -> { series }   (content managers only)
+import { listSeries, createSeries } from '../_lib/series.js';
+import { sendError } from '../_lib/http.js';
+import { requireAdmin } from '../_lib/auth.js';
+
+export default async function handler(req, res) {
+  try {
+    switch (req.method) {
+      case 'GET': {
+        res.setHeader('Cache-Control', 'public, s-maxage=60');
+        return res.status(200).json({ series: await listSeries() });
+      }
+
+      case 'POST': {
+        const { teamId } = await requireAdmin(req);
+        return res.status(201).json({ series: await createSeries(req.body || {}, teamId) });
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts GET and POST requests.' });
+    }
+  } catch (error) {
+    sendError(res, error, 'series API');
+  }
+}
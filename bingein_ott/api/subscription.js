@@ -0,0 +1,53 @@
+// --- Current User's Subscription ---
+//   GET    /api/subscription                       -> { entitlement }
+//   POST   /api/subscription  { planId }           -> subscribe / renew through the payment provider
+//   DELETE /api/subscription                       -> cancel (access continues until expiresAt)
+import { requireUser } from './_lib/auth.js';
+import { HttpError, sendError } from './_lib/http.js';
+import { getPlan } from './_lib/plans.js';
+import { getEntitlement, grantPlan, cancelEntitlement, describeEntitlement } from './_lib/entitlements.js';
+import { getPaymentProvider } from './_lib/payments/index.js';
+
+export default async function handler(req, res) {
+  try {
+    const user = await requireUser(req);
+
+    switch (req.method) {
+      case 'GET': {
+        const entitlement = await getEntitlement(user.$id);
+        return res.status(200).json({ entitlement: describeEntitlement(entitlement) });
+      }
+
+      case 'POST': {
+        const plan = getPlan(req.body?.planId);
+        if (!plan || !plan.premium) throw new HttpError(400, 'Bad Request', 'Choose a valid paid plan.');
+
+        const provider = getPaymentProvider();
+        const checkout = await provider.createCheckout({ user, plan });
+        if (checkout.status === 'pending') {
+          // The provider confirms the payment later; the client continues at redirectUrl.
+          return res.status(202).json({ status: 'pending', redirectUrl: checkout.redirectUrl });
+        }
+
+        const entitlement = await grantPlan(user.$id, plan, { provider: provider.name, reference: checkout.reference });
+        console.log(`Plan ${plan.id} granted to ${user.$id} (${entitlement.status} until ${entitlement.expiresAt})`);
+        return res.status(200).json({ status: 'succeeded', entitlement: describeEntitlement(entitlement) });
+      }
+
+      case 'DELETE': {
+        const current = await getEntitlement(user.$id);
+        if (!current || current.status === 'canceled') {
+          throw new HttpError(409, 'Conflict', 'There is no active subscription to cancel.');
+        }
+        await getPaymentProvider().cancelSubscription(current.providerReference);
+        const entitlement = await cancelEntitlement(user.$id);
+        return res.status(200).json({ entitlement: describeEntitlement(entitlement) });
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method Not Allowed', message: 'Use GET, POST or DELETE.' });
+    }
+  } catch (error) {
+    sendError(res, error, 'subscription API');
+  }
+}
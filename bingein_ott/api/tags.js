@@ -0,0 +1,26 @@
+// --- Tag List ---
+// GET /api/tags?prefix=&limit=  ->  { tags: [{ name, count }] }, most used first
+// Feeds the tag autocomplete in the upload form; `count` is the number of titles using the tag.
+import { listTags } from './_lib/tags.js';
+import { HttpError, sendError } from './_lib/http.js';
+
+const MAX_LIMIT = 100;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts GET requests.' });
+  }
+
+  try {
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new HttpError(400, 'Bad Request', '"limit" must be a positive integer.');
+    }
+
+    const tags = await listTags({ prefix: String(req.query.prefix || ''), limit: Math.min(limit, MAX_LIMIT) });
+    res.setHeader('Cache-Control', 'public, s-maxage=60');
+    res.status(200).json({ tags });
+  } catch (error) {
+    sendError(res, error, 'tags API');
+  }
+}
@@ -0,0 +1,37 @@
+// --- Poster Frame Candidates ---
+// POST /api/thumbnail-candidates  { videoUploadId }  ->  { candidates: [{ key, url, time }] }
+// Extracts candidate poster frames from a completed resumable upload so the admin can pick one
+// instead of uploading a thumbnail. The chosen key is sent to /api/upload-video as `thumbnailCandidate`.
+import { getUploadSession } from './_lib/uploads.js';
+import { probeMedia, resolveMediaInput } from './_lib/media.js';
+import { extractPosterCandidates } from './_lib/thumbnails.js';
+import { HttpError, sendError } from './_lib/http.js';
+import { requireAdmin } from './_lib/auth.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method Not Allowed',
+      message: 'This endpoint only accepts POST requests to generate thumbnail candidates.',
+    });
+  }
+
+  try {
+    await requireAdmin(req);
+    const { videoUploadId } = req.body || {};
+    if (!videoUploadId) throw new HttpError(400, 'Bad Request', 'videoUploadId is required.');
+
+    const session = await getUploadSession(videoUploadId);
+    if (session.status !== 'completed') {
+      throw new HttpError(409, 'Conflict', 'The video upload has not been completed yet.');
+    }
+
+    const input = await resolveMediaInput(session.key);
+    const { duration } = await probeMedia(input);
+    const candidates = await extractPosterCandidates(videoUploadId, input, duration);
+
+    res.status(200).json({ candidates });
+  } catch (error) {
+    sendError(res, error, 'thumbnail-candidates API');
+  }
+}
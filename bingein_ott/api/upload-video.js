@@ -1,8 +1,19 @@
 // --- Module Imports (ESM Syntax) ---
-// node-appwrite: Appwrite SDK specifically for Node.js environments
-import { Client, Databases, ID, Permission, Role } from 'node-appwrite'; // <--- Changed import source
-// @vercel/blob: Vercel's SDK for interacting with Blob Storage
-import { put } from '@vercel/blob';
+// Shared server-side Appwrite configuration (logged below)
+import {
+  APPWRITE_ENDPOINT,
+  APPWRITE_PROJECT_ID,
+  APPWRITE_API_KEY,
+  APPWRITE_DATABASE_ID,
+  APPWRITE_COLLECTION_ID,
+} from './_lib/appwrite.js';
+import { HttpError, sendError } from './_lib/http.js';
+// Appwrite JWT verification and content-management team membership
+import { requireAdmin } from './_lib/auth.js';
+// Poster frames offered by /api/thumbnail-candidates for a resumable upload
+import { isPosterCandidate } from './_lib/thumbnails.js';
+// Validation, probing, storage and the document itself, shared with the bulk importer
+import { validateUploadFields, createVideo } from './_lib/ingest.js';
 // formidable: Robust library for parsing multipart/form-data (file uploads)
 import formidable from 'formidable';
 // fs/promises: Node.js File System module (promise-based API for async operations)
@@ -12,22 +23,6 @@ import * as fsSync from 'fs';
 // path: Node.js Path module, used for path manipulation (e.g., getting base directory)
 import path from 'path';
 
-// --- Appwrite Configuration (Environment Variables) ---
-const APPWRITE_PROJECT_ID = process.env.APPWRITE_PROJECT_ID;
-const APPWRITE_API_KEY = process.env.APPWRITE_API_KEY;
-const APPWRITE_DATABASE_ID = process.env.APPWRITE_DATABASE_ID;
-const APPWRITE_COLLECTION_ID = process.env.APPWRITE_COLLECTION_ID;
-const APPWRITE_ENDPOINT = process.env.APPWRITE_ENDPOINT || 'https://cloud.appwrite.io/v1';
-
-// --- Initialize Appwrite Client ---
-const client = new Client();
-client
-    .setEndpoint(APPWRITE_ENDPOINT)
-    .setProject(APPWRITE_PROJECT_ID)
-    .setKey(APPWRITE_API_KEY); // This line is crucial for authentication
-
-const databases = new Databases(client);
-
 // --- Vercel API Route Configuration ---
 export const config = {
   api: {
@@ -49,93 +44,126 @@ export default async function handler(req, res) {
   console.log('APPWRITE_API_KEY (first 5 chars):', APPWRITE_API_KEY ? APPWRITE_API_KEY.substring(0, 5) + '...' : 'undefined/empty');
   console.log('APPWRITE_DATABASE_ID:', APPWRITE_DATABASE_ID);
   console.log('APPWRITE_COLLECTION_ID:', APPWRITE_COLLECTION_ID);
+  console.log('STORAGE_BACKEND:', process.env.STORAGE_BACKEND || 'vercel-blob');
   console.log('----------------------------------------------------');
 
+  // formidable's temporary copies of the uploaded files, deleted however the request ends
+  let tempFiles = [];
   try {
+    // --- Authenticate Before Accepting Any Upload ---
+    // The team granted update/delete rights comes from the verified user's memberships, never the request.
+    const { user, teamId } = await requireAdmin(req);
+    console.log('DEBUG: Upload authorised for user', user.$id);
+
     const { fields, files } = await parseForm(req);
     console.log('DEBUG: Formidable parsing complete. Fields:', Object.keys(fields), 'Files:', Object.keys(files));
 
     // --- Extract and Validate Form Fields ---
     const title = Array.isArray(fields.title) ? fields.title[0] : fields.title;
     const description = Array.isArray(fields.description) ? fields.description[0] : fields.description;
-    const duration = parseInt(Array.isArray(fields.duration) ? fields.duration[0] : fields.duration, 10);
+    // Optional manual override; when absent the probed duration is used.
+    const rawDuration = Array.isArray(fields.duration) ? fields.duration[0] : fields.duration;
+    const durationOverride = rawDuration ? parseInt(rawDuration, 10) : null;
     const isPremium = Array.isArray(fields.isPremium) ? fields.isPremium[0] === 'true' : fields.isPremium === 'true';
-    const genre = Array.isArray(fields.genre) ? fields.genre[0] : fields.genre || '';
-    const tags = Array.isArray(fields.tags) ? fields.tags[0] : fields.tags || '';
-    
-    // --- TEMPORARY: Extract Appwrite Team ID for Testing ---
-    const teamId = Array.isArray(fields.teamId) ? fields.teamId[0] : fields.teamId;
+    // Genre slugs from the managed list; the field is repeated once per genre
+    const genreSlugs = [].concat(fields.genres || []);
+    // Repeated once per tag (a comma-separated value is accepted too); stored normalized
+    const rawTags = fields.tags || [];
+    // Publication: 'draft', 'scheduled' (with a local publishAt and its time zone) or 'published' (default)
+    const status = (Array.isArray(fields.status) ? fields.status[0] : fields.status) || 'published';
+    const publishAt = Array.isArray(fields.publishAt) ? fields.publishAt[0] : fields.publishAt;
+    const publishTimezone = Array.isArray(fields.publishTimezone) ? fields.publishTimezone[0] : fields.publishTimezone;
+    // Optional: the season this title is an episode of, and its number within that season
+    const seasonId = Array.isArray(fields.seasonId) ? fields.seasonId[0] : fields.seasonId;
+    const rawEpisodeNumber = Array.isArray(fields.episodeNumber) ? fields.episodeNumber[0] : fields.episodeNumber;
+    // Optional: a JSON array of translations, [{ locale, title, description, tags }]
+    const rawLocalizations = Array.isArray(fields.localizations) ? fields.localizations[0] : fields.localizations;
+
+    // The video arrives either as a finished resumable upload session or, for small files, inline.
+    const videoUploadId = Array.isArray(fields.videoUploadId) ? fields.videoUploadId[0] : fields.videoUploadId;
 
     const videoFile = files.videoFile && (Array.isArray(files.videoFile) ? files.videoFile[0] : files.videoFile);
     const thumbnailFile = files.thumbnailFile && (Array.isArray(files.thumbnailFile) ? files.thumbnailFile[0] : files.thumbnailFile);
-
-    if (!title || !description || isNaN(duration) || !videoFile || !thumbnailFile || !teamId) {
-      if (videoFile?.filepath) await fs.unlink(videoFile.filepath).catch(err => console.warn('Cleanup failed:', err));
-      if (thumbnailFile?.filepath) await fs.unlink(thumbnailFile.filepath).catch(err => console.warn('Cleanup failed:', err));
+    // Subtitle files, each with the language, label and kind at the same position in the repeated fields
+    const subtitleFiles = [].concat(files.subtitleFiles || []);
+    const subtitleLanguages = [].concat(fields.subtitleLanguages || []);
+    const subtitleLabels = [].concat(fields.subtitleLabels || []);
+    const subtitleKinds = [].concat(fields.subtitleKinds || []);
+    // Key of a poster frame chosen from /api/thumbnail-candidates (only used when no thumbnail is uploaded)
+    const thumbnailCandidate = Array.isArray(fields.thumbnailCandidate) ? fields.thumbnailCandidate[0] : fields.thumbnailCandidate;
+    tempFiles = [videoFile, thumbnailFile, ...subtitleFiles];
+
+    if (!title || !description || !(videoFile || videoUploadId) ||
+        (durationOverride !== null && !(durationOverride > 0)) ||
+        (thumbnailCandidate && !(videoUploadId && isPosterCandidate(videoUploadId, thumbnailCandidate)))) {
       return res.status(400).json({ error: 'Bad Request', message: 'Missing required fields or invalid data.' });
     }
 
-    // --- Upload Files to Vercel Blob Storage ---
-    const videoFileBuffer = await fs.readFile(videoFile.filepath);
-    const videoBlob = await put(videoFile.originalFilename || path.basename(videoFile.filepath), videoFileBuffer, { access: 'public', contentType: videoFile.mimetype });
-    
-    const thumbnailFileBuffer = await fs.readFile(thumbnailFile.filepath);
-    const thumbnailBlob = await put(thumbnailFile.originalFilename || path.basename(thumbnailFile.filepath), thumbnailFileBuffer, { access: 'public', contentType: thumbnailFile.mimetype });
-
-    // --- Clean Up Temporary Files ---
-    try {
-        await fs.unlink(videoFile.filepath);
-        await fs.unlink(thumbnailFile.filepath);
-    } catch (cleanUpError) {
-        console.warn('WARNING: Failed to delete temporary files:', cleanUpError);
-    }
-
-    // --- Insert Video Metadata into Appwrite Database with Permissions ---
-    const videoData = {
+    const validated = await validateUploadFields({
       title,
       description,
-      duration,
+      duration: durationOverride,
       isPremium,
-      genre,
-      tags,
-      thumbnailUrl: thumbnailBlob.url,
-      videoUrl: videoBlob.url,
-      viewsCount: 0,
-      uploadDate: new Date().toISOString(),
-    };
-
-    const permissions = [
-      // Grant read access to "any" role (all users, logged in or not).
-      Permission.read(Role.any()),
-      // Grant update and delete access to the content-management team
-      Permission.update(Role.team(teamId)),
-      Permission.delete(Role.team(teamId))
-    ];
-    
-    const newVideoDocument = await databases.createDocument(
-      APPWRITE_DATABASE_ID,
-      APPWRITE_COLLECTION_ID,
-      ID.unique(),
-      videoData,
-      permissions
-    );
-    console.log('Video metadata saved to Appwrite:', newVideoDocument.$id);
+      genres: genreSlugs,
+      tags: rawTags,
+      status,
+      publishAt,
+      publishTimezone,
+      seasonId,
+      episodeNumber: rawEpisodeNumber ? Number(rawEpisodeNumber) : null,
+      localizations: parseJsonField(rawLocalizations, 'localizations'),
+      subtitles: await Promise.all(subtitleFiles.map(async (file, index) => ({
+        fileName: file.originalFilename || path.basename(file.filepath),
+        buffer: await fs.readFile(file.filepath),
+        language: subtitleLanguages[index],
+        label: subtitleLabels[index],
+        kind: subtitleKinds[index],
+      }))),
+    });
+
+    const { video, thumbnailUrl } = await createVideo(validated, {
+      videoFile,
+      videoUploadId,
+      thumbnailFile,
+      thumbnailCandidate,
+      teamId,
+    });
 
     // --- Send Success Response ---
     res.status(200).json({
       message: 'Video uploaded and metadata saved successfully!',
-      video: newVideoDocument,
-      videoBlobUrl: videoBlob.url,
-      thumbnailBlobUrl: thumbnailBlob.url,
+      video,
+      // The original is private: it is only ever played through /api/playback
+      thumbnailBlobUrl: thumbnailUrl,
     });
 
   } catch (error) {
+    if (error instanceof HttpError) return sendError(res, error, 'upload-video API');
     console.error('Error in upload-video API:', error);
     res.status(500).json({
       error: 'Internal Server Error',
       message: 'Failed to process video upload and save metadata. Please check server logs for details and try again.',
       details: error.message,
     });
+  } finally {
+    await removeTempFiles(...tempFiles);
+  }
+}
+
+// Helper function to delete formidable's temporary files; failures are only logged
+async function removeTempFiles(...files) {
+  for (const file of files) {
+    if (file?.filepath) await fs.unlink(file.filepath).catch(err => console.warn('WARNING: Failed to delete temporary file:', err));
+  }
+}
+
+// Helper function to read a JSON-encoded form field; an absent field is an empty array
+function parseJsonField(value, name) {
+  if (!value) return [];
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new HttpError(400, 'Bad Request', `"${name}" must be valid JSON.`);
   }
 }
 
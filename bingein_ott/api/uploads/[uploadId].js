@@ -0,0 +1,75 @@
+// --- Resumable Upload: Session Operations ---
+//   HEAD   /api/uploads/:uploadId  -> current offset in the Upload-Offset header
+//   PATCH  /api/uploads/:uploadId  -> append a raw chunk (headers: Upload-Offset, Content-Length)
+//   POST   /api/uploads/:uploadId  -> complete the upload (status 'completed')
+//   DELETE /api/uploads/:uploadId  -> abort and discard received chunks
+import { getUploadSession, appendChunk, completeUploadSession, abortUploadSession } from '../_lib/uploads.js';
+import { sendError } from '../_lib/http.js';
+import { requireAdmin } from '../_lib/auth.js';
+
+// Chunks arrive as raw bytes and are streamed straight to storage.
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+export default async function handler(req, res) {
+  const { uploadId } = req.query;
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    await requireAdmin(req);
+
+    switch (req.method) {
+      case 'HEAD':
+      case 'GET': {
+        const session = await getUploadSession(uploadId);
+        res.setHeader('Upload-Offset', String(session.offset));
+        res.setHeader('Upload-Length', String(session.size));
+        if (req.method === 'HEAD') return res.status(200).end();
+        return res.status(200).json(toResponse(session));
+      }
+
+      case 'PATCH': {
+        const session = await appendChunk(uploadId, {
+          offset: Number(req.headers['upload-offset']),
+          contentLength: Number(req.headers['content-length']),
+          body: req,
+        });
+        res.setHeader('Upload-Offset', String(session.offset));
+        return res.status(200).json(toResponse(session));
+      }
+
+      case 'POST': {
+        const session = await completeUploadSession(uploadId);
+        console.log('Upload session completed:', uploadId, session.key);
+        return res.status(200).json(toResponse(session));
+      }
+
+      case 'DELETE': {
+        await abortUploadSession(uploadId);
+        return res.status(204).end();
+      }
+
+      default:
+        return res.status(405).json({
+          error: 'Method Not Allowed',
+          message: 'Use HEAD, PATCH, POST or DELETE on an upload session.',
+        });
+    }
+  } catch (error) {
+    // HEAD responses cannot carry a body; the status code alone tells the client what happened.
+    if (req.method === 'HEAD' && error.status) return res.status(error.status).end();
+    sendError(res, error, 'uploads API');
+  }
+}
+
+function toResponse(session) {
+  return {
+    uploadId: session.$id,
+    status: session.status,
+    offset: session.offset,
+    size: session.size,
+  };
+}
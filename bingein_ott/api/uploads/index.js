@@ -0,0 +1,37 @@
+// --- Resumable Upload: Create Session ---
+// POST /api/uploads  { fileName, contentType, size }  ->  201 { uploadId, offset, chunkSize, ... }
+// See api/_lib/uploads.js for the full protocol.
+import { createUploadSession, MAX_CHUNK_SIZE } from '../_lib/uploads.js';
+import { sendError } from '../_lib/http.js';
+import { requireAdmin } from '../_lib/auth.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method Not Allowed',
+      message: 'This endpoint only accepts POST requests to start an upload.',
+    });
+  }
+
+  try {
+    await requireAdmin(req);
+    const { fileName, contentType, size } = req.body || {};
+    // Images are replacement thumbnails from the content library (see api/videos/[videoId].js)
+    const folder = String(contentType || '').startsWith('image/') ? 'thumbnails' : 'videos';
+    const session = await createUploadSession({ fileName, contentType, size: Number(size), folder });
+    console.log('Upload session created:', session.$id, fileName, size);
+
+    res.setHeader('Location', `/api/uploads/${session.$id}`);
+    res.setHeader('Upload-Offset', '0');
+    res.setHeader('Upload-Length', String(session.size));
+    res.status(201).json({
+      uploadId: session.$id,
+      offset: session.offset,
+      size: session.size,
+      chunkSize: MAX_CHUNK_SIZE,
+      expiresAt: session.expiresAt,
+    });
+  } catch (error) {
+    sendError(res, error, 'uploads API (create)');
+  }
+}
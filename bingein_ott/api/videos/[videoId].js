@@ -0,0 +1,42 @@
+// --- Content Library: Single Title ---   (content managers only)
+//   GET    /api/videos/:videoId  ->  { video }
+//   PATCH  /api/videos/:videoId  { title?, description?, duration?, isPremium?, genres?, tags?,
+//                                  seasonId?, episodeNumber?, subtitles?, localizations?, thumbnailUploadId?, videoUploadId? }  ->  { video }
+//   DELETE /api/videos/:videoId  ->  204, after every stored file of the title is removed
+// Replacement files are uploaded first through /api/uploads; see _lib/library.js.
+import { getVideo, updateVideo, deleteVideo } from '../_lib/library.js';
+import { sendError } from '../_lib/http.js';
+import { requireAdmin } from '../_lib/auth.js';
+
+export default async function handler(req, res) {
+  const { videoId } = req.query;
+
+  try {
+    switch (req.method) {
+      case 'GET': {
+        await requireAdmin(req);
+        res.setHeader('Cache-Control', 'private, no-store');
+        return res.status(200).json({ video: await getVideo(videoId) });
+      }
+
+      case 'PATCH': {
+        const { user } = await requireAdmin(req);
+        const video = await updateVideo(videoId, req.body || {});
+        console.log(`Video ${videoId} updated by ${user.$id}`);
+        return res.status(200).json({ video });
+      }
+
+      case 'DELETE': {
+        const { user } = await requireAdmin(req);
+        await deleteVideo(videoId);
+        console.log(`Video ${videoId} deleted by ${user.$id}`);
+        return res.status(204).end();
+      }
+
+      default:
+        return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts GET, PATCH and DELETE requests.' });
+    }
+  } catch (error) {
+    sendError(res, error, 'videos API');
+  }
+}
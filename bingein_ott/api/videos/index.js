@@ -0,0 +1,21 @@
+// --- Content Library: List ---
+// GET /api/videos  ->  { videos: [video] }   (content managers only)
+// Every title's full document, newest first, for the admin library table. Sorting and filtering
+// happen in the browser.
+import { listLibrary } from '../_lib/library.js';
+import { sendError } from '../_lib/http.js';
+import { requireAdmin } from '../_lib/auth.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts GET requests.' });
+  }
+
+  try {
+    await requireAdmin(req);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.status(200).json({ videos: await listLibrary() });
+  } catch (error) {
+    sendError(res, error, 'videos API');
+  }
+}
@@ -0,0 +1,45 @@
+// --- View Counter ---
+// POST /api/views  { videoId, token }  ->  { counted, viewsCount? }
+// Called by the player once the viewer has watched enough of a title (see _lib/views.js). `token` is
+// the playback token from /api/playback, so only real playback sessions can count, and the session
+// must have lasted the view threshold: the player's own count of seconds watched is not trusted.
+// Repeat views inside the dedup window and requests from bots answer { counted: false }.
+import { databases, APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID } from './_lib/appwrite.js';
+import { HttpError, sendError, getClientIp } from './_lib/http.js';
+import { verifyPlaybackToken } from './_lib/playbackTokens.js';
+import { isBot, recordView, watchedLongEnough } from './_lib/views.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts POST requests.' });
+  }
+
+  try {
+    const { videoId, token } = req.body || {};
+    if (!videoId || !token) {
+      throw new HttpError(400, 'Bad Request', 'videoId and token are required.');
+    }
+
+    const ip = getClientIp(req);
+    const payload = verifyPlaybackToken(token, { ip });
+    if (payload.videoId !== videoId) {
+      throw new HttpError(403, 'Forbidden', 'The playback token was issued for another title.');
+    }
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    const userAgent = String(req.headers['user-agent'] || '');
+    if (isBot(userAgent)) return res.status(200).json({ counted: false });
+
+    const video = await databases.getDocument(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, videoId).catch((error) => {
+      if (error.code === 404) throw new HttpError(404, 'Not Found', 'Video does not exist.');
+      throw error;
+    });
+    if (!watchedLongEnough(payload.started, video.duration)) {
+      throw new HttpError(400, 'Bad Request', 'Not enough of the title has been watched to count a view.');
+    }
+
+    res.status(200).json(await recordView(videoId, { userId: payload.userId, ip, userAgent }));
+  } catch (error) {
+    sendError(res, error, 'views API');
+  }
+}
@@ -0,0 +1,19 @@
+// --- My List Entry ---
+// DELETE /api/watchlist/:videoId  ->  204 (also when the title wasn't on the list)
+import { removeFromWatchlist } from '../_lib/watchlist.js';
+import { sendError } from '../_lib/http.js';
+import { requireUser } from '../_lib/auth.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts DELETE requests.' });
+  }
+
+  try {
+    const user = await requireUser(req);
+    await removeFromWatchlist(user.$id, req.query.videoId);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'watchlist API');
+  }
+}
@@ -0,0 +1,30 @@
+// --- My List ---
+//   GET  /api/watchlist                       -> { videoIds }  (in list order)
+//   POST /api/watchlist  { videoIds: [...] }  -> { videoIds }  adds to the top; merges a signed-out list on login
+//   PUT  /api/watchlist  { videoIds: [...] }  -> { videoIds }  reorders; must hold exactly the current titles
+import { getWatchlist, addToWatchlist, reorderWatchlist } from '../_lib/watchlist.js';
+import { sendError } from '../_lib/http.js';
+import { requireUser } from '../_lib/auth.js';
+
+export default async function handler(req, res) {
+  try {
+    const user = await requireUser(req);
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    switch (req.method) {
+      case 'GET':
+        return res.status(200).json({ videoIds: await getWatchlist(user.$id) });
+
+      case 'POST':
+        return res.status(200).json({ videoIds: await addToWatchlist(user.$id, req.body?.videoIds) });
+
+      case 'PUT':
+        return res.status(200).json({ videoIds: await reorderWatchlist(user.$id, req.body?.videoIds) });
+
+      default:
+        return res.status(405).json({ error: 'Method Not Allowed', message: 'This endpoint only accepts GET, POST and PUT requests.' });
+    }
+  } catch (error) {
+    sendError(res, error, 'watchlist API');
+  }
+}
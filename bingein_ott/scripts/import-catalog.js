@@ -0,0 +1,163 @@
+// --- Bulk Catalog Import ---
+// Creates a title for every row of a CSV or JSON manifest (see api/_lib/manifest.js for its
+// columns), through the same validation, probing, storage and document creation as
+// /api/upload-video (api/_lib/ingest.js). File paths are relative to the manifest's folder.
+//
+// Every row is checked first, including its files, and nothing is imported while any row has a
+// problem. Each imported or failed row is then appended to a result log (JSON Lines); running the
+// import again skips the rows the log records as imported and retries the rest.
+//
+// Usage:
+//   npm run import:catalog -- library.csv                  # check every row, then import
+//   npm run import:catalog -- library.csv --dry-run        # only check and report
+//   npm run import:catalog -- library.csv --log run.jsonl  # log somewhere other than library.csv.results.jsonl
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { HttpError } from '../api/_lib/http.js';
+import { APPWRITE_ADMIN_TEAM_ID } from '../api/_lib/auth.js';
+import { probeMedia, assertContainerMatches } from '../api/_lib/media.js';
+import { parseManifest, uploadFields, mimetypeFor } from '../api/_lib/manifest.js';
+import { validateUploadFields, createVideo } from '../api/_lib/ingest.js';
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: { 'dry-run': { type: 'boolean' }, log: { type: 'string' } },
+});
+const [manifestPath] = positionals;
+const dryRun = Boolean(options['dry-run']);
+const logPath = options.log || `${manifestPath}.results.jsonl`;
+
+const rowName = (row) => `Row ${row.row} [${row.id}]`;
+
+// A local file in the shape createVideo takes; `kind` is "video/" or "image/"
+async function localFile(filePath, kind) {
+  const stat = await fs.stat(filePath).catch(() => null);
+  if (!stat?.isFile()) throw new HttpError(400, 'Bad Request', `${filePath} does not exist.`);
+  const mimetype = mimetypeFor(filePath);
+  if (!mimetype?.startsWith(kind)) {
+    throw new HttpError(400, 'Bad Request', `${path.basename(filePath)} is not a supported ${kind === 'video/' ? 'video' : 'image'} file.`);
+  }
+  return { filepath: filePath, originalFilename: path.basename(filePath), mimetype };
+}
+
+async function readSubtitle(filePath) {
+  try {
+    return await fs.readFile(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') throw new HttpError(400, 'Bad Request', `${filePath} does not exist.`);
+    throw error;
+  }
+}
+
+// Everything /api/upload-video would check, plus probing the video now so an unreadable file
+// fails the check rather than the import.
+async function checkRow(row, baseDir) {
+  if (row.error) throw new HttpError(400, 'Bad Request', row.error);
+  const resolve = (file) => path.resolve(baseDir, file);
+
+  const videoFile = await localFile(resolve(row.files.video), 'video/');
+  const thumbnailFile = row.files.thumbnail ? await localFile(resolve(row.files.thumbnail), 'image/') : null;
+  const subtitleBuffers = await Promise.all(row.files.subtitles.map((track) => readSubtitle(resolve(track.file))));
+  const validated = await validateUploadFields(uploadFields(row, subtitleBuffers));
+
+  const media = await probeMedia(videoFile.filepath);
+  assertContainerMatches(media, videoFile.mimetype);
+  if (validated.durationOverride === null && !(media.duration > 0)) {
+    throw new HttpError(400, 'Bad Request', 'Could not determine the video duration; add a "duration".');
+  }
+  return { row, validated, videoFile, thumbnailFile };
+}
+
+// { id: entry } from earlier runs; a row's latest entry wins
+async function readLog() {
+  let text;
+  try {
+    text = await fs.readFile(logPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Map();
+    throw error;
+  }
+
+  const entries = new Map();
+  for (const line of text.split('\n').filter((entry) => entry.trim())) {
+    try {
+      const entry = JSON.parse(line);
+      entries.set(entry.id, entry);
+    } catch {
+      console.warn(`Skipping an unreadable line in ${logPath}.`);
+    }
+  }
+  return entries;
+}
+
+const appendLog = (entry) => fs.appendFile(logPath, `${JSON.stringify({ ...entry, at: new Date().toISOString() })}\n`);
+
+async function main() {
+  if (!manifestPath) {
+    console.error('Usage: npm run import:catalog -- <manifest.csv|manifest.json> [--dry-run] [--log <file>]');
+    process.exitCode = 1;
+    return;
+  }
+  if (!dryRun && !APPWRITE_ADMIN_TEAM_ID) {
+    throw new Error('APPWRITE_ADMIN_TEAM_ID must be set: imported titles are owned by the content-management team.');
+  }
+
+  const format = path.extname(manifestPath).toLowerCase() === '.json' ? 'json' : 'csv';
+  const rows = parseManifest(await fs.readFile(manifestPath, 'utf8'), format);
+  const log = await readLog();
+
+  // --- Check Every Row ---
+  const ready = [];
+  let invalid = 0;
+  for (const row of rows) {
+    const earlier = log.get(row.id);
+    if (earlier?.status === 'imported') {
+      console.log(`${rowName(row)} already imported as ${earlier.videoId}`);
+      continue;
+    }
+    try {
+      ready.push(await checkRow(row, path.dirname(manifestPath)));
+      console.log(`${rowName(row)} ok: "${row.fields.title}"`);
+    } catch (error) {
+      if (!(error instanceof HttpError)) throw error;
+      invalid++;
+      console.log(`${rowName(row)} ${error.message}`);
+    }
+  }
+
+  if (invalid > 0) {
+    console.error(`${invalid} of ${rows.length} row(s) need fixing; nothing was imported.`);
+    process.exitCode = 1;
+    return;
+  }
+  if (dryRun) {
+    console.log(`${ready.length} title(s) ready to import.`);
+    return;
+  }
+
+  // --- Import ---
+  let failed = 0;
+  for (const { row, validated, videoFile, thumbnailFile } of ready) {
+    try {
+      const { video } = await createVideo(validated, { videoFile, thumbnailFile, teamId: APPWRITE_ADMIN_TEAM_ID });
+      await appendLog({ id: row.id, row: row.row, status: 'imported', videoId: video.$id, title: video.title });
+      console.log(`${rowName(row)} imported as ${video.$id}`);
+    } catch (error) {
+      failed++;
+      await appendLog({ id: row.id, row: row.row, status: 'failed', error: error.message });
+      console.error(`${rowName(row)} failed:`, error.message);
+    }
+  }
+
+  console.log(`Imported ${ready.length - failed} of ${ready.length} title(s); results are in ${logPath}.`);
+  if (failed > 0) {
+    console.error(`${failed} title(s) failed. Run the import again to retry them.`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error('Catalog import failed:', error.message);
+  process.exit(1);
+});
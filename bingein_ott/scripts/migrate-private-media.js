@@ -0,0 +1,155 @@
+// --- Private Media Migration ---
+// Re-stores media uploaded while every object was public (see PRIVATE_PREFIXES in
+// api/_lib/storage/index.js). For each title whose original or HLS ladder can still be downloaded
+// without credentials:
+//   - the original is copied to a new private key;
+//   - the ladder is copied under an unguessable hls/<videoId>/<random>/ folder, its playlists
+//     rewritten to relative URIs, since the old ones list the public segment URLs;
+//   - the sources document is pointed at the copies, and only then are the old objects deleted.
+// An interrupted run leaves every title playable; running it again finishes the job.
+//
+// With S3, copying doesn't help while the bucket policy makes videos/ or hls/ public; the script
+// stops and says so.
+//
+// Usage:
+//   npm run migrate:media               # migrate
+//   npm run migrate:media -- --dry-run  # list the titles without copying anything
+import crypto from 'crypto';
+import path from 'path';
+import { Query } from 'node-appwrite';
+import { listAllVideos } from '../api/_lib/videos.js';
+import { getVideoSources, saveVideoSources } from '../api/_lib/sources.js';
+import { getStorage, createObjectKey, readText } from '../api/_lib/storage/index.js';
+import { listHlsObjects } from '../api/_lib/transcode.js';
+
+// Bytes per multipart part while copying an original (backends want at least 5 MB)
+const COPY_PART_SIZE = 16 * 1024 * 1024;
+const PLAYLIST_CONTENT_TYPE = 'application/vnd.apple.mpegurl';
+
+const dryRun = process.argv.includes('--dry-run');
+const storage = getStorage();
+
+// Whether anyone can download the object: its URL answers without credentials
+async function isPubliclyReadable(keyOrUrl) {
+  const object = await storage.head(keyOrUrl);
+  if (!object || !/^https?:\/\//.test(object.url)) return false;
+  const response = await fetch(object.url, { method: 'HEAD' });
+  return response.ok;
+}
+
+// Streams an object into a new key through a multipart upload, a part at a time
+async function copyObject(fromKey, toKey) {
+  const object = await storage.get(fromKey);
+  const upload = await storage.createMultipartUpload(toKey, { contentType: object.contentType });
+  const parts = [];
+  let pending = [];
+  let pendingSize = 0;
+  const flush = async () => {
+    parts.push(await storage.uploadPart(toKey, upload, parts.length + 1, Buffer.concat(pending)));
+    pending = [];
+    pendingSize = 0;
+  };
+
+  try {
+    for await (const chunk of object.body) {
+      pending.push(chunk);
+      pendingSize += chunk.length;
+      if (pendingSize >= COPY_PART_SIZE) await flush();
+    }
+    if (pendingSize > 0 || parts.length === 0) await flush();
+    return await storage.completeMultipartUpload(toKey, upload, parts, { contentType: object.contentType });
+  } catch (error) {
+    await storage.abortMultipartUpload(toKey, upload).catch(() => {});
+    throw error;
+  }
+}
+
+async function assertPrivate(key) {
+  if (await isPubliclyReadable(key)) {
+    throw new Error(`${key} was copied but is still publicly readable. Make the bucket private for videos/ and hls/ (see README) and run again.`);
+  }
+}
+
+async function migrateOriginal(videoUrl) {
+  const fromKey = storage.toKey(videoUrl);
+  // "videos/<uuid>-name.mp4" keeps its name under a new random key
+  const toKey = createObjectKey('videos', path.posix.basename(fromKey).replace(/^[0-9a-f-]{36}-/, ''));
+  const copy = await copyObject(fromKey, toKey);
+  await assertPrivate(copy.key);
+  return copy;
+}
+
+// Copies a ladder under a new folder. Playlists are written after the objects they list, with URIs
+// relative to themselves.
+async function migrateLadder(videoId, manifestUrl) {
+  const objects = await listHlsObjects(manifestUrl);
+  const fromRoot = path.posix.dirname(storage.toKey(manifestUrl));
+  const toRoot = `hls/${videoId}/${crypto.randomUUID()}`;
+  const newKey = (object) => `${toRoot}/${path.posix.relative(fromRoot, storage.toKey(object))}`;
+  const newKeys = new Map(objects.map((object) => [storage.toKey(object), newKey(object)]));
+
+  for (const object of objects) {
+    const key = newKeys.get(storage.toKey(object));
+    if (!key.endsWith('.m3u8')) {
+      await copyObject(object, key);
+      continue;
+    }
+    const playlist = (await readText(object))
+      .split('\n')
+      .map((line) => {
+        const uri = line.trim();
+        if (!uri || uri.startsWith('#')) return line;
+        const target = /^https?:\/\//.test(uri) || uri.startsWith('/')
+          ? storage.toKey(uri)
+          : path.posix.join(path.posix.dirname(storage.toKey(object)), uri);
+        return newKeys.has(target) ? path.posix.relative(path.posix.dirname(key), newKeys.get(target)) : line;
+      })
+      .join('\n');
+    await storage.put(key, Buffer.from(playlist), { contentType: PLAYLIST_CONTENT_TYPE });
+  }
+
+  const manifestKey = newKeys.get(storage.toKey(manifestUrl));
+  await assertPrivate(manifestKey);
+  return { key: manifestKey, objects };
+}
+
+async function main() {
+  const videos = await listAllVideos([Query.select(['$id', 'title', 'videoUrl', 'playbackManifestUrl'])]);
+
+  let migrated = 0;
+  for (const video of videos) {
+    const sources = await getVideoSources(video);
+    const original = sources.videoUrl && (await isPubliclyReadable(sources.videoUrl));
+    const ladder = sources.playbackManifestUrl && (await isPubliclyReadable(sources.playbackManifestUrl));
+    if (!original && !ladder) continue;
+
+    migrated++;
+    console.log(`[${video.$id}] "${video.title}": ${[original && 'original', ladder && 'HLS ladder'].filter(Boolean).join(' and ')} publicly readable`);
+    if (dryRun) continue;
+
+    const update = {};
+    const oldObjects = [];
+    if (original) {
+      update.videoUrl = (await migrateOriginal(sources.videoUrl)).key;
+      oldObjects.push(sources.videoUrl);
+    }
+    if (ladder) {
+      const copy = await migrateLadder(video.$id, sources.playbackManifestUrl);
+      update.playbackManifestUrl = copy.key;
+      oldObjects.push(...copy.objects);
+    }
+
+    await saveVideoSources(video, update);
+    for (const object of oldObjects) {
+      await storage.delete(object).catch((error) => console.warn(`[${video.$id}] Failed to delete ${object}:`, error.message));
+    }
+    console.log(`[${video.$id}] Moved to private storage.`);
+  }
+
+  console.log(dryRun ? `${migrated} title(s) would be migrated.` : `Migrated ${migrated} title(s).`);
+}
+
+main().catch((error) => {
+  console.error('Media migration failed:', error);
+  process.exit(1);
+});
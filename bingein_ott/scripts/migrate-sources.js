@@ -0,0 +1,39 @@
+// --- Private Sources Migration ---
+// Moves `videoUrl` and `playbackManifestUrl` off the public video documents of titles uploaded
+// before sources were made private (see api/_lib/sources.js). Until it runs, anyone who can read
+// such a title's document can download its media directly.
+//
+// Each title's URLs are copied into the sources collection first and only then cleared on the
+// video document, so an interrupted run loses nothing and running it again finishes the job.
+//
+// Usage:
+//   npm run migrate:sources               # migrate
+//   npm run migrate:sources -- --dry-run  # list the titles without writing anything
+import { Query } from 'node-appwrite';
+import { listAllVideos } from '../api/_lib/videos.js';
+import { SOURCE_FIELDS, hasLegacySources, saveVideoSources } from '../api/_lib/sources.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  const videos = (await listAllVideos([Query.select(['$id', 'title', ...SOURCE_FIELDS])])).filter(hasLegacySources);
+
+  if (dryRun) {
+    for (const video of videos) {
+      console.log(`[${video.$id}] "${video.title}": ${SOURCE_FIELDS.filter((field) => video[field]).join(', ')}`);
+    }
+    console.log(`${videos.length} title(s) would be migrated.`);
+    return;
+  }
+
+  for (const video of videos) {
+    await saveVideoSources(video, {});
+    console.log(`[${video.$id}] Moved to the sources collection.`);
+  }
+  console.log(`Migrated ${videos.length} title(s). No video document carries media URLs any more.`);
+}
+
+main().catch((error) => {
+  console.error('Sources migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,129 @@
+// --- Tag Migration ---
+// Converts the videos collection's `tags` attribute from one comma-separated string to an array
+// of normalized tags (see api/_lib/tags.js).
+//
+// Appwrite cannot change an attribute's type in place, so the string attribute is dropped and
+// recreated as an array. Every title's tags are written to a backup file first; if the run is
+// interrupted, running it again picks up from that file. Re-running after a successful
+// migration only re-normalizes arrays that need it.
+//
+// Usage:
+//   npm run migrate:tags               # migrate
+//   npm run migrate:tags -- --dry-run  # print the changes without writing anything
+import fs from 'fs/promises';
+import { IndexType, Query } from 'node-appwrite';
+import { databases, APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID } from '../api/_lib/appwrite.js';
+import { listAllVideos } from '../api/_lib/videos.js';
+import { normalizeTags, MAX_TAG_LENGTH, MAX_TAGS_PER_TITLE } from '../api/_lib/tags.js';
+
+const BACKUP_FILE = process.env.TAGS_BACKUP_FILE || 'tags-backup.json';
+const dryRun = process.argv.includes('--dry-run');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function getTagsAttribute() {
+  try {
+    return await databases.getAttribute(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, 'tags');
+  } catch (error) {
+    if (error.code === 404) return null;
+    throw error;
+  }
+}
+
+// Attribute changes are processed asynchronously by Appwrite.
+async function waitForAttribute(check) {
+  for (let attempt = 0; attempt < 60; attempt++) {
+    if (check(await getTagsAttribute())) return;
+    await sleep(2000);
+  }
+  throw new Error('Timed out waiting for Appwrite to update the "tags" attribute.');
+}
+
+// { videoId: tags } as found before the attribute was touched; kept on disk until the run completes.
+async function loadOrCreateBackup() {
+  try {
+    const backup = JSON.parse(await fs.readFile(BACKUP_FILE, 'utf8'));
+    console.log(`Resuming from ${BACKUP_FILE} (${Object.keys(backup).length} titles).`);
+    return backup;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const videos = await listAllVideos([Query.select(['$id', 'tags'])]);
+  const backup = Object.fromEntries(videos.map((video) => [video.$id, video.tags ?? null]));
+  if (!dryRun) {
+    await fs.writeFile(BACKUP_FILE, JSON.stringify(backup, null, 2));
+    console.log(`Saved the current tags of ${videos.length} titles to ${BACKUP_FILE}.`);
+  }
+  return backup;
+}
+
+// The tags a title can keep, plus what had to change to fit the attribute's limits
+function fitTags(tags) {
+  const normalized = normalizeTags(tags);
+  const shortened = normalized.filter((tag) => tag.length > MAX_TAG_LENGTH);
+  const fitted = [...new Set(normalized.map((tag) => tag.slice(0, MAX_TAG_LENGTH).trim()))];
+  return {
+    after: fitted.slice(0, MAX_TAGS_PER_TITLE),
+    shortened,
+    dropped: fitted.slice(MAX_TAGS_PER_TITLE),
+  };
+}
+
+function reportChanges({ $id, shortened, dropped }) {
+  for (const tag of shortened) console.log(`[${$id}] Tag "${tag}" is cut to "${tag.slice(0, MAX_TAG_LENGTH).trim()}".`);
+  if (dropped.length > 0) console.log(`[${$id}] Only ${MAX_TAGS_PER_TITLE} tags are kept; dropping ${JSON.stringify(dropped)}.`);
+}
+
+async function recreateAsArray(attribute) {
+  if (attribute) {
+    console.log('Dropping the string "tags" attribute...');
+    await databases.deleteAttribute(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, 'tags');
+    await waitForAttribute((current) => current === null);
+  }
+  console.log('Creating "tags" as a string array...');
+  await databases.createStringAttribute(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, 'tags', MAX_TAG_LENGTH, false, undefined, true);
+  await waitForAttribute((current) => current?.status === 'available');
+  // Dropping the attribute dropped its indexes too; /tag/:name filters on it
+  await databases.createIndex(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, 'tags_key', IndexType.Key, ['tags']);
+}
+
+async function main() {
+  const attribute = await getTagsAttribute();
+  const needsRecreate = !attribute?.array;
+  const backup = needsRecreate || (await fs.stat(BACKUP_FILE).catch(() => null)) ? await loadOrCreateBackup() : null;
+
+  // The values to normalize: the backup while migrating, otherwise the documents themselves
+  const current = backup
+    ? Object.entries(backup).map(([$id, tags]) => ({ $id, tags }))
+    : await listAllVideos([Query.select(['$id', 'tags'])]);
+  const updates = current
+    .map((video) => ({ $id: video.$id, before: video.tags, ...fitTags(video.tags) }))
+    .filter(({ before, after }) => needsRecreate || JSON.stringify(before) !== JSON.stringify(after));
+  updates.forEach(reportChanges);
+
+  if (dryRun) {
+    if (needsRecreate) console.log('Would recreate "tags" as a string array.');
+    for (const { $id, before, after } of updates) console.log(`[${$id}] ${JSON.stringify(before)} -> ${JSON.stringify(after)}`);
+    console.log(`${updates.length} title(s) would be updated.`);
+    return;
+  }
+
+  if (needsRecreate) await recreateAsArray(attribute);
+
+  for (const { $id, after } of updates) {
+    try {
+      await databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, $id, { tags: after });
+    } catch (error) {
+      if (error.code !== 404) throw error; // Deleted since the backup was taken
+    }
+  }
+  console.log(`Updated the tags of ${updates.length} title(s).`);
+
+  if (backup) await fs.unlink(BACKUP_FILE);
+}
+
+main().catch((error) => {
+  console.error('Tag migration failed:', error);
+  process.exit(1);
+});
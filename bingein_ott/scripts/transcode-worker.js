@@ -0,0 +1,88 @@
+// --- HLS Transcode Worker ---
+// Picks up videos whose `transcodeStatus` is 'pending', encodes the HLS ladder with local ffmpeg,
+// renders the seek-preview sprite sheet, and records `playbackManifestUrl` (privately for premium
+// titles, see api/_lib/sources.js) and `previewTrackUrl`.
+//
+// Usage:
+//   npm run transcode            # keep polling for new uploads
+//   npm run transcode -- --once  # process the current queue and exit
+import { Query } from 'node-appwrite';
+import { databases, APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID } from '../api/_lib/appwrite.js';
+import { resolveMediaInput } from '../api/_lib/media.js';
+import { transcodeToHls, listHlsObjects } from '../api/_lib/transcode.js';
+import { generateSeekPreviews } from '../api/_lib/thumbnails.js';
+import { getVideoSources, saveVideoSources } from '../api/_lib/sources.js';
+import { getStorage } from '../api/_lib/storage/index.js';
+
+const POLL_INTERVAL_MS = Number(process.env.TRANSCODE_POLL_INTERVAL_MS || 30000);
+const runOnce = process.argv.includes('--once');
+
+const updateVideo = (videoId, data) =>
+  databases.updateDocument(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, videoId, data);
+
+async function processVideo(video) {
+  console.log(`[${video.$id}] Transcoding "${video.title}" (${video.width}x${video.height})`);
+  await updateVideo(video.$id, { transcodeStatus: 'processing', transcodeError: null });
+
+  try {
+    // The original's URL lives in the private sources collection
+    const { videoUrl, playbackManifestUrl: previousManifest } = await getVideoSources(video);
+    const input = await resolveMediaInput(videoUrl);
+    const { manifestUrl, renditions } = await transcodeToHls(video.$id, input, { width: video.width, height: video.height });
+
+    // Seek previews are a nice-to-have: a failure here must not block playback.
+    let previewTrackUrl = null;
+    try {
+      // Re-resolved because a signed input URL may have expired during a long transcode
+      previewTrackUrl = await generateSeekPreviews(video.$id, await resolveMediaInput(videoUrl), video);
+    } catch (previewError) {
+      console.warn(`[${video.$id}] Seek preview generation failed:`, previewError.message);
+    }
+
+    await saveVideoSources(video, { playbackManifestUrl: manifestUrl });
+    await updateVideo(video.$id, { transcodeStatus: 'ready', previewTrackUrl });
+    console.log(`[${video.$id}] Ready with ${renditions.join(', ')}: ${manifestUrl}`);
+
+    // Each run writes a new ladder folder, so a re-transcode leaves the previous one to clean up
+    if (previousManifest && previousManifest !== manifestUrl) {
+      await deleteLadder(video.$id, previousManifest).catch((error) => console.warn(`[${video.$id}] Failed to delete the previous ladder:`, error.message));
+    }
+  } catch (error) {
+    console.error(`[${video.$id}] Transcoding failed:`, error);
+    await updateVideo(video.$id, { transcodeStatus: 'failed', transcodeError: error.message.slice(0, 1000) });
+  }
+}
+
+async function deleteLadder(videoId, manifestUrl) {
+  const storage = getStorage();
+  for (const object of await listHlsObjects(manifestUrl)) {
+    await storage.delete(object).catch((error) => console.warn(`[${videoId}] Failed to delete ${object}:`, error.message));
+  }
+}
+
+async function processQueue() {
+  const { documents } = await databases.listDocuments(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, [
+    Query.equal('transcodeStatus', 'pending'),
+    Query.orderAsc('$createdAt'),
+    Query.limit(10),
+  ]);
+
+  // One job at a time: ffmpeg already uses every available core.
+  for (const video of documents) {
+    await processVideo(video);
+  }
+  return documents.length;
+}
+
+async function main() {
+  for (;;) {
+    const processed = await processQueue();
+    if (runOnce) return;
+    if (processed === 0) await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+main().catch((error) => {
+  console.error('Transcode worker crashed:', error);
+  process.exit(1);
+});
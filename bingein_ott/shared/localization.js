@@ -0,0 +1,45 @@
+// --- Translation Picking ---
+// Shared by the server (api/_lib/localization.js) and the browser (src/lib/locale.js), so both pick
+// the same translation of a title. Each side passes its own default locale, read from its own
+// environment.
+
+const baseLanguage = (locale) => locale.split('-')[0];
+
+// "pt-br" -> "pt-BR"; null for anything that is not a BCP 47 language tag
+export function canonicalLocale(value) {
+  try {
+    return Intl.getCanonicalLocales(String(value || '').trim())[0] || null;
+  } catch {
+    return null;
+  }
+}
+
+// The `localizations` attribute -> translation objects. Malformed entries are skipped.
+export function videoLocalizations(video) {
+  return (video?.localizations || []).flatMap((entry) => {
+    try {
+      const localization = JSON.parse(entry);
+      return localization?.locale && localization.title ? [localization] : [];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * The translation to show a viewer, or null for the default metadata. Each preferred locale is
+ * tried in turn, first exactly and then by base language ("pt" for "pt-BR"), so a viewer who
+ * prefers Portuguese sees "pt-PT" before falling back to their second choice. Reaching
+ * `defaultLocale`, or another variant of its language, also means the default metadata.
+ */
+export function pickLocalization(localizations, locales, defaultLocale) {
+  for (const wanted of locales) {
+    if (wanted === defaultLocale) return null;
+    const exact = localizations.find((localization) => localization.locale === wanted);
+    if (exact) return exact;
+    if (baseLanguage(wanted) === baseLanguage(defaultLocale)) return null;
+    const sameLanguage = localizations.find((localization) => baseLanguage(localization.locale) === baseLanguage(wanted));
+    if (sameLanguage) return sameLanguage;
+  }
+  return null;
+}
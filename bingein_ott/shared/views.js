@@ -0,0 +1,11 @@
+// --- View Threshold ---
+// Shared by the player, which reports a view once it has played this much (src/lib/viewCounter.js),
+// and the server, which refuses reports that arrive sooner (api/_lib/views.js).
+
+export const VIEW_THRESHOLD_SECONDS = 30;
+const VIEW_THRESHOLD_RATIO = 0.5;
+
+// Seconds of playback needed before a view counts: 30s, or half of a title shorter than a minute.
+export function viewThreshold(duration) {
+  return duration > 0 ? Math.min(VIEW_THRESHOLD_SECONDS, duration * VIEW_THRESHOLD_RATIO) : VIEW_THRESHOLD_SECONDS;
+}
@@ -1,40 +1,20 @@
-import React, { useState } from 'react';
-import AdminUploadPage from './admin/AdminUploadPage';
-import HomePage from './components/HomePage';
-import VideoDetailPage from './components/videoDetailPage'; // Import the new detail page
+import React, { Suspense } from 'react';
+import { NavLink, Outlet, ScrollRestoration, useNavigate } from 'react-router-dom';
+import { Loader2 } from 'lucide-react';
+import { useAuth } from './context/useAuth';
+import { useLocale } from './context/useLocale';
+import SearchBox from './components/SearchBox';
+import LanguageSelect from './components/LanguageSelect';
 
-function App() {
-  // State to manage current page view and selected video ID
-  const [currentPage, setCurrentPage] = useState('home'); // 'home', 'upload', or 'detail'
-  const [selectedVideoId, setSelectedVideoId] = useState(null); // Stores ID of video to play
-
-  // Function to navigate to video detail page
-  const navigateToVideoDetail = (videoId) => {
-    setSelectedVideoId(videoId);
-    setCurrentPage('detail');
-  };
-
-  // Function to navigate back to home page
-  const navigateToHome = () => {
-    setSelectedVideoId(null); // Clear selected video
-    setCurrentPage('home');
-  };
+// Active nav links are highlighted
+const navLinkClass = ({ isActive }) =>
+  `ms-4 px-4 py-2 rounded-md transition-colors duration-200 ${isActive ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-700'}`;
 
-  // Render the selected page based on state
-  const renderPage = () => {
-    switch (currentPage) {
-      case 'home':
-        // Pass a prop to HomePage to handle video clicks
-        return <HomePage onVideoClick={navigateToVideoDetail} />;
-      case 'upload':
-        return <AdminUploadPage />;
-      case 'detail':
-        // Pass the selectedVideoId to VideoDetailPage
-        return <VideoDetailPage videoId={selectedVideoId} onBack={navigateToHome} />;
-      default:
-        return <HomePage onVideoClick={navigateToVideoDetail} />;
-    }
-  };
+// Root layout: navigation bar plus the current route's page (see router.jsx).
+function App() {
+  const { user, isAdmin, logout } = useAuth();
+  const { t } = useLocale();
+  const navigate = useNavigate();
 
   return (
     <>
@@ -42,29 +22,68 @@ function App() {
       <nav className="bg-gray-900 p-4 shadow-lg">
         <div className="container mx-auto flex justify-between items-center">
           <h1 className="text-white text-2xl font-bold">MyOTT</h1>
-          <div>
-            <button
-              onClick={navigateToHome} // Use navigateToHome to ensure ID is cleared
-              className={`px-4 py-2 rounded-md transition-colors duration-200 ${currentPage === 'home' ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-700'}`}
-            >
-              Home
-            </button>
-            <button
-              onClick={() => setCurrentPage('upload')}
-              className={`ml-4 px-4 py-2 rounded-md transition-colors duration-200 ${currentPage === 'upload' ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-700'}`}
-            >
-              Upload
-            </button>
+          <div className="flex items-center">
+            <SearchBox />
+            <NavLink to="/" end className={navLinkClass}>
+              {t('nav.home')}
+            </NavLink>
+            <NavLink to="/my-list" className={navLinkClass}>
+              {t('nav.myList')}
+            </NavLink>
+            {isAdmin && (
+              <>
+                <NavLink to="/admin/library" className={navLinkClass}>
+                  {t('nav.library')}
+                </NavLink>
+                <NavLink to="/admin/upload" className={navLinkClass}>
+                  {t('nav.upload')}
+                </NavLink>
+                <NavLink to="/admin/import" className={navLinkClass}>
+                  {t('nav.import')}
+                </NavLink>
+                <NavLink to="/admin/genres" className={navLinkClass}>
+                  {t('nav.genres')}
+                </NavLink>
+                <NavLink to="/admin/series" className={navLinkClass}>
+                  {t('nav.series')}
+                </NavLink>
+              </>
+            )}
+            {user ? (
+              <button
+                onClick={() => { logout(); navigate('/'); }}
+                className="ms-4 px-4 py-2 rounded-md transition-colors duration-200 text-gray-300 hover:bg-gray-700 cursor-pointer"
+                title={user.email}
+              >
+                {t('nav.logOut')}
+              </button>
+            ) : (
+              <NavLink to="/login" className={navLinkClass}>
+                {t('nav.logIn')}
+              </NavLink>
+            )}
+            <LanguageSelect />
           </div>
         </div>
       </nav>
 
-      {/* Render the current page */}
+      {/* Render the current page; each page is its own lazily loaded chunk */}
       <main>
-        {renderPage()}
+        <Suspense
+          fallback={
+            <div className="flex justify-center items-center h-64">
+              <Loader2 className="h-12 w-12 text-blue-500 animate-spin" />
+            </div>
+          }
+        >
+          <Outlet />
+        </Suspense>
       </main>
+
+      {/* Restores the catalog's scroll position on back navigation, scrolls new pages to the top */}
+      <ScrollRestoration />
     </>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,239 @@
+// src/admin/AdminGenresPage.jsx
+import React, { useState, useEffect } from 'react';
+import { Loader2, Plus, Pencil, Trash2, Check, X } from 'lucide-react';
+import { apiFetch } from '../lib/api';
+import { loadGenres } from '../lib/useGenres';
+import { useLocale } from '../context/useLocale';
+
+const inputClass = 'px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm';
+
+const byOrder = (a, b) => a.order - b.order || a.name.localeCompare(b.name);
+
+// Sends a genre request and returns the parsed body, throwing the API's message on failure
+const genreRequest = async (url, method, body) => {
+  const response = await apiFetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (response.status === 204) return null;
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.message || data.error || 'The request failed.');
+  return data;
+};
+
+/**
+ * AdminGenresPage Component
+ *
+ * Manages the genre taxonomy: create, rename, reorder and delete genres.
+ * - The slug is derived from the name on creation and never changes, so renaming is safe.
+ * - Deleting is refused by the API while titles still use the genre.
+ * - Changes are applied to the list locally and the shared genre cache is refreshed.
+ */
+const AdminGenresPage = () => {
+  const [genres, setGenres] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [newGenre, setNewGenre] = useState({ name: '', description: '', order: '0' });
+  const [creating, setCreating] = useState(false);
+  const [editing, setEditing] = useState(null); // { slug, name, description, order } while a row is edited
+  const [busySlug, setBusySlug] = useState(null); // Row with a save or delete in flight
+  const { t } = useLocale();
+
+  useEffect(() => {
+    loadGenres({ refresh: true })
+      .then(setGenres)
+      .catch((err) => setErrorMessage(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // Keeps other pages' genre names in step with the edits made here
+  const refreshShared = () => loadGenres({ refresh: true }).catch(() => {});
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newGenre.name.trim()) {
+      setErrorMessage(t('genresAdmin.nameRequired'));
+      return;
+    }
+    setCreating(true);
+    setErrorMessage('');
+    try {
+      const { genre } = await genreRequest('/api/genres', 'POST', {
+        name: newGenre.name.trim(),
+        description: newGenre.description.trim(),
+        order: parseInt(newGenre.order, 10) || 0,
+      });
+      setGenres((current) => [...current, genre].sort(byOrder));
+      setNewGenre({ name: '', description: '', order: '0' });
+      refreshShared();
+    } catch (err) {
+      setErrorMessage(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setBusySlug(editing.slug);
+    setErrorMessage('');
+    try {
+      const { genre } = await genreRequest(`/api/genres/${editing.slug}`, 'PATCH', {
+        name: editing.name.trim(),
+        description: editing.description.trim(),
+        order: parseInt(editing.order, 10) || 0,
+      });
+      setGenres((current) => current.map((g) => (g.slug === genre.slug ? genre : g)).sort(byOrder));
+      setEditing(null);
+      refreshShared();
+    } catch (err) {
+      setErrorMessage(err.message);
+    } finally {
+      setBusySlug(null);
+    }
+  };
+
+  const handleDelete = async (genre) => {
+    if (!window.confirm(t('genresAdmin.confirmDelete', { name: genre.name }))) return;
+    setBusySlug(genre.slug);
+    setErrorMessage('');
+    try {
+      await genreRequest(`/api/genres/${genre.slug}`, 'DELETE');
+      setGenres((current) => current.filter((g) => g.slug !== genre.slug));
+      refreshShared();
+    } catch (err) {
+      setErrorMessage(err.message);
+    } finally {
+      setBusySlug(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-950 text-gray-100 p-4 sm:p-8 font-inter">
+      <div className="max-w-4xl mx-auto">
+        <h1 className="text-3xl font-extrabold text-white mb-8">{t('nav.genres')}</h1>
+
+        {errorMessage && (
+          <div className="bg-red-800 bg-opacity-30 border border-red-700 text-red-300 px-4 py-3 rounded-lg mb-6" role="alert">
+            {errorMessage}
+          </div>
+        )}
+
+        {/* New genre */}
+        <form onSubmit={handleCreate} className="flex flex-wrap items-end gap-3 bg-gray-800 p-4 rounded-lg border border-gray-700 mb-8">
+          <label className="flex flex-col text-sm text-gray-300">
+            {t('admin.name')}
+            <input
+              type="text"
+              value={newGenre.name}
+              onChange={(e) => setNewGenre({ ...newGenre, name: e.target.value })}
+              className={`${inputClass} mt-1 w-48`}
+              placeholder={t('genresAdmin.namePlaceholder')}
+            />
+          </label>
+          <label className="flex flex-col text-sm text-gray-300 flex-1 min-w-48">
+            {t('admin.description')}
+            <input
+              type="text"
+              value={newGenre.description}
+              onChange={(e) => setNewGenre({ ...newGenre, description: e.target.value })}
+              className={`${inputClass} mt-1`}
+              placeholder={t('genresAdmin.descriptionPlaceholder')}
+            />
+          </label>
+          <label className="flex flex-col text-sm text-gray-300">
+            {t('genresAdmin.order')}
+            <input
+              type="number"
+              value={newGenre.order}
+              onChange={(e) => setNewGenre({ ...newGenre, order: e.target.value })}
+              className={`${inputClass} mt-1 w-20`}
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={creating}
+            className="flex items-center px-4 py-2 rounded-md bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold cursor-pointer disabled:opacity-60"
+          >
+            {creating ? <Loader2 className="w-4 h-4 me-2 animate-spin" /> : <Plus className="w-4 h-4 me-2" />}
+            {t('genresAdmin.add')}
+          </button>
+        </form>
+
+        {/* Existing genres */}
+        {loading ? (
+          <div className="flex justify-center items-center h-32">
+            <Loader2 className="h-10 w-10 text-blue-500 animate-spin" />
+          </div>
+        ) : genres.length === 0 ? (
+          <p className="text-center text-gray-400 py-12">{t('genresAdmin.empty')}</p>
+        ) : (
+          <ul className="divide-y divide-gray-800 bg-gray-900 rounded-lg border border-gray-800">
+            {genres.map((genre) => (
+              <li key={genre.slug} className="flex flex-wrap items-center gap-3 p-4">
+                {editing?.slug === genre.slug ? (
+                  <>
+                    <input
+                      type="text"
+                      value={editing.name}
+                      onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                      className={`${inputClass} w-48`}
+                      aria-label={t('admin.name')}
+                    />
+                    <input
+                      type="text"
+                      value={editing.description}
+                      onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                      className={`${inputClass} flex-1 min-w-48`}
+                      aria-label={t('admin.description')}
+                    />
+                    <input
+                      type="number"
+                      value={editing.order}
+                      onChange={(e) => setEditing({ ...editing, order: e.target.value })}
+                      className={`${inputClass} w-20`}
+                      aria-label={t('genresAdmin.order')}
+                    />
+                    <button onClick={handleSave} disabled={busySlug === genre.slug} className="p-2 rounded-md text-green-400 hover:bg-gray-800 cursor-pointer" title={t('admin.save')}>
+                      {busySlug === genre.slug ? <Loader2 className="w-4 h-4 animate-spin" /> : <Check className="w-4 h-4" />}
+                    </button>
+                    <button onClick={() => setEditing(null)} className="p-2 rounded-md text-gray-400 hover:bg-gray-800 cursor-pointer" title={t('admin.cancel')}>
+                      <X className="w-4 h-4" />
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <div className="flex-1 min-w-0">
+                      <p className="font-semibold text-white">
+                        {genre.name} <span className="ms-2 text-xs font-mono text-gray-500">{genre.slug}</span>
+                      </p>
+                      {genre.description && <p className="text-sm text-gray-400 truncate">{genre.description}</p>}
+                    </div>
+                    <span className="text-xs text-gray-500">{t('genresAdmin.orderValue', { order: genre.order })}</span>
+                    <button
+                      onClick={() => setEditing({ ...genre, order: String(genre.order) })}
+                      className="p-2 rounded-md text-gray-300 hover:bg-gray-800 cursor-pointer"
+                      title={t('admin.edit')}
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(genre)}
+                      disabled={busySlug === genre.slug}
+                      className="p-2 rounded-md text-red-400 hover:bg-gray-800 cursor-pointer disabled:opacity-60"
+                      title={t('admin.delete')}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminGenresPage;
@@ -0,0 +1,223 @@
+// src/admin/AdminImportPage.jsx
+import React, { useState, useMemo, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { Loader2, FileCheck, Upload, Download, CheckCircle, XCircle, Square } from 'lucide-react';
+import { checkManifest, rowFiles, importRow, loadResults, saveResult, resultLog, ImportProblem } from '../lib/catalogImport';
+import { useLocale } from '../context/useLocale';
+
+const fileInputClass = 'w-full text-sm text-gray-400 file:me-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-500 file:text-white hover:file:bg-blue-600 cursor-pointer';
+const buttonClass = 'flex items-center px-4 py-2 rounded-lg text-sm font-semibold transition-colors duration-200 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed';
+
+// Problems found in the browser are translated; the server's messages are shown as they are
+const describeError = (err, t) => (err instanceof ImportProblem ? t(err.key, err.values) : err.message);
+
+/**
+ * AdminImportPage Component
+ *
+ * Imports many titles at once from a CSV or JSON manifest (columns in api/_lib/manifest.js) and
+ * the video, thumbnail and subtitle files it names. "Check" is a dry run: the server checks every
+ * row's metadata and the page checks every file was selected, and nothing is imported until every
+ * row passes. Rows are then imported one by one through the upload form's path. Results are
+ * remembered per manifest, so importing the same manifest again skips the titles already created;
+ * they can be downloaded as a log.
+ */
+const AdminImportPage = () => {
+  const { t, formatNumber } = useLocale();
+  const [manifestFile, setManifestFile] = useState(null);
+  const [mediaFiles, setMediaFiles] = useState([]);
+  const [rows, setRows] = useState(null); // Rows of the checked manifest
+  const [results, setResults] = useState({}); // { id: { status, videoId, error } } from this and earlier runs
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [currentId, setCurrentId] = useState(null); // Row being imported
+  const [progress, setProgress] = useState(null); // { sent, total } of its video upload
+  const [errorMessage, setErrorMessage] = useState('');
+  const stopRef = useRef(false); // Set by "Stop" to end the run after the current row
+
+  // Each row's problem (null when it can be imported) and its files
+  const checkedRows = useMemo(() => {
+    if (!rows) return [];
+    const filesByName = new Map(mediaFiles.map((file) => [file.name, file]));
+    return rows.map((row) => {
+      if (row.error) return { row, problem: row.error };
+      try {
+        return { row, files: rowFiles(row, filesByName), problem: null };
+      } catch (err) {
+        return { row, problem: describeError(err, t) };
+      }
+    });
+  }, [rows, mediaFiles, t]);
+
+  const isImported = (row) => results[row.id]?.status === 'imported';
+  const pending = checkedRows.filter(({ row }) => !isImported(row));
+  const invalidCount = pending.filter(({ problem }) => problem).length;
+
+  const handleManifestChange = (e) => {
+    const file = e.target.files?.[0] || null;
+    setManifestFile(file);
+    setRows(null);
+    setResults(file ? loadResults(file) : {});
+    setErrorMessage('');
+  };
+
+  const handleCheck = async () => {
+    setChecking(true);
+    setErrorMessage('');
+    try {
+      setRows(await checkManifest(manifestFile));
+    } catch (err) {
+      setRows(null);
+      setErrorMessage(describeError(err, t));
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  // One row at a time; a failed row is recorded and the run moves on
+  const handleImport = async () => {
+    stopRef.current = false;
+    setImporting(true);
+    setErrorMessage('');
+    for (const { row, files } of pending) {
+      if (stopRef.current) break;
+      setCurrentId(row.id);
+      try {
+        const video = await importRow(row, files, { onProgress: (sent, total) => setProgress({ sent, total }) });
+        setResults(saveResult(manifestFile, { id: row.id, row: row.row, status: 'imported', videoId: video.$id, title: video.title }));
+      } catch (err) {
+        console.error(`Import of row ${row.row} failed:`, err);
+        setResults(saveResult(manifestFile, { id: row.id, row: row.row, status: 'failed', error: describeError(err, t) }));
+      } finally {
+        setProgress(null);
+      }
+    }
+    setCurrentId(null);
+    setImporting(false);
+  };
+
+  const handleDownloadLog = () => {
+    const url = URL.createObjectURL(new Blob([resultLog(results)], { type: 'application/x-ndjson' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${manifestFile.name}.results.jsonl`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const rowStatus = ({ row, problem }) => {
+    const result = results[row.id];
+    if (row.id === currentId) {
+      return (
+        <span className="flex items-center text-blue-300">
+          <Loader2 className="w-4 h-4 me-2 animate-spin" />
+          {progress
+            ? t('import.uploading', { percent: formatNumber(Math.floor((progress.sent / progress.total) * 100) / 100, { style: 'percent' }) })
+            : t('import.saving')}
+        </span>
+      );
+    }
+    if (result?.status === 'imported') {
+      return (
+        <Link to={`/watch/${result.videoId}`} className="flex items-center text-green-300 hover:text-green-200">
+          <CheckCircle className="w-4 h-4 me-2" /> {t('import.imported')}
+        </Link>
+      );
+    }
+    if (problem) return <span className="flex items-start text-red-300"><XCircle className="w-4 h-4 me-2 mt-0.5 shrink-0" /> {problem}</span>;
+    if (result?.status === 'failed') return <span className="text-yellow-300">{t('import.failed', { error: result.error })}</span>;
+    return <span className="text-gray-300">{t('import.ready')}</span>;
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-950 text-gray-100 p-4 sm:p-8 font-inter">
+      <div className="max-w-6xl mx-auto">
+        <h1 className="text-3xl font-extrabold text-white mb-2">{t('import.heading')}</h1>
+        <p className="text-sm text-gray-400 mb-6">{t('import.intro')}</p>
+
+        {errorMessage && (
+          <div className="bg-red-800 bg-opacity-30 border border-red-700 text-red-300 px-4 py-3 rounded-lg mb-6" role="alert">
+            {errorMessage}
+          </div>
+        )}
+
+        <div className="grid gap-6 sm:grid-cols-2 mb-6">
+          <div>
+            <label htmlFor="manifestFile" className="block text-sm font-medium text-gray-300 mb-1">{t('import.manifest')}</label>
+            <input id="manifestFile" type="file" accept=".csv,.json,text/csv,application/json" onChange={handleManifestChange} disabled={importing} className={fileInputClass} />
+          </div>
+          <div>
+            <label htmlFor="mediaFiles" className="block text-sm font-medium text-gray-300 mb-1">{t('import.mediaFiles')}</label>
+            <input
+              id="mediaFiles"
+              type="file"
+              multiple
+              accept="video/*,image/*,.srt,.vtt"
+              onChange={(e) => setMediaFiles(Array.from(e.target.files || []))}
+              disabled={importing}
+              className={fileInputClass}
+            />
+            {mediaFiles.length > 0 && <p className="text-xs text-gray-400 mt-2">{t('import.filesSelected', { count: mediaFiles.length })}</p>}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 mb-6">
+          <button onClick={handleCheck} disabled={!manifestFile || checking || importing} className={`${buttonClass} bg-gray-700 text-gray-200 hover:bg-gray-600`}>
+            {checking ? <Loader2 className="w-4 h-4 me-2 animate-spin" /> : <FileCheck className="w-4 h-4 me-2" />}
+            {t('import.check')}
+          </button>
+          {importing ? (
+            <button onClick={() => { stopRef.current = true; }} className={`${buttonClass} bg-red-700 text-white hover:bg-red-600`}>
+              <Square className="w-4 h-4 me-2" /> {t('import.stop')}
+            </button>
+          ) : (
+            <button
+              onClick={handleImport}
+              disabled={!rows || invalidCount > 0 || pending.length === 0}
+              className={`${buttonClass} bg-blue-600 text-white hover:bg-blue-700`}
+            >
+              <Upload className="w-4 h-4 me-2" /> {t('import.submit', { count: pending.length })}
+            </button>
+          )}
+          {Object.keys(results).length > 0 && (
+            <button onClick={handleDownloadLog} className={`${buttonClass} bg-gray-800 text-gray-300 hover:bg-gray-700`}>
+              <Download className="w-4 h-4 me-2" /> {t('import.downloadLog')}
+            </button>
+          )}
+        </div>
+
+        {rows && (
+          <>
+            <p className="text-sm text-gray-400 mb-3" aria-live="polite">
+              {t('import.summary', { ready: pending.length - invalidCount, invalid: invalidCount, imported: checkedRows.length - pending.length })}
+              {invalidCount > 0 && ` ${t('import.fixHint')}`}
+            </p>
+            <div className="overflow-x-auto bg-gray-900 rounded-lg border border-gray-800">
+              <table className="w-full text-sm">
+                <thead className="text-start text-gray-400 border-b border-gray-800">
+                  <tr>
+                    <th className="p-3 text-start">{t('import.row')}</th>
+                    <th className="p-3 text-start">{t('import.title')}</th>
+                    <th className="p-3 text-start">{t('import.video')}</th>
+                    <th className="p-3 text-start">{t('import.status')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {checkedRows.map((checked) => (
+                    <tr key={checked.row.row} className="border-b border-gray-800 last:border-0 align-top">
+                      <td className="p-3 text-gray-400">{checked.row.row}</td>
+                      <td className="p-3 text-gray-100">{checked.row.fields?.title || '–'}</td>
+                      <td className="p-3 text-gray-400 break-all">{checked.row.files?.video || '–'}</td>
+                      <td className="p-3">{rowStatus(checked)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminImportPage;
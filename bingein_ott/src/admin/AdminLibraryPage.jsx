@@ -0,0 +1,281 @@
+// src/admin/AdminLibraryPage.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { Loader2, Pencil, Trash2, ArrowUp, ArrowDown, Eye, EyeOff } from 'lucide-react';
+import LibraryVideoEditor from './LibraryVideoEditor';
+import { fetchLibrary, updateVideo, deleteVideo } from '../lib/library';
+import { PUBLICATION_STATUSES, publicationStatus, formatRelease } from '../lib/publishing';
+import { useGenres } from '../lib/useGenres';
+import { useLocale } from '../context/useLocale';
+
+const selectClass = 'bg-gray-800 border border-gray-700 rounded-md px-3 py-2 text-sm text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 cursor-pointer';
+
+// Sortable columns: their header's message key and how to read the value being compared
+const COLUMNS = [
+  { key: 'title', labelKey: 'library.columnTitle', value: (video) => video.title.toLowerCase() },
+  { key: 'duration', labelKey: 'library.columnLength', value: (video) => video.duration || 0 },
+  { key: 'viewsCount', labelKey: 'library.columnViews', value: (video) => video.viewsCount || 0 },
+  { key: 'ratingAverage', labelKey: 'library.columnRating', value: (video) => video.ratingAverage || 0 },
+  { key: 'uploadDate', labelKey: 'library.columnUploaded', value: (video) => video.uploadDate || '' },
+];
+
+// Each is shown with the `transcode.<status>` message
+const TRANSCODE_STATUSES = ['pending', 'processing', 'ready', 'failed'];
+
+const publicationClass = {
+  draft: 'bg-gray-700 text-gray-300',
+  scheduled: 'bg-purple-900 text-purple-300',
+  published: 'bg-green-900 text-green-300',
+};
+
+const statusClass = {
+  ready: 'bg-green-900 text-green-300',
+  failed: 'bg-red-900 text-red-300',
+  processing: 'bg-blue-900 text-blue-300',
+  pending: 'bg-gray-700 text-gray-300',
+};
+
+/**
+ * AdminLibraryPage Component
+ *
+ * Every title in a table that can be sorted by clicking a column header and filtered by text,
+ * genre, access, publication state and transcode status. A row opens an inline editor for its
+ * metadata, publication, thumbnail and video; a title can also be published or unpublished in one
+ * click. Deleting a title also removes its stored files.
+ */
+const AdminLibraryPage = () => {
+  const [videos, setVideos] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [filters, setFilters] = useState({ text: '', genre: '', premium: '', publication: '', status: '' });
+  const [sort, setSort] = useState({ key: 'uploadDate', direction: -1 });
+  const [editingId, setEditingId] = useState(null);
+  const [busyId, setBusyId] = useState(null); // Row with a delete or publish toggle in flight
+  const { genres, genreName } = useGenres();
+  const { uiLocale, t, formatNumber, formatDate, formatDuration } = useLocale();
+
+  useEffect(() => {
+    fetchLibrary()
+      .then(setVideos)
+      .catch((err) => setErrorMessage(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const visibleVideos = useMemo(() => {
+    const text = filters.text.trim().toLowerCase();
+    const column = COLUMNS.find((c) => c.key === sort.key);
+    return videos
+      .filter((video) =>
+        (!text || video.title.toLowerCase().includes(text) || video.$id === text) &&
+        (!filters.genre || (video.genres || []).includes(filters.genre)) &&
+        (!filters.premium || String(Boolean(video.isPremium)) === filters.premium) &&
+        (!filters.publication || publicationStatus(video) === filters.publication) &&
+        (!filters.status || video.transcodeStatus === filters.status))
+      .sort((a, b) => {
+        const x = column.value(a);
+        const y = column.value(b);
+        return (x < y ? -1 : x > y ? 1 : 0) * sort.direction;
+      });
+  }, [videos, filters, sort]);
+
+  const setFilter = (name, value) => setFilters((current) => ({ ...current, [name]: value }));
+
+  // Clicking the sorted column flips its direction; another column starts descending
+  const toggleSort = (key) =>
+    setSort((current) => (current.key === key ? { key, direction: -current.direction } : { key, direction: key === 'title' ? 1 : -1 }));
+
+  const handleSaved = (updated) => {
+    setVideos((current) => current.map((video) => (video.$id === updated.$id ? updated : video)));
+    setEditingId(null);
+  };
+
+  // Published titles go back to draft; drafts and scheduled titles are released now
+  const handleTogglePublished = async (video) => {
+    const published = publicationStatus(video) === 'published';
+    if (published && !window.confirm(t('library.confirmUnpublish', { title: video.title }))) return;
+    setBusyId(video.$id);
+    setErrorMessage('');
+    try {
+      handleSaved(await updateVideo(video.$id, { status: published ? 'draft' : 'published' }));
+    } catch (err) {
+      setErrorMessage(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (video) => {
+    if (!window.confirm(t('library.confirmDelete', { title: video.title }))) return;
+    setBusyId(video.$id);
+    setErrorMessage('');
+    try {
+      await deleteVideo(video.$id);
+      setVideos((current) => current.filter((v) => v.$id !== video.$id));
+    } catch (err) {
+      setErrorMessage(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-950 text-gray-100 p-4 sm:p-8 font-inter">
+      <div className="max-w-6xl mx-auto">
+        <div className="flex items-end justify-between mb-6">
+          <h1 className="text-3xl font-extrabold text-white">{t('nav.library')}</h1>
+          <p className="text-sm text-gray-400" aria-live="polite">
+            {!loading && t('library.shown', { shown: visibleVideos.length, count: videos.length })}
+          </p>
+        </div>
+
+        {errorMessage && (
+          <div className="bg-red-800 bg-opacity-30 border border-red-700 text-red-300 px-4 py-3 rounded-lg mb-6" role="alert">
+            {errorMessage}
+          </div>
+        )}
+
+        {/* Filters */}
+        <div className="flex flex-wrap items-center gap-3 mb-6">
+          <input
+            type="search"
+            value={filters.text}
+            onChange={(e) => setFilter('text', e.target.value)}
+            placeholder={t('library.filterText')}
+            className={`${selectClass} flex-1 min-w-48 cursor-text`}
+            aria-label={t('library.filterText')}
+          />
+          <select value={filters.genre} onChange={(e) => setFilter('genre', e.target.value)} className={selectClass} aria-label={t('search.genre')}>
+            <option value="">{t('search.anyGenre')}</option>
+            {genres.map((genre) => (
+              <option key={genre.slug} value={genre.slug}>{genre.name}</option>
+            ))}
+          </select>
+          <select value={filters.premium} onChange={(e) => setFilter('premium', e.target.value)} className={selectClass} aria-label={t('search.access')}>
+            <option value="">{t('search.anyAccess')}</option>
+            <option value="false">{t('search.freeOnly')}</option>
+            <option value="true">{t('search.premiumOnly')}</option>
+          </select>
+          <select value={filters.publication} onChange={(e) => setFilter('publication', e.target.value)} className={selectClass} aria-label={t('publication.legend')}>
+            <option value="">{t('library.anyPublication')}</option>
+            {PUBLICATION_STATUSES.map((status) => (
+              <option key={status} value={status}>{t(`publication.${status}`)}</option>
+            ))}
+          </select>
+          <select value={filters.status} onChange={(e) => setFilter('status', e.target.value)} className={selectClass} aria-label={t('library.transcodeStatus')}>
+            <option value="">{t('library.anyStatus')}</option>
+            {TRANSCODE_STATUSES.map((status) => (
+              <option key={status} value={status}>{t(`transcode.${status}`)}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center items-center h-32">
+            <Loader2 className="h-10 w-10 text-blue-500 animate-spin" />
+          </div>
+        ) : videos.length === 0 ? (
+          <p className="text-center text-gray-400 py-12">
+            {t('library.empty')}{' '}
+            <Link to="/admin/upload" className="text-blue-400 hover:text-blue-300">{t('library.uploadOne')}</Link>
+          </p>
+        ) : (
+          <div className="overflow-x-auto bg-gray-900 rounded-lg border border-gray-800">
+            <table className="w-full text-sm">
+              <thead className="text-start text-gray-400 border-b border-gray-800">
+                <tr>
+                  <th className="p-3 w-24"><span className="sr-only">{t('library.thumbnail')}</span></th>
+                  {COLUMNS.map((column) => (
+                    <th key={column.key} className="p-3" aria-sort={sort.key === column.key ? (sort.direction > 0 ? 'ascending' : 'descending') : 'none'}>
+                      <button onClick={() => toggleSort(column.key)} className="flex items-center font-semibold hover:text-gray-200 cursor-pointer">
+                        {t(column.labelKey)}
+                        {sort.key === column.key && (sort.direction > 0 ? <ArrowUp className="w-3 h-3 ms-1" /> : <ArrowDown className="w-3 h-3 ms-1" />)}
+                      </button>
+                    </th>
+                  ))}
+                  <th className="p-3">{t('publication.legend')}</th>
+                  <th className="p-3">{t('library.columnTranscode')}</th>
+                  <th className="p-3"><span className="sr-only">{t('library.actions')}</span></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-800">
+                {visibleVideos.map((video) => (
+                  <React.Fragment key={video.$id}>
+                    <tr className="align-middle">
+                      <td className="p-3">
+                        {video.thumbnailUrl && <img src={video.thumbnailUrl} alt="" className="w-20 aspect-video object-cover rounded" />}
+                      </td>
+                      <td className="p-3 min-w-48">
+                        <Link to={`/watch/${video.$id}`} className="font-semibold text-white hover:text-blue-300">{video.title}</Link>
+                        <p className="text-xs text-gray-500">
+                          {video.genres?.length > 0 ? video.genres.map(genreName).join(', ') : video.genre || t('video.noGenre')}
+                          {video.isPremium && <span className="ms-2 text-yellow-400">{t('video.premium')}</span>}
+                        </p>
+                      </td>
+                      <td className="p-3 text-gray-300">{formatDuration(video.duration)}</td>
+                      <td className="p-3 text-gray-300">{formatNumber(video.viewsCount || 0)}</td>
+                      <td className="p-3 text-gray-300">{video.ratingCount > 0 ? t('library.rating', { average: formatNumber(video.ratingAverage, { minimumFractionDigits: 1, maximumFractionDigits: 1 }), count: video.ratingCount }) : '–'}</td>
+                      <td className="p-3 text-gray-300">{video.uploadDate ? formatDate(video.uploadDate) : '–'}</td>
+                      <td className="p-3">
+                        <span
+                          className={`px-2 py-0.5 rounded-full text-xs whitespace-nowrap ${publicationClass[publicationStatus(video)]}`}
+                          title={publicationStatus(video) === 'scheduled' ? formatRelease(video, uiLocale) : undefined}
+                        >
+                          {t(`publication.${publicationStatus(video)}`)}
+                        </span>
+                      </td>
+                      <td className="p-3">
+                        {video.transcodeStatus && (
+                          <span className={`px-2 py-0.5 rounded-full text-xs ${statusClass[video.transcodeStatus] || statusClass.pending}`} title={video.transcodeError || undefined}>
+                            {t(`transcode.${video.transcodeStatus}`)}
+                          </span>
+                        )}
+                      </td>
+                      <td className="p-3">
+                        <div className="flex justify-end">
+                          <button
+                            onClick={() => setEditingId(editingId === video.$id ? null : video.$id)}
+                            className="p-2 rounded-md text-gray-300 hover:bg-gray-800 cursor-pointer"
+                            title={t('admin.edit')}
+                            aria-expanded={editingId === video.$id}
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleTogglePublished(video)}
+                            disabled={busyId === video.$id}
+                            className="p-2 rounded-md text-gray-300 hover:bg-gray-800 cursor-pointer disabled:opacity-60"
+                            title={publicationStatus(video) === 'published' ? t('library.unpublish') : t('publication.publishNow')}
+                          >
+                            {publicationStatus(video) === 'published' ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                          </button>
+                          <button
+                            onClick={() => handleDelete(video)}
+                            disabled={busyId === video.$id}
+                            className="p-2 rounded-md text-red-400 hover:bg-gray-800 cursor-pointer disabled:opacity-60"
+                            title={t('admin.delete')}
+                          >
+                            {busyId === video.$id ? <Loader2 className="w-4 h-4 animate-spin" /> : <Trash2 className="w-4 h-4" />}
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                    {editingId === video.$id && (
+                      <tr>
+                        <td colSpan={COLUMNS.length + 4} className="p-3">
+                          <LibraryVideoEditor video={video} genres={genres} onSaved={handleSaved} onCancel={() => setEditingId(null)} />
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+            {visibleVideos.length === 0 && <p className="text-center text-gray-400 py-8">{t('library.noMatches')}</p>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminLibraryPage;
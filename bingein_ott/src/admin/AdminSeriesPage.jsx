@@ -0,0 +1,326 @@
+// src/admin/AdminSeriesPage.jsx
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Loader2, Plus, Pencil, Trash2, Check, X } from 'lucide-react';
+import {
+  fetchSeriesList, createSeries, updateSeries, deleteSeries, createSeason, updateSeason, deleteSeason, seasonLabel,
+} from '../lib/series';
+import { useLocale } from '../context/useLocale';
+
+const inputClass = 'px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm';
+
+const byTitle = (a, b) => a.title.localeCompare(b.title);
+const byNumber = (a, b) => a.number - b.number;
+
+/**
+ * AdminSeriesPage Component
+ *
+ * Manages series and their seasons. Episodes are uploaded (or moved) into a season from the upload
+ * form and the content library.
+ * - Season numbers are unique within a series; 0 is used for specials.
+ * - Deleting a series or a season is refused by the API while it still has episodes.
+ */
+const AdminSeriesPage = () => {
+  const [seriesList, setSeriesList] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [newSeries, setNewSeries] = useState({ title: '', description: '' });
+  const [creating, setCreating] = useState(false);
+  const [newSeasons, setNewSeasons] = useState({}); // seriesId -> { number, title } typed into its "Add season" form
+  const [editing, setEditing] = useState(null); // { id, title, description } or { id, number, title } for a season
+  const [busyId, setBusyId] = useState(null); // Series or season with a request in flight
+  const { t } = useLocale();
+
+  useEffect(() => {
+    fetchSeriesList()
+      .then(setSeriesList)
+      .catch((err) => setErrorMessage(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // Runs a request for one series or season, reporting its error
+  const run = async (id, request) => {
+    setBusyId(id);
+    setErrorMessage('');
+    try {
+      await request();
+      return true;
+    } catch (err) {
+      setErrorMessage(err.message);
+      return false;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const replaceSeries = (seriesId, update) =>
+    setSeriesList((current) => current.map((series) => (series.id === seriesId ? update(series) : series)).sort(byTitle));
+
+  // Suggested number for the next season: one after the highest so far
+  const nextSeasonNumber = (series) => String(Math.max(0, ...series.seasons.map((season) => season.number)) + 1);
+
+  const setNewSeason = (seriesId, field, value) =>
+    setNewSeasons((current) => ({ ...current, [seriesId]: { ...current[seriesId], [field]: value } }));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newSeries.title.trim()) {
+      setErrorMessage(t('seriesAdmin.titleRequired'));
+      return;
+    }
+    setCreating(true);
+    setErrorMessage('');
+    try {
+      const series = await createSeries({ title: newSeries.title.trim(), description: newSeries.description.trim() });
+      setSeriesList((current) => [...current, series].sort(byTitle));
+      setNewSeries({ title: '', description: '' });
+    } catch (err) {
+      setErrorMessage(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleSaveSeries = () => run(editing.id, async () => {
+    const series = await updateSeries(editing.id, { title: editing.title.trim(), description: editing.description.trim() });
+    replaceSeries(series.id, (current) => ({ ...current, ...series }));
+    setEditing(null);
+  });
+
+  const handleDeleteSeries = (series) => {
+    if (!window.confirm(t('seriesAdmin.confirmDelete', { title: series.title }))) return;
+    run(series.id, async () => {
+      await deleteSeries(series.id);
+      setSeriesList((current) => current.filter((s) => s.id !== series.id));
+    });
+  };
+
+  const handleAddSeason = async (e, series) => {
+    e.preventDefault();
+    const form = newSeasons[series.id] || {};
+    const number = parseInt(form.number ?? nextSeasonNumber(series), 10);
+    if (!(number >= 0)) {
+      setErrorMessage(t('seriesAdmin.seasonNumberRequired'));
+      return;
+    }
+    const added = await run(series.id, async () => {
+      const season = await createSeason({ seriesId: series.id, number, title: (form.title || '').trim() });
+      replaceSeries(series.id, (current) => ({ ...current, seasons: [...current.seasons, season].sort(byNumber) }));
+    });
+    if (added) setNewSeasons((current) => ({ ...current, [series.id]: undefined }));
+  };
+
+  const handleSaveSeason = (season) => run(season.id, async () => {
+    const saved = await updateSeason(season.id, { number: parseInt(editing.number, 10), title: editing.title.trim() });
+    replaceSeries(season.seriesId, (current) => ({
+      ...current,
+      seasons: current.seasons.map((s) => (s.id === saved.id ? saved : s)).sort(byNumber),
+    }));
+    setEditing(null);
+  });
+
+  const handleDeleteSeason = (season) => {
+    if (!window.confirm(t('seriesAdmin.confirmDeleteSeason', { season: seasonLabel(season, t) }))) return;
+    run(season.id, async () => {
+      await deleteSeason(season.id);
+      replaceSeries(season.seriesId, (current) => ({ ...current, seasons: current.seasons.filter((s) => s.id !== season.id) }));
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-950 text-gray-100 p-4 sm:p-8 font-inter">
+      <div className="max-w-4xl mx-auto">
+        <h1 className="text-3xl font-extrabold text-white mb-8">{t('nav.series')}</h1>
+
+        {errorMessage && (
+          <div className="bg-red-800 bg-opacity-30 border border-red-700 text-red-300 px-4 py-3 rounded-lg mb-6" role="alert">
+            {errorMessage}
+          </div>
+        )}
+
+        {/* New series */}
+        <form onSubmit={handleCreate} className="flex flex-wrap items-end gap-3 bg-gray-800 p-4 rounded-lg border border-gray-700 mb-8">
+          <label className="flex flex-col text-sm text-gray-300">
+            {t('admin.title')}
+            <input
+              type="text"
+              value={newSeries.title}
+              onChange={(e) => setNewSeries({ ...newSeries, title: e.target.value })}
+              maxLength={255}
+              className={`${inputClass} mt-1 w-56`}
+              placeholder={t('seriesAdmin.titlePlaceholder')}
+            />
+          </label>
+          <label className="flex flex-col text-sm text-gray-300 flex-1 min-w-48">
+            {t('admin.description')}
+            <input
+              type="text"
+              value={newSeries.description}
+              onChange={(e) => setNewSeries({ ...newSeries, description: e.target.value })}
+              className={`${inputClass} mt-1`}
+              placeholder={t('seriesAdmin.descriptionPlaceholder')}
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={creating}
+            className="flex items-center px-4 py-2 rounded-md bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold cursor-pointer disabled:opacity-60"
+          >
+            {creating ? <Loader2 className="w-4 h-4 me-2 animate-spin" /> : <Plus className="w-4 h-4 me-2" />}
+            {t('seriesAdmin.add')}
+          </button>
+        </form>
+
+        {/* Existing series */}
+        {loading ? (
+          <div className="flex justify-center items-center h-32">
+            <Loader2 className="h-10 w-10 text-blue-500 animate-spin" />
+          </div>
+        ) : seriesList.length === 0 ? (
+          <p className="text-center text-gray-400 py-12">{t('seriesAdmin.empty')}</p>
+        ) : (
+          <ul className="space-y-4">
+            {seriesList.map((series) => (
+              <li key={series.id} className="bg-gray-900 rounded-lg border border-gray-800 p-4">
+                <div className="flex flex-wrap items-center gap-3">
+                  {editing?.id === series.id ? (
+                    <>
+                      <input
+                        type="text"
+                        value={editing.title}
+                        onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+                        maxLength={255}
+                        className={`${inputClass} w-56`}
+                        aria-label={t('admin.title')}
+                      />
+                      <input
+                        type="text"
+                        value={editing.description}
+                        onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                        className={`${inputClass} flex-1 min-w-48`}
+                        aria-label={t('admin.description')}
+                      />
+                      <button onClick={handleSaveSeries} disabled={busyId === series.id} className="p-2 rounded-md text-green-400 hover:bg-gray-800 cursor-pointer" title={t('admin.save')}>
+                        {busyId === series.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <Check className="w-4 h-4" />}
+                      </button>
+                      <button onClick={() => setEditing(null)} className="p-2 rounded-md text-gray-400 hover:bg-gray-800 cursor-pointer" title={t('admin.cancel')}>
+                        <X className="w-4 h-4" />
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <div className="flex-1 min-w-0">
+                        <p className="font-semibold text-white">
+                          <Link to={`/series/${series.id}`} className="hover:text-blue-300">{series.title}</Link>
+                          <span className="ms-2 text-xs text-gray-500">{t('seriesAdmin.episodeCount', { count: series.episodeCount })}</span>
+                        </p>
+                        {series.description && <p className="text-sm text-gray-400 truncate">{series.description}</p>}
+                      </div>
+                      <button
+                        onClick={() => setEditing({ id: series.id, title: series.title, description: series.description })}
+                        className="p-2 rounded-md text-gray-300 hover:bg-gray-800 cursor-pointer"
+                        title={t('admin.edit')}
+                      >
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDeleteSeries(series)}
+                        disabled={busyId === series.id}
+                        className="p-2 rounded-md text-red-400 hover:bg-gray-800 cursor-pointer disabled:opacity-60"
+                        title={t('admin.delete')}
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </>
+                  )}
+                </div>
+
+                {/* Seasons */}
+                <ul className="mt-3 ms-4 divide-y divide-gray-800 border-s border-gray-800 ps-4">
+                  {series.seasons.map((season) => (
+                    <li key={season.id} className="flex flex-wrap items-center gap-3 py-2">
+                      {editing?.id === season.id ? (
+                        <>
+                          <input
+                            type="number"
+                            min="0"
+                            value={editing.number}
+                            onChange={(e) => setEditing({ ...editing, number: e.target.value })}
+                            className={`${inputClass} w-20`}
+                            aria-label={t('seriesAdmin.seasonNumber')}
+                          />
+                          <input
+                            type="text"
+                            value={editing.title}
+                            onChange={(e) => setEditing({ ...editing, title: e.target.value })}
+                            className={`${inputClass} flex-1 min-w-48`}
+                            aria-label={t('seriesAdmin.seasonTitle')}
+                          />
+                          <button onClick={() => handleSaveSeason(season)} disabled={busyId === season.id} className="p-2 rounded-md text-green-400 hover:bg-gray-800 cursor-pointer" title={t('admin.save')}>
+                            {busyId === season.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <Check className="w-4 h-4" />}
+                          </button>
+                          <button onClick={() => setEditing(null)} className="p-2 rounded-md text-gray-400 hover:bg-gray-800 cursor-pointer" title={t('admin.cancel')}>
+                            <X className="w-4 h-4" />
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          <span className="flex-1 text-sm text-gray-200">{seasonLabel(season, t)}</span>
+                          <button
+                            onClick={() => setEditing({ id: season.id, number: String(season.number), title: season.title })}
+                            className="p-2 rounded-md text-gray-300 hover:bg-gray-800 cursor-pointer"
+                            title={t('seriesAdmin.editSeason')}
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => handleDeleteSeason(season)}
+                            disabled={busyId === season.id}
+                            className="p-2 rounded-md text-red-400 hover:bg-gray-800 cursor-pointer disabled:opacity-60"
+                            title={t('seriesAdmin.deleteSeason')}
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </>
+                      )}
+                    </li>
+                  ))}
+                  <li className="py-2">
+                    <form onSubmit={(e) => handleAddSeason(e, series)} className="flex flex-wrap items-center gap-3">
+                      <input
+                        type="number"
+                        min="0"
+                        value={newSeasons[series.id]?.number ?? nextSeasonNumber(series)}
+                        onChange={(e) => setNewSeason(series.id, 'number', e.target.value)}
+                        className={`${inputClass} w-20`}
+                        aria-label={t('seriesAdmin.newSeasonNumber')}
+                      />
+                      <input
+                        type="text"
+                        value={newSeasons[series.id]?.title ?? ''}
+                        onChange={(e) => setNewSeason(series.id, 'title', e.target.value)}
+                        className={`${inputClass} flex-1 min-w-48`}
+                        placeholder={t('seriesAdmin.seasonTitlePlaceholder')}
+                        aria-label={t('seriesAdmin.newSeasonTitle')}
+                      />
+                      <button
+                        type="submit"
+                        disabled={busyId === series.id}
+                        className="flex items-center px-3 py-2 rounded-md bg-gray-700 hover:bg-gray-600 text-gray-200 text-sm cursor-pointer disabled:opacity-60"
+                      >
+                        <Plus className="w-4 h-4 me-1" />
+                        {t('seriesAdmin.addSeason')}
+                      </button>
+                    </form>
+                  </li>
+                </ul>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminSeriesPage;
@@ -1,5 +1,22 @@
 import React, { useState } from 'react';
-import { Upload, CheckCircle, XCircle, Loader2, Info } from 'lucide-react'; 
+import { Upload, CheckCircle, XCircle, Loader2, Image } from 'lucide-react'; 
+import { uploadFileResumable, hasPendingUpload } from '../lib/resumableUpload';
+import { apiFetch } from '../lib/api';
+import { useGenres } from '../lib/useGenres';
+import TagInput from './TagInput';
+import PublicationFields from './PublicationFields';
+import EpisodeFields from './EpisodeFields';
+import SubtitleTracksField from './SubtitleTracksField';
+import LocalizationFields from './LocalizationFields';
+import { browserTimeZone } from '../lib/publishing';
+import { localizationEntries } from '../lib/locale';
+import { useLocale } from '../context/useLocale';
+
+// File sizes as "12.34 MB" / "56.78 kB" in the interface language
+const FILE_SIZE = {
+  megabyte: { style: 'unit', unit: 'megabyte', maximumFractionDigits: 2 },
+  kilobyte: { style: 'unit', unit: 'kilobyte', maximumFractionDigits: 2 },
+};
 
 /**
  * AdminUploadPage Component
@@ -10,31 +27,45 @@ import { Upload, CheckCircle, XCircle, Loader2, Info } from 'lucide-react';
  * - Dynamic UI feedback (loading spinner, success/error messages).
  * - Basic client-side form validation.
  * - Integration with a backend API for file upload and metadata storage.
+ * - Resumable, chunked video uploads that survive reloads and network drops.
+ * - Optional thumbnail: poster frames can be generated from the video and picked instead.
+ * - Tags are chips with autocomplete from the tags already in use.
+ * - Genres are picked from the managed list (see AdminGenresPage); a title has one to five.
+ * - A title can be saved as a draft, scheduled for a release time, or published straight away.
+ * - A title can be uploaded as an episode into a chosen season of a series.
+ * - Any number of subtitle files (.srt or .vtt), each with a language and label, can be attached.
+ * - The title, description and tags can be translated into other languages.
+ * - The page's own copy, file sizes and progress are shown in the admin's interface language.
  * - Uses Tailwind CSS for styling and Lucide React for icons.
- * - Includes temporary fields for Appwrite User/Team IDs for backend permission testing.
- * (These should be replaced by a proper authentication system in a production app).
+ * - Requests carry the logged-in admin's Appwrite JWT; the server derives the team from it.
  */
 const AdminUploadPage = () => {
   // --- State Management for Form Inputs ---
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
-  const [duration, setDuration] = useState(''); // Stored as string, parsed to number on submit
+  const [duration, setDuration] = useState(''); // Optional override; the server probes the real duration
   const [isPremium, setIsPremium] = useState(false); // Boolean for checkbox
-  const [genre, setGenre] = useState('');
-  const [tags, setTags] = useState(''); // Comma-separated string
+  const [genreSlugs, setGenreSlugs] = useState([]); // Slugs of the selected managed genres
+  const [tags, setTags] = useState([]); // Normalized tags, see TagInput
+  const [localizationRows, setLocalizationRows] = useState([]); // { id, locale, title, description, tags } per translation
+  const [publication, setPublication] = useState(() => ({ status: 'published', publishAt: '', publishTimezone: browserTimeZone() }));
+  const [episode, setEpisode] = useState({ seriesId: '', seasonId: '', episodeNumber: '' }); // Empty seriesId for a standalone title
   const [videoFile, setVideoFile] = useState(null); // Stores File object
   const [thumbnailFile, setThumbnailFile] = useState(null); // Stores File object
-
-  // --- Temporary State for Appwrite IDs (for backend permission testing) ---
-  // IMPORTANT: In a production application, these IDs would be derived from
-  // the authenticated user's session (e.g., via Appwrite's client-side SDK)
-  // and NOT manually entered by the user or hardcoded.
-  const [appwriteTeamId, setAppwriteTeamId] = useState(''); // Placeholder for your 'content-management' team ID
+  const [subtitleRows, setSubtitleRows] = useState([]); // { id, file, language, label, kind } per subtitle file
+  const [videoUpload, setVideoUpload] = useState(null); // Completed resumable upload for the selected video
+  const [thumbnailCandidates, setThumbnailCandidates] = useState([]); // Poster frames generated from the video
+  const [selectedCandidate, setSelectedCandidate] = useState(null); // Storage key of the chosen poster frame
+  const [generatingCandidates, setGeneratingCandidates] = useState(false);
 
   // --- State for UI Feedback and Loading ---
   const [loading, setLoading] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
   const [errorMessage, setErrorMessage] = useState('');
+  const [uploadProgress, setUploadProgress] = useState(null); // { sent, total } while the video uploads
+  const [resumeNotice, setResumeNotice] = useState(false); // True when the selected file has an unfinished upload
+  const { genres, loading: genresLoading } = useGenres();
+  const { t, formatNumber } = useLocale();
 
   // --- Event Handlers ---
 
@@ -44,17 +75,30 @@ const AdminUploadPage = () => {
     setSuccessMessage(''); // Clear success messages on input change
   };
 
+  // Adds or removes a genre from the selection
+  const toggleGenre = (slug) => {
+    setGenreSlugs((current) => current.includes(slug) ? current.filter((s) => s !== slug) : [...current, slug]);
+    setErrorMessage('');
+    setSuccessMessage('');
+  };
+
    // Handles changes to the video file input.
    // Performs basic file type validation.
    
   const handleVideoFileChange = (e) => {
     const file = e.target.files ? e.target.files[0] : null;
+    // A different video invalidates any earlier upload and the frames generated from it
+    setVideoUpload(null);
+    setThumbnailCandidates([]);
+    setSelectedCandidate(null);
     if (file && file.type.startsWith('video/')) {
       setVideoFile(file);
+      setResumeNotice(hasPendingUpload(file));
       setErrorMessage('');
     } else {
       setVideoFile(null);
-      setErrorMessage('Please select a valid video file (e.g., .mp4, .mov).');
+      setResumeNotice(false);
+      setErrorMessage(t('upload.invalidVideo'));
     }
   };
 
@@ -66,13 +110,63 @@ const AdminUploadPage = () => {
     if (file && file.type.startsWith('image/')) {
       setThumbnailFile(file);
       setErrorMessage('');
+    } else if (!file) {
+      setThumbnailFile(null); // Thumbnail is optional; clearing it is fine
     } else {
       setThumbnailFile(null);
-      setErrorMessage('Please select a valid image file (e.g., .jpg, .png).');
+      setErrorMessage(t('upload.invalidImage'));
+    }
+  };
+
+
+  // Uploads the selected video through the resumable upload API, unless it is already uploaded.
+  // Returns the completed upload ({ uploadId, status, size }) or null after reporting an error.
+  const ensureVideoUploaded = async () => {
+    if (videoUpload) return videoUpload;
+    try {
+      const result = await uploadFileResumable(videoFile, {
+        onProgress: (sent, total) => setUploadProgress({ sent, total }),
+      });
+      setVideoUpload(result);
+      setResumeNotice(false);
+      return result;
+    } catch (error) {
+      console.error('Frontend Chunked Upload Error:', error);
+      setErrorMessage(t('upload.interrupted', { message: error.message }));
+      return null;
+    } finally {
+      setUploadProgress(null);
+    }
+  };
+
+  // Uploads the video (if needed) and asks the server for poster frames to choose from.
+  const handleGenerateCandidates = async () => {
+    setGeneratingCandidates(true);
+    setErrorMessage('');
+    try {
+      const upload = await ensureVideoUploaded();
+      if (!upload) return;
+
+      const response = await apiFetch('/api/thumbnail-candidates', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ videoUploadId: upload.uploadId }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setErrorMessage(data.message || t('upload.framesFailed'));
+        return;
+      }
+      setThumbnailCandidates(data.candidates);
+      setSelectedCandidate(data.candidates[0]?.key || null);
+    } catch (error) {
+      console.error('Thumbnail Candidate Error:', error);
+      setErrorMessage(t('upload.framesUnavailable'));
+    } finally {
+      setGeneratingCandidates(false);
     }
   };
 
-  
   // Handles the form submission.
   // Constructs FormData, sends it to the API, and manages UI feedback.
   const handleSubmit = async (e) => {
@@ -84,8 +178,41 @@ const AdminUploadPage = () => {
 
     // --- Client-side Validation ---
     // Ensure all required fields are filled before sending the request.
-    if (!title.trim() || !description.trim() || isNaN(parseInt(duration)) || !videoFile || !thumbnailFile || !appwriteTeamId.trim()) {
-      setErrorMessage('Please fill in all required fields, select both files, and provide valid Appwrite User/Team IDs.');
+    if (!title.trim() || !description.trim() || (duration !== '' && !(parseInt(duration, 10) > 0)) || !videoFile) {
+      setErrorMessage(t('upload.missingFields'));
+      setLoading(false);
+      return;
+    }
+    if (genreSlugs.length === 0 || genreSlugs.length > 5) {
+      setErrorMessage(t('upload.genreCount'));
+      setLoading(false);
+      return;
+    }
+    if (publication.status === 'scheduled' && !publication.publishAt) {
+      setErrorMessage(t('upload.releaseRequired'));
+      setLoading(false);
+      return;
+    }
+    if (episode.seriesId && (!episode.seasonId || !(parseInt(episode.episodeNumber, 10) > 0))) {
+      setErrorMessage(t('upload.episodeRequired'));
+      setLoading(false);
+      return;
+    }
+    if (subtitleRows.some((row) => !row.language.trim())) {
+      setErrorMessage(t('upload.subtitleLanguageRequired'));
+      setLoading(false);
+      return;
+    }
+    if (localizationRows.some((row) => !row.locale.trim() || !row.title.trim())) {
+      setErrorMessage(t('upload.translationRequired'));
+      setLoading(false);
+      return;
+    }
+
+    // --- Upload the Video in Resumable Chunks ---
+    // The video goes up first through /api/uploads; the metadata request only references it.
+    const upload = await ensureVideoUploaded();
+    if (!upload) {
       setLoading(false);
       return;
     }
@@ -94,18 +221,42 @@ const AdminUploadPage = () => {
     const formData = new FormData();
     formData.append('title', title.trim());
     formData.append('description', description.trim());
-    formData.append('duration', parseInt(duration, 10).toString()); // Ensure it's a string for FormData
+    if (duration !== '') {
+      formData.append('duration', parseInt(duration, 10).toString()); // Ensure it's a string for FormData
+    }
     formData.append('isPremium', isPremium.toString()); // Convert boolean to string "true" or "false"
-    formData.append('genre', genre.trim());
-    formData.append('tags', tags.trim());
-    formData.append('videoFile', videoFile);
-    formData.append('thumbnailFile', thumbnailFile);
-    // Append the Appwrite IDs for backend permission processing
-    formData.append('teamId', appwriteTeamId.trim());
+    genreSlugs.forEach((slug) => formData.append('genres', slug));
+    tags.forEach((tag) => formData.append('tags', tag));
+    formData.append('status', publication.status);
+    if (publication.status === 'scheduled') {
+      formData.append('publishAt', publication.publishAt); // Wall-clock time in publishTimezone
+      formData.append('publishTimezone', publication.publishTimezone);
+    }
+    if (episode.seriesId) {
+      formData.append('seasonId', episode.seasonId);
+      formData.append('episodeNumber', parseInt(episode.episodeNumber, 10).toString());
+    }
+    subtitleRows.forEach((row, index) => {
+      // Numbered so two files with the same name don't overwrite each other on the server
+      formData.append('subtitleFiles', row.file, `${index + 1}-${row.file.name}`);
+      formData.append('subtitleLanguages', row.language.trim());
+      formData.append('subtitleLabels', row.label.trim());
+      formData.append('subtitleKinds', row.kind);
+    });
+    if (localizationRows.length > 0) {
+      formData.append('localizations', JSON.stringify(localizationEntries(localizationRows)));
+    }
+    formData.append('videoUploadId', upload.uploadId);
+    // Without an uploaded image the chosen poster frame is used (or the server grabs one itself)
+    if (thumbnailFile) {
+      formData.append('thumbnailFile', thumbnailFile);
+    } else if (selectedCandidate) {
+      formData.append('thumbnailCandidate', selectedCandidate);
+    }
 
     try {
       // Send the request to the Vercel API route
-      const response = await fetch('/api/upload-video', {
+      const response = await apiFetch('/api/upload-video', {
         method: 'POST',
         body: formData, // FormData automatically sets Content-Type: multipart/form-data
       });
@@ -113,27 +264,39 @@ const AdminUploadPage = () => {
       const data = await response.json();
 
       if (response.ok) {
-        setSuccessMessage('Video uploaded and metadata saved successfully!');
+        setSuccessMessage({
+          draft: t('upload.savedDraft'),
+          scheduled: t('upload.savedScheduled'),
+        }[publication.status] || t('upload.saved'));
         // Reset form fields after successful upload
         setTitle('');
         setDescription('');
         setDuration('');
         setIsPremium(false);
-        setGenre('');
-        setTags('');
+        setGenreSlugs([]);
+        setTags([]);
+        setLocalizationRows([]);
+        setPublication({ status: 'published', publishAt: '', publishTimezone: browserTimeZone() });
+        // The next upload is usually the following episode of the same season
+        setEpisode((current) => (current.seriesId ? { ...current, episodeNumber: String(parseInt(current.episodeNumber, 10) + 1) } : current));
         setVideoFile(null);
-          setThumbnailFile(null);
+        setThumbnailFile(null);
+        setSubtitleRows([]);
+        setVideoUpload(null);
+        setThumbnailCandidates([]);
+        setSelectedCandidate(null);
+        setResumeNotice(false);
         // Manually reset file input elements to clear selected file names in UI
         document.getElementById('videoFileInput').value = '';
         document.getElementById('thumbnailFileInput').value = '';
 
       } else {
         // Display error message from the backend
-        setErrorMessage((data.message + '\n' + data.details)  || data.error || 'An unknown error occurred during upload.');
+        setErrorMessage([data.message, data.details].filter(Boolean).join('\n') || data.error || t('upload.unknownError'));
       }
     } catch (error) {
       console.error('Frontend Upload Error:', error);
-      setErrorMessage('Failed to connect to the upload service. Please check your network or try again.');
+      setErrorMessage(t('upload.serviceUnavailable'));
     } finally {
       setLoading(false); // Always stop loading regardless of success or failure
     }
@@ -144,53 +307,30 @@ const AdminUploadPage = () => {
     <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 flex items-center justify-center p-4 sm:p-6 font-inter">
       <div className="bg-gray-800 p-6 sm:p-8 rounded-xl shadow-2xl w-full max-w-2xl border border-gray-700">
         <h1 className="text-3xl sm:text-4xl font-extrabold text-white mb-8 text-center tracking-tight">
-          <Upload className="inline-block mr-3 text-blue-400" size={32} />
-          Upload New Content
+          <Upload className="inline-block me-3 text-blue-400" size={32} />
+          {t('upload.heading')}
         </h1>
 
         {/* --- Feedback Messages --- */}
         {successMessage && (
           <div className="flex items-center bg-green-600 bg-opacity-20 border border-green-500 text-green-200 px-4 py-3 rounded-lg mb-6 shadow-md" role="alert">
-            <CheckCircle className="h-6 w-6 mr-3 text-green-400" />
+            <CheckCircle className="h-6 w-6 me-3 text-green-400" />
             <p className="text-base font-medium">{successMessage}</p>
           </div>
         )}
         {errorMessage && (
           <div className="flex items-center bg-red-600 bg-opacity-20 border border-red-500 text-red-200 px-4 py-3 rounded-lg mb-6 shadow-md" role="alert">
-            <XCircle className="h-6 w-6 mr-3 text-red-400" />
+            <XCircle className="h-6 w-6 me-3 text-red-400" />
             <p className="text-base font-medium">{errorMessage}</p>
           </div>
         )}
 
         <form onSubmit={handleSubmit} className="space-y-6">
-          {/* --- Temporary Appwrite IDs for Testing --- */}
-          <div className="bg-blue-900 bg-opacity-30 border border-blue-700 p-4 rounded-lg shadow-inner">
-            <p className="font-bold text-blue-200 flex items-center mb-2">
-              <Info className="h-5 w-5 mr-2 text-blue-400" />
-              <span className="text-sm sm:text-base">Developer Testing (Remove in Production)</span>
-            </p>
-            <p className="text-xs text-blue-300 mb-3">
-              These IDs are for backend permission testing. Replace with a secure authentication flow.
-            </p>
-            <div className="flex">
-                <label htmlFor="appwriteTeamId" className="block text-sm font-medium text-gray-300 mb-1">Appwrite Team ID</label>
-                <input
-                  type="text"
-                  id="appwriteTeamId"
-                  value={appwriteTeamId}
-                  onChange={(e) => handleTextChange(e, setAppwriteTeamId)}
-                  className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
-                  placeholder="e.g., 123abc"
-                  required // Make required for testing
-                />
-            </div>
-          </div>
-
           {/* --- Form Fields --- */}
           {/* Title */}
           <div>
             <label htmlFor="title" className="block text-sm font-medium text-gray-300 mb-1">
-              Video Title <span className="text-red-400">*</span>
+              {t('upload.title')} <span className="text-red-400">*</span>
             </label>
             <input
               type="text"
@@ -200,14 +340,14 @@ const AdminUploadPage = () => {
               maxLength={255}
               required
               className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
-              placeholder="e.g., Epic Journey Through the Alps"
+              placeholder={t('upload.titlePlaceholder')}
             />
           </div>
 
           {/* Description */}
           <div>
             <label htmlFor="description" className="block text-sm font-medium text-gray-300 mb-1">
-              Description <span className="text-red-400">*</span>
+              {t('upload.description')} <span className="text-red-400">*</span>
             </label>
             <textarea
               id="description"
@@ -216,25 +356,25 @@ const AdminUploadPage = () => {
               onChange={(e) => handleTextChange(e, setDescription)}
               required
               className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm resize-y"
-              placeholder="Provide a detailed description of the video content..."
+              placeholder={t('upload.descriptionPlaceholder')}
             ></textarea>
           </div>
 
           {/* Duration */}
           <div>
             <label htmlFor="duration" className="block text-sm font-medium text-gray-300 mb-1">
-              Duration (seconds) <span className="text-red-400">*</span>
+              {t('upload.duration')}
             </label>
             <input
               type="number"
               id="duration"
               value={duration}
               onChange={(e) => handleTextChange(e, setDuration)}
-              required
               min="1"
               className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
-              placeholder="e.g., 360 (for 6 minutes)"
+              placeholder={t('upload.durationPlaceholder')}
             />
+            <p className="text-xs text-gray-400 mt-1">{t('upload.durationHint')}</p>
           </div>
 
           {/* Is Premium Checkbox */}
@@ -246,45 +386,64 @@ const AdminUploadPage = () => {
               onChange={(e) => setIsPremium(e.target.checked)}
               className="h-5 w-5 text-blue-500 bg-gray-700 border-gray-600 rounded focus:ring-blue-500"
             />
-            <label htmlFor="isPremium" className="ml-3 block text-base text-gray-200">
-              Mark as Premium Content
+            <label htmlFor="isPremium" className="ms-3 block text-base text-gray-200">
+              {t('upload.premium')}
             </label>
           </div>
 
           {/* Genre */}
-          <div>
-            <label htmlFor="genre" className="block text-sm font-medium text-gray-300 mb-1">
-              Genre
-            </label>
-            <input
-              type="text"
-              id="genre"
-              value={genre}
-              onChange={(e) => handleTextChange(e, setGenre)}
-              className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
-              placeholder="e.g., Action, Documentary, Sci-Fi"
-            />
-          </div>
+          <fieldset>
+            <legend className="block text-sm font-medium text-gray-300 mb-1">
+              {t('upload.genres')} <span className="text-red-400">*</span>
+            </legend>
+            {genresLoading ? (
+              <p className="text-sm text-gray-400">{t('upload.genresLoading')}</p>
+            ) : genres.length === 0 ? (
+              <p className="text-sm text-gray-400">{t('upload.noGenres')}</p>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {genres.map((g) => {
+                  const selected = genreSlugs.includes(g.slug);
+                  return (
+                    <button
+                      key={g.slug}
+                      type="button"
+                      onClick={() => toggleGenre(g.slug)}
+                      aria-pressed={selected}
+                      className={`px-3 py-1 rounded-full text-sm border transition-colors duration-200 cursor-pointer ${
+                        selected ? 'bg-blue-600 border-blue-500 text-white' : 'bg-gray-700 border-gray-600 text-gray-300 hover:bg-gray-600'
+                      }`}
+                    >
+                      {g.name}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+            <p className="mt-1 text-xs text-gray-400">{t('upload.genresHint')}</p>
+          </fieldset>
 
           {/* Tags */}
           <div>
             <label htmlFor="tags" className="block text-sm font-medium text-gray-300 mb-1">
-              Tags (comma-separated)
+              {t('upload.tags')}
             </label>
-            <input
-              type="text"
-              id="tags"
-              value={tags}
-              onChange={(e) => handleTextChange(e, setTags)}
-              className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
-              placeholder="e.g., adventure, mountains, travel, hiking"
-            />
+            <TagInput id="tags" value={tags} onChange={setTags} />
           </div>
 
+          {/* Translations */}
+          <LocalizationFields id="localizations" value={localizationRows} onChange={setLocalizationRows} />
+
+          {/* Series Episode */}
+          <EpisodeFields id="episode" value={episode} onChange={setEpisode} />
+
+          {/* Publication */}
+          <PublicationFields id="publication" value={publication} onChange={setPublication} />
+
           {/* Video File Upload */}
           <div>
             <label htmlFor="videoFileInput" className="block text-sm font-medium text-gray-300 mb-1">
-              Video File <span className="text-red-400">*</span>
+              {t('upload.videoFile')} <span className="text-red-400">*</span>
             </label>
             <input
               type="file"
@@ -292,27 +451,79 @@ const AdminUploadPage = () => {
               accept="video/mp4,video/mov,video/avi,video/mkv,video/webm" // Common video formats
               onChange={handleVideoFileChange}
               required
-              className="w-full text-sm text-gray-400 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-500 file:text-white hover:file:bg-blue-600 transition-colors duration-200 cursor-pointer"
+              className="w-full text-sm text-gray-400 file:me-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-500 file:text-white hover:file:bg-blue-600 transition-colors duration-200 cursor-pointer"
             />
-            {videoFile && <p className="text-xs text-gray-400 mt-2">Selected: <span className="font-medium">{videoFile.name}</span> ({ (videoFile.size / (1024 * 1024)).toFixed(2) } MB)</p>}
+            {videoFile && <p className="text-xs text-gray-400 mt-2">{t('upload.selected')} <span className="font-medium">{videoFile.name}</span> ({formatNumber(videoFile.size / (1024 * 1024), FILE_SIZE.megabyte)})</p>}
+            {resumeNotice && <p className="text-xs text-blue-300 mt-1">{t('upload.resumeNotice')}</p>}
           </div>
 
           {/* Thumbnail File Upload */}
           <div>
             <label htmlFor="thumbnailFileInput" className="block text-sm font-medium text-gray-300 mb-1">
-              Thumbnail Image <span className="text-red-400">*</span>
+              {t('upload.thumbnail')}
             </label>
             <input
               type="file"
               id="thumbnailFileInput"
               accept="image/jpeg,image/png,image/gif,image/webp" // Common image formats
               onChange={handleThumbnailFileChange}
-              required
-              className="w-full text-sm text-gray-400 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-500 file:text-white hover:file:bg-blue-600 transition-colors duration-200 cursor-pointer"
+              className="w-full text-sm text-gray-400 file:me-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-500 file:text-white hover:file:bg-blue-600 transition-colors duration-200 cursor-pointer"
             />
-            {thumbnailFile && <p className="text-xs text-gray-400 mt-2">Selected: <span className="font-medium">{thumbnailFile.name}</span> ({ (thumbnailFile.size / 1024).toFixed(2) } KB)</p>}
+            {thumbnailFile && <p className="text-xs text-gray-400 mt-2">{t('upload.selected')} <span className="font-medium">{thumbnailFile.name}</span> ({formatNumber(thumbnailFile.size / 1024, FILE_SIZE.kilobyte)})</p>}
+
+            {/* Poster Frames Generated from the Video */}
+            {!thumbnailFile && (
+              <div className="mt-3">
+                <p className="text-xs text-gray-400 mb-2">
+                  {t('upload.framesHint')}
+                </p>
+                <button
+                  type="button"
+                  onClick={handleGenerateCandidates}
+                  disabled={!videoFile || generatingCandidates || loading}
+                  className="flex items-center px-4 py-2 bg-gray-700 text-gray-200 text-sm rounded-md hover:bg-gray-600 transition-colors duration-200 cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {generatingCandidates ? <Loader2 className="w-4 h-4 me-2 animate-spin" /> : <Image className="w-4 h-4 me-2" />}
+                  {generatingCandidates ? t('upload.generatingFrames') : t('upload.generateFrames')}
+                </button>
+
+                {thumbnailCandidates.length > 0 && (
+                  <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mt-3">
+                    {thumbnailCandidates.map((candidate) => (
+                      <button
+                        type="button"
+                        key={candidate.key}
+                        onClick={() => setSelectedCandidate(candidate.key)}
+                        className={`rounded-md overflow-hidden border-2 cursor-pointer transition-colors duration-200 ${selectedCandidate === candidate.key ? 'border-blue-500' : 'border-transparent hover:border-gray-500'}`}
+                      >
+                        <img src={candidate.url} alt={t('upload.frameAlt', { time: formatNumber(candidate.time, { style: 'unit', unit: 'second' }) })} className="w-full aspect-video object-cover" />
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
           </div>
 
+          {/* Subtitle Files */}
+          <SubtitleTracksField value={subtitleRows} onChange={setSubtitleRows} />
+
+          {/* Upload Progress */}
+          {uploadProgress && (
+            <div>
+              <div className="flex justify-between text-xs text-gray-400 mb-1">
+                <span>{t('upload.uploadingVideo')}</span>
+                <span>{formatNumber(Math.floor((uploadProgress.sent / uploadProgress.total) * 100) / 100, { style: 'percent' })}</span>
+              </div>
+              <div className="w-full h-2 bg-gray-700 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-blue-500 transition-all duration-300"
+                  style={{ width: `${(uploadProgress.sent / uploadProgress.total) * 100}%` }}
+                />
+              </div>
+            </div>
+          )}
+
           {/* Submit Button */}
           <button
             type="submit"
@@ -323,13 +534,13 @@ const AdminUploadPage = () => {
           >
             {loading ? (
               <>
-                <Loader2 className="mr-3 h-6 w-6 animate-spin" />
-                Uploading...
+                <Loader2 className="me-3 h-6 w-6 animate-spin" />
+                {t('upload.uploading')}
               </>
             ) : (
               <>
-                <Upload className="mr-3 h-6 w-6" />
-                Upload Content
+                <Upload className="me-3 h-6 w-6" />
+                {t('upload.submit')}
               </>
             )}
           </button>
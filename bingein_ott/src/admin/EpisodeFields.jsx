@@ -0,0 +1,99 @@
+// src/admin/EpisodeFields.jsx
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { fetchSeriesList, seasonLabel } from '../lib/series';
+import { useLocale } from '../context/useLocale';
+
+const inputClass = 'px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm';
+
+/**
+ * EpisodeFields Component
+ *
+ * Standalone title or episode choice shared by the upload form and the library editor. An episode
+ * needs a series, one of its seasons and an episode number; the server refuses a number that is
+ * already taken in the season. Series and seasons are managed on AdminSeriesPage.
+ *
+ * @param {{ id: string, value: { seriesId: string, seasonId: string, episodeNumber: string }, onChange: (value: object) => void }} props
+ */
+const EpisodeFields = ({ id, value, onChange }) => {
+  const [seriesList, setSeriesList] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const { t } = useLocale();
+
+  useEffect(() => {
+    fetchSeriesList()
+      .then(setSeriesList)
+      .catch((err) => {
+        console.error('Failed to load series:', err);
+        setLoadError(err.message);
+      });
+  }, []);
+
+  const seasons = seriesList?.find((series) => series.id === value.seriesId)?.seasons || [];
+  const isEpisode = Boolean(value.seriesId);
+
+  return (
+    <fieldset>
+      <legend className="block text-sm font-medium text-gray-300 mb-2">{t('episode.series')}</legend>
+      {loadError ? (
+        <p className="text-sm text-red-300">{t('episode.loadFailed', { message: loadError })}</p>
+      ) : !seriesList ? (
+        <p className="text-sm text-gray-400">{t('episode.loading')}</p>
+      ) : (
+        <div className="flex flex-wrap gap-3">
+          <label className="flex flex-col text-sm text-gray-300">
+            {t('episode.episodeOf')}
+            <select
+              id={`${id}-series`}
+              value={value.seriesId}
+              onChange={(e) => onChange({ seriesId: e.target.value, seasonId: '', episodeNumber: value.episodeNumber })}
+              className={`${inputClass} mt-1 cursor-pointer`}
+            >
+              <option value="">{t('episode.standalone')}</option>
+              {seriesList.map((series) => (
+                <option key={series.id} value={series.id}>{series.title}</option>
+              ))}
+            </select>
+          </label>
+          {isEpisode && (
+            <>
+              <label className="flex flex-col text-sm text-gray-300">
+                {t('episode.season')}
+                <select
+                  value={value.seasonId}
+                  onChange={(e) => onChange({ ...value, seasonId: e.target.value })}
+                  required
+                  className={`${inputClass} mt-1 cursor-pointer`}
+                >
+                  <option value="" disabled>{t('episode.chooseSeason')}</option>
+                  {seasons.map((season) => (
+                    <option key={season.id} value={season.id}>{seasonLabel(season, t)}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex flex-col text-sm text-gray-300">
+                {t('episode.episode')}
+                <input
+                  type="number"
+                  min="1"
+                  value={value.episodeNumber}
+                  onChange={(e) => onChange({ ...value, episodeNumber: e.target.value })}
+                  required
+                  className={`${inputClass} mt-1 w-24`}
+                />
+              </label>
+            </>
+          )}
+        </div>
+      )}
+      {isEpisode && seriesList && seasons.length === 0 && (
+        <p className="text-xs text-gray-400 mt-1">
+          {t('episode.noSeasons')}{' '}
+          <Link to="/admin/series" className="text-blue-400 hover:text-blue-300">{t('episode.addSeason')}</Link>
+        </p>
+      )}
+    </fieldset>
+  );
+};
+
+export default EpisodeFields;
@@ -0,0 +1,237 @@
+// src/admin/LibraryVideoEditor.jsx
+import React, { useState } from 'react';
+import { Loader2, Check, X } from 'lucide-react';
+import TagInput from './TagInput';
+import PublicationFields from './PublicationFields';
+import EpisodeFields from './EpisodeFields';
+import SubtitleTracksField from './SubtitleTracksField';
+import LocalizationFields from './LocalizationFields';
+import { updateVideo } from '../lib/library';
+import { tagList } from '../lib/tags';
+import { publicationStatus, browserTimeZone, toLocalInput } from '../lib/publishing';
+import { subtitleTracks } from '../lib/subtitles';
+import { videoLocalizations, localizationRow, localizationEntries } from '../lib/locale';
+
+const inputClass = 'w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm';
+const fileClass = 'w-full text-sm text-gray-400 file:mr-4 file:py-1.5 file:px-3 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-gray-600 file:text-white hover:file:bg-gray-500 cursor-pointer';
+
+const sameList = (a, b) => a.length === b.length && a.every((item, index) => item === b[index]);
+
+// A subtitle row as compared for changes: new files never match
+const trackKey = (row) => (row.file ? null : JSON.stringify([row.url, row.language.trim(), row.label.trim(), row.kind]));
+
+/**
+ * LibraryVideoEditor Component
+ *
+ * Inline editor for one row of the content library. Only the fields that were changed are sent.
+ * A new thumbnail or video is uploaded in resumable chunks before the edit is saved; replacing
+ * the video queues the title for transcoding again. Changing the publication state also changes
+ * who can see the title. A title can be moved into a season, between seasons, or out of a series.
+ * Subtitle tracks can be added, relabelled and removed; removed files are deleted from storage.
+ * Translations are sent as a whole list whenever one of them changed.
+ *
+ * @param {{ video: object, genres: Array<{ slug: string, name: string }>, onSaved: (video: object) => void, onCancel: () => void }} props
+ */
+const LibraryVideoEditor = ({ video, genres, onSaved, onCancel }) => {
+  const initialTags = tagList(video.tags);
+  const initialPublication = {
+    status: publicationStatus(video),
+    publishTimezone: video.publishTimezone || browserTimeZone(),
+    publishAt: video.publishAt ? toLocalInput(video.publishAt, video.publishTimezone || browserTimeZone()) : '',
+  };
+  const [form, setForm] = useState({
+    title: video.title,
+    description: video.description,
+    duration: String(Math.round(video.duration || 0)),
+    isPremium: Boolean(video.isPremium),
+    genres: video.genres || [],
+    tags: initialTags,
+  });
+  const [publication, setPublication] = useState(initialPublication);
+  const [episode, setEpisode] = useState({
+    seriesId: video.seriesId || '',
+    seasonId: video.seasonId || '',
+    episodeNumber: video.episodeNumber ? String(video.episodeNumber) : '',
+  });
+  const [initialSubtitles] = useState(() => subtitleTracks(video).map((track) => ({ id: track.url, ...track })));
+  const [subtitleRows, setSubtitleRows] = useState(initialSubtitles);
+  const [initialLocalizations] = useState(() => videoLocalizations(video).map(localizationRow));
+  const [localizationRows, setLocalizationRows] = useState(initialLocalizations);
+  const [thumbnailFile, setThumbnailFile] = useState(null);
+  const [videoFile, setVideoFile] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null); // { sent, total } while a new video uploads
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const set = (field, value) => setForm((current) => ({ ...current, [field]: value }));
+
+  const toggleGenre = (slug) =>
+    set('genres', form.genres.includes(slug) ? form.genres.filter((s) => s !== slug) : [...form.genres, slug]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const duration = parseInt(form.duration, 10);
+    if (!form.title.trim() || !form.description.trim() || !(duration > 0)) {
+      setErrorMessage('Title, description and a positive duration are required.');
+      return;
+    }
+    if (form.genres.length === 0 || form.genres.length > 5) {
+      setErrorMessage('Please choose between one and five genres.');
+      return;
+    }
+    if (publication.status === 'scheduled' && !publication.publishAt) {
+      setErrorMessage('Please choose a release date and time.');
+      return;
+    }
+    if (subtitleRows.some((row) => !row.language.trim())) {
+      setErrorMessage('Please enter a language code for every subtitle track.');
+      return;
+    }
+    if (localizationRows.some((row) => !row.locale.trim() || !row.title.trim())) {
+      setErrorMessage('Please enter a language code and title for every translation.');
+      return;
+    }
+    const episodeNumber = parseInt(episode.episodeNumber, 10);
+    if (episode.seriesId && (!episode.seasonId || !(episodeNumber > 0))) {
+      setErrorMessage('Please choose the season and episode number.');
+      return;
+    }
+
+    const changes = {};
+    if (form.title.trim() !== video.title) changes.title = form.title.trim();
+    if (form.description.trim() !== video.description) changes.description = form.description.trim();
+    // A replaced video brings its own probed duration unless one is typed in
+    if (duration !== Math.round(video.duration || 0)) changes.duration = duration;
+    if (form.isPremium !== Boolean(video.isPremium)) changes.isPremium = form.isPremium;
+    if (!sameList(form.genres, video.genres || [])) changes.genres = form.genres;
+    if (!sameList(form.tags, initialTags)) changes.tags = form.tags;
+    if (['status', 'publishAt', 'publishTimezone'].some((field) => publication[field] !== initialPublication[field])) {
+      Object.assign(changes, publication.status === 'scheduled' ? publication : { status: publication.status });
+    }
+    if (!episode.seriesId && video.seasonId) {
+      changes.seasonId = null;
+    } else if (episode.seriesId && (episode.seasonId !== video.seasonId || episodeNumber !== video.episodeNumber)) {
+      Object.assign(changes, { seasonId: episode.seasonId, episodeNumber });
+    }
+    if (!sameList(subtitleRows.map(trackKey), initialSubtitles.map(trackKey))) changes.subtitles = subtitleRows;
+    const localizations = localizationEntries(localizationRows);
+    if (JSON.stringify(localizations) !== JSON.stringify(localizationEntries(initialLocalizations))) changes.localizations = localizations;
+    if (Object.keys(changes).length === 0 && !thumbnailFile && !videoFile) {
+      onCancel();
+      return;
+    }
+
+    setSaving(true);
+    setErrorMessage('');
+    try {
+      onSaved(await updateVideo(video.$id, changes, {
+        thumbnailFile,
+        videoFile,
+        onProgress: (sent, total) => setUploadProgress({ sent, total }),
+      }));
+    } catch (err) {
+      console.error(`Saving video ${video.$id} failed:`, err);
+      setErrorMessage(err.message);
+    } finally {
+      setSaving(false);
+      setUploadProgress(null);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 bg-gray-800 p-4 rounded-lg border border-gray-700">
+      {errorMessage && (
+        <div className="bg-red-800 bg-opacity-30 border border-red-700 text-red-300 px-4 py-2 rounded-md text-sm" role="alert">
+          {errorMessage}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-4 gap-4">
+        <label className="sm:col-span-3 block text-sm text-gray-300">
+          Title
+          <input type="text" value={form.title} onChange={(e) => set('title', e.target.value)} maxLength={255} className={`${inputClass} mt-1`} />
+        </label>
+        <label className="block text-sm text-gray-300">
+          Duration (seconds)
+          <input type="number" min="1" value={form.duration} onChange={(e) => set('duration', e.target.value)} className={`${inputClass} mt-1`} />
+        </label>
+      </div>
+
+      <label className="block text-sm text-gray-300">
+        Description
+        <textarea rows="3" value={form.description} onChange={(e) => set('description', e.target.value)} className={`${inputClass} mt-1 resize-y`} />
+      </label>
+
+      <fieldset>
+        <legend className="text-sm text-gray-300 mb-1">Genres</legend>
+        <div className="flex flex-wrap gap-2">
+          {genres.map((g) => {
+            const selected = form.genres.includes(g.slug);
+            return (
+              <button
+                key={g.slug}
+                type="button"
+                onClick={() => toggleGenre(g.slug)}
+                aria-pressed={selected}
+                className={`px-3 py-1 rounded-full text-sm border transition-colors duration-200 cursor-pointer ${
+                  selected ? 'bg-blue-600 border-blue-500 text-white' : 'bg-gray-700 border-gray-600 text-gray-300 hover:bg-gray-600'
+                }`}
+              >
+                {g.name}
+              </button>
+            );
+          })}
+        </div>
+      </fieldset>
+
+      <div>
+        <label htmlFor={`tags-${video.$id}`} className="block text-sm text-gray-300 mb-1">Tags</label>
+        <TagInput id={`tags-${video.$id}`} value={form.tags} onChange={(tags) => set('tags', tags)} />
+      </div>
+
+      <LocalizationFields id={`localizations-${video.$id}`} value={localizationRows} onChange={setLocalizationRows} />
+
+      <label className="flex items-center text-sm text-gray-200">
+        <input type="checkbox" checked={form.isPremium} onChange={(e) => set('isPremium', e.target.checked)} className="h-4 w-4 mr-2 text-blue-500 bg-gray-700 border-gray-600 rounded" />
+        Premium
+      </label>
+
+      <EpisodeFields id={`episode-${video.$id}`} value={episode} onChange={setEpisode} />
+
+      <PublicationFields id={`publication-${video.$id}`} value={publication} onChange={setPublication} />
+
+      <SubtitleTracksField value={subtitleRows} onChange={setSubtitleRows} />
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <label className="block text-sm text-gray-300">
+          Replace thumbnail
+          <input type="file" accept="image/jpeg,image/png,image/gif,image/webp" onChange={(e) => setThumbnailFile(e.target.files?.[0] || null)} className={`${fileClass} mt-1`} />
+        </label>
+        <label className="block text-sm text-gray-300">
+          Replace video
+          <input type="file" accept="video/mp4,video/mov,video/avi,video/mkv,video/webm" onChange={(e) => setVideoFile(e.target.files?.[0] || null)} className={`${fileClass} mt-1`} />
+        </label>
+      </div>
+      {videoFile && <p className="text-xs text-gray-400">The new video is transcoded again after saving; until then the original file is played.</p>}
+
+      {uploadProgress && (
+        <div className="w-full h-2 bg-gray-700 rounded-full overflow-hidden" role="progressbar" aria-valuenow={Math.floor((uploadProgress.sent / uploadProgress.total) * 100)}>
+          <div className="h-full bg-blue-500 transition-all duration-300" style={{ width: `${(uploadProgress.sent / uploadProgress.total) * 100}%` }} />
+        </div>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} disabled={saving} className="flex items-center px-4 py-2 rounded-md bg-gray-700 hover:bg-gray-600 text-gray-200 text-sm cursor-pointer disabled:opacity-60">
+          <X className="w-4 h-4 mr-2" />
+          Cancel
+        </button>
+        <button type="submit" disabled={saving} className="flex items-center px-4 py-2 rounded-md bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold cursor-pointer disabled:opacity-60">
+          {saving ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Check className="w-4 h-4 mr-2" />}
+          Save
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default LibraryVideoEditor;
@@ -0,0 +1,93 @@
+// src/admin/LocalizationFields.jsx
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import TagInput from './TagInput';
+import { DEFAULT_LOCALE, localeName, canonicalLocale, localizationRow } from '../lib/locale';
+import { useLocale } from '../context/useLocale';
+
+const inputClass = 'px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm';
+
+/**
+ * LocalizationFields Component
+ *
+ * Translations of a title's metadata, shared by the upload form and the library editor. The main
+ * title, description and tags are in the default language; each row adds another language's
+ * title, with an optional description and tags (the default ones are shown when left empty).
+ *
+ * @param {{ id: string, value: Array<{ id: string, locale: string, title: string, description: string, tags: string[] }>,
+ *   onChange: (rows: object[]) => void }} props
+ */
+const LocalizationFields = ({ id, value, onChange }) => {
+  const { t } = useLocale();
+  const update = (rowId, field, fieldValue) => onChange(value.map((row) => (row.id === rowId ? { ...row, [field]: fieldValue } : row)));
+
+  return (
+    <fieldset>
+      <legend className="block text-sm font-medium text-gray-300 mb-1">{t('translations.legend')}</legend>
+      <p className="text-xs text-gray-400 mb-2">
+        {t('translations.hint', { language: localeName(DEFAULT_LOCALE), code: DEFAULT_LOCALE })}
+      </p>
+      {value.length > 0 && (
+        <ul className="space-y-3 mb-3">
+          {value.map((row) => {
+            const locale = canonicalLocale(row.locale);
+            return (
+              <li key={row.id} className="space-y-2 border border-gray-700 rounded-md p-3">
+                <div className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={row.locale}
+                    onChange={(e) => update(row.id, 'locale', e.target.value)}
+                    required
+                    className={`${inputClass} w-24`}
+                    placeholder="fr"
+                    aria-label={t('translations.languageCode')}
+                  />
+                  <span className="text-xs text-gray-400 flex-1 truncate">{locale ? localeName(locale) : ''}</span>
+                  <button
+                    type="button"
+                    onClick={() => onChange(value.filter((r) => r.id !== row.id))}
+                    className="p-2 rounded-md text-red-400 hover:bg-gray-700 cursor-pointer"
+                    title={t('translations.remove')}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+                <input
+                  type="text"
+                  value={row.title}
+                  onChange={(e) => update(row.id, 'title', e.target.value)}
+                  required
+                  maxLength={255}
+                  lang={locale || undefined}
+                  className={`${inputClass} w-full`}
+                  placeholder={t('translations.title')}
+                  aria-label={t('translations.titleLabel')}
+                />
+                <textarea
+                  rows="2"
+                  value={row.description}
+                  onChange={(e) => update(row.id, 'description', e.target.value)}
+                  lang={locale || undefined}
+                  className={`${inputClass} w-full resize-y`}
+                  placeholder={t('translations.description')}
+                  aria-label={t('translations.descriptionLabel')}
+                />
+                <TagInput id={`${id}-${row.id}-tags`} value={row.tags} onChange={(tags) => update(row.id, 'tags', tags)} />
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      <button
+        type="button"
+        onClick={() => onChange([...value, localizationRow()])}
+        className="flex items-center px-3 py-1.5 rounded-md bg-gray-700 hover:bg-gray-600 text-gray-200 text-sm cursor-pointer"
+      >
+        <Plus className="w-4 h-4 me-1" /> {t('translations.add')}
+      </button>
+    </fieldset>
+  );
+};
+
+export default LocalizationFields;
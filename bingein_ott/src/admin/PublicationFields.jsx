@@ -0,0 +1,79 @@
+// src/admin/PublicationFields.jsx
+import React, { useMemo } from 'react';
+import { timeZones } from '../lib/publishing';
+import { useLocale } from '../context/useLocale';
+
+const inputClass = 'px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm';
+
+// Message keys for each choice and its hint
+const OPTIONS = [
+  { value: 'draft', labelKey: 'publication.saveDraft', hintKey: 'publication.draftHint' },
+  { value: 'scheduled', labelKey: 'publication.schedule', hintKey: 'publication.scheduleHint' },
+  { value: 'published', labelKey: 'publication.publishNow', hintKey: 'publication.publishHint' },
+];
+
+/**
+ * PublicationFields Component
+ *
+ * Draft / schedule / publish choice shared by the upload form and the library editor. The release
+ * time is wall-clock time in the chosen time zone; the server converts it to UTC.
+ *
+ * @param {{ id: string, value: { status: string, publishAt: string, publishTimezone: string }, onChange: (value: object) => void }} props
+ */
+const PublicationFields = ({ id, value, onChange }) => {
+  const { t } = useLocale();
+  // The browser's own zone (e.g. "UTC") is not always in the supported list
+  const zones = useMemo(() => {
+    const all = timeZones();
+    return all.includes(value.publishTimezone) ? all : [value.publishTimezone, ...all];
+  }, [value.publishTimezone]);
+  const set = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+  const selected = OPTIONS.find((option) => option.value === value.status);
+
+  return (
+    <fieldset>
+      <legend className="block text-sm font-medium text-gray-300 mb-2">{t('publication.legend')}</legend>
+      <div className="flex flex-wrap gap-4">
+        {OPTIONS.map((option) => (
+          <label key={option.value} className="flex items-start text-sm text-gray-200 cursor-pointer" title={t(option.hintKey)}>
+            <input
+              type="radio"
+              name={`${id}-status`}
+              value={option.value}
+              checked={value.status === option.value}
+              onChange={() => set('status', option.value)}
+              className="mt-0.5 me-2 text-blue-500 bg-gray-700 border-gray-600"
+            />
+            {t(option.labelKey)}
+          </label>
+        ))}
+      </div>
+      <p className="text-xs text-gray-400 mt-1">{selected && t(selected.hintKey)}</p>
+
+      {value.status === 'scheduled' && (
+        <div className="flex flex-wrap gap-3 mt-3">
+          <label className="flex flex-col text-sm text-gray-300">
+            {t('publication.releaseTime')}
+            <input
+              type="datetime-local"
+              value={value.publishAt}
+              onChange={(e) => set('publishAt', e.target.value)}
+              required
+              className={`${inputClass} mt-1`}
+            />
+          </label>
+          <label className="flex flex-col text-sm text-gray-300">
+            {t('publication.timeZone')}
+            <select value={value.publishTimezone} onChange={(e) => set('publishTimezone', e.target.value)} className={`${inputClass} mt-1 cursor-pointer`}>
+              {zones.map((zone) => (
+                <option key={zone} value={zone}>{zone}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+    </fieldset>
+  );
+};
+
+export default PublicationFields;
@@ -0,0 +1,94 @@
+// src/admin/SubtitleTracksField.jsx
+import React, { useRef } from 'react';
+import { Trash2, Captions } from 'lucide-react';
+import { languageFromFileName } from '../lib/subtitles';
+import { useLocale } from '../context/useLocale';
+
+const inputClass = 'px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm';
+const fileClass = 'w-full text-sm text-gray-400 file:me-4 file:py-1.5 file:px-3 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-gray-600 file:text-white hover:file:bg-gray-500 cursor-pointer';
+
+let nextRowId = 0;
+
+/**
+ * SubtitleTracksField Component
+ *
+ * Subtitle files attached to a title, shared by the upload form and the library editor. Each row is
+ * either a track the title already has (`url`) or a newly chosen .srt/.vtt file (`file`), with a
+ * language code, a label shown in the player's caption menu, and whether it is a captions track
+ * (describing sounds too). The language is guessed from names like "movie.de.srt"; the server
+ * fills in a label from the language when it is left empty.
+ *
+ * @param {{ value: Array<{ id: number, url?: string, file?: File, language: string, label: string, kind: string }>, onChange: (rows: object[]) => void }} props
+ */
+const SubtitleTracksField = ({ value, onChange }) => {
+  const inputRef = useRef(null);
+  const { t } = useLocale();
+
+  const handleFiles = (e) => {
+    const files = Array.from(e.target.files || []);
+    onChange([
+      ...value,
+      ...files.map((file) => ({ id: `new-${nextRowId++}`, file, language: languageFromFileName(file.name), label: '', kind: 'subtitles' })),
+    ]);
+    inputRef.current.value = ''; // The same file can be chosen again after removing it
+  };
+
+  const update = (id, field, fieldValue) => onChange(value.map((row) => (row.id === id ? { ...row, [field]: fieldValue } : row)));
+
+  return (
+    <fieldset>
+      <legend className="block text-sm font-medium text-gray-300 mb-2">{t('subtitleTracks.legend')}</legend>
+      {value.length > 0 && (
+        <ul className="space-y-2 mb-3">
+          {value.map((row) => (
+            <li key={row.id} className="flex flex-wrap items-center gap-2">
+              <span className="flex items-center text-xs text-gray-400 w-40 truncate" title={row.file?.name}>
+                <Captions className="w-4 h-4 me-1 flex-shrink-0" />
+                {row.file ? row.file.name : t('subtitleTracks.currentFile')}
+              </span>
+              <input
+                type="text"
+                value={row.language}
+                onChange={(e) => update(row.id, 'language', e.target.value)}
+                required
+                className={`${inputClass} w-24`}
+                placeholder="en"
+                aria-label={t('subtitleTracks.languageCode')}
+              />
+              <input
+                type="text"
+                value={row.label}
+                onChange={(e) => update(row.id, 'label', e.target.value)}
+                maxLength={64}
+                className={`${inputClass} flex-1 min-w-32`}
+                placeholder={t('subtitleTracks.labelPlaceholder')}
+                aria-label={t('subtitleTracks.label')}
+              />
+              <label className="flex items-center text-xs text-gray-300" title={t('subtitleTracks.sdhHint')}>
+                <input
+                  type="checkbox"
+                  checked={row.kind === 'captions'}
+                  onChange={(e) => update(row.id, 'kind', e.target.checked ? 'captions' : 'subtitles')}
+                  className="h-4 w-4 me-1 text-blue-500 bg-gray-700 border-gray-600 rounded"
+                />
+                {t('subtitleTracks.sdh')}
+              </label>
+              <button
+                type="button"
+                onClick={() => onChange(value.filter((r) => r.id !== row.id))}
+                className="p-2 rounded-md text-red-400 hover:bg-gray-700 cursor-pointer"
+                title={t('subtitleTracks.remove')}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <input ref={inputRef} type="file" accept=".srt,.vtt,text/vtt,application/x-subrip" multiple onChange={handleFiles} className={fileClass} />
+      <p className="text-xs text-gray-400 mt-1">{t('subtitleTracks.hint')}</p>
+    </fieldset>
+  );
+};
+
+export default SubtitleTracksField;
@@ -0,0 +1,149 @@
+// src/admin/TagInput.jsx
+import React, { useState, useEffect, useRef } from 'react';
+import { X } from 'lucide-react';
+import { useDebouncedValue } from '../lib/useDebouncedValue';
+import { normalizeTag } from '../lib/tags';
+import { useLocale } from '../context/useLocale';
+
+const SUGGESTION_COUNT = 8;
+const DEBOUNCE_MS = 200;
+const MAX_TAGS = 20; // Matches the server's MAX_TAGS_PER_TITLE
+
+/**
+ * TagInput Component
+ *
+ * Chip-style tag field for the upload form. Suggests existing tags with their usage counts
+ * (/api/tags) so titles reuse the same spelling. Enter or a comma adds the highlighted suggestion
+ * or the typed text; Backspace in an empty field removes the last chip.
+ *
+ * @param {{ id: string, value: string[], onChange: (tags: string[]) => void }} props
+ */
+const TagInput = ({ id, value, onChange }) => {
+  const { t } = useLocale();
+  const [text, setText] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const containerRef = useRef(null);
+  const prefix = useDebouncedValue(normalizeTag(text), DEBOUNCE_MS);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const controller = new AbortController();
+    fetch(`/api/tags?prefix=${encodeURIComponent(prefix)}&limit=${SUGGESTION_COUNT + MAX_TAGS}`, { signal: controller.signal })
+      .then((response) => response.json())
+      .then((data) => {
+        setSuggestions(data.tags || []);
+        setActiveIndex(-1);
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.error('Tag suggestions failed:', err);
+      });
+    return () => controller.abort();
+  }, [prefix, open]);
+
+  // Clicking anywhere else closes the suggestions
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, []);
+
+  const visibleSuggestions = suggestions.filter((tag) => !value.includes(tag.name)).slice(0, SUGGESTION_COUNT);
+
+  const addTag = (raw) => {
+    const tag = normalizeTag(raw);
+    if (tag && !value.includes(tag) && value.length < MAX_TAGS) onChange([...value, tag]);
+    setText('');
+    setActiveIndex(-1);
+  };
+
+  const removeTag = (tag) => onChange(value.filter((existing) => existing !== tag));
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault(); // Never submit the upload form from here
+      if (activeIndex >= 0 && visibleSuggestions[activeIndex]) addTag(visibleSuggestions[activeIndex].name);
+      else if (text.trim()) addTag(text);
+    } else if (e.key === 'Backspace' && !text && value.length > 0) {
+      removeTag(value.at(-1));
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setActiveIndex((index) => Math.min(index + 1, visibleSuggestions.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((index) => Math.max(index - 1, -1));
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  // Pasting "a, b, c" adds three chips
+  const handleChange = (e) => {
+    const parts = e.target.value.split(',');
+    if (parts.length > 1) {
+      const added = parts.slice(0, -1).map(normalizeTag).filter((tag) => tag && !value.includes(tag));
+      onChange([...new Set([...value, ...added])].slice(0, MAX_TAGS));
+    }
+    setText(parts.at(-1));
+    setOpen(true);
+  };
+
+  const showSuggestions = open && visibleSuggestions.length > 0;
+
+  return (
+    <div ref={containerRef} className="relative">
+      <div className="flex flex-wrap items-center gap-2 w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md focus-within:ring-2 focus-within:ring-blue-500">
+        {value.map((tag) => (
+          <span key={tag} className="flex items-center bg-gray-600 text-gray-100 text-xs font-medium ps-2 pe-1 py-1 rounded-full">
+            #{tag}
+            <button type="button" onClick={() => removeTag(tag)} className="ms-1 p-0.5 rounded-full hover:bg-gray-500 cursor-pointer" aria-label={t('tags.remove', { tag })}>
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          id={id}
+          value={text}
+          onChange={handleChange}
+          onFocus={() => setOpen(true)}
+          onBlur={() => text.trim() && addTag(text)} // Typed text still counts when the field is left
+          onKeyDown={handleKeyDown}
+          disabled={value.length >= MAX_TAGS}
+          placeholder={value.length === 0 ? t('tags.placeholder') : ''}
+          aria-autocomplete="list"
+          aria-controls={`${id}-suggestions`}
+          aria-expanded={showSuggestions}
+          aria-activedescendant={activeIndex >= 0 ? `${id}-suggestion-${activeIndex}` : undefined}
+          className="flex-1 min-w-32 bg-transparent text-gray-100 placeholder-gray-400 focus:outline-none text-sm"
+        />
+      </div>
+
+      {showSuggestions && (
+        <ul id={`${id}-suggestions`} role="listbox" className="absolute z-20 mt-1 w-full bg-gray-800 border border-gray-700 rounded-md shadow-xl overflow-hidden">
+          {visibleSuggestions.map((tag, index) => (
+            <li
+              key={tag.name}
+              id={`${id}-suggestion-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              onMouseEnter={() => setActiveIndex(index)}
+              onMouseDown={(e) => e.preventDefault()} // Keep focus in the field until the click lands
+              onClick={() => addTag(tag.name)}
+              className={`flex justify-between px-3 py-2 cursor-pointer text-sm ${index === activeIndex ? 'bg-gray-700' : ''}`}
+            >
+              <span className="text-gray-100">#{tag.name}</span>
+              <span className="text-gray-400">{t('catalog.count', { count: tag.count })}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
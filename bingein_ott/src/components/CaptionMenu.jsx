@@ -0,0 +1,94 @@
+// src/components/CaptionMenu.jsx
+import React, { useState, useEffect, useRef } from 'react';
+import { Captions, Check } from 'lucide-react';
+import { CAPTION_SIZES, CAPTION_BACKGROUNDS } from '../lib/subtitles';
+import { useLocale } from '../context/useLocale';
+
+const optionClass = (selected) =>
+  `px-2 py-1 rounded text-xs cursor-pointer ${selected ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`;
+
+/**
+ * CaptionMenu Component
+ *
+ * The player's subtitle picker: "Off" or one of the title's tracks, plus caption size and
+ * background. Closes on a click outside it or Escape.
+ *
+ * @param {{ tracks: Array<{ language, label, kind }>, activeIndex: number, preferences: { size: string, background: string },
+ *   onSelect: (index: number) => void, onPreferencesChange: (changes: object) => void }} props
+ *   `activeIndex` is -1 while captions are off.
+ */
+const CaptionMenu = ({ tracks, activeIndex, preferences, onSelect, onPreferencesChange }) => {
+  const { t } = useLocale();
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const handlePointerDown = (e) => !menuRef.current?.contains(e.target) && setOpen(false);
+    const handleKeyDown = (e) => e.key === 'Escape' && setOpen(false);
+    document.addEventListener('pointerdown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('pointerdown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [open]);
+
+  const choices = [{ index: -1, label: t('captions.off') }, ...tracks.map((track, index) => ({ index, label: track.label, sdh: track.kind === 'captions' }))];
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setOpen((current) => !current)}
+        className={`flex items-center bg-black bg-opacity-60 rounded-md px-2 py-1 text-sm cursor-pointer ${activeIndex === -1 ? 'text-gray-200' : 'text-blue-300'}`}
+        aria-haspopup="true"
+        aria-expanded={open}
+        aria-label={t('captions.menu')}
+      >
+        <Captions className="w-5 h-5" />
+      </button>
+
+      {open && (
+        <div className="absolute end-0 mt-2 w-60 bg-gray-900 bg-opacity-95 border border-gray-700 rounded-lg shadow-xl p-3 z-20 text-sm text-gray-200">
+          <p className="text-xs uppercase tracking-wide text-gray-400 mb-1">{t('captions.menu')}</p>
+          <ul className="max-h-48 overflow-y-auto mb-3" role="menu">
+            {choices.map((choice) => (
+              <li key={choice.index}>
+                <button
+                  onClick={() => onSelect(choice.index)}
+                  role="menuitemradio"
+                  aria-checked={choice.index === activeIndex}
+                  className="flex items-center w-full px-2 py-1 rounded hover:bg-gray-700 cursor-pointer text-start"
+                >
+                  <Check className={`w-4 h-4 flex-shrink-0 me-2 ${choice.index === activeIndex ? 'text-blue-400' : 'invisible'}`} />
+                  <span className="truncate">{choice.label}</span>
+                  {choice.sdh && <span className="ms-auto text-[10px] font-semibold border border-gray-500 rounded px-1">{t('captions.sdh')}</span>}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <p className="text-xs uppercase tracking-wide text-gray-400 mb-1">{t('captions.size')}</p>
+          <div className="flex flex-wrap gap-1 mb-3">
+            {CAPTION_SIZES.map((size) => (
+              <button key={size.value} onClick={() => onPreferencesChange({ size: size.value })} className={optionClass(preferences.size === size.value)} aria-pressed={preferences.size === size.value}>
+                {t(size.labelKey)}
+              </button>
+            ))}
+          </div>
+
+          <p className="text-xs uppercase tracking-wide text-gray-400 mb-1">{t('captions.background')}</p>
+          <div className="flex flex-wrap gap-1">
+            {CAPTION_BACKGROUNDS.map((background) => (
+              <button key={background.value} onClick={() => onPreferencesChange({ background: background.value })} className={optionClass(preferences.background === background.value)} aria-pressed={preferences.background === background.value}>
+                {t(background.labelKey)}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CaptionMenu;
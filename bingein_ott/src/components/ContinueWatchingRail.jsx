@@ -0,0 +1,51 @@
+// src/components/ContinueWatchingRail.jsx
+import React, { useState, useEffect } from 'react';
+import Rail from './Rail';
+import VideoCard from './VideoCard';
+import { useAuth } from '../context/useAuth';
+import { useLocale } from '../context/useLocale';
+import { fetchContinueWatching } from '../lib/watchProgress';
+
+// Last list per user, shown straight away on return to the home page while it is refetched.
+const itemsCache = new Map();
+
+/**
+ * ContinueWatchingRail Component
+ *
+ * The logged-in viewer's unfinished titles with how far they got; nothing for guests or when
+ * there is nothing to resume. Refetched on every visit, since watching changes it.
+ */
+const ContinueWatchingRail = () => {
+  const { user } = useAuth();
+  const { t } = useLocale();
+  const [items, setItems] = useState(() => (user && itemsCache.get(user.$id)) || null);
+
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+    fetchContinueWatching()
+      .then((result) => {
+        itemsCache.set(user.$id, result);
+        if (!cancelled) setItems(result);
+      })
+      .catch((err) => {
+        console.error('Failed to fetch Continue Watching:', err);
+        if (!cancelled) setItems([]);
+      });
+    return () => { cancelled = true; };
+  }, [user]);
+
+  if (!user) return null;
+
+  const progressById = new Map((items || []).map((item) => [item.videoId, item.position / item.duration]));
+  return (
+    <Rail
+      id="continue-watching"
+      title={t('home.continueWatching')}
+      videos={items && items.map((item) => item.video)}
+      renderCard={(video) => <VideoCard video={video} progress={progressById.get(video.$id)} />}
+    />
+  );
+};
+
+export default ContinueWatchingRail;
@@ -0,0 +1,83 @@
+// src/components/GenrePage.jsx
+import React, { useState, useEffect } from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { Query } from 'appwrite';
+import { Loader2 } from 'lucide-react';
+import InfiniteCatalog from './InfiniteCatalog';
+import SortSelect from './SortSelect';
+import NotFoundPage from './NotFoundPage';
+import { resolveSort } from '../lib/catalog';
+import { useLocale } from '../context/useLocale';
+
+// Landing page for one managed genre: /genre/:slug
+const GenrePage = () => {
+  const { slug } = useParams();
+  const [searchParams] = useSearchParams();
+  const sort = resolveSort(searchParams.get('sort'));
+  const [genre, setGenre] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  const [error, setError] = useState(null); // Message key
+  const { t } = useLocale();
+
+  useEffect(() => {
+    const fetchGenre = async () => {
+      setGenre(null);
+      setNotFound(false);
+      setError(null);
+      try {
+        const response = await fetch(`/api/genres/${encodeURIComponent(slug)}`);
+        const data = await response.json();
+        if (response.status === 404) {
+          setNotFound(true);
+        } else if (!response.ok) {
+          throw new Error(data.message);
+        } else {
+          setGenre(data.genre);
+        }
+      } catch (err) {
+        console.error(`Failed to fetch genre "${slug}":`, err);
+        setError('genre.loadFailed');
+      }
+    };
+
+    fetchGenre();
+  }, [slug]);
+
+  if (notFound) {
+    return <NotFoundPage title={t('genre.notFoundTitle')} message={t('genre.notFoundMessage')} />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-950 text-gray-100 p-4 sm:p-8 font-inter">
+      {error && (
+        <div className="bg-red-800 bg-opacity-30 border border-red-700 text-red-300 px-6 py-4 rounded-lg shadow-md text-center">
+          <p className="font-semibold text-lg">{t('catalog.error')}</p>
+          <p>{t(error)}</p>
+        </div>
+      )}
+
+      {!genre && !error && (
+        <div className="flex justify-center items-center h-64">
+          <Loader2 className="h-12 w-12 text-blue-500 animate-spin" />
+        </div>
+      )}
+
+      {genre && (
+        <>
+          <h1 className="text-4xl font-extrabold text-blue-400 mb-3 text-center tracking-wide">{genre.name}</h1>
+          {genre.description && <p className="text-gray-400 text-center max-w-2xl mx-auto mb-10">{genre.description}</p>}
+          <InfiniteCatalog
+            key={`${slug}:${sort}`}
+            sort={sort}
+            queries={[Query.contains('genres', slug)]}
+            cacheKey={`genre:${slug}:${sort}`}
+            controls={<SortSelect value={sort} />}
+            emptyMessage={t('genre.empty', { genre: genre.name })}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GenrePage;
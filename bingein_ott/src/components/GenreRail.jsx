@@ -0,0 +1,37 @@
+// src/components/GenreRail.jsx
+import React, { useState, useEffect } from 'react';
+import { Query } from 'appwrite';
+import Rail from './Rail';
+import { fetchCatalogPage } from '../lib/catalog';
+
+const RAIL_SIZE = 12;
+
+// Newest titles per genre slug, kept so the home page keeps its height (and scroll position) on return.
+const railCache = new Map();
+
+/**
+ * GenreRail Component
+ *
+ * A horizontally scrolling row of a genre's newest titles, linking to its genre page.
+ * Renders nothing when the genre has no titles.
+ */
+const GenreRail = ({ genre }) => {
+  const [videos, setVideos] = useState(railCache.get(genre.slug) || null);
+
+  useEffect(() => {
+    if (railCache.has(genre.slug)) return;
+    fetchCatalogPage('newest', { queries: [Query.contains('genres', genre.slug)], limit: RAIL_SIZE })
+      .then((response) => {
+        railCache.set(genre.slug, response.documents);
+        setVideos(response.documents);
+      })
+      .catch((err) => {
+        console.error(`Failed to fetch the ${genre.slug} rail:`, err);
+        setVideos([]);
+      });
+  }, [genre.slug]);
+
+  return <Rail id={genre.slug} title={genre.name} videos={videos} seeAllTo={`/genre/${genre.slug}`} />;
+};
+
+export default GenreRail;
@@ -0,0 +1,16 @@
+// src/components/Highlight.jsx
+import React from 'react';
+
+// Renders [{ text, match }] segments from /api/search, marking the matched words.
+const Highlight = ({ segments, fallback = '' }) => {
+  if (!segments || segments.length === 0) return fallback;
+  return segments.map((segment, index) =>
+    segment.match ? (
+      <mark key={index} className="bg-blue-500 bg-opacity-30 text-inherit rounded px-0.5">{segment.text}</mark>
+    ) : (
+      <React.Fragment key={index}>{segment.text}</React.Fragment>
+    )
+  );
+};
+
+export default Highlight;
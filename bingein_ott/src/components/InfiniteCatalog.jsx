@@ -0,0 +1,109 @@
+// src/components/InfiniteCatalog.jsx
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import VideoGrid from './VideoGrid';
+import { fetchCatalogPage } from '../lib/catalog';
+import { useLocale } from '../context/useLocale';
+
+// The pages loaded so far per listing (keyed by `cacheKey`), so returning from a watch page renders
+// at once and the router can restore the scroll position: cacheKey -> { videos, total }.
+const catalogCache = new Map();
+
+/**
+ * InfiniteCatalog Component
+ *
+ * Infinite, cursor-paginated grid of titles in `sort` order, narrowed by Appwrite `queries`.
+ * Render it with `key={cacheKey}` so a new sort or filter starts a fresh list.
+ * `controls` (e.g. the sort menu) is shown next to the total count.
+ */
+const InfiniteCatalog = ({ sort, queries, cacheKey, controls, emptyMessage }) => {
+  const cached = catalogCache.get(cacheKey);
+  const [catalog, setCatalog] = useState(cached || { videos: [], total: null });
+  const [loading, setLoading] = useState(!cached);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(false);
+  const sentinelRef = useRef(null);
+  const busyRef = useRef(false); // One page request at a time
+  const catalogRef = useRef(catalog); // Latest pages, read by loadPage without re-creating it
+  const queriesRef = useRef(queries); // Fixed for the component's lifetime (see `key` above)
+  const { t } = useLocale();
+
+  const { videos, total } = catalog;
+  const hasMore = total === null || videos.length < total;
+
+  useEffect(() => {
+    catalogRef.current = catalog;
+    catalogCache.set(cacheKey, catalog);
+  }, [cacheKey, catalog]);
+
+  const loadPage = useCallback(async () => {
+    if (busyRef.current) return;
+    busyRef.current = true;
+    const loaded = catalogRef.current.videos;
+    if (loaded.length > 0) setLoadingMore(true);
+    setError(false);
+
+    try {
+      const response = await fetchCatalogPage(sort, { queries: queriesRef.current, cursor: loaded.at(-1)?.$id });
+      setCatalog((current) => ({ videos: [...current.videos, ...response.documents], total: response.total }));
+    } catch (err) {
+      console.error('Failed to fetch videos from Appwrite:', err);
+      setError(true); // Translated when rendered, so a language switch updates it
+    } finally {
+      busyRef.current = false;
+      setLoading(false); // Stop loading regardless of outcome
+      setLoadingMore(false);
+    }
+  }, [sort]);
+
+  // First page, unless it came from the cache
+  useEffect(() => {
+    if (catalogRef.current.videos.length === 0) loadPage();
+  }, [loadPage]);
+
+  // --- Infinite Scroll ---
+  // Recreated after every page so a sentinel that is still on screen (short pages, tall
+  // windows) triggers the next page straight away.
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || loading || error || !hasMore) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => { if (entries[0].isIntersecting) loadPage(); },
+      { rootMargin: '600px' } // Start loading well before the end of the list
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [loadPage, loading, error, hasMore, videos.length]);
+
+  return (
+    <>
+      <div className="flex items-center justify-between mb-6">
+        <p className="text-sm text-gray-400" aria-live="polite">
+          {total !== null && t('catalog.count', { count: total })}
+        </p>
+        {controls}
+      </div>
+
+      <VideoGrid videos={videos} loading={loading} loadingMore={loadingMore} error={error && t('catalog.loadFailed')} emptyMessage={emptyMessage} />
+
+      {!loading && error && videos.length > 0 && (
+        <div className="text-center mt-6">
+          <button
+            onClick={loadPage}
+            className="px-6 py-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-200 cursor-pointer transition-colors duration-200"
+          >
+            {t('catalog.tryAgain')}
+          </button>
+        </div>
+      )}
+
+      {!loading && !hasMore && videos.length > 0 && (
+        <p className="text-center text-gray-500 text-sm mt-10">{t('catalog.end')}</p>
+      )}
+
+      <div ref={sentinelRef} aria-hidden="true" />
+    </>
+  );
+};
+
+export default InfiniteCatalog;
@@ -0,0 +1,37 @@
+// src/components/LanguageSelect.jsx
+import React from 'react';
+import { Languages } from 'lucide-react';
+import { useLocale } from '../context/useLocale';
+import { CONTENT_LOCALES, localeName } from '../lib/locale';
+import { UI_LOCALES } from '../lib/i18n';
+
+// Every language the interface or the catalog is offered in
+const LANGUAGE_OPTIONS = [...new Set([...UI_LOCALES, ...CONTENT_LOCALES])];
+
+// Language menu in the navigation bar: the language the interface and titles are shown in, or
+// the browser's.
+const LanguageSelect = () => {
+  const { locale, setLocale, t } = useLocale();
+
+  return (
+    <div className="flex items-center ms-4">
+      <label htmlFor="content-language" className="text-gray-400 me-1" title={t('nav.language')}>
+        <Languages className="w-5 h-5" />
+        <span className="sr-only">{t('nav.language')}</span>
+      </label>
+      <select
+        id="content-language"
+        value={locale || ''}
+        onChange={(e) => setLocale(e.target.value || null)}
+        className="bg-gray-800 border border-gray-700 rounded-md px-2 py-1.5 text-sm text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 cursor-pointer"
+      >
+        <option value="">{t('nav.browserLanguage')}</option>
+        {LANGUAGE_OPTIONS.map((option) => (
+          <option key={option} value={option} lang={option}>{localeName(option)}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default LanguageSelect;
@@ -0,0 +1,88 @@
+// src/components/LoginPage.jsx
+import React, { useState } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { LogIn, XCircle, Loader2 } from 'lucide-react';
+import { useAuth } from '../context/useAuth';
+import { useLocale } from '../context/useLocale';
+
+const LoginPage = () => {
+  const { login } = useAuth();
+  const { t } = useLocale();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setErrorMessage('');
+
+    try {
+      await login(email.trim(), password);
+      navigate(location.state?.from || '/', { replace: true }); // Back to the page that asked for a login
+    } catch (error) {
+      console.error('Login failed:', error);
+      setErrorMessage(error.code === 401 ? t('login.invalid') : t('login.failed'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-950 flex items-start justify-center p-4 sm:p-8 font-inter">
+      <div className="bg-gray-800 p-6 sm:p-8 rounded-xl shadow-2xl w-full max-w-md border border-gray-700 mt-12">
+        <h1 className="text-3xl font-extrabold text-white mb-6 text-center tracking-tight">
+          <LogIn className="inline-block me-3 text-blue-400 rtl:rotate-180" size={28} />
+          {t('login.title')}
+        </h1>
+
+        {errorMessage && (
+          <div className="flex items-center bg-red-600 bg-opacity-20 border border-red-500 text-red-200 px-4 py-3 rounded-lg mb-6 shadow-md" role="alert">
+            <XCircle className="h-6 w-6 me-3 text-red-400" />
+            <p className="text-base font-medium">{errorMessage}</p>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-5">
+          <div>
+            <label htmlFor="email" className="block text-sm font-medium text-gray-300 mb-1">{t('login.email')}</label>
+            <input
+              type="email"
+              id="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              autoComplete="email"
+              className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+            />
+          </div>
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium text-gray-300 mb-1">{t('login.password')}</label>
+            <input
+              type="password"
+              id="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              autoComplete="current-password"
+              className="w-full px-4 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full flex justify-center items-center px-6 py-3 rounded-lg shadow-lg text-lg font-semibold bg-blue-600 hover:bg-blue-700 text-white transition-colors duration-300 cursor-pointer disabled:opacity-70 disabled:cursor-not-allowed"
+          >
+            {loading ? <Loader2 className="me-3 h-6 w-6 animate-spin" /> : <LogIn className="me-3 h-6 w-6 rtl:rotate-180" />}
+            {loading ? t('login.submitting') : t('login.title')}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default LoginPage;
@@ -0,0 +1,29 @@
+// src/components/MoreLikeThisRail.jsx
+import React, { useState, useEffect } from 'react';
+import Rail from './Rail';
+import { fetchRelated } from '../lib/recommendations';
+import { useLocale } from '../context/useLocale';
+
+// "More like this" under a title; hidden when nothing relates or the request fails.
+const MoreLikeThisRail = ({ videoId }) => {
+  const [videos, setVideos] = useState(null);
+  const { locale, t } = useLocale();
+
+  useEffect(() => {
+    let cancelled = false;
+    setVideos(null);
+    fetchRelated(videoId, locale)
+      .then((result) => {
+        if (!cancelled) setVideos(result);
+      })
+      .catch((err) => {
+        console.error(`Failed to fetch titles like ${videoId}:`, err);
+        if (!cancelled) setVideos([]);
+      });
+    return () => { cancelled = true; };
+  }, [videoId, locale]);
+
+  return <Rail id="more-like-this" title={t('rail.moreLikeThis')} videos={videos} />;
+};
+
+export default MoreLikeThisRail;
@@ -0,0 +1,98 @@
+// src/components/MyListPage.jsx
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Loader2, ArrowUp, ArrowDown, X } from 'lucide-react';
+import { useWatchlist } from '../context/useWatchlist';
+import { useAuth } from '../context/useAuth';
+import { useWatchlistVideos } from '../lib/useWatchlistVideos';
+import { useLocale } from '../context/useLocale';
+
+/**
+ * MyListPage Component
+ *
+ * Every title the viewer saved, in their order, with controls to reorder and remove.
+ * Signed-out viewers see their browser's list and a prompt to log in to keep it.
+ */
+const MyListPage = () => {
+  const { user } = useAuth();
+  const { move, remove } = useWatchlist();
+  const { videos, loading, error } = useWatchlistVideos();
+  const { localize, t } = useLocale();
+
+  return (
+    <div className="min-h-screen bg-gray-950 text-gray-100 p-4 sm:p-8 font-inter">
+      <div className="max-w-4xl mx-auto">
+        <h1 className="text-3xl font-extrabold text-white mb-2">{t('nav.myList')}</h1>
+        {!user && (
+          <p className="text-sm text-gray-400 mb-6">
+            {t('myList.localOnly')}{' '}
+            <Link to="/login" state={{ from: '/my-list' }} className="text-blue-400 hover:text-blue-300">{t('myList.logInPrompt')}</Link>
+          </p>
+        )}
+
+        {loading && (
+          <div className="flex justify-center items-center h-64">
+            <Loader2 className="h-12 w-12 text-blue-500 animate-spin" />
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-800 bg-opacity-30 border border-red-700 text-red-300 px-6 py-4 rounded-lg shadow-md text-center">
+            <p>{t(error)}</p>
+          </div>
+        )}
+
+        {videos && videos.length === 0 && (
+          <div className="text-center text-gray-400 text-xl py-20">
+            {t('myList.empty')}
+          </div>
+        )}
+
+        {videos && videos.length > 0 && (
+          <ol className="space-y-3 mt-6">
+            {videos.map(localize).map((video, index) => (
+              <li key={video.$id} className="flex items-center bg-gray-800 rounded-lg border border-gray-700 overflow-hidden">
+                <Link to={`/watch/${video.$id}`} className="flex flex-1 min-w-0 items-center hover:bg-gray-700 transition-colors duration-200">
+                  <div className="w-40 flex-shrink-0 bg-gray-700 aspect-video">
+                    {video.thumbnailUrl && <img src={video.thumbnailUrl} alt="" className="w-full h-full object-cover" />}
+                  </div>
+                  <div className="p-4 min-w-0">
+                    <h2 className="text-lg font-bold text-white line-clamp-1">{video.title}</h2>
+                    <p className="text-gray-400 text-sm line-clamp-2">{video.description}</p>
+                  </div>
+                </Link>
+                <div className="flex items-center px-3 gap-1">
+                  <button
+                    onClick={() => move(video.$id, -1)}
+                    disabled={index === 0}
+                    className="p-2 rounded-md text-gray-300 hover:bg-gray-700 cursor-pointer disabled:opacity-30 disabled:cursor-default"
+                    aria-label={t('myList.moveUp', { title: video.title })}
+                  >
+                    <ArrowUp className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => move(video.$id, 1)}
+                    disabled={index === videos.length - 1}
+                    className="p-2 rounded-md text-gray-300 hover:bg-gray-700 cursor-pointer disabled:opacity-30 disabled:cursor-default"
+                    aria-label={t('myList.moveDown', { title: video.title })}
+                  >
+                    <ArrowDown className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => remove(video.$id)}
+                    className="p-2 rounded-md text-red-400 hover:bg-gray-700 cursor-pointer"
+                    aria-label={t('myList.remove', { title: video.title })}
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MyListPage;
@@ -0,0 +1,17 @@
+// src/components/MyListRail.jsx
+import React from 'react';
+import Rail from './Rail';
+import { useWatchlistVideos } from '../lib/useWatchlistVideos';
+import { useLocale } from '../context/useLocale';
+
+const RAIL_SIZE = 12;
+
+// The first titles of My List on the home page, linking to the full list; hidden while it's empty.
+const MyListRail = () => {
+  const { videos, error } = useWatchlistVideos();
+  const { t } = useLocale();
+  if (error) return null;
+  return <Rail id="my-list" title={t('nav.myList')} videos={videos && videos.slice(0, RAIL_SIZE)} seeAllTo="/my-list" />;
+};
+
+export default MyListRail;
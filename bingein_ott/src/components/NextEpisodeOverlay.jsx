@@ -0,0 +1,59 @@
+// src/components/NextEpisodeOverlay.jsx
+import React, { useState, useEffect, useRef } from 'react';
+import { Play, X } from 'lucide-react';
+import { useLocale } from '../context/useLocale';
+
+const COUNTDOWN_SECONDS = 10;
+
+/**
+ * NextEpisodeOverlay Component
+ *
+ * Shown over the player when an episode ends: counts down and then calls `onPlay` to start the
+ * following episode, unless the viewer cancels or starts it straight away.
+ *
+ * @param {{ episode: object, label: string, onPlay: () => void, onCancel: () => void }} props
+ *   `label` is the episode's "S1 E4" position in its series.
+ */
+const NextEpisodeOverlay = ({ episode, label, onPlay, onCancel }) => {
+  const [remaining, setRemaining] = useState(COUNTDOWN_SECONDS);
+  const { t } = useLocale();
+  const onPlayRef = useRef(onPlay); // The latest callback, without restarting the countdown when it changes
+
+  useEffect(() => {
+    onPlayRef.current = onPlay;
+  });
+
+  useEffect(() => {
+    if (remaining === 0) {
+      onPlayRef.current();
+      return;
+    }
+    const timer = setTimeout(() => setRemaining((seconds) => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [remaining]);
+
+  return (
+    <div className="absolute inset-0 flex items-end justify-end p-4 sm:p-8 bg-gradient-to-t from-black via-black/60 to-transparent" role="dialog" aria-label={t('nextEpisode.title')}>
+      <div className="flex gap-4 bg-gray-900 bg-opacity-90 border border-gray-700 rounded-lg p-4 max-w-md w-full">
+        {episode.thumbnailUrl && <img src={episode.thumbnailUrl} alt="" className="w-28 aspect-video object-cover rounded flex-shrink-0" />}
+        <div className="min-w-0 flex-1">
+          <p className="text-xs uppercase tracking-wide text-gray-400">{t('nextEpisode.countdown', { count: remaining })}</p>
+          <p className="font-semibold text-white truncate">
+            {label && <span className="text-gray-400 me-2">{label}</span>}
+            {episode.title}
+          </p>
+          <div className="flex gap-2 mt-3">
+            <button onClick={onPlay} className="flex items-center px-3 py-1.5 rounded-md bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold cursor-pointer">
+              <Play className="w-4 h-4 me-1" /> {t('nextEpisode.playNow')}
+            </button>
+            <button onClick={onCancel} className="flex items-center px-3 py-1.5 rounded-md bg-gray-700 hover:bg-gray-600 text-gray-200 text-sm cursor-pointer">
+              <X className="w-4 h-4 me-1" /> {t('nextEpisode.cancel')}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NextEpisodeOverlay;
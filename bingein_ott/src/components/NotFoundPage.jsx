@@ -0,0 +1,25 @@
+// src/components/NotFoundPage.jsx
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Film } from 'lucide-react';
+import { useLocale } from '../context/useLocale';
+
+// Unknown routes, unknown video IDs, and (with a different message) route errors.
+const NotFoundPage = ({ title, message }) => {
+  const { t } = useLocale();
+  return (
+    <div className="min-h-screen bg-gray-950 text-gray-100 flex flex-col items-center justify-start p-8 pt-24 font-inter text-center">
+      <Film className="w-16 h-16 text-gray-600 mb-6" />
+      <h1 className="text-3xl font-extrabold text-white mb-3">{title ?? t('notFound.title')}</h1>
+      <p className="text-gray-400 mb-8">{message ?? t('notFound.message')}</p>
+      <Link
+        to="/"
+        className="px-6 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white font-semibold transition-colors duration-200"
+      >
+        {t('notFound.home')}
+      </Link>
+    </div>
+  );
+};
+
+export default NotFoundPage;
@@ -0,0 +1,54 @@
+// src/components/Rail.jsx
+import React, { useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import VideoCard, { VideoCardSkeleton } from './VideoCard';
+import { useLocale } from '../context/useLocale';
+
+/**
+ * Rail Component
+ *
+ * A titled, horizontally scrolling row of video cards for the home page.
+ * `videos` is null while loading (skeleton cards are shown); an empty row renders nothing.
+ * `seeAllTo` adds a "See all" link; `renderCard` replaces the plain VideoCard.
+ */
+const Rail = ({ id, title, videos, seeAllTo, renderCard = (video) => <VideoCard video={video} /> }) => {
+  const scrollerRef = useRef(null);
+  const { t, dir } = useLocale();
+
+  // `direction` is 1 for forward; in a right-to-left page forward is to the left
+  const scrollBy = (direction) => {
+    const scroller = scrollerRef.current;
+    const sign = dir === 'rtl' ? -1 : 1;
+    scroller.scrollBy({ left: sign * direction * scroller.clientWidth * 0.8, behavior: 'smooth' });
+  };
+
+  if (videos && videos.length === 0) return null;
+
+  return (
+    <section className="mb-10" aria-labelledby={`rail-${id}`}>
+      <div className="flex items-end justify-between mb-3">
+        <h2 id={`rail-${id}`} className="text-2xl font-bold text-white">{title}</h2>
+        <div className="flex items-center">
+          {seeAllTo && <Link to={seeAllTo} className="text-sm text-blue-400 hover:text-blue-300 me-3">{t('rail.seeAll')}</Link>}
+          <button onClick={() => scrollBy(-1)} className="p-1 rounded-full bg-gray-800 hover:bg-gray-700 text-gray-300 cursor-pointer me-1" aria-label={t('rail.previous', { title })}>
+            <ChevronLeft className="w-5 h-5 rtl:rotate-180" />
+          </button>
+          <button onClick={() => scrollBy(1)} className="p-1 rounded-full bg-gray-800 hover:bg-gray-700 text-gray-300 cursor-pointer" aria-label={t('rail.next', { title })}>
+            <ChevronRight className="w-5 h-5 rtl:rotate-180" />
+          </button>
+        </div>
+      </div>
+
+      <div ref={scrollerRef} className="flex gap-6 overflow-x-auto snap-x snap-mandatory pb-4 pt-2 px-1">
+        {(videos || Array.from({ length: 4 }, () => null)).map((video, index) => (
+          <div key={video ? video.$id : `skeleton-${index}`} className="w-72 flex-shrink-0 snap-start">
+            {video ? renderCard(video) : <VideoCardSkeleton />}
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+};
+
+export default Rail;
@@ -0,0 +1,38 @@
+// src/components/RecommendedRail.jsx
+import React, { useState, useEffect } from 'react';
+import Rail from './Rail';
+import { useAuth } from '../context/useAuth';
+import { fetchRecommended } from '../lib/recommendations';
+import { useLocale } from '../context/useLocale';
+
+/**
+ * RecommendedRail Component
+ *
+ * "Recommended for you" on the home page for logged-in viewers, built from what they watched,
+ * listed and rated. Hidden for guests and when the request fails.
+ */
+const RecommendedRail = () => {
+  const { user } = useAuth();
+  const [videos, setVideos] = useState(null);
+  const { locale, t } = useLocale();
+
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+    setVideos(null);
+    fetchRecommended(locale)
+      .then((result) => {
+        if (!cancelled) setVideos(result);
+      })
+      .catch((err) => {
+        console.error('Failed to fetch recommendations:', err);
+        if (!cancelled) setVideos([]);
+      });
+    return () => { cancelled = true; };
+  }, [user, locale]);
+
+  if (!user) return null;
+  return <Rail id="recommended" title={t('home.recommended')} videos={videos} />;
+};
+
+export default RecommendedRail;
@@ -0,0 +1,30 @@
+// src/components/RequireAdmin.jsx
+import React from 'react';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { Loader2 } from 'lucide-react';
+import { useAuth } from '../context/useAuth';
+import { useLocale } from '../context/useLocale';
+import NotFoundPage from './NotFoundPage';
+
+// Guards the /admin routes. Their chunks are only requested once this renders the Outlet,
+// so viewers never download the admin bundle. The API enforces the same rule.
+const RequireAdmin = () => {
+  const { user, isAdmin, loading } = useAuth();
+  const { t } = useLocale();
+  const location = useLocation();
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Loader2 className="h-12 w-12 text-blue-500 animate-spin" />
+      </div>
+    );
+  }
+  if (!user) return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  if (!isAdmin) {
+    return <NotFoundPage title={t('admin.onlyTitle')} message={t('admin.onlyMessage')} />;
+  }
+  return <Outlet />;
+};
+
+export default RequireAdmin;
@@ -0,0 +1,206 @@
+// src/components/ReviewsSection.jsx
+import React, { useState, useEffect } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { Loader2 } from 'lucide-react';
+import StarRating from './StarRating';
+import { useAuth } from '../context/useAuth';
+import { useLocale } from '../context/useLocale';
+import { fetchReviews, saveReview, deleteReview } from '../lib/reviews';
+
+const MAX_BODY_LENGTH = 2000; // Matches the server's limit
+
+/**
+ * ReviewsSection Component
+ *
+ * A title's rating summary, the viewer's own rating and review (one per viewer; saving again
+ * replaces it), and everyone's reviews, newest first. `onSummaryChange({ average, count })`
+ * lets the page update the rating shown with the title's details.
+ */
+const ReviewsSection = ({ videoId, onSummaryChange }) => {
+  const { user } = useAuth();
+  const { t, formatNumber, formatDate } = useLocale();
+  const location = useLocation();
+  const [summary, setSummary] = useState(null);
+  const [reviews, setReviews] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null); // Message key
+  const [own, setOwn] = useState(null);
+  const [rating, setRating] = useState(0);
+  const [body, setBody] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const data = await fetchReviews(videoId);
+        if (cancelled) return;
+        setSummary(data.summary);
+        setReviews(data.reviews);
+        setNextCursor(data.nextCursor);
+        setOwn(data.own);
+        setRating(data.own?.rating || 0);
+        setBody(data.own?.body || '');
+      } catch (err) {
+        console.error(`Failed to fetch reviews for ${videoId}:`, err);
+        if (!cancelled) setError('reviews.loadFailed');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [videoId, user]);
+
+  const applySummary = (next) => {
+    setSummary(next);
+    onSummaryChange?.(next);
+  };
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await fetchReviews(videoId, nextCursor);
+      setReviews((current) => [...current, ...data.reviews]);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error(`Failed to fetch more reviews for ${videoId}:`, err);
+      setError('reviews.loadMoreFailed');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!rating) {
+      setFormError(t('reviews.ratingRequired'));
+      return;
+    }
+    setSaving(true);
+    setFormError('');
+    try {
+      const { review, summary: next } = await saveReview(videoId, { rating, body: body.trim() });
+      setOwn(review);
+      setReviews((current) => [review, ...current.filter((r) => r.id !== review.id)]);
+      applySummary(next);
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(t('reviews.confirmDelete'))) return;
+    setSaving(true);
+    setFormError('');
+    try {
+      const { summary: next } = await deleteReview(videoId);
+      setReviews((current) => current.filter((r) => r.id !== own.id));
+      setOwn(null);
+      setRating(0);
+      setBody('');
+      applySummary(next);
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <section className="p-6 border-t border-gray-800" aria-labelledby="reviews-heading">
+      <div className="flex flex-wrap items-center gap-3 mb-6">
+        <h2 id="reviews-heading" className="text-2xl font-bold text-white">{t('reviews.heading')}</h2>
+        {summary && summary.count > 0 && (
+          <span className="flex items-center text-gray-300">
+            <StarRating value={summary.average} label={t('video.averageRating')} />
+            <span className="ms-2 font-semibold">{formatNumber(summary.average, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}</span>
+            <span className="ms-1 text-gray-400 text-sm">({t('video.ratings', { count: summary.count })})</span>
+          </span>
+        )}
+      </div>
+
+      {/* The viewer's own review */}
+      {user ? (
+        <form onSubmit={handleSubmit} className="bg-gray-800 border border-gray-700 rounded-lg p-4 mb-8">
+          <div className="flex items-center mb-3">
+            <span className="text-sm text-gray-300 me-3">{own ? t('reviews.yourRating') : t('reviews.rateTitle')}</span>
+            <StarRating value={rating} onChange={(star) => { setRating(star); setFormError(''); }} size="w-6 h-6" label={t('reviews.yourRating')} />
+          </div>
+          <textarea
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            maxLength={MAX_BODY_LENGTH}
+            rows={3}
+            placeholder={t('reviews.placeholder')}
+            aria-label={t('reviews.review')}
+            className="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+          />
+          {formError && <p className="text-sm text-red-400 mt-2">{formError}</p>}
+          <div className="flex items-center gap-3 mt-3">
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex items-center px-4 py-2 rounded-md bg-blue-600 hover:bg-blue-700 text-white text-sm font-semibold cursor-pointer disabled:opacity-60"
+            >
+              {saving && <Loader2 className="w-4 h-4 me-2 animate-spin" />}
+              {own ? t('reviews.update') : t('reviews.post')}
+            </button>
+            {own && (
+              <button type="button" onClick={handleDelete} disabled={saving} className="text-sm text-red-400 hover:text-red-300 cursor-pointer disabled:opacity-60">
+                {t('reviews.delete')}
+              </button>
+            )}
+          </div>
+        </form>
+      ) : (
+        <p className="text-gray-400 mb-8">
+          <Link to="/login" state={{ from: location.pathname }} className="text-blue-400 hover:text-blue-300">{t('reviews.logInPrompt')}</Link>
+        </p>
+      )}
+
+      {loading && (
+        <div className="flex justify-center py-8">
+          <Loader2 className="h-8 w-8 text-blue-500 animate-spin" />
+        </div>
+      )}
+      {error && <p className="text-red-400 mb-4">{t(error)}</p>}
+      {!loading && !error && reviews.length === 0 && <p className="text-gray-400">{t('reviews.empty')}</p>}
+
+      <ul className="space-y-4">
+        {reviews.map((review) => (
+          <li key={review.id} className="border-b border-gray-800 pb-4">
+            <div className="flex flex-wrap items-center gap-2 mb-1">
+              <StarRating value={review.rating} label={t('reviews.userRating', { name: review.userName })} />
+              <span className="font-semibold text-gray-200">{review.userName}</span>
+              {review.id === own?.id && <span className="text-xs text-blue-400">{t('reviews.you')}</span>}
+              <span className="text-xs text-gray-500">{formatDate(review.updatedAt)}</span>
+            </div>
+            {review.body && <p className="text-gray-300 whitespace-pre-line">{review.body}</p>}
+          </li>
+        ))}
+      </ul>
+
+      {nextCursor && (
+        <div className="text-center mt-6">
+          <button
+            onClick={handleLoadMore}
+            disabled={loadingMore}
+            className="px-6 py-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-200 cursor-pointer transition-colors duration-200 disabled:opacity-60"
+          >
+            {loadingMore ? t('reviews.loading') : t('reviews.more')}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ReviewsSection;
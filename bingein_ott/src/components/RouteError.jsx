@@ -0,0 +1,15 @@
+// src/components/RouteError.jsx
+import React from 'react';
+import { useRouteError } from 'react-router-dom';
+import NotFoundPage from './NotFoundPage';
+import { useLocale } from '../context/useLocale';
+
+// Shown when rendering a route throws, e.g. a page chunk failed to download after a deploy.
+const RouteError = () => {
+  const error = useRouteError();
+  const { t } = useLocale();
+  console.error('Route error:', error);
+  return <NotFoundPage title={t('routeError.title')} message={t('routeError.message')} />;
+};
+
+export default RouteError;
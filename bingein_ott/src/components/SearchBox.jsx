@@ -0,0 +1,157 @@
+// src/components/SearchBox.jsx
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { Search, Loader2 } from 'lucide-react';
+import Highlight from './Highlight';
+import { useDebouncedValue } from '../lib/useDebouncedValue';
+import { withLocale } from '../lib/locale';
+import { useLocale } from '../context/useLocale';
+
+const SUGGESTION_COUNT = 5;
+const DEBOUNCE_MS = 250;
+
+/**
+ * SearchBox Component
+ *
+ * The nav bar search field. Suggests matching titles as the viewer types (debounced calls to
+ * /api/search); arrow keys move through the suggestions, Enter opens the highlighted title or,
+ * with none highlighted, the full results page.
+ */
+const SearchBox = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [text, setText] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [loading, setLoading] = useState(false);
+  const containerRef = useRef(null);
+  const query = useDebouncedValue(text.trim(), DEBOUNCE_MS);
+  const { locale, t } = useLocale();
+
+  // Close the list whenever the route changes
+  useEffect(() => {
+    setOpen(false);
+    setActiveIndex(-1);
+  }, [location]);
+
+  useEffect(() => {
+    if (!query) {
+      setSuggestions([]);
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController(); // A newer keystroke cancels the older request
+    setLoading(true);
+    fetch(withLocale(`/api/search?q=${encodeURIComponent(query)}&limit=${SUGGESTION_COUNT}`, locale), { signal: controller.signal })
+      .then((response) => response.json())
+      .then((data) => {
+        setSuggestions(data.results || []);
+        setActiveIndex(-1);
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.error('Search suggestions failed:', err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [query, locale]);
+
+  // Clicking anywhere else closes the suggestions
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (activeIndex >= 0 && suggestions[activeIndex]) {
+      navigate(`/watch/${suggestions[activeIndex].$id}`);
+    } else if (text.trim()) {
+      navigate(`/search?q=${encodeURIComponent(text.trim())}`);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setActiveIndex((index) => Math.min(index + 1, suggestions.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((index) => Math.max(index - 1, -1));
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  const showSuggestions = open && text.trim() && query && (suggestions.length > 0 || !loading);
+
+  return (
+    <form ref={containerRef} onSubmit={handleSubmit} className="relative" role="search">
+      <Search className="absolute start-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+      <input
+        type="search"
+        value={text}
+        onChange={(e) => { setText(e.target.value); setOpen(true); }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={handleKeyDown}
+        placeholder={t('search.placeholder')}
+        aria-label={t('search.placeholder')}
+        aria-autocomplete="list"
+        aria-controls="search-suggestions"
+        aria-expanded={Boolean(showSuggestions)}
+        aria-activedescendant={activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
+        className="w-48 sm:w-64 ps-9 pe-8 py-2 bg-gray-800 border border-gray-700 rounded-md text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+      />
+      {loading && <Loader2 className="absolute end-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400 animate-spin" />}
+
+      {showSuggestions && (
+        <ul
+          id="search-suggestions"
+          role="listbox"
+          className="absolute z-20 mt-2 w-80 end-0 bg-gray-800 border border-gray-700 rounded-md shadow-xl overflow-hidden"
+        >
+          {suggestions.length === 0 ? (
+            <li className="px-4 py-3 text-sm text-gray-400">{t('search.noMatches', { query })}</li>
+          ) : (
+            suggestions.map((video, index) => (
+              <li
+                key={video.$id}
+                id={`search-suggestion-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                onMouseEnter={() => setActiveIndex(index)}
+                onMouseDown={(e) => e.preventDefault()} // Keep focus in the field until the click lands
+                onClick={() => navigate(`/watch/${video.$id}`)}
+                className={`flex items-center px-3 py-2 cursor-pointer text-sm ${index === activeIndex ? 'bg-gray-700' : ''}`}
+              >
+                {video.thumbnailUrl && <img src={video.thumbnailUrl} alt="" className="w-16 h-9 object-cover rounded me-3" />}
+                <span className="text-gray-100 line-clamp-1">
+                  <Highlight segments={video.highlights?.title} fallback={video.title} />
+                </span>
+              </li>
+            ))
+          )}
+          <li role="presentation">
+            <button
+              type="button"
+              onClick={() => navigate(`/search?q=${encodeURIComponent(text.trim())}`)}
+              className="w-full text-start px-4 py-2 text-sm text-blue-400 hover:bg-gray-700 border-t border-gray-700 cursor-pointer"
+            >
+              {t('search.seeAll', { query: text.trim() })}
+            </button>
+          </li>
+        </ul>
+      )}
+    </form>
+  );
+};
+
+export default SearchBox;
@@ -0,0 +1,192 @@
+// src/components/SearchPage.jsx
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Loader2, Film, Clock, Eye } from 'lucide-react';
+import Highlight from './Highlight';
+import { useGenres } from '../lib/useGenres';
+import { useLocale } from '../context/useLocale';
+
+const PAGE_SIZE = 20;
+
+// ?duration= buckets, mapped to the API's minDuration/maxDuration (seconds)
+const DURATION_FILTERS = {
+  short: { labelKey: 'search.durationShort', maxDuration: 20 * 60 },
+  medium: { labelKey: 'search.durationMedium', minDuration: 20 * 60, maxDuration: 60 * 60 },
+  long: { labelKey: 'search.durationLong', minDuration: 60 * 60 },
+};
+
+const selectClass = 'bg-gray-800 border border-gray-700 rounded-md px-3 py-2 text-sm text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 cursor-pointer';
+
+// Builds the /api/search URL for the page's query string, an offset and the viewer's chosen language.
+const buildSearchUrl = (searchParams, offset, locale) => {
+  const params = new URLSearchParams({ q: searchParams.get('q') || '', limit: PAGE_SIZE, offset });
+  if (searchParams.get('genre')) params.set('genre', searchParams.get('genre'));
+  if (searchParams.get('premium')) params.set('premium', searchParams.get('premium'));
+  const duration = DURATION_FILTERS[searchParams.get('duration')];
+  if (duration?.minDuration) params.set('minDuration', duration.minDuration);
+  if (duration?.maxDuration) params.set('maxDuration', duration.maxDuration);
+  if (locale) params.set('locale', locale);
+  return `/api/search?${params}`;
+};
+
+// Search results for /search?q=...&genre=&premium=&duration=
+const SearchPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = (searchParams.get('q') || '').trim();
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null); // Message key
+  const { genres, genreName } = useGenres();
+  const { locale, t, formatDuration } = useLocale();
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const runSearch = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await fetch(buildSearchUrl(searchParams, 0, locale), { signal: controller.signal });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message);
+        setResults(data.results);
+        setTotal(data.total);
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        console.error(`Search for "${query}" failed:`, err);
+        setError('search.failed');
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    runSearch();
+    return () => controller.abort();
+  }, [searchParams, query, locale]);
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const response = await fetch(buildSearchUrl(searchParams, results.length, locale));
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message);
+      setResults((current) => [...current, ...data.results]);
+    } catch (err) {
+      console.error(`Loading more results for "${query}" failed:`, err);
+      setError('search.loadMoreFailed');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Updates one filter in the URL, dropping it when cleared
+  const setFilter = (name, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) next.set(name, value);
+    else next.delete(name);
+    setSearchParams(next, { replace: true });
+  };
+
+  const [titleBefore, titleAfter = ''] = t('search.resultsFor').split('{query}');
+
+  return (
+    <div className="min-h-screen bg-gray-950 text-gray-100 p-4 sm:p-8 font-inter">
+      <div className="max-w-5xl mx-auto">
+        <h1 className="text-3xl font-extrabold text-white mb-2">
+          {query ? <>{titleBefore}<span className="text-blue-400">{query}</span>{titleAfter}</> : t('search.browse')}
+        </h1>
+        <p className="text-sm text-gray-400 mb-6" aria-live="polite">
+          {!loading && !error && t('catalog.count', { count: total })}
+        </p>
+
+        {/* Filters */}
+        <div className="flex flex-wrap items-center gap-3 mb-8">
+          <select value={searchParams.get('genre') || ''} onChange={(e) => setFilter('genre', e.target.value)} className={selectClass} aria-label={t('search.genre')}>
+            <option value="">{t('search.anyGenre')}</option>
+            {genres.map((genre) => (
+              <option key={genre.slug} value={genre.slug}>{genre.name}</option>
+            ))}
+          </select>
+          <select value={searchParams.get('premium') || ''} onChange={(e) => setFilter('premium', e.target.value)} className={selectClass} aria-label={t('search.access')}>
+            <option value="">{t('search.anyAccess')}</option>
+            <option value="false">{t('search.freeOnly')}</option>
+            <option value="true">{t('search.premiumOnly')}</option>
+          </select>
+          <select value={searchParams.get('duration') || ''} onChange={(e) => setFilter('duration', e.target.value)} className={selectClass} aria-label={t('search.duration')}>
+            <option value="">{t('search.anyLength')}</option>
+            {Object.entries(DURATION_FILTERS).map(([value, { labelKey }]) => (
+              <option key={value} value={value}>{t(labelKey)}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading && (
+          <div className="flex justify-center items-center h-64">
+            <Loader2 className="h-12 w-12 text-blue-500 animate-spin" />
+            <p className="ms-4 text-xl">{t('search.searching')}</p>
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-800 bg-opacity-30 border border-red-700 text-red-300 px-6 py-4 rounded-lg shadow-md text-center mb-6">
+            <p className="font-semibold text-lg">{t('catalog.error')}</p>
+            <p>{t(error)}</p>
+          </div>
+        )}
+
+        {!loading && !error && results.length === 0 && (
+          <div className="text-center text-gray-400 text-xl py-20">{t('search.noResults')}</div>
+        )}
+
+        {/* Results */}
+        {!loading && (
+          <ul className="space-y-4">
+            {results.map((video) => (
+              <li key={video.$id}>
+                <Link
+                  to={`/watch/${video.$id}`}
+                  className="flex bg-gray-800 rounded-lg border border-gray-700 overflow-hidden hover:bg-gray-700 transition-colors duration-200"
+                >
+                  <div className="w-48 flex-shrink-0 bg-gray-700">
+                    {video.thumbnailUrl && <img src={video.thumbnailUrl} alt={video.title} className="w-full h-full object-cover aspect-video" />}
+                  </div>
+                  <div className="p-4 min-w-0">
+                    <h2 className="text-lg font-bold text-white mb-1">
+                      <Highlight segments={video.highlights?.title} fallback={video.title} />
+                    </h2>
+                    <p className="text-gray-400 text-sm mb-3 line-clamp-2">
+                      <Highlight segments={video.highlights?.description} fallback={video.description} />
+                    </p>
+                    <div className="flex flex-wrap items-center gap-4 text-gray-400 text-xs">
+                      <span className="flex items-center"><Film className="w-3 h-3 me-1" />{video.genres?.length > 0 ? video.genres.map(genreName).join(', ') : video.genre || t('video.noGenre')}</span>
+                      <span className="flex items-center"><Clock className="w-3 h-3 me-1" />{formatDuration(video.duration)}</span>
+                      <span className="flex items-center"><Eye className="w-3 h-3 me-1" />{t('video.views', { count: video.viewsCount || 0 })}</span>
+                      {video.isPremium && (
+                        <span className="bg-yellow-500 text-yellow-900 font-semibold px-2 py-0.5 rounded-full">{t('video.premium')}</span>
+                      )}
+                    </div>
+                  </div>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {!loading && results.length < total && (
+          <div className="text-center mt-8">
+            <button
+              onClick={loadMore}
+              disabled={loadingMore}
+              className="px-6 py-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-200 cursor-pointer transition-colors duration-200 disabled:opacity-60"
+            >
+              {loadingMore ? t('search.loading') : t('search.showMore')}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SearchPage;
@@ -0,0 +1,132 @@
+// src/components/SeriesPage.jsx
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { Loader2, PlayCircle, Star } from 'lucide-react';
+import NotFoundPage from './NotFoundPage';
+import { fetchSeries, seasonLabel } from '../lib/series';
+import { useLocale } from '../context/useLocale';
+
+/**
+ * SeriesPage Component
+ *
+ * Landing page for one series: /series/:seriesId?season=<number>
+ * Lists the episodes of one season at a time, in order; the season picker only offers seasons
+ * with released episodes. The chosen season is kept in the URL so it survives going back.
+ */
+const SeriesPage = () => {
+  const { seriesId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [series, setSeries] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  const [error, setError] = useState(null); // Message key
+  const { locale, t, formatDuration } = useLocale();
+
+  useEffect(() => {
+    let cancelled = false;
+    setSeries(null);
+    setNotFound(false);
+    setError(null);
+    fetchSeries(seriesId, locale)
+      .then((result) => {
+        if (cancelled) return;
+        if (result) setSeries(result);
+        else setNotFound(true);
+      })
+      .catch((err) => {
+        console.error(`Failed to fetch series ${seriesId}:`, err);
+        if (!cancelled) setError('series.loadFailed');
+      });
+    return () => { cancelled = true; };
+  }, [seriesId, locale]);
+
+  if (notFound) {
+    return <NotFoundPage title={t('series.notFoundTitle')} message={t('series.notFoundMessage')} />;
+  }
+
+  const seasons = series?.seasons.filter((season) => season.episodes.length > 0) || [];
+  const selectedNumber = searchParams.get('season');
+  const season = seasons.find((s) => String(s.number) === selectedNumber) || seasons[0];
+
+  return (
+    <div className="min-h-screen bg-gray-950 text-gray-100 p-4 sm:p-8 font-inter">
+      {error && (
+        <div className="bg-red-800 bg-opacity-30 border border-red-700 text-red-300 px-6 py-4 rounded-lg shadow-md text-center">
+          <p className="font-semibold text-lg">{t('catalog.error')}</p>
+          <p>{t(error)}</p>
+        </div>
+      )}
+
+      {!series && !error && (
+        <div className="flex justify-center items-center h-64">
+          <Loader2 className="h-12 w-12 text-blue-500 animate-spin" />
+        </div>
+      )}
+
+      {series && (
+        <div className="max-w-4xl mx-auto">
+          <h1 className="text-4xl font-extrabold text-white mb-3 tracking-wide">{series.title}</h1>
+          {series.description && <p className="text-gray-400 max-w-2xl mb-8">{series.description}</p>}
+
+          {seasons.length === 0 ? (
+            <p className="text-center text-gray-400 py-12">{t('series.noEpisodes')}</p>
+          ) : (
+            <>
+              {seasons.length > 1 && (
+                <div className="flex flex-wrap gap-2 mb-6" role="tablist" aria-label={t('series.seasons')}>
+                  {seasons.map((s) => (
+                    <button
+                      key={s.id}
+                      role="tab"
+                      aria-selected={s.id === season.id}
+                      onClick={() => setSearchParams({ season: String(s.number) }, { replace: true })}
+                      className={`px-4 py-1.5 rounded-full text-sm border transition-colors duration-200 cursor-pointer ${
+                        s.id === season.id ? 'bg-blue-600 border-blue-500 text-white' : 'bg-gray-800 border-gray-700 text-gray-300 hover:bg-gray-700'
+                      }`}
+                    >
+                      {seasonLabel(s, t)}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {seasons.length === 1 && <h2 className="text-2xl font-bold text-white mb-4">{seasonLabel(season, t)}</h2>}
+
+              <ol className="space-y-4">
+                {season.episodes.map((episode) => (
+                  <li key={episode.$id}>
+                    <Link
+                      to={`/watch/${episode.$id}`}
+                      className="flex gap-4 bg-gray-800 hover:bg-gray-700 rounded-lg border border-gray-700 overflow-hidden transition-colors duration-200 group"
+                    >
+                      <div className="relative w-40 sm:w-56 flex-shrink-0 aspect-video bg-gray-700">
+                        {episode.thumbnailUrl && <img src={episode.thumbnailUrl} alt="" className="w-full h-full object-cover" />}
+                        <div className="absolute inset-0 bg-black bg-opacity-50 flex items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity duration-300">
+                          <PlayCircle className="w-10 h-10 text-white" />
+                        </div>
+                      </div>
+                      <div className="py-3 pe-4 min-w-0">
+                        <p className="font-semibold text-white">
+                          {episode.episodeNumber}. {episode.title}
+                        </p>
+                        <p className="text-xs text-gray-400 mb-1">
+                          {formatDuration(episode.duration)}
+                          {episode.isPremium && (
+                            <span className="inline-flex items-center ms-2 text-yellow-400">
+                              <Star className="w-3 h-3 me-1" /> {t('video.premium')}
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-sm text-gray-400 line-clamp-2">{episode.description}</p>
+                      </div>
+                    </Link>
+                  </li>
+                ))}
+              </ol>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SeriesPage;
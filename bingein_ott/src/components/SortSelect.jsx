@@ -0,0 +1,36 @@
+// src/components/SortSelect.jsx
+import React from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { CATALOG_SORTS } from '../lib/catalog';
+import { useLocale } from '../context/useLocale';
+
+// Catalog ordering menu bound to the ?sort= query parameter; each option is labelled by the
+// "sort.<value>" message.
+const SortSelect = ({ value }) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { t } = useLocale();
+
+  const handleChange = (e) => {
+    const next = new URLSearchParams(searchParams);
+    next.set('sort', e.target.value);
+    setSearchParams(next, { replace: true });
+  };
+
+  return (
+    <div className="flex items-center">
+      <label htmlFor="catalog-sort" className="text-sm text-gray-400 me-2">{t('sort.label')}</label>
+      <select
+        id="catalog-sort"
+        value={value}
+        onChange={handleChange}
+        className="bg-gray-800 border border-gray-700 rounded-md px-3 py-2 text-sm text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 cursor-pointer"
+      >
+        {CATALOG_SORTS.map((option) => (
+          <option key={option.value} value={option.value}>{t(`sort.${option.value}`)}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default SortSelect;
@@ -0,0 +1,57 @@
+// src/components/StarRating.jsx
+import React, { useState } from 'react';
+import { Star } from 'lucide-react';
+import { useLocale } from '../context/useLocale';
+
+/**
+ * StarRating Component
+ *
+ * Five stars filled to `value`, in half-star steps.
+ * With `onChange` it becomes an input: hovering previews, clicking picks 1-5.
+ * `label` names the rating for screen readers; it defaults to "Rating" in the viewer's language.
+ */
+const StarRating = ({ value = 0, onChange, size = 'w-4 h-4', label }) => {
+  const { t, formatNumber } = useLocale();
+  const name = label ?? t('stars.label');
+  const [hovered, setHovered] = useState(null);
+  const shown = hovered ?? value;
+
+  if (!onChange) {
+    return (
+      <span className="inline-flex items-center" role="img" aria-label={t('stars.value', { label: name, value: formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) })}>
+        {[1, 2, 3, 4, 5].map((star) => {
+          const fill = Math.min(Math.max(shown - (star - 1), 0), 1);
+          return (
+            <span key={star} className="relative">
+              <Star className={`${size} text-gray-600`} />
+              <span className="absolute inset-0 overflow-hidden" style={{ width: `${Math.round(fill * 2) * 50}%` }}>
+                <Star className={`${size} text-yellow-400 fill-yellow-400`} />
+              </span>
+            </span>
+          );
+        })}
+      </span>
+    );
+  }
+
+  return (
+    <span className="inline-flex items-center" role="radiogroup" aria-label={name} onMouseLeave={() => setHovered(null)}>
+      {[1, 2, 3, 4, 5].map((star) => (
+        <button
+          key={star}
+          type="button"
+          role="radio"
+          aria-checked={value === star}
+          aria-label={t('stars.count', { count: star })}
+          onMouseEnter={() => setHovered(star)}
+          onClick={() => onChange(star)}
+          className="p-0.5 cursor-pointer"
+        >
+          <Star className={`${size} ${star <= shown ? 'text-yellow-400 fill-yellow-400' : 'text-gray-500'}`} />
+        </button>
+      ))}
+    </span>
+  );
+};
+
+export default StarRating;
@@ -0,0 +1,31 @@
+// src/components/TagPage.jsx
+import React from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { Query } from 'appwrite';
+import InfiniteCatalog from './InfiniteCatalog';
+import SortSelect from './SortSelect';
+import { resolveSort } from '../lib/catalog';
+import { normalizeTag } from '../lib/tags';
+
+// Every title carrying one tag, in any language: /tag/:name
+const TagPage = () => {
+  const tag = normalizeTag(useParams().name);
+  const [searchParams] = useSearchParams();
+  const sort = resolveSort(searchParams.get('sort'));
+
+  return (
+    <div className="min-h-screen bg-gray-950 text-gray-100 p-4 sm:p-8 font-inter">
+      <h1 className="text-4xl font-extrabold text-blue-400 mb-10 text-center tracking-wide">#{tag}</h1>
+      <InfiniteCatalog
+        key={`${tag}:${sort}`}
+        sort={sort}
+        queries={[Query.or([Query.contains('tags', [tag]), Query.contains('localizedTags', [tag])])]} // Translated tags link here too
+        cacheKey={`tag:${tag}:${sort}`}
+        controls={<SortSelect value={sort} />}
+        emptyMessage={`No titles are tagged #${tag}.`}
+      />
+    </div>
+  );
+};
+
+export default TagPage;
@@ -0,0 +1,105 @@
+// src/components/UpgradeWall.jsx
+import React, { useState, useEffect } from 'react';
+import { Lock, Loader2, Star } from 'lucide-react';
+import { apiFetch } from '../lib/api';
+import { useAuth } from '../context/useAuth';
+import { useLocale } from '../context/useLocale';
+
+/**
+ * UpgradeWall Component
+ *
+ * Shown in place of the player for premium titles the viewer is not entitled to.
+ * Lists the premium plans and subscribes through /api/subscription, then calls `onUnlocked`.
+ */
+const UpgradeWall = ({ poster, onUnlocked, onLogin }) => {
+  const { user } = useAuth();
+  const { t, formatNumber } = useLocale();
+  const [plans, setPlans] = useState([]);
+  const [subscribing, setSubscribing] = useState(null); // planId being purchased
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    fetch('/api/plans')
+      .then((response) => response.json())
+      .then((data) => setPlans(data.plans.filter((plan) => plan.premium)))
+      .catch((err) => console.error('Failed to load plans:', err));
+  }, []);
+
+  const handleSubscribe = async (planId) => {
+    setSubscribing(planId);
+    setErrorMessage('');
+    try {
+      const response = await apiFetch('/api/subscription', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ planId }),
+      });
+      const data = await response.json();
+      if (response.status === 202 && data.redirectUrl) {
+        window.location.assign(data.redirectUrl); // Provider-hosted checkout
+      } else if (response.ok) {
+        onUnlocked();
+      } else {
+        setErrorMessage(data.message || t('upgrade.failed'));
+      }
+    } catch (error) {
+      console.error('Subscription Error:', error);
+      setErrorMessage(t('upgrade.unavailable'));
+    } finally {
+      setSubscribing(null);
+    }
+  };
+
+  return (
+    <div
+      className="w-full aspect-video bg-cover bg-center relative"
+      style={poster ? { backgroundImage: `url("${poster}")` } : undefined}
+    >
+      <div className="absolute inset-0 bg-black bg-opacity-80 flex flex-col items-center justify-center p-6 text-center">
+        <Lock className="w-10 h-10 text-yellow-400 mb-3" />
+        <h2 className="text-2xl font-bold text-white mb-2">{t('upgrade.title')}</h2>
+
+        {!user ? (
+          <>
+            <p className="text-gray-300 mb-4">{t('upgrade.logInPrompt')}</p>
+            <button
+              onClick={onLogin}
+              className="px-6 py-2 rounded-lg bg-blue-600 hover:bg-blue-700 text-white font-semibold cursor-pointer transition-colors duration-200"
+            >
+              {t('nav.logIn')}
+            </button>
+          </>
+        ) : (
+          <>
+            <p className="text-gray-300 mb-4">{t('upgrade.prompt')}</p>
+            <div className="flex flex-wrap justify-center gap-4">
+              {plans.map((plan) => (
+                <button
+                  key={plan.id}
+                  onClick={() => handleSubscribe(plan.id)}
+                  disabled={subscribing !== null}
+                  className="w-56 bg-gray-800 border border-yellow-500 rounded-lg p-4 text-start hover:bg-gray-700 transition-colors duration-200 cursor-pointer disabled:opacity-60"
+                >
+                  <p className="flex items-center font-semibold text-yellow-400">
+                    <Star className="w-4 h-4 me-2" /> {plan.name}
+                  </p>
+                  <p className="text-white text-lg font-bold mt-1">
+                    {/* Prices are in the currency's minor unit: 999 "usd" is $9.99 */}
+                    {formatNumber(plan.price / 100, { style: 'currency', currency: plan.currency })}
+                    <span className="text-sm text-gray-400 font-normal"> {t(plan.intervalMonths === 12 ? 'upgrade.perYear' : 'upgrade.perMonth')}</span>
+                  </p>
+                  <p className="text-xs text-gray-400 mt-1">{plan.description}</p>
+                  {subscribing === plan.id && <Loader2 className="w-4 h-4 mt-2 text-blue-400 animate-spin" />}
+                </button>
+              ))}
+            </div>
+          </>
+        )}
+
+        {errorMessage && <p className="text-red-300 text-sm mt-4">{errorMessage}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default UpgradeWall;
@@ -0,0 +1,117 @@
+// src/components/VideoCard.jsx
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { PlayCircle, Eye, Film, Calendar, Star } from 'lucide-react';
+import { useGenres } from '../lib/useGenres';
+import WatchlistButton from './WatchlistButton';
+import { publicationStatus, formatRelease } from '../lib/publishing';
+import { useLocale } from '../context/useLocale';
+
+/**
+ * VideoCard Component
+ *
+ * One title in a catalog grid (home, search, genre pages); links to its watch page.
+ * `progress` (0-1) draws a watched bar along the bottom of the thumbnail. The corner button
+ * adds the title to My List. Drafts and scheduled titles (which only content managers can load)
+ * are marked as such. Catalog documents are shown in the viewer's language.
+ */
+const VideoCard = ({ video: catalogVideo, progress }) => {
+  const { genreName } = useGenres();
+  const { localize, t, uiLocale, formatDate, formatNumber } = useLocale();
+  const video = localize(catalogVideo);
+  // Titles uploaded before the managed genre list only have the free-text `genre`
+  const genreLabel = video.genres?.length > 0 ? video.genres.map(genreName).join(', ') : video.genre;
+
+  return (
+    <Link
+      to={`/watch/${video.$id}`}
+      className="block bg-gray-800 rounded-lg shadow-xl overflow-hidden transform hover:scale-105 transition-transform duration-300 relative group border border-gray-700"
+    >
+      <div className="cursor-pointer relative w-full h-48 bg-gray-700 flex items-center justify-center">
+        {video.thumbnailUrl ? (
+          <img
+            src={video.thumbnailUrl}
+            alt={video.title}
+            className="w-full h-full object-cover"
+            onError={(e) => {
+              e.target.onerror = null;
+              e.target.src =
+                "https://placehold.co/640x360/1f2937/d1d5db?text=No+Thumbnail";
+            }}
+          />
+        ) : (
+          <div className="text-gray-400 text-center">
+            {t('video.noThumbnail')}
+          </div>
+        )}
+        <div className="absolute inset-0 bg-black bg-opacity-50 flex items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity duration-300">
+          <PlayCircle className="w-16 h-16 text-white" />
+        </div>
+        <div className="absolute top-2 end-2">
+          <WatchlistButton videoId={video.$id} compact />
+        </div>
+        {progress > 0 && (
+          <div className="absolute bottom-0 inset-x-0 h-1 bg-gray-600" role="progressbar" aria-label="Watched" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(progress * 100)}>
+            <div className="h-full bg-blue-500" style={{ width: `${Math.min(progress, 1) * 100}%` }} />
+          </div>
+        )}
+      </div>
+
+      <div className="p-4">
+        <h2 className="text-xl font-bold text-white mb-2 line-clamp-2">
+          {video.title}
+        </h2>
+        <p className="text-gray-400 text-sm mb-3 line-clamp-3">
+          {video.description}
+        </p>
+
+        <div className="flex items-center text-gray-400 text-sm mb-2">
+          <Film className="w-4 h-4 me-2" />
+          <span>{t('video.genre', { genres: genreLabel || t('video.noGenre') })}</span>
+        </div>
+        <div className="flex items-center text-gray-400 text-sm mb-2">
+          <Calendar className="w-4 h-4 me-2" />
+          <span>
+            {t('video.uploaded', { date: formatDate(video.uploadDate) })}
+          </span>
+        </div>
+        <div className="flex items-center text-gray-400 text-sm">
+          <Eye className="w-4 h-4 me-2" />
+          <span>{t('video.views', { count: video.viewsCount })}</span>
+          {video.ratingCount > 0 && (
+            <span className="flex items-center ms-4" title={t('video.ratings', { count: video.ratingCount })}>
+              <Star className="w-4 h-4 me-1 text-yellow-400 fill-yellow-400" />
+              {formatNumber(video.ratingAverage, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} ({formatNumber(video.ratingCount)})
+            </span>
+          )}
+        </div>
+        {video.isPremium && (
+          <span className="mt-2 inline-block bg-yellow-500 text-yellow-900 text-xs font-semibold px-2.5 py-0.5 rounded-full">
+            {t('video.premium')}
+          </span>
+        )}
+        {publicationStatus(video) !== 'published' && (
+          <span className="mt-2 ms-2 inline-block bg-purple-700 text-purple-100 text-xs font-semibold px-2.5 py-0.5 rounded-full" title={formatRelease(video, uiLocale) || undefined}>
+            {t(`publication.${publicationStatus(video)}`)}
+          </span>
+        )}
+      </div>
+    </Link>
+  );
+};
+
+// Placeholder with the card's shape, shown while a page of titles loads.
+export const VideoCardSkeleton = () => (
+  <div className="bg-gray-800 rounded-lg shadow-xl overflow-hidden border border-gray-700 animate-pulse" aria-hidden="true">
+    <div className="w-full h-48 bg-gray-700" />
+    <div className="p-4 space-y-3">
+      <div className="h-5 bg-gray-700 rounded w-3/4" />
+      <div className="h-3 bg-gray-700 rounded" />
+      <div className="h-3 bg-gray-700 rounded w-5/6" />
+      <div className="h-3 bg-gray-700 rounded w-1/3" />
+      <div className="h-3 bg-gray-700 rounded w-1/4" />
+    </div>
+  </div>
+);
+
+export default VideoCard;
@@ -0,0 +1,50 @@
+// src/components/VideoGrid.jsx
+import React from 'react';
+import VideoCard, { VideoCardSkeleton } from './VideoCard';
+import { useLocale } from '../context/useLocale';
+
+const SKELETON_COUNT = 8;
+
+/**
+ * VideoGrid Component
+ *
+ * Loading, error and empty states plus the card grid shared by every catalog page.
+ * `loading` shows a grid of skeleton cards; `loadingMore` appends skeletons after the
+ * titles already shown (the next page of an infinite list).
+ */
+const VideoGrid = ({ videos, loading, loadingMore = false, error, emptyMessage }) => {
+  const { t } = useLocale();
+
+  return (
+    <>
+      {/* Error State */}
+      {error && (
+        <div className="bg-red-800 bg-opacity-30 border border-red-700 text-red-300 px-6 py-4 rounded-lg shadow-md text-center mb-6">
+          <p className="font-semibold text-lg">{t('catalog.error')}</p>
+          <p>{error}</p>
+        </div>
+      )}
+
+      {/* No Videos Found State */}
+      {!loading && !error && videos.length === 0 && (
+        <div className="text-center text-gray-400 text-xl py-20">
+          {emptyMessage || t('catalog.empty')}
+        </div>
+      )}
+
+      {/* Video Grid */}
+      {(loading || videos.length > 0) && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+          {!loading && videos.map((video) => (
+            <VideoCard key={video.$id} video={video} />
+          ))}
+          {(loading || loadingMore) && Array.from({ length: SKELETON_COUNT }, (_, index) => (
+            <VideoCardSkeleton key={`skeleton-${index}`} />
+          ))}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default VideoGrid;
@@ -0,0 +1,386 @@
+// src/components/VideoPlayer.jsx
+import React, { useState, useEffect, useRef } from 'react';
+import Hls from 'hls.js';
+import { Settings, RotateCcw } from 'lucide-react';
+import { loadThumbnailTrack, findThumbnailCue } from '../lib/thumbnailTrack';
+import { withPlaybackToken, swapVideoSource } from '../lib/playbackToken';
+import { loadSubtitleTrack, loadCaptionPreferences, saveCaptionPreferences, pickTrack } from '../lib/subtitles';
+import CaptionMenu from './CaptionMenu';
+import { useLocale } from '../context/useLocale';
+
+// 125 -> "2:05", 3725 -> "1:02:05"
+const formatTime = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+const RESUME_NOTICE_MS = 10 * 1000;
+
+/**
+ * VideoPlayer Component
+ *
+ * Plays the HLS ladder (`manifestUrl`) when one exists, through hls.js or the browser's native
+ * HLS support (Safari/iOS), and falls back to the original upload (`src`) when there is no
+ * manifest or HLS playback fails. With hls.js the viewer can pin a quality level.
+ * When a WebVTT thumbnail track (`previewTrackUrl`) exists, the scrub bar under the video shows
+ * frame previews on hover, and the same preview is shown while seeking with the native controls.
+ * `src` and `manifestUrl` are signed /api/media URLs; when the parent passes a refreshed
+ * `playbackToken`, it is swapped into every later request without interrupting playback.
+ * `onProgress({ currentTime, duration, watchedSeconds })` fires on every time update;
+ * `watchedSeconds` only counts time actually played, not time skipped by seeking.
+ * `startTime` resumes a title where the viewer left off, with a "Start over" button for a while.
+ * `onEnded` fires when playback reaches the end; `children` are drawn over the video (e.g. the
+ * next-episode countdown).
+ * `subtitles` ([{ language, label, kind, url }]) adds a caption menu. The viewer's language, size
+ * and background choices are remembered in localStorage and applied to every title.
+ */
+const VideoPlayer = ({ src, manifestUrl, poster, previewTrackUrl, playbackToken, onProgress, onEnded, startTime = 0, subtitles = [], children }) => {
+  const { t } = useLocale();
+  const videoRef = useRef(null);
+  const tokenRef = useRef(playbackToken);
+  const watchedRef = useRef({ seconds: 0, lastTime: null }); // Played time for onProgress
+  const resumedRef = useRef(false); // startTime is applied once, not again when a token swap reloads the source
+  const [resumeNotice, setResumeNotice] = useState(false);
+  const [levels, setLevels] = useState([]); // hls.js quality levels, empty when not using hls.js
+  const [currentLevel, setCurrentLevel] = useState(-1); // -1 = automatic
+  const [useFallback, setUseFallback] = useState(!manifestUrl);
+  const hlsRef = useRef(null);
+  const [thumbnailCues, setThumbnailCues] = useState([]);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const [hoverPreview, setHoverPreview] = useState(null); // { time, left } while hovering the scrub bar
+  const [seekingTime, setSeekingTime] = useState(null); // Target time while seeking natively
+  const [subtitleSources, setSubtitleSources] = useState([]); // blob: URL per subtitle track (null if it failed to load)
+  const [activeTrack, setActiveTrack] = useState(-1); // Index into `subtitles`; -1 while captions are off
+  const [captionPreferences, setCaptionPreferences] = useState(loadCaptionPreferences);
+  const trackRefs = useRef([]);
+
+  // --- Seek Preview Track ---
+  useEffect(() => {
+    if (!previewTrackUrl) return;
+    let cancelled = false;
+    loadThumbnailTrack(previewTrackUrl)
+      .then((cues) => { if (!cancelled) setThumbnailCues(cues); })
+      .catch((err) => console.warn('Seek previews unavailable:', err));
+    return () => {
+      cancelled = true;
+      setThumbnailCues([]);
+    };
+  }, [previewTrackUrl]);
+
+  // --- Subtitle Tracks ---
+  // Fetched up front so switching language is instant; the preferred language is turned on.
+  const subtitleKey = JSON.stringify(subtitles.map(({ url, language }) => ({ url, language }))); // Stable across re-renders
+  useEffect(() => {
+    const tracks = JSON.parse(subtitleKey);
+    let cancelled = false;
+    let sources = [];
+    Promise.all(tracks.map(({ url }) => loadSubtitleTrack(url).catch((err) => {
+      console.warn(`Subtitles unavailable: ${url}`, err);
+      return null;
+    }))).then((loaded) => {
+      sources = loaded;
+      if (cancelled) {
+        loaded.forEach((source) => source && URL.revokeObjectURL(source));
+        return;
+      }
+      setSubtitleSources(loaded);
+      const index = pickTrack(tracks, loadCaptionPreferences().language);
+      setActiveTrack(index !== -1 && loaded[index] ? index : -1);
+    });
+    return () => {
+      cancelled = true;
+      sources.forEach((source) => source && URL.revokeObjectURL(source));
+      setSubtitleSources([]);
+      setActiveTrack(-1);
+    };
+  }, [subtitleKey]);
+
+  useEffect(() => {
+    trackRefs.current.forEach((element, index) => {
+      if (element) element.track.mode = index === activeTrack ? 'showing' : 'disabled';
+    });
+  }, [activeTrack, subtitleSources]);
+
+  // Browsers with their own caption button (in the native controls) change the track directly
+  useEffect(() => {
+    const textTracks = videoRef.current?.textTracks;
+    if (!textTracks) return;
+    const handleChange = () => setActiveTrack(trackRefs.current.findIndex((element) => element?.track.mode === 'showing'));
+    textTracks.addEventListener('change', handleChange);
+    return () => textTracks.removeEventListener('change', handleChange);
+  }, []);
+
+  const updateCaptionPreferences = (changes) => {
+    const next = { ...captionPreferences, ...changes };
+    setCaptionPreferences(next);
+    saveCaptionPreferences(next);
+  };
+
+  const handleSelectTrack = (index) => {
+    setActiveTrack(index);
+    updateCaptionPreferences({ language: index === -1 ? null : subtitles[index].language });
+  };
+
+  useEffect(() => {
+    setUseFallback(!manifestUrl);
+  }, [manifestUrl]);
+
+  // A new title starts its played time from zero
+  useEffect(() => {
+    watchedRef.current = { seconds: 0, lastTime: null };
+    resumedRef.current = false;
+  }, [src, manifestUrl]);
+
+  useEffect(() => {
+    if (!resumeNotice) return;
+    const timer = setTimeout(() => setResumeNotice(false), RESUME_NOTICE_MS);
+    return () => clearTimeout(timer);
+  }, [resumeNotice]);
+
+  // --- Token Refresh ---
+  // hls.js reads tokenRef for every request (see xhrSetup below); native playback has to switch URLs.
+  useEffect(() => {
+    tokenRef.current = playbackToken;
+    const video = videoRef.current;
+    if (!video || !video.currentSrc || hlsRef.current) return;
+    if (new URL(video.currentSrc).searchParams.get('token') === playbackToken) return;
+    swapVideoSource(video, withPlaybackToken(video.currentSrc, playbackToken));
+  }, [playbackToken]);
+
+  // The original file, set here rather than as a prop so a refreshed token doesn't restart it.
+  useEffect(() => {
+    const video = videoRef.current;
+    if (video && useFallback && src) video.src = withPlaybackToken(src, tokenRef.current);
+  }, [src, useFallback]);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || useFallback) return;
+
+    // Safari and iOS play HLS natively
+    if (!Hls.isSupported() && video.canPlayType('application/vnd.apple.mpegurl')) {
+      video.src = withPlaybackToken(manifestUrl, tokenRef.current);
+      const handleError = () => setUseFallback(true);
+      video.addEventListener('error', handleError);
+      return () => video.removeEventListener('error', handleError);
+    }
+
+    if (!Hls.isSupported()) {
+      setUseFallback(true);
+      return;
+    }
+
+    const hls = new Hls({
+      // Playlists and segments are fetched with whatever token is current, not the one at load time.
+      xhrSetup: (xhr, url) => xhr.open('GET', withPlaybackToken(url, tokenRef.current), true),
+    });
+    hlsRef.current = hls;
+    let recoveredMediaError = false;
+
+    hls.on(Hls.Events.MANIFEST_PARSED, (_event, data) => {
+      setLevels(data.levels.map((level, index) => ({ index, height: level.height, bitrate: level.bitrate })));
+    });
+    hls.on(Hls.Events.ERROR, (_event, data) => {
+      if (!data.fatal) return;
+      // Media errors are often recoverable once; anything else falls back to the original file.
+      if (data.type === Hls.ErrorTypes.MEDIA_ERROR && !recoveredMediaError) {
+        recoveredMediaError = true;
+        hls.recoverMediaError();
+        return;
+      }
+      console.warn('HLS playback failed, falling back to the original file:', data.details);
+      setUseFallback(true);
+    });
+
+    hls.loadSource(withPlaybackToken(manifestUrl, tokenRef.current));
+    hls.attachMedia(video);
+
+    return () => {
+      hls.destroy();
+      hlsRef.current = null;
+      setLevels([]);
+      setCurrentLevel(-1);
+    };
+  }, [manifestUrl, useFallback]);
+
+  // Maps the pointer position on the scrub bar to a time in the video.
+  const timeFromPointer = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const fraction = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    return { time: fraction * duration, left: fraction * 100 };
+  };
+
+  const handleScrubClick = (e) => {
+    if (!duration) return;
+    videoRef.current.currentTime = timeFromPointer(e).time;
+  };
+
+  // Renders the sprite tile for a given time, or nothing when there is no track.
+  const renderPreview = (time) => {
+    const cue = findThumbnailCue(thumbnailCues, time);
+    if (!cue) return null;
+    return (
+      <div className="rounded border border-gray-600 shadow-lg overflow-hidden bg-black">
+        <div
+          style={{
+            width: cue.w,
+            height: cue.h,
+            backgroundImage: `url("${cue.url}")`,
+            backgroundPosition: `-${cue.x}px -${cue.y}px`,
+          }}
+        />
+        <p className="text-center text-xs text-gray-200 py-0.5">{formatTime(time)}</p>
+      </div>
+    );
+  };
+
+  const handleLoadedMetadata = (e) => {
+    const video = e.currentTarget;
+    setDuration(video.duration);
+    if (startTime > 0 && !resumedRef.current && startTime < video.duration) {
+      video.currentTime = startTime;
+      setResumeNotice(true);
+    }
+    resumedRef.current = true;
+  };
+
+  const handleStartOver = () => {
+    videoRef.current.currentTime = 0;
+    videoRef.current.play().catch(() => {}); // Autoplay may be blocked; the controls still work
+    setResumeNotice(false);
+  };
+
+  // Adds small forward steps of normal playback to the played time; seeks and jumps are skipped.
+  const handleTimeUpdate = (e) => {
+    const video = e.currentTarget;
+    setCurrentTime(video.currentTime);
+    const watched = watchedRef.current;
+    const step = video.currentTime - (watched.lastTime ?? video.currentTime);
+    if (!video.seeking && step > 0 && step < 2) watched.seconds += step;
+    watched.lastTime = video.currentTime;
+    onProgress?.({ currentTime: video.currentTime, duration: video.duration, watchedSeconds: watched.seconds });
+  };
+
+  const handleQualityChange = (e) => {
+    const level = Number(e.target.value);
+    setCurrentLevel(level);
+    if (hlsRef.current) hlsRef.current.currentLevel = level;
+  };
+
+  return (
+    <div className="relative w-full">
+      <div className="relative w-full aspect-video">
+        <video
+          ref={videoRef}
+          controls
+          autoPlay // Autoplay the video
+          className="w-full h-full object-contain bg-black"
+          poster={poster}
+          onContextMenu={(e) => e.preventDefault()} // Disable right-click for simple copy protection
+          onLoadedMetadata={handleLoadedMetadata}
+          onTimeUpdate={handleTimeUpdate}
+          onSeeking={(e) => setSeekingTime(e.currentTarget.currentTime)}
+          onSeeked={() => setSeekingTime(null)}
+          onEnded={onEnded}
+          data-caption-size={captionPreferences.size} // Caption styles in index.css
+          data-caption-background={captionPreferences.background}
+        >
+          {subtitles.map((track, index) => subtitleSources[index] && (
+            <track
+              key={track.url}
+              ref={(element) => { trackRefs.current[index] = element; }}
+              kind={track.kind}
+              label={track.label}
+              srcLang={track.language}
+              src={subtitleSources[index]}
+            />
+          ))}
+          {t('player.unsupported')}
+        </video>
+
+        {/* Resumed from a saved position */}
+        {resumeNotice && (
+          <div className="absolute bottom-16 start-4 flex items-center bg-black bg-opacity-70 rounded-md px-3 py-2 text-sm text-gray-200">
+            <span className="me-3">{t('player.resumedAt', { time: formatTime(startTime) })}</span>
+            <button onClick={handleStartOver} className="flex items-center text-blue-400 hover:text-blue-300 font-semibold cursor-pointer">
+              <RotateCcw className="w-4 h-4 me-1" /> {t('player.startOver')}
+            </button>
+          </div>
+        )}
+
+        {/* Preview while seeking with the native controls */}
+        {seekingTime !== null && thumbnailCues.length > 0 && (
+          <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+            {renderPreview(seekingTime)}
+          </div>
+        )}
+
+        {children}
+      </div>
+
+      {/* Scrub Bar with Hover Previews */}
+      {thumbnailCues.length > 0 && duration > 0 && (
+        <div
+          className="relative h-3 bg-gray-700 cursor-pointer"
+          onMouseMove={(e) => setHoverPreview(timeFromPointer(e))}
+          onMouseLeave={() => setHoverPreview(null)}
+          onClick={handleScrubClick}
+          role="slider"
+          aria-label={t('player.seek')}
+          aria-valuemin={0}
+          aria-valuemax={Math.floor(duration)}
+          aria-valuenow={Math.floor(currentTime)}
+        >
+          <div className="h-full bg-blue-500" style={{ width: `${(currentTime / duration) * 100}%` }} />
+          {hoverPreview && (
+            <div
+              className="absolute bottom-full mb-2 -translate-x-1/2 pointer-events-none z-10"
+              style={{ left: `${hoverPreview.left}%` }}
+            >
+              {renderPreview(hoverPreview.time)}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="absolute top-3 end-3 flex items-start gap-2">
+        {/* Subtitles and caption style */}
+        {subtitleSources.some(Boolean) && (
+          <CaptionMenu
+            tracks={subtitles}
+            activeIndex={activeTrack}
+            preferences={captionPreferences}
+            onSelect={handleSelectTrack}
+            onPreferencesChange={updateCaptionPreferences}
+          />
+        )}
+
+        {/* Quality Selector (hls.js only) */}
+        {!useFallback && levels.length > 1 && (
+          <div className="flex items-center bg-black bg-opacity-60 rounded-md px-2 py-1 text-sm text-gray-200">
+            <Settings className="w-4 h-4 me-2" />
+            <select
+              value={currentLevel}
+              onChange={handleQualityChange}
+              className="bg-transparent focus:outline-none cursor-pointer"
+              aria-label={t('player.quality')}
+            >
+              <option value={-1} className="bg-gray-800">{t('player.autoQuality')}</option>
+              {levels.map((level) => (
+                <option key={level.index} value={level.index} className="bg-gray-800">
+                  {level.height}p
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VideoPlayer;
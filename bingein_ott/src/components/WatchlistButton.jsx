@@ -0,0 +1,56 @@
+// src/components/WatchlistButton.jsx
+import React from 'react';
+import { Plus, Check } from 'lucide-react';
+import { useWatchlist } from '../context/useWatchlist';
+import { useLocale } from '../context/useLocale';
+
+/**
+ * WatchlistButton Component
+ *
+ * Adds a title to or removes it from My List. `compact` renders the round icon button laid over
+ * catalog cards; otherwise a labelled button for the watch page.
+ */
+const WatchlistButton = ({ videoId, compact = false }) => {
+  const { isListed, toggle } = useWatchlist();
+  const { t } = useLocale();
+  const listed = isListed(videoId);
+  const label = listed ? t('watchlist.remove') : t('watchlist.add');
+  const Icon = listed ? Check : Plus;
+
+  // Cards are links; the button must not open the title
+  const handleClick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    toggle(videoId);
+  };
+
+  if (compact) {
+    return (
+      <button
+        type="button"
+        onClick={handleClick}
+        className="p-1.5 rounded-full bg-black bg-opacity-60 border border-gray-500 text-white hover:bg-opacity-80 cursor-pointer"
+        aria-label={label}
+        aria-pressed={listed}
+        title={label}
+      >
+        <Icon className="w-4 h-4" />
+      </button>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      aria-pressed={listed}
+      className={`flex items-center px-4 py-2 rounded-lg text-sm font-semibold transition-colors duration-200 cursor-pointer ${
+        listed ? 'bg-gray-700 text-gray-100 hover:bg-gray-600' : 'bg-blue-600 text-white hover:bg-blue-700'
+      }`}
+    >
+      <Icon className="w-4 h-4 me-2" /> {listed ? t('watchlist.listed') : t('nav.myList')}
+    </button>
+  );
+};
+
+export default WatchlistButton;
@@ -1,37 +1,69 @@
 // src/components/VideoDetailPage.jsx
-import React, { useState, useEffect } from 'react';
-import { Client, Databases } from 'appwrite';
-import { Loader2, ArrowLeft, Film, Calendar, Eye, Star } from 'lucide-react'; // Icons
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams, useNavigate, useLocation } from 'react-router-dom';
+import { Loader2, ArrowLeft, Film, Calendar, Clock, Eye, Star, Tv } from 'lucide-react'; // Icons
+import VideoPlayer from './VideoPlayer';
+import UpgradeWall from './UpgradeWall';
+import WatchlistButton from './WatchlistButton';
+import ReviewsSection from './ReviewsSection';
+import MoreLikeThisRail from './MoreLikeThisRail';
+import NextEpisodeOverlay from './NextEpisodeOverlay';
+import StarRating from './StarRating';
+import NotFoundPage from './NotFoundPage';
+import { apiFetch } from '../lib/api';
+import { databases, APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID } from '../lib/appwrite';
+import { useAuth } from '../context/useAuth';
+import { useLocale } from '../context/useLocale';
+import { TOKEN_REFRESH_MARGIN_MS } from '../lib/playbackToken';
+import { useGenres } from '../lib/useGenres';
+import { tagList, tagPath } from '../lib/tags';
+import { publicationStatus, formatRelease } from '../lib/publishing';
+import { reportView, viewThreshold } from '../lib/viewCounter';
+import { fetchProgress, saveProgress, HEARTBEAT_INTERVAL_MS } from '../lib/watchProgress';
+import { fetchSeries, nextEpisode, episodeLabel } from '../lib/series';
+import { subtitleTracks } from '../lib/subtitles';
 
-const VideoDetailPage = ({ videoId, onBack }) => { // onBack prop to go back to home page
+// Signed media URLs and their token for one title: { response, data }. Passing the current token
+// continues its playback session.
+const requestPlayback = async (videoId, token) => {
+  const params = new URLSearchParams({ videoId });
+  if (token) params.set('token', token);
+  const response = await apiFetch(`/api/playback?${params}`);
+  return { response, data: await response.json() };
+};
+
+const VideoDetailPage = () => {
+  const { videoId } = useParams(); // /watch/:videoId
+  const navigate = useNavigate();
+  const location = useLocation();
   const [video, setVideo] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const [error, setError] = useState(false);
+  const [notFound, setNotFound] = useState(false);
+  const [playback, setPlayback] = useState(null); // { videoUrl, playbackManifestUrl, token, expiresAt } from /api/playback
+  const [upgradeRequired, setUpgradeRequired] = useState(false);
+  const [playbackAttempt, setPlaybackAttempt] = useState(0); // Bumped to re-request sources after subscribing
+  const [refreshAttempt, setRefreshAttempt] = useState(0); // Bumped to retry a failed token refresh
+  const { user } = useAuth();
+  const { genreName } = useGenres();
+  const { locale, localize, t, uiLocale, formatDate, formatNumber, formatDuration } = useLocale();
+  const viewReportedRef = useRef(false); // One view report per visit to a title
+  const [resume, setResume] = useState(undefined); // Saved progress to resume from; undefined while loading, null for none
+  const positionRef = useRef(null); // { position, duration, saved } from the latest time update
+  const lastHeartbeatRef = useRef(0);
+  const [series, setSeries] = useState(null); // The series this title is an episode of, with its episodes in order
+  const [showNextEpisode, setShowNextEpisode] = useState(false); // Countdown overlay after the episode ends
 
-  // --- Appwrite Client-side Configuration ---
-  const APPWRITE_PROJECT_ID = import.meta.env.VITE_APPWRITE_PROJECT_ID;
-  const APPWRITE_DATABASE_ID = import.meta.env.VITE_APPWRITE_DATABASE_ID;
-  const APPWRITE_COLLECTION_ID = import.meta.env.VITE_APPWRITE_COLLECTION_ID;
-  const APPWRITE_ENDPOINT = import.meta.env.VITE_APPWRITE_ENDPOINT;
+  // Back to where the viewer came from (keeping its scroll position), or home for a deep link.
+  const handleBack = () => (location.key !== 'default' ? navigate(-1) : navigate('/'));
+  const handleLogin = () => navigate('/login', { state: { from: location.pathname } });
 
   useEffect(() => {
     const fetchVideo = async () => {
-      if (!videoId) {
-        setError("No video ID provided.");
-        setLoading(false);
-        return;
-      }
-
       setLoading(true);
-      setError(null);
+      setError(false);
+      setNotFound(false);
       try {
-        const client = new Client();
-        client
-          .setEndpoint(APPWRITE_ENDPOINT)
-          .setProject(APPWRITE_PROJECT_ID);
-
-        const databases = new Databases(client);
-
         const response = await databases.getDocument(
           APPWRITE_DATABASE_ID,
           APPWRITE_COLLECTION_ID,
@@ -40,8 +72,12 @@ const VideoDetailPage = ({ videoId, onBack }) => { // onBack prop to go back to
         
         setVideo(response);
       } catch (err) {
+        if (err.code === 404) {
+          setNotFound(true);
+          return;
+        }
         console.error(`Failed to fetch video ${videoId} from Appwrite:`, err);
-        setError(`Failed to load video. It might not exist or there's a network issue.`);
+        setError(true);
       } finally {
         setLoading(false);
       }
@@ -50,81 +86,303 @@ const VideoDetailPage = ({ videoId, onBack }) => { // onBack prop to go back to
     fetchVideo();
   }, [videoId]); // Re-fetch if videoId changes
 
+  useEffect(() => {
+    viewReportedRef.current = false;
+    setShowNextEpisode(false);
+  }, [videoId]);
+
+  // --- Series ---
+  // Episodes link to their series and offer to play the next episode when they end.
+  const seriesId = video?.seriesId;
+  useEffect(() => {
+    if (!seriesId) {
+      setSeries(null);
+      return;
+    }
+    let cancelled = false;
+    fetchSeries(seriesId, locale)
+      .then((result) => { if (!cancelled) setSeries(result); })
+      .catch((err) => console.warn(`Failed to load series ${seriesId}:`, err));
+    return () => { cancelled = true; };
+  }, [seriesId, locale]);
+
+  const next = series ? nextEpisode(series, videoId) : null;
+  const playNextEpisode = () => navigate(`/watch/${next.$id}`);
+
+  // --- Watch Progress ---
+  // Logged-in viewers resume where they left off, on any device.
+  useEffect(() => {
+    if (!user) {
+      setResume(null);
+      return;
+    }
+    let cancelled = false;
+    setResume(undefined);
+    fetchProgress(videoId)
+      .then((progress) => { if (!cancelled) setResume(progress); })
+      .catch((err) => {
+        console.warn(`Failed to load the saved position for ${videoId}:`, err);
+        if (!cancelled) setResume(null);
+      });
+    return () => { cancelled = true; };
+  }, [videoId, user]);
+
+  // The last position is saved when the viewer leaves the page, hides the tab, or opens another title.
+  useEffect(() => {
+    if (!user) return;
+    positionRef.current = null;
+    lastHeartbeatRef.current = Date.now(); // First heartbeat one interval into playback
+    const flush = () => {
+      const latest = positionRef.current;
+      if (!latest || latest.saved) return;
+      latest.saved = true;
+      saveProgress(videoId, latest, { keepalive: true }).catch((err) => console.warn(`Failed to save the position in ${videoId}:`, err));
+    };
+    const handleVisibilityChange = () => document.visibilityState === 'hidden' && flush();
+    window.addEventListener('pagehide', flush);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      flush();
+      window.removeEventListener('pagehide', flush);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [videoId, user]);
+
+  const handleProgress = ({ currentTime, duration, watchedSeconds }) => {
+    // Heartbeat every HEARTBEAT_INTERVAL_MS while playing
+    if (user && Number.isFinite(duration) && duration > 0) {
+      positionRef.current = { position: currentTime, duration, saved: false };
+      if (Date.now() - lastHeartbeatRef.current >= HEARTBEAT_INTERVAL_MS) {
+        lastHeartbeatRef.current = Date.now();
+        positionRef.current.saved = true;
+        saveProgress(videoId, positionRef.current).catch((err) => console.warn(`Failed to save the position in ${videoId}:`, err));
+      }
+    }
+
+    // Reports the view once enough has been played; the server dedupes repeat viewers.
+    if (viewReportedRef.current || watchedSeconds < viewThreshold(duration || video?.duration)) return;
+    viewReportedRef.current = true;
+    reportView({ videoId, token: playback.token })
+      .then(({ counted, viewsCount }) => {
+        if (counted) setVideo((current) => (current?.$id === videoId ? { ...current, viewsCount } : current));
+      })
+      .catch((err) => console.warn(`Failed to record a view of ${videoId}:`, err));
+  };
+
+  // --- Playback Sources ---
+  // Media URLs come from the server, which checks premium entitlements; re-checked when the user changes.
+  useEffect(() => {
+    if (!videoId) return;
+    const fetchPlayback = async () => {
+      setPlayback(null);
+      setUpgradeRequired(false);
+      try {
+        const { response, data } = await requestPlayback(videoId);
+        if (response.ok) {
+          setPlayback(data);
+        } else if (data.upgradeRequired) {
+          setUpgradeRequired(true);
+        } else {
+          console.error(`Failed to load playback sources for ${videoId}:`, data.message);
+        }
+      } catch (err) {
+        console.error(`Failed to load playback sources for ${videoId}:`, err);
+      }
+    };
+
+    fetchPlayback();
+  }, [videoId, user, playbackAttempt]);
+
+  // Renew the token shortly before it expires. Only the token changes, so the player keeps playing.
+  const tokenExpiresAt = playback?.expiresAt;
+  const currentToken = playback?.token;
+  useEffect(() => {
+    if (!tokenExpiresAt) return;
+    const delay = Math.max(new Date(tokenExpiresAt).getTime() - Date.now() - TOKEN_REFRESH_MARGIN_MS, 5000);
+    const timer = setTimeout(async () => {
+      try {
+        const { response, data } = await requestPlayback(videoId, currentToken);
+        if (response.ok) {
+          setPlayback((current) => ({ ...current, token: data.token, expiresAt: data.expiresAt }));
+        } else if (data.upgradeRequired) {
+          setUpgradeRequired(true); // Subscription ended mid-session
+        } else {
+          throw new Error(data.message);
+        }
+      } catch (err) {
+        console.warn(`Playback token refresh failed for ${videoId}, retrying:`, err);
+        setRefreshAttempt((attempt) => attempt + 1);
+      }
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [videoId, tokenExpiresAt, currentToken, refreshAttempt]);
+
+  // Title, description and tags in the viewer's language
+  const localized = video && localize(video);
+
+  if (notFound) {
+    return <NotFoundPage title={t('detail.notFoundTitle')} message={t('detail.notFoundMessage')} />;
+  }
+
   return (
     <div className="min-h-screen bg-gray-950 text-gray-100 p-4 sm:p-8 font-inter">
       <button 
-        onClick={onBack} 
+        onClick={handleBack} 
         className="cursor-pointer mb-6 flex items-center px-4 py-2 bg-gray-800 text-gray-200 rounded-lg hover:bg-gray-700 transition-colors duration-200"
       >
-        <ArrowLeft className="w-5 h-5 mr-2" /> Back to Home
+        <ArrowLeft className="w-5 h-5 me-2 rtl:rotate-180" /> {t('detail.back')}
       </button>
 
       {loading && (
         <div className="flex justify-center items-center h-64">
           <Loader2 className="h-12 w-12 text-blue-500 animate-spin" />
-          <p className="ml-4 text-xl">Loading video details...</p>
+          <p className="ms-4 text-xl">{t('detail.loading')}</p>
         </div>
       )}
 
       {error && (
         <div className="bg-red-800 bg-opacity-30 border border-red-700 text-red-300 px-6 py-4 rounded-lg shadow-md text-center">
-          <p className="font-semibold text-lg">Error:</p>
-          <p>{error}</p>
+          <p className="font-semibold text-lg">{t('catalog.error')}</p>
+          <p>{t('detail.loadFailed')}</p>
+        </div>
+      )}
+
+      {/* Only content managers can load unpublished titles; remind them viewers can't */}
+      {!loading && !error && video && publicationStatus(video) !== 'published' && (
+        <div className="max-w-4xl mx-auto bg-purple-900 bg-opacity-40 border border-purple-700 text-purple-200 px-4 py-3 rounded-lg mb-4" role="status">
+          {publicationStatus(video) === 'scheduled'
+            ? t('detail.scheduledNotice', { date: formatRelease(video, uiLocale) })
+            : t('detail.draftNotice')}
         </div>
       )}
 
       {!loading && !error && video && (
         <div className="max-w-4xl mx-auto bg-gray-800 rounded-lg shadow-xl overflow-hidden border border-gray-700">
           {/* Video Player Section */}
-          <div className="relative w-full aspect-video bg-black">
-            {video.videoUrl ? (
-              <video
-                controls
-                autoPlay // Autoplay the video
-                src={video.videoUrl}
-                className="w-full h-full object-contain bg-black"
+          <div className="relative w-full bg-black">
+            {upgradeRequired ? (
+              <UpgradeWall
+                poster={video.thumbnailUrl}
+                onLogin={handleLogin}
+                onUnlocked={() => setPlaybackAttempt((attempt) => attempt + 1)}
+              />
+            ) : !playback || resume === undefined ? (
+              <div className="w-full aspect-video flex items-center justify-center">
+                <Loader2 className="h-10 w-10 text-blue-500 animate-spin" />
+              </div>
+            ) : playback.videoUrl || playback.playbackManifestUrl ? (
+              <VideoPlayer
+                src={playback.videoUrl}
+                manifestUrl={playback.playbackManifestUrl} // HLS ladder, once the transcode worker has produced it
+                playbackToken={playback.token} // Refreshed before expiry; the player swaps it into its requests
+                previewTrackUrl={video.previewTrackUrl} // Sprite-sheet seek previews from the same worker
+                subtitles={subtitleTracks(video)} // Subtitle and caption tracks attached by content managers
+                onProgress={handleProgress}
+                startTime={resume?.position} // Saved position from another session or device
+                onEnded={() => next && setShowNextEpisode(true)}
                 poster={video.thumbnailUrl || 'https://placehold.co/1280x720/1f2937/d1d5db?text=No+Video+Preview'} // Use thumbnail as poster
-                onContextMenu={(e) => e.preventDefault()} // Disable right-click for simple copy protection
               >
-                Your browser does not support the video tag.
-              </video>
+                {showNextEpisode && next && (
+                  <NextEpisodeOverlay
+                    episode={next}
+                    label={episodeLabel(series, next)}
+                    onPlay={playNextEpisode}
+                    onCancel={() => setShowNextEpisode(false)}
+                  />
+                )}
+              </VideoPlayer>
             ) : (
-              <div className="w-full h-full flex items-center justify-center text-gray-400 text-xl">
-                Video URL not available.
+              <div className="w-full aspect-video flex items-center justify-center text-gray-400 text-xl">
+                {t('detail.noVideo')}
               </div>
             )}
           </div>
 
           {/* Video Information Section */}
           <div className="p-6">
-            <h1 className="text-3xl sm:text-4xl font-extrabold text-white mb-3 leading-tight">{video.title}</h1>
+            <div className="flex flex-wrap items-start justify-between gap-4 mb-3">
+              <h1 className="text-3xl sm:text-4xl font-extrabold text-white leading-tight">{localized.title}</h1>
+              <WatchlistButton videoId={video.$id} />
+            </div>
+
+            {series && (
+              <p className="flex items-center text-gray-300 mb-3">
+                <Tv className="w-4 h-4 me-2 text-blue-400" />
+                <Link
+                  to={`/series/${series.id}?season=${series.seasons.find((season) => season.id === video.seasonId)?.number}`}
+                  className="font-semibold hover:text-blue-300 hover:underline underline-offset-2"
+                >
+                  {series.title}
+                </Link>
+                {episodeLabel(series, video) && <span className="ms-2 text-gray-400">{episodeLabel(series, video)}</span>}
+                {next && (
+                  <Link to={`/watch/${next.$id}`} className="ms-auto text-sm text-blue-400 hover:text-blue-300">
+                    {t('detail.nextEpisode', { episode: episodeLabel(series, next) })}
+                  </Link>
+                )}
+              </p>
+            )}
             
             <div className="flex flex-wrap items-center text-gray-400 text-sm mb-4 gap-x-4 gap-y-2">
               <span className="flex items-center">
-                <Film className="w-4 h-4 mr-1 text-blue-400" /> {video.genre || 'General'}
+                <Film className="w-4 h-4 me-1 text-blue-400" />
+                {video.genres?.length > 0 ? (
+                  video.genres.map((slug, index) => (
+                    <React.Fragment key={slug}>
+                      {index > 0 && ', '}
+                      <Link to={`/genre/${slug}`} className="hover:text-blue-300 underline-offset-2 hover:underline">{genreName(slug)}</Link>
+                    </React.Fragment>
+                  ))
+                ) : (
+                  video.genre || t('detail.generalGenre') // Titles uploaded before the managed genre list
+                )}
               </span>
               <span className="flex items-center">
-                <Calendar className="w-4 h-4 mr-1 text-blue-400" /> Uploaded: {new Date(video.uploadDate).toLocaleDateString()}
+                <Calendar className="w-4 h-4 me-1 text-blue-400" /> {t('video.uploaded', { date: formatDate(video.uploadDate) })}
               </span>
+              {video.duration > 0 && (
+                <span className="flex items-center">
+                  <Clock className="w-4 h-4 me-1 text-blue-400" /> {formatDuration(video.duration)}
+                </span>
+              )}
               <span className="flex items-center">
-                <Eye className="w-4 h-4 mr-1 text-blue-400" /> {video.viewsCount || 0} Views
+                <Eye className="w-4 h-4 me-1 text-blue-400" /> {t('video.views', { count: video.viewsCount || 0 })}
               </span>
+              {video.ratingCount > 0 && (
+                <span className="flex items-center">
+                  <StarRating value={video.ratingAverage} label={t('video.averageRating')} />
+                  <span className="ms-1">{formatNumber(video.ratingAverage, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} ({formatNumber(video.ratingCount)})</span>
+                </span>
+              )}
               {video.isPremium && (
-                <span className="flex items-center bg-yellow-500 text-yellow-900 text-xs font-semibold px-2.5 py-0.5 rounded-full ml-auto sm:ml-0">
-                  <Star className="w-3 h-3 mr-1" /> PREMIUM
+                <span className="flex items-center bg-yellow-500 text-yellow-900 text-xs font-semibold px-2.5 py-0.5 rounded-full uppercase ms-auto sm:ms-0">
+                  <Star className="w-3 h-3 me-1" /> {t('video.premium')}
                 </span>
               )}
             </div>
 
-            <p className="text-gray-300 text-base leading-relaxed mb-6">{video.description}</p>
+            <p className="text-gray-300 text-base leading-relaxed mb-6">{localized.description}</p>
 
             {/* Tags display */}
-            {video.tags && video.tags.split(',').map((tag, index) => (
-              <span key={index} className="inline-block bg-gray-700 text-gray-300 text-xs font-medium px-2 py-1 rounded-full mr-2 mb-2 hover:bg-gray-600 transition-colors">
-                #{tag.trim()}
-              </span>
+            {tagList(localized.tags).map((tag) => (
+              <Link key={tag} to={tagPath(tag)} className="inline-block bg-gray-700 text-gray-300 text-xs font-medium px-2 py-1 rounded-full me-2 mb-2 hover:bg-gray-600 transition-colors">
+                #{tag}
+              </Link>
             ))}
           </div>
+
+          {publicationStatus(video) === 'published' && (
+            <>
+              <div className="mt-8">
+                <MoreLikeThisRail videoId={video.$id} />
+              </div>
+
+              <ReviewsSection
+                videoId={video.$id}
+                onSummaryChange={({ average, count }) => setVideo((current) => ({ ...current, ratingAverage: average, ratingCount: count }))}
+              />
+            </>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,4 @@
+import { createContext } from 'react';
+
+// Holds { user, isAdmin, loading, login, logout, refresh } — provided by AuthProvider.
+export const AuthContext = createContext(null);
@@ -0,0 +1,68 @@
+// src/context/AuthProvider.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { account, clearJwt } from '../lib/appwrite';
+import { apiFetch } from '../lib/api';
+import { AuthContext } from './AuthContext';
+
+/**
+ * AuthProvider Component
+ *
+ * Tracks the Appwrite session for the whole app. Whether the user is an admin comes from
+ * /api/me, which checks content-management team membership server-side.
+ */
+const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  // Re-reads the session and role from the server.
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiFetch('/api/me');
+      if (response.ok) {
+        const data = await response.json();
+        setUser(data.user);
+        setIsAdmin(data.isAdmin);
+      } else {
+        setUser(null);
+        setIsAdmin(false);
+      }
+    } catch (error) {
+      console.error('Failed to load the current user:', error);
+      setUser(null);
+      setIsAdmin(false);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const login = async (email, password) => {
+    await account.createEmailPasswordSession(email, password);
+    clearJwt();
+    await refresh();
+  };
+
+  const logout = async () => {
+    try {
+      await account.deleteSession('current');
+    } catch (error) {
+      console.warn('Logout failed (session may already be gone):', error);
+    }
+    clearJwt();
+    setUser(null);
+    setIsAdmin(false);
+  };
+
+  return (
+    <AuthContext.Provider value={{ user, isAdmin, loading, login, logout, refresh }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export default AuthProvider;
@@ -0,0 +1,5 @@
+import { createContext } from 'react';
+
+// Holds { locale, locales, setLocale, localize, uiLocale, dir, t, formatNumber, formatDate, formatDuration }
+// — provided by LocaleProvider.
+export const LocaleContext = createContext(null);
@@ -0,0 +1,45 @@
+// src/context/LocaleProvider.jsx
+import React, { useState, useMemo, useEffect } from 'react';
+import { LocaleContext } from './LocaleContext';
+import { loadChosenLocale, saveChosenLocale, preferredLocales, localizeVideo } from '../lib/locale';
+import { resolveUiLocale, textDirection, createI18n } from '../lib/i18n';
+
+/**
+ * LocaleProvider Component
+ *
+ * The viewer's language, for both titles and the interface. `locale` is the one the viewer chose
+ * (null to follow the browser) and is sent to API routes as ?locale=; `locales` lists every
+ * preferred language, most preferred first, and `localize(video)` picks a catalog document's best
+ * translation for them. `uiLocale` is the best of them the interface is translated into, with
+ * `t()` and the number, date and duration formatters for it (see lib/i18n.js). The document's
+ * `lang` and `dir` follow `uiLocale`, so right-to-left languages mirror the layout.
+ */
+const LocaleProvider = ({ children }) => {
+  const [locale, setLocaleState] = useState(loadChosenLocale);
+
+  const value = useMemo(() => {
+    const locales = preferredLocales(locale);
+    const uiLocale = resolveUiLocale(locales);
+    return {
+      locale,
+      locales,
+      setLocale: (next) => {
+        saveChosenLocale(next);
+        setLocaleState(next);
+      },
+      localize: (video) => localizeVideo(video, locales),
+      uiLocale,
+      dir: textDirection(uiLocale),
+      ...createI18n(uiLocale),
+    };
+  }, [locale]);
+
+  useEffect(() => {
+    document.documentElement.lang = value.uiLocale;
+    document.documentElement.dir = value.dir;
+  }, [value.uiLocale, value.dir]);
+
+  return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>;
+};
+
+export default LocaleProvider;
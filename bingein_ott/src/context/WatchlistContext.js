@@ -0,0 +1,4 @@
+import { createContext } from 'react';
+
+// Holds { videoIds, loading, isListed, add, remove, toggle, move } — provided by WatchlistProvider.
+export const WatchlistContext = createContext(null);
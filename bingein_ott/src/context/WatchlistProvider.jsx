@@ -0,0 +1,103 @@
+// src/context/WatchlistProvider.jsx
+import React, { useState, useEffect, useRef } from 'react';
+import { useAuth } from './useAuth';
+import { WatchlistContext } from './WatchlistContext';
+import {
+  fetchWatchlist,
+  addToWatchlist,
+  removeFromWatchlist,
+  reorderWatchlist,
+  readLocalWatchlist,
+  writeLocalWatchlist,
+} from '../lib/watchlist';
+
+/**
+ * WatchlistProvider Component
+ *
+ * The viewer's "My List" as ordered video IDs, shared by every add/remove button, the My List
+ * page and the home row. Signed-out viewers' lists live in localStorage; on login that list is
+ * merged into the account's server-side list and cleared locally. Changes show immediately and are
+ * resynced from the server if a request fails.
+ */
+const WatchlistProvider = ({ children }) => {
+  const { user, loading: authLoading } = useAuth();
+  // undefined until the session is known, null when signed out
+  const owner = user ? user.$id : authLoading ? undefined : null;
+  const [videoIds, setVideoIds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const videoIdsRef = useRef(videoIds);
+
+  const update = (next) => {
+    videoIdsRef.current = next;
+    setVideoIds(next);
+    if (owner === null) writeLocalWatchlist(next);
+  };
+
+  useEffect(() => {
+    if (owner === undefined) return;
+    const apply = (ids) => {
+      videoIdsRef.current = ids;
+      setVideoIds(ids);
+    };
+    if (owner === null) {
+      apply(readLocalWatchlist());
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      try {
+        const local = readLocalWatchlist();
+        const ids = local.length > 0 ? await addToWatchlist(local) : await fetchWatchlist();
+        writeLocalWatchlist([]); // Merged into the account
+        if (!cancelled) apply(ids);
+      } catch (err) {
+        console.error('Failed to load My List:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [owner]);
+
+  // After a failed request, the server's list wins
+  const resync = (err) => {
+    console.error('My List update failed:', err);
+    fetchWatchlist().then(update).catch((fetchErr) => console.error('Failed to reload My List:', fetchErr));
+  };
+
+  const add = (videoId) => {
+    update([videoId, ...videoIdsRef.current.filter((id) => id !== videoId)]);
+    if (owner) addToWatchlist([videoId]).then(update).catch(resync);
+  };
+
+  const remove = (videoId) => {
+    update(videoIdsRef.current.filter((id) => id !== videoId));
+    if (owner) removeFromWatchlist(videoId).catch(resync);
+  };
+
+  // Moves a title `offset` places up (negative) or down the list
+  const move = (videoId, offset) => {
+    const next = [...videoIdsRef.current];
+    const from = next.indexOf(videoId);
+    const to = Math.min(Math.max(from + offset, 0), next.length - 1);
+    if (from === -1 || from === to) return;
+    next.splice(to, 0, ...next.splice(from, 1));
+    update(next);
+    if (owner) reorderWatchlist(next).catch(resync);
+  };
+
+  const isListed = (videoId) => videoIds.includes(videoId);
+  const toggle = (videoId) => (isListed(videoId) ? remove(videoId) : add(videoId));
+
+  return (
+    <WatchlistContext.Provider value={{ videoIds, loading, isListed, add, remove, toggle, move }}>
+      {children}
+    </WatchlistContext.Provider>
+  );
+};
+
+export default WatchlistProvider;
@@ -0,0 +1,8 @@
+import { useContext } from 'react';
+import { LocaleContext } from './LocaleContext';
+
+export function useLocale() {
+  const context = useContext(LocaleContext);
+  if (!context) throw new Error('useLocale must be used inside <LocaleProvider>.');
+  return context;
+}
@@ -0,0 +1,10 @@
+// --- API Fetch Helper ---
+// fetch() for our /api routes that attaches the logged-in user's Appwrite JWT.
+import { getJwt } from './appwrite';
+
+export async function apiFetch(url, options = {}) {
+  const jwt = await getJwt();
+  const headers = new Headers(options.headers);
+  if (jwt) headers.set('Authorization', `Bearer ${jwt}`);
+  return fetch(url, { ...options, headers });
+}
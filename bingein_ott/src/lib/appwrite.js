@@ -0,0 +1,35 @@
+// --- Shared Appwrite Browser Client ---
+import { Client, Account, Databases } from 'appwrite';
+
+export const APPWRITE_PROJECT_ID = import.meta.env.VITE_APPWRITE_PROJECT_ID;
+export const APPWRITE_DATABASE_ID = import.meta.env.VITE_APPWRITE_DATABASE_ID;
+export const APPWRITE_COLLECTION_ID = import.meta.env.VITE_APPWRITE_COLLECTION_ID;
+export const APPWRITE_ENDPOINT = import.meta.env.VITE_APPWRITE_ENDPOINT;
+
+export const client = new Client();
+client.setEndpoint(APPWRITE_ENDPOINT).setProject(APPWRITE_PROJECT_ID);
+
+export const account = new Account(client);
+export const databases = new Databases(client);
+
+// --- JWT for Our Own API Routes ---
+// Appwrite JWTs live for 15 minutes; one is reused until shortly before it expires.
+const JWT_LIFETIME_MS = 14 * 60 * 1000;
+let cachedJwt = null;
+
+// Returns a JWT for the current session, or null when nobody is logged in.
+export async function getJwt() {
+  if (cachedJwt && cachedJwt.expiresAt > Date.now()) return cachedJwt.token;
+  try {
+    const { jwt } = await account.createJWT();
+    cachedJwt = { token: jwt, expiresAt: Date.now() + JWT_LIFETIME_MS };
+    return jwt;
+  } catch {
+    cachedJwt = null;
+    return null; // No active session
+  }
+}
+
+export function clearJwt() {
+  cachedJwt = null;
+}
@@ -0,0 +1,44 @@
+// --- Catalog Listing ---
+// Cursor-paginated reads of the videos collection shared by the home and genre pages, plus
+// lookups of specific titles for lists kept elsewhere (My List).
+import { Query } from 'appwrite';
+import { databases, APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID } from './appwrite';
+
+export const CATALOG_PAGE_SIZE = 24;
+
+// Catalog orderings, selected with ?sort= (newest when absent or unknown)
+export const CATALOG_SORTS = [
+  { value: 'newest', queries: () => [Query.orderDesc('uploadDate')] },
+  { value: 'popular', queries: () => [Query.orderDesc('viewsCount')] },
+  { value: 'rating', queries: () => [Query.orderDesc('ratingAverage'), Query.orderDesc('ratingCount')] },
+  { value: 'title', queries: () => [Query.orderAsc('title')] },
+];
+
+export function resolveSort(value) {
+  return CATALOG_SORTS.some((option) => option.value === value) ? value : 'newest';
+}
+
+// One page in `sort` order, narrowed by extra `queries`, continuing after document `cursor`.
+export function fetchCatalogPage(sort, { queries = [], cursor = null, limit = CATALOG_PAGE_SIZE } = {}) {
+  const option = CATALOG_SORTS.find((o) => o.value === sort);
+  return databases.listDocuments(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, [
+    ...option.queries(),
+    ...queries,
+    Query.limit(limit),
+    ...(cursor ? [Query.cursorAfter(cursor)] : []),
+  ]);
+}
+
+// Video documents for `ids`, in the same order; IDs of deleted titles are skipped.
+export async function fetchVideosByIds(ids) {
+  const byId = new Map();
+  for (let start = 0; start < ids.length; start += 100) { // Appwrite takes at most 100 values per query
+    const chunk = ids.slice(start, start + 100);
+    const { documents } = await databases.listDocuments(APPWRITE_DATABASE_ID, APPWRITE_COLLECTION_ID, [
+      Query.equal('$id', chunk),
+      Query.limit(chunk.length),
+    ]);
+    documents.forEach((video) => byId.set(video.$id, video));
+  }
+  return ids.filter((id) => byId.has(id)).map((id) => byId.get(id));
+}
@@ -0,0 +1,137 @@
+// --- Bulk Import Client ---
+// The admin import page's side of a manifest import (see api/_lib/manifest.js). The server checks
+// the manifest up front; then each row's video goes up through the resumable upload API and the
+// row is saved by /api/upload-video, exactly like a title from the upload form. Manifest paths
+// are matched to the files the admin selected by file name.
+//
+// Results are kept in localStorage per manifest file, so importing it again skips the rows already
+// imported, and can be downloaded as the same JSON Lines log scripts/import-catalog.js writes.
+//
+// Problems found here are thrown as ImportProblem, which carries a message key for the page to
+// translate; errors from the API keep the server's message.
+import { apiFetch } from './api';
+import { uploadFileResumable } from './resumableUpload';
+
+const RESULTS_PREFIX = 'bingein:import:';
+
+const resultsKey = (manifestFile) => `${RESULTS_PREFIX}${manifestFile.name}:${manifestFile.size}:${manifestFile.lastModified}`;
+
+// A problem with a row or the import itself; `key` and `values` are the message for t()
+export class ImportProblem extends Error {
+  constructor(key, values = {}) {
+    super(key);
+    this.key = key;
+    this.values = values;
+  }
+}
+
+// "media/intro.mp4" or "media\intro.mp4" -> "intro.mp4"
+const baseName = (filePath) => filePath.split(/[\\/]/).pop();
+
+/**
+ * Parses and checks a manifest on the server without importing anything.
+ * @param {File} manifestFile a .csv or .json manifest
+ * @returns {Promise<Array<{ row: number, id: string, fields: object, files: object, error: string|null }>>}
+ */
+export async function checkManifest(manifestFile) {
+  const response = await apiFetch('/api/import-manifest', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      manifest: await manifestFile.text(),
+      format: manifestFile.name.toLowerCase().endsWith('.json') ? 'json' : 'csv',
+    }),
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    if (data.message || data.error) throw new Error(data.message || data.error);
+    throw new ImportProblem('import.checkFailed');
+  }
+  return data.rows;
+}
+
+/**
+ * The selected files a row refers to. Throws an ImportProblem when one is missing or of the wrong type.
+ * @param {object} row a row from checkManifest
+ * @param {Map<string, File>} filesByName the selected files, by name
+ * @returns {{ video: File, thumbnail: File|null, subtitles: File[] }}
+ */
+export function rowFiles(row, filesByName) {
+  const find = (filePath) => {
+    const file = filesByName.get(baseName(filePath));
+    if (!file) throw new ImportProblem('import.fileMissing', { name: baseName(filePath) });
+    return file;
+  };
+
+  const video = find(row.files.video);
+  if (!video.type.startsWith('video/')) throw new ImportProblem('import.notVideo', { name: video.name });
+  const thumbnail = row.files.thumbnail ? find(row.files.thumbnail) : null;
+  if (thumbnail && !thumbnail.type.startsWith('image/')) throw new ImportProblem('import.notImage', { name: thumbnail.name });
+  return { video, thumbnail, subtitles: row.files.subtitles.map((track) => find(track.file)) };
+}
+
+/**
+ * Uploads a row's video and creates its title through /api/upload-video.
+ * @param {{ onProgress?: (sent: number, total: number) => void }} options progress of the video upload
+ * @returns {Promise<object>} the new video document
+ */
+export async function importRow(row, files, { onProgress } = {}) {
+  const { fields } = row;
+  const upload = await uploadFileResumable(files.video, { onProgress });
+
+  // The same form AdminUploadPage sends
+  const formData = new FormData();
+  formData.append('title', fields.title);
+  formData.append('description', fields.description);
+  if (fields.duration !== null) formData.append('duration', String(fields.duration));
+  formData.append('isPremium', String(fields.isPremium));
+  fields.genres.forEach((slug) => formData.append('genres', slug));
+  fields.tags.forEach((tag) => formData.append('tags', tag));
+  formData.append('status', fields.status);
+  if (fields.publishAt) formData.append('publishAt', fields.publishAt);
+  if (fields.publishTimezone) formData.append('publishTimezone', fields.publishTimezone);
+  if (fields.seasonId) {
+    formData.append('seasonId', fields.seasonId);
+    formData.append('episodeNumber', String(fields.episodeNumber));
+  }
+  files.subtitles.forEach((file, index) => {
+    const track = row.files.subtitles[index];
+    formData.append('subtitleFiles', file, `${index + 1}-${file.name}`);
+    formData.append('subtitleLanguages', track.language);
+    formData.append('subtitleLabels', track.label);
+    formData.append('subtitleKinds', track.kind || 'subtitles');
+  });
+  if (fields.localizations.length > 0) formData.append('localizations', JSON.stringify(fields.localizations));
+  formData.append('videoUploadId', upload.uploadId);
+  if (files.thumbnail) formData.append('thumbnailFile', files.thumbnail);
+
+  const response = await apiFetch('/api/upload-video', { method: 'POST', body: formData });
+  const data = await response.json();
+  if (!response.ok) {
+    const message = [data.message, data.details].filter(Boolean).join(' ') || data.error;
+    throw message ? new Error(message) : new ImportProblem('import.uploadFailed');
+  }
+  return data.video;
+}
+
+// { id: entry } recorded for this manifest file so far
+export function loadResults(manifestFile) {
+  try {
+    return JSON.parse(localStorage.getItem(resultsKey(manifestFile))) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Records a row's outcome and returns the updated results.
+ * @param {{ id: string, row: number, status: 'imported'|'failed', videoId?: string, title?: string, error?: string }} entry
+ */
+export function saveResult(manifestFile, entry) {
+  const results = { ...loadResults(manifestFile), [entry.id]: { ...entry, at: new Date().toISOString() } };
+  localStorage.setItem(resultsKey(manifestFile), JSON.stringify(results));
+  return results;
+}
+
+// The results as a JSON Lines log, one entry per row
+export const resultLog = (results) => Object.values(results).map((entry) => `${JSON.stringify(entry)}\n`).join('');
@@ -0,0 +1,89 @@
+// --- UI Translations ---
+// The app's own copy lives in one message catalog per language under src/locales, keyed by
+// "area.name". A message is a string with {placeholders}, or an object of plural forms keyed by
+// Intl.PluralRules category ("one", "few", "other", …) for messages that take a {count}. Keys
+// missing from a catalog fall back to English. Numbers, dates and durations are formatted with
+// Intl for the same language, and right-to-left languages switch the page direction.
+import en from '../locales/en';
+import fr from '../locales/fr';
+import ar from '../locales/ar';
+
+const CATALOGS = { en, fr, ar };
+const FALLBACK_LOCALE = 'en';
+
+// Languages the interface is translated into
+export const UI_LOCALES = Object.keys(CATALOGS);
+
+// Scripts written right to left, for engines without Intl.Locale text info
+const RTL_LANGUAGES = ['ar', 'dv', 'fa', 'he', 'ku', 'ps', 'ur', 'yi'];
+
+const baseLanguage = (locale) => locale.split('-')[0];
+
+// The catalog for the first of `locales` the interface is translated into, exactly or by base
+// language ("fr" for "fr-CA"); English when none is.
+export function resolveUiLocale(locales) {
+  for (const wanted of locales) {
+    if (UI_LOCALES.includes(wanted)) return wanted;
+    const base = baseLanguage(wanted);
+    if (UI_LOCALES.includes(base)) return base;
+  }
+  return FALLBACK_LOCALE;
+}
+
+// 'rtl' or 'ltr'
+export function textDirection(locale) {
+  try {
+    const intlLocale = new Intl.Locale(locale);
+    const textInfo = intlLocale.getTextInfo?.() || intlLocale.textInfo;
+    if (textInfo?.direction) return textInfo.direction;
+  } catch {
+    // Not a valid tag; decided by the list below
+  }
+  return RTL_LANGUAGES.includes(baseLanguage(locale)) ? 'rtl' : 'ltr';
+}
+
+/**
+ * A translator and formatters for one UI locale:
+ *   t('video.views', { count: 3 })   -> "3 views"
+ *   formatNumber(1234)               -> "1,234"
+ *   formatDate('2025-03-30T…')       -> "Mar 30, 2025"
+ *   formatDuration(5400)             -> "1h 30m"
+ * Numbers passed to t() are formatted too.
+ */
+export function createI18n(locale) {
+  const catalog = CATALOGS[locale] || CATALOGS[FALLBACK_LOCALE];
+  const pluralRules = new Intl.PluralRules(locale);
+  const numberFormat = new Intl.NumberFormat(locale);
+  const listFormat = new Intl.ListFormat(locale, { type: 'unit', style: 'narrow' });
+
+  const formatNumber = (value, options) => (options ? new Intl.NumberFormat(locale, options) : numberFormat).format(value);
+
+  const formatDate = (value, options = { dateStyle: 'medium' }) => new Date(value).toLocaleDateString(locale, options);
+
+  // Seconds as hours and minutes, or minutes alone under an hour
+  const formatDuration = (seconds) => {
+    const minutes = Math.round((seconds || 0) / 60);
+    const unit = (value, name) => formatNumber(value, { style: 'unit', unit: name, unitDisplay: 'narrow' });
+    if (minutes < 60) return unit(minutes, 'minute');
+    return listFormat.format([unit(Math.floor(minutes / 60), 'hour'), ...(minutes % 60 ? [unit(minutes % 60, 'minute')] : [])]);
+  };
+
+  const t = (key, values = {}) => {
+    let message = catalog[key] ?? CATALOGS[FALLBACK_LOCALE][key];
+    if (message === undefined) {
+      console.warn(`Missing translation: ${key}`);
+      return key;
+    }
+    if (typeof message === 'object') {
+      // An exact "0" form wins over the language's plural category
+      message = (values.count === 0 && message.zero) || message[pluralRules.select(values.count)] || message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = values[name];
+      if (value === undefined) return placeholder;
+      return typeof value === 'number' ? numberFormat.format(value) : String(value);
+    });
+  };
+
+  return { t, formatNumber, formatDate, formatDuration };
+}
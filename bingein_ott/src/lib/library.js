@@ -0,0 +1,53 @@
+// --- Content Library Client ---
+// Admin reads and edits of existing titles (see api/videos). Replacement files go up through the
+// resumable upload API first; the edit only references the finished upload.
+import { apiFetch } from './api';
+import { uploadFileResumable } from './resumableUpload';
+import { encodeSubtitleFile } from './subtitles';
+
+const videoUrl = (videoId) => `/api/videos/${encodeURIComponent(videoId)}`;
+
+const readJson = async (response) => {
+  if (response.status === 204) return null;
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.message || data.error || 'The request failed.');
+  return data;
+};
+
+// Every title's full document, newest first
+export async function fetchLibrary() {
+  return (await readJson(await apiFetch('/api/videos'))).videos;
+}
+
+/**
+ * Saves metadata changes and, optionally, a replacement thumbnail and/or video.
+ * @param {object} changes title, description, duration, isPremium, genres, tags, status, seasonId, episodeNumber,
+ *   subtitles, localizations (each optional). `subtitles` is the full track list: kept tracks with their `url`, new ones
+ *   with a `file`; `localizations` is the full list of translations.
+ * @param {{ thumbnailFile?: File, videoFile?: File, onProgress?: (sent: number, total: number) => void }} files
+ * @returns {Promise<object>} the updated video document
+ */
+export async function updateVideo(videoId, changes, { thumbnailFile, videoFile, onProgress } = {}) {
+  const body = { ...changes };
+  if (changes.subtitles) {
+    body.subtitles = await Promise.all(changes.subtitles.map(async ({ url, file, language, label, kind }) => (
+      file
+        ? { fileName: file.name, data: await encodeSubtitleFile(file), language: language.trim(), label: label.trim(), kind }
+        : { url, language: language.trim(), label: label.trim(), kind }
+    )));
+  }
+  if (thumbnailFile) body.thumbnailUploadId = (await uploadFileResumable(thumbnailFile)).uploadId;
+  if (videoFile) body.videoUploadId = (await uploadFileResumable(videoFile, { onProgress })).uploadId;
+
+  const { video } = await readJson(await apiFetch(videoUrl(videoId), {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }));
+  return video;
+}
+
+// Deletes the title and all of its stored files
+export async function deleteVideo(videoId) {
+  await readJson(await apiFetch(videoUrl(videoId), { method: 'DELETE' }));
+}
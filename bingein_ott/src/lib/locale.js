@@ -0,0 +1,85 @@
+// --- Content Locale ---
+// Titles carry translated metadata (see api/_lib/localization.js). Pages that read the catalog
+// straight from Appwrite pick the best translation here; API routes pick it on the server from the
+// `locale` parameter or the browser's Accept-Language. Both use shared/localization.js. The viewer can choose a language (saved in
+// localStorage); otherwise the browser's languages are used. Also helpers for the admin forms that
+// edit translations.
+import { canonicalLocale, videoLocalizations, pickLocalization } from '../../shared/localization';
+
+export { canonicalLocale, videoLocalizations };
+
+const CHOSEN_LOCALE_KEY = 'locale';
+
+// The language titles' own title, description and tags are written in
+export const DEFAULT_LOCALE = canonicalLocale(import.meta.env.VITE_DEFAULT_LOCALE) || 'en';
+
+// Languages offered in the language menu, from VITE_CONTENT_LOCALES ("en,fr,pt-BR")
+export const CONTENT_LOCALES = [...new Set(
+  [DEFAULT_LOCALE, ...String(import.meta.env.VITE_CONTENT_LOCALES || '').split(',').map(canonicalLocale)].filter(Boolean),
+)];
+
+// A language's own name: "fr" -> "Français"
+export function localeName(locale) {
+  try {
+    const name = new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+    return name.charAt(0).toLocaleUpperCase(locale) + name.slice(1);
+  } catch {
+    return locale;
+  }
+}
+
+// The viewer's chosen language, or null to follow the browser
+export function loadChosenLocale() {
+  try {
+    return canonicalLocale(localStorage.getItem(CHOSEN_LOCALE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+export function saveChosenLocale(locale) {
+  if (locale) localStorage.setItem(CHOSEN_LOCALE_KEY, locale);
+  else localStorage.removeItem(CHOSEN_LOCALE_KEY);
+}
+
+// Most preferred first: the chosen language, then the browser's
+export function preferredLocales(chosen) {
+  const browser = typeof navigator === 'undefined' ? [] : navigator.languages || [navigator.language];
+  return [...new Set([chosen, ...browser].map(canonicalLocale).filter(Boolean))];
+}
+
+// Adds ?locale= for the chosen language; without one the API reads Accept-Language
+export function withLocale(url, locale) {
+  if (!locale) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}locale=${encodeURIComponent(locale)}`;
+}
+
+// The video with its title, description and tags in the best of `locales`. Titles from the API
+// are already localized and carry no `localizations`, so they are returned as they are.
+export function localizeVideo(video, locales) {
+  const localization = pickLocalization(videoLocalizations(video), locales, DEFAULT_LOCALE);
+  if (!localization) return video;
+  return {
+    ...video,
+    title: localization.title,
+    description: localization.description || video.description,
+    tags: localization.tags?.length > 0 ? localization.tags : video.tags,
+  };
+}
+
+// --- Admin Forms ---
+
+let nextRowId = 0;
+
+// A translation row for the admin forms (see LocalizationFields); `localization` is a saved one
+export const localizationRow = (localization = {}) => ({
+  id: `localization-${nextRowId++}`,
+  locale: localization.locale || '',
+  title: localization.title || '',
+  description: localization.description || '',
+  tags: localization.tags || [],
+});
+
+// The rows as the upload and edit requests send them
+export const localizationEntries = (rows) =>
+  rows.map(({ locale, title, description, tags }) => ({ locale: locale.trim(), title: title.trim(), description: description.trim(), tags }));
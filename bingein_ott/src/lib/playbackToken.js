@@ -0,0 +1,25 @@
+// --- Playback Token Helpers ---
+// Media URLs from /api/playback carry a short-lived `token` query parameter. When the page
+// refreshes the token, URLs already handed to the player are updated with withPlaybackToken().
+
+// Start refreshing this long before the token expires.
+export const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+// Replaces the token of a signed /api/media URL; other URLs are returned unchanged.
+export function withPlaybackToken(url, token) {
+  if (!url || !token) return url;
+  const parsed = new URL(url, window.location.origin);
+  if (!parsed.searchParams.has('token')) return url;
+  parsed.searchParams.set('token', token);
+  return parsed.toString();
+}
+
+// Points a playing <video> at a new URL without losing the position or play state.
+export function swapVideoSource(video, url) {
+  const { currentTime, paused } = video;
+  video.src = url;
+  video.addEventListener('loadedmetadata', () => {
+    video.currentTime = currentTime;
+    if (!paused) video.play().catch(() => {});
+  }, { once: true });
+}
@@ -0,0 +1,33 @@
+// --- Publication Helpers ---
+// Draft / scheduled / published states (see api/_lib/publishing.js). Viewers only ever receive
+// published titles; these helpers are for content managers, who also see the others.
+
+// Each is shown with the `publication.<status>` message
+export const PUBLICATION_STATUSES = ['draft', 'scheduled', 'published'];
+
+// Titles from before the workflow have no status and are public.
+export const publicationStatus = (video) => video.status || 'published';
+
+export const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Every IANA zone the browser knows, for the release time zone picker
+export const timeZones = () => (Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [browserTimeZone()]);
+
+// A UTC instant as the "YYYY-MM-DDTHH:mm" wall-clock value of a datetime-local input in `timeZone`
+export function toLocalInput(iso, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+    }).formatToParts(new Date(iso)).map(({ type, value }) => [type, value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+}
+
+// "Mar 30, 2025, 9:00 AM GMT+2 (Europe/Berlin)" for a scheduled title, in `locale` (the
+// browser's by default)
+export function formatRelease(video, locale) {
+  if (!video.publishAt) return '';
+  const timeZone = video.publishTimezone || browserTimeZone();
+  const time = new Date(video.publishAt).toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short', timeZone, timeZoneName: 'short' });
+  return `${time} (${timeZone})`;
+}
@@ -0,0 +1,23 @@
+// --- Recommendations Client ---
+// "More like this" for a title and the logged-in viewer's "Recommended for you" row
+// (see api/recommendations). `locale` is the viewer's chosen language, if any (see locale.js).
+import { apiFetch } from './api';
+import { withLocale } from './locale';
+
+const RAIL_SIZE = 12;
+
+const readResults = async (response) => {
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.message || 'Recommendations request failed.');
+  return data.results;
+};
+
+// Titles related to `videoId`, best match first
+export async function fetchRelated(videoId, locale, limit = RAIL_SIZE) {
+  return readResults(await fetch(withLocale(`/api/recommendations/${encodeURIComponent(videoId)}?limit=${limit}`, locale)));
+}
+
+// Personalized picks for the logged-in viewer
+export async function fetchRecommended(locale, limit = RAIL_SIZE) {
+  return readResults(await apiFetch(withLocale(`/api/recommendations?limit=${limit}`, locale)));
+}
@@ -0,0 +1,117 @@
+// --- Resumable Upload Client ---
+// Client side of the chunked upload protocol in api/_lib/uploads.js.
+//
+// The upload ID is remembered in localStorage against a fingerprint of the file (name, size,
+// last-modified), so re-selecting the same file after a reload picks up where it left off.
+// Network failures are retried with exponential backoff, re-syncing the offset from the server.
+import { apiFetch } from './api';
+
+const STORAGE_PREFIX = 'bingein:upload:';
+const MAX_RETRIES = 8;
+const CHUNK_SIZE = 4 * 1024 * 1024; // Must not exceed the server's MAX_CHUNK_SIZE
+
+const fingerprint = (file) => `${STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves once the browser reports it is back online (immediately if it already is).
+const waitForOnline = () =>
+  navigator.onLine ? Promise.resolve() : new Promise((resolve) => window.addEventListener('online', resolve, { once: true }));
+
+class UploadError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// True when an unfinished upload of this exact file is stored locally.
+export function hasPendingUpload(file) {
+  return Boolean(file && localStorage.getItem(fingerprint(file)));
+}
+
+async function createSession(file) {
+  const response = await apiFetch('/api/uploads', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fileName: file.name, contentType: file.type, size: file.size }),
+  });
+  const data = await response.json();
+  if (!response.ok) throw new UploadError(data.message || 'Failed to start upload.', response.status);
+  return data.uploadId;
+}
+
+// Returns the server's offset for an upload, or null if the session is gone (expired/unknown).
+async function queryOffset(uploadId) {
+  const response = await apiFetch(`/api/uploads/${uploadId}`, { method: 'HEAD', cache: 'no-store' });
+  if (response.status === 404 || response.status === 410) return null;
+  if (!response.ok) throw new UploadError('Failed to query upload offset.', response.status);
+  return Number(response.headers.get('Upload-Offset'));
+}
+
+async function sendChunk(uploadId, file, offset) {
+  const chunk = file.slice(offset, Math.min(offset + CHUNK_SIZE, file.size));
+  const response = await apiFetch(`/api/uploads/${uploadId}`, {
+    method: 'PATCH',
+    headers: { 'Upload-Offset': String(offset), 'Content-Type': 'application/offset+octet-stream' },
+    body: chunk,
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new UploadError(data.message || 'Chunk upload failed.', response.status);
+  return data.offset;
+}
+
+async function completeUpload(uploadId) {
+  const response = await apiFetch(`/api/uploads/${uploadId}`, { method: 'POST' });
+  const data = await response.json();
+  if (!response.ok) throw new UploadError(data.message || 'Failed to finalise upload.', response.status);
+  return data;
+}
+
+/**
+ * Uploads a file in chunks, resuming any earlier attempt for the same file.
+ *
+ * @param {File} file
+ * @param {{ onProgress?: (sent: number, total: number) => void }} options
+ * @returns {Promise<{ uploadId: string, status: string, size: number }>}
+ */
+export async function uploadFileResumable(file, { onProgress } = {}) {
+  const storageKey = fingerprint(file);
+  let uploadId = localStorage.getItem(storageKey);
+  let offset = uploadId ? await queryOffset(uploadId) : null;
+
+  if (offset === null) {
+    uploadId = await createSession(file);
+    localStorage.setItem(storageKey, uploadId);
+    offset = 0;
+  }
+  onProgress?.(offset, file.size);
+
+  let attempt = 0;
+  while (offset < file.size) {
+    try {
+      offset = await sendChunk(uploadId, file, offset);
+      attempt = 0;
+      onProgress?.(offset, file.size);
+    } catch (error) {
+      // 4xx other than an offset conflict will not fix itself by retrying.
+      if (error.status && error.status < 500 && error.status !== 409) throw error;
+      if (++attempt > MAX_RETRIES) throw error;
+
+      console.warn(`Chunk upload failed (attempt ${attempt}/${MAX_RETRIES}), retrying:`, error.message);
+      await waitForOnline();
+      await sleep(Math.min(1000 * 2 ** (attempt - 1), 30000));
+
+      const serverOffset = await queryOffset(uploadId).catch(() => offset);
+      if (serverOffset === null) {
+        localStorage.removeItem(storageKey);
+        throw new UploadError('The upload session expired. Please start the upload again.', 410);
+      }
+      offset = serverOffset;
+    }
+  }
+
+  const result = await completeUpload(uploadId);
+  localStorage.removeItem(storageKey);
+  return result;
+}
@@ -0,0 +1,31 @@
+// --- Reviews Client ---
+// Ratings and reviews of one title (see api/reviews). Requests carry the JWT so the response can
+// include the viewer's own review.
+import { apiFetch } from './api';
+
+const reviewsUrl = (videoId) => `/api/reviews/${encodeURIComponent(videoId)}`;
+
+const readJson = async (response) => {
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.message || 'Reviews request failed.');
+  return data;
+};
+
+// { summary: { average, count }, reviews, own, nextCursor }
+export async function fetchReviews(videoId, cursor = null) {
+  return readJson(await apiFetch(`${reviewsUrl(videoId)}${cursor ? `?cursor=${encodeURIComponent(cursor)}` : ''}`));
+}
+
+// Creates or replaces the viewer's review: { review, summary }
+export async function saveReview(videoId, { rating, body }) {
+  return readJson(await apiFetch(reviewsUrl(videoId), {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ rating, body }),
+  }));
+}
+
+// { summary }
+export async function deleteReview(videoId) {
+  return readJson(await apiFetch(reviewsUrl(videoId), { method: 'DELETE' }));
+}
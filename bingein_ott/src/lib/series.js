@@ -0,0 +1,78 @@
+// --- Series Client ---
+// Series with their seasons and episodes (see api/series), and the content managers' edits to
+// series and seasons (api/series, api/seasons). Episodes themselves are ordinary titles.
+import { apiFetch } from './api';
+import { withLocale } from './locale';
+
+const readJson = async (response) => {
+  if (response.status === 204) return null;
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.message || data.error || 'The request failed.');
+  return data;
+};
+
+const sendJson = async (url, method, body) => readJson(await apiFetch(url, {
+  method,
+  headers: body ? { 'Content-Type': 'application/json' } : undefined,
+  body: body ? JSON.stringify(body) : undefined,
+}));
+
+const seriesUrl = (seriesId) => `/api/series/${encodeURIComponent(seriesId)}`;
+const seasonUrl = (seasonId) => `/api/seasons/${encodeURIComponent(seasonId)}`;
+
+// Every series with its seasons, episodeCount and thumbnailUrl, by title
+export async function fetchSeriesList() {
+  return (await readJson(await fetch('/api/series'))).series;
+}
+
+// One series: { id, title, description, seasons: [{ id, number, title, episodes }] }, all in order,
+// with episodes in the viewer's chosen `locale` (else the browser's); null when it doesn't exist
+export async function fetchSeries(seriesId, locale) {
+  const response = await fetch(withLocale(seriesUrl(seriesId), locale));
+  if (response.status === 404) return null;
+  return (await readJson(response)).series;
+}
+
+export async function createSeries(fields) {
+  return (await sendJson('/api/series', 'POST', fields)).series;
+}
+
+export async function updateSeries(seriesId, fields) {
+  return (await sendJson(seriesUrl(seriesId), 'PATCH', fields)).series;
+}
+
+export async function deleteSeries(seriesId) {
+  await sendJson(seriesUrl(seriesId), 'DELETE');
+}
+
+export async function createSeason(fields) {
+  return (await sendJson('/api/seasons', 'POST', fields)).season;
+}
+
+export async function updateSeason(seasonId, fields) {
+  return (await sendJson(seasonUrl(seasonId), 'PATCH', fields)).season;
+}
+
+export async function deleteSeason(seasonId) {
+  await sendJson(seasonUrl(seasonId), 'DELETE');
+}
+
+// "Season 2" or "Specials" (season 0), with the season's own title when it has one; `t` is
+// useLocale()'s translator
+export function seasonLabel(season, t) {
+  const name = season.number === 0 ? t('series.specials') : t('series.season', { number: season.number });
+  return season.title ? t('series.seasonTitle', { season: name, title: season.title }) : name;
+}
+
+// "S2 E5" for an episode of `series`, or '' when it isn't in one of its seasons
+export function episodeLabel(series, video) {
+  const season = series?.seasons.find((s) => s.id === video.seasonId);
+  return season ? `S${season.number} E${video.episodeNumber}` : '';
+}
+
+// The episode after `videoId` in play order, moving on to the next season; null after the last one
+export function nextEpisode(series, videoId) {
+  const episodes = series.seasons.flatMap((season) => season.episodes);
+  const index = episodes.findIndex((video) => video.$id === videoId);
+  return index === -1 ? null : episodes[index + 1] || null;
+}
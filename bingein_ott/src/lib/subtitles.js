@@ -0,0 +1,83 @@
+// --- Subtitle Tracks ---
+// A title's WebVTT subtitle and caption tracks (see api/_lib/subtitles.js), the viewer's caption
+// preferences, and helpers for the admin forms that attach subtitle files.
+
+const PREFERENCES_KEY = 'captionPreferences';
+
+export const CAPTION_SIZES = [
+  { value: 'small', labelKey: 'captions.sizeSmall' },
+  { value: 'medium', labelKey: 'captions.sizeMedium' },
+  { value: 'large', labelKey: 'captions.sizeLarge' },
+  { value: 'x-large', labelKey: 'captions.sizeExtraLarge' },
+];
+
+export const CAPTION_BACKGROUNDS = [
+  { value: 'none', labelKey: 'captions.backgroundNone' },
+  { value: 'translucent', labelKey: 'captions.backgroundTranslucent' },
+  { value: 'solid', labelKey: 'captions.backgroundSolid' },
+];
+
+const DEFAULT_PREFERENCES = { language: null, size: 'medium', background: 'translucent' };
+
+// The `subtitles` attribute holds one JSON entry per track; malformed entries are skipped
+export function subtitleTracks(video) {
+  return (video?.subtitles || []).flatMap((entry) => {
+    try {
+      const track = JSON.parse(entry);
+      return track?.url && track.language ? [track] : [];
+    } catch {
+      return [];
+    }
+  });
+}
+
+// { language, size, background }; `language` is null while captions are off
+export function loadCaptionPreferences() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PREFERENCES_KEY) || '{}');
+    return {
+      language: typeof saved.language === 'string' ? saved.language : null,
+      size: CAPTION_SIZES.some((size) => size.value === saved.size) ? saved.size : DEFAULT_PREFERENCES.size,
+      background: CAPTION_BACKGROUNDS.some((bg) => bg.value === saved.background) ? saved.background : DEFAULT_PREFERENCES.background,
+    };
+  } catch {
+    return DEFAULT_PREFERENCES;
+  }
+}
+
+export function saveCaptionPreferences(preferences) {
+  localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+}
+
+// Index of the track for a preferred language: the exact tag, else the same base language
+// ("pt" for "pt-BR"); -1 when captions are off or no track matches.
+export function pickTrack(tracks, language) {
+  if (!language) return -1;
+  const exact = tracks.findIndex((track) => track.language === language);
+  if (exact !== -1) return exact;
+  const base = language.split('-')[0];
+  return tracks.findIndex((track) => track.language.split('-')[0] === base);
+}
+
+// A track's WebVTT as a same-origin blob: URL, so <track> works without CORS on the storage host
+export async function loadSubtitleTrack(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to load subtitles: HTTP ${response.status}`);
+  return URL.createObjectURL(new Blob([await response.text()], { type: 'text/vtt' }));
+}
+
+// "movie.pt-BR.srt" -> "pt-BR"; '' when the file name carries no language tag
+export function languageFromFileName(fileName) {
+  const match = /\.([a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*)\.(?:srt|vtt)$/i.exec(fileName || '');
+  return match ? match[1] : '';
+}
+
+// The file's bytes as base64, for the library's JSON edit request (the server decodes and converts it)
+export async function encodeSubtitleFile(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
@@ -0,0 +1,10 @@
+// --- Tag Helpers ---
+// Mirrors the server's normalization (api/_lib/tags.js) so chips look the way they will be stored.
+
+// "  #Road Trip " -> "road trip"
+export const normalizeTag = (tag) => String(tag).replace(/^#+/, '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// A video's tags as an array; titles not yet migrated store one comma-separated string
+export const tagList = (tags) => [...new Set([].concat(tags ?? []).flatMap((value) => String(value).split(',')).map(normalizeTag).filter(Boolean))];
+
+export const tagPath = (tag) => `/tag/${encodeURIComponent(tag)}`;
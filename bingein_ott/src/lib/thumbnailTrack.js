@@ -0,0 +1,33 @@
+// --- WebVTT Thumbnail Tracks ---
+// Parses the seek-preview track written by the transcode worker: each cue maps a time range to a
+// tile of a sprite sheet ("sprite.jpg#xywh=x,y,w,h").
+
+// "HH:MM:SS.mmm" or "MM:SS.mmm" -> seconds
+function parseTimestamp(value) {
+  return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+export function parseThumbnailVtt(text, baseUrl) {
+  const cues = [];
+  for (const block of text.replace(/\r/g, '').split('\n\n')) {
+    const lines = block.trim().split('\n');
+    const timingIndex = lines.findIndex((line) => line.includes('-->'));
+    if (timingIndex === -1 || !lines[timingIndex + 1]) continue;
+
+    const [start, end] = lines[timingIndex].split('-->').map((part) => parseTimestamp(part.trim().split(' ')[0]));
+    const [image, fragment = ''] = lines[timingIndex + 1].trim().split('#xywh=');
+    const [x, y, w, h] = fragment.split(',').map(Number);
+    cues.push({ start, end, url: new URL(image, baseUrl).href, x: x || 0, y: y || 0, w, h });
+  }
+  return cues;
+}
+
+export async function loadThumbnailTrack(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to load thumbnail track: HTTP ${response.status}`);
+  return parseThumbnailVtt(await response.text(), new URL(url, window.location.href).href);
+}
+
+export function findThumbnailCue(cues, time) {
+  return cues.find((cue) => time >= cue.start && time < cue.end) || cues[cues.length - 1] || null;
+}
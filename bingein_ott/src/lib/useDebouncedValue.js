@@ -0,0 +1,14 @@
+// --- Debounced Value Hook ---
+import { useState, useEffect } from 'react';
+
+// Returns `value` once it has stopped changing for `delay` milliseconds.
+export function useDebouncedValue(value, delay) {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+}
@@ -0,0 +1,52 @@
+// --- Managed Genre List ---
+// Fetched once from /api/genres and shared by every component that needs genre names.
+import { useState, useEffect, useCallback } from 'react';
+
+let genresPromise = null;
+
+// Resolves to [{ slug, name, description, order }]; `refresh` refetches after an admin edit.
+export function loadGenres({ refresh = false } = {}) {
+  if (!genresPromise || refresh) {
+    genresPromise = fetch('/api/genres')
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Failed to load genres.');
+        return data.genres;
+      })
+      .catch((err) => {
+        genresPromise = null; // Let the next caller retry
+        throw err;
+      });
+  }
+  return genresPromise;
+}
+
+export function useGenres() {
+  const [genres, setGenres] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async (options) => {
+    try {
+      setGenres(await loadGenres(options));
+      setError(null);
+    } catch (err) {
+      console.error('Failed to load genres:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Name for a slug, falling back to the slug itself for a genre that no longer exists
+  const genreName = useCallback(
+    (slug) => genres.find((genre) => genre.slug === slug)?.name || slug,
+    [genres]
+  );
+
+  return { genres, loading, error, genreName, reload: () => load({ refresh: true }) };
+}
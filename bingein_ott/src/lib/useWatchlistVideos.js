@@ -0,0 +1,37 @@
+// --- My List Titles ---
+// Resolves My List's video IDs to documents, in list order. Documents are cached by ID so
+// reordering or removing doesn't refetch anything.
+import { useState, useEffect } from 'react';
+import { useWatchlist } from '../context/useWatchlist';
+import { fetchVideosByIds } from './catalog';
+
+const videoCache = new Map();
+
+export function useWatchlistVideos() {
+  const { videoIds, loading: listLoading } = useWatchlist();
+  const [, setFetched] = useState(0); // Bumped when new documents land in the cache
+  const [error, setError] = useState(null); // Message key
+  const missing = videoIds.filter((id) => !videoCache.has(id));
+  const missingKey = missing.join(',');
+
+  useEffect(() => {
+    if (!missingKey) return;
+    let cancelled = false;
+    const ids = missingKey.split(',');
+    fetchVideosByIds(ids)
+      .then((videos) => {
+        videos.forEach((video) => videoCache.set(video.$id, video));
+        ids.forEach((id) => videoCache.has(id) || videoCache.set(id, null)); // Deleted titles
+        if (!cancelled) setFetched((count) => count + 1);
+      })
+      .catch((err) => {
+        console.error('Failed to fetch My List titles:', err);
+        if (!cancelled) setError('myList.loadFailed');
+      });
+    return () => { cancelled = true; };
+  }, [missingKey]);
+
+  const loading = listLoading || (missing.length > 0 && !error);
+  const videos = loading ? null : videoIds.map((id) => videoCache.get(id)).filter(Boolean);
+  return { videos, loading, error };
+}
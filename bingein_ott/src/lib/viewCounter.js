@@ -0,0 +1,17 @@
+// --- View Reporting ---
+// The player reports a view to /api/views once it has actually played the threshold from
+// shared/views.js: 30 seconds, or half of a shorter title. The server checks that the playback
+// session has lasted that long too.
+export { viewThreshold } from '../../shared/views';
+
+// Resolves to { counted, viewsCount? }; a repeat view inside the dedup window is not counted.
+export async function reportView({ videoId, token }) {
+  const response = await fetch('/api/views', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ videoId, token }),
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.message || 'Failed to record the view.');
+  return data;
+}
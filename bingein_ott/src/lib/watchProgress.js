@@ -0,0 +1,34 @@
+// --- Watch Progress Client ---
+// Heartbeats and resume positions for logged-in viewers (see api/progress).
+import { apiFetch } from './api';
+
+export const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+
+const progressUrl = (videoId) => `/api/progress/${encodeURIComponent(videoId)}`;
+
+const readJson = async (response) => {
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.message || 'Watch progress request failed.');
+  return data;
+};
+
+// { position, duration, ... } to resume from, or null to start at the beginning.
+export async function fetchProgress(videoId) {
+  return (await readJson(await apiFetch(progressUrl(videoId)))).progress;
+}
+
+// `keepalive` lets the last heartbeat finish while the page is being closed.
+export async function saveProgress(videoId, { position, duration }, { keepalive = false } = {}) {
+  const response = await apiFetch(progressUrl(videoId), {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ position, duration }),
+    keepalive,
+  });
+  return (await readJson(response)).progress;
+}
+
+// Unfinished titles for the Continue Watching row: [{ video, position, duration, ... }].
+export async function fetchContinueWatching() {
+  return (await readJson(await apiFetch('/api/progress'))).items;
+}
@@ -0,0 +1,46 @@
+// --- My List Storage ---
+// Signed-in viewers keep their list on the server (/api/watchlist); signed-out viewers keep it in
+// localStorage until they log in, when it is merged into their account (see WatchlistProvider).
+import { apiFetch } from './api';
+
+const STORAGE_KEY = 'myList';
+
+const readJson = async (response) => {
+  if (response.status === 204) return null;
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.message || 'My List request failed.');
+  return data;
+};
+
+export const fetchWatchlist = async () => (await readJson(await apiFetch('/api/watchlist'))).videoIds;
+
+const sendIds = async (method, videoIds) => {
+  const response = await apiFetch('/api/watchlist', {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ videoIds }),
+  });
+  return (await readJson(response)).videoIds;
+};
+
+// Adds to the top of the server list; returns the whole list.
+export const addToWatchlist = (videoIds) => sendIds('POST', videoIds);
+
+export const reorderWatchlist = (videoIds) => sendIds('PUT', videoIds);
+
+export const removeFromWatchlist = async (videoId) =>
+  readJson(await apiFetch(`/api/watchlist/${encodeURIComponent(videoId)}`, { method: 'DELETE' }));
+
+export function readLocalWatchlist() {
+  try {
+    const ids = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(ids) ? ids.filter((id) => typeof id === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+export function writeLocalWatchlist(videoIds) {
+  if (videoIds.length > 0) localStorage.setItem(STORAGE_KEY, JSON.stringify(videoIds));
+  else localStorage.removeItem(STORAGE_KEY);
+}
@@ -0,0 +1,401 @@
+// --- Arabic Messages ---
+// Written right to left; Arabic has six plural forms (zero, one, two, few, many, other).
+export default {
+  // Navigation bar
+  'nav.home': 'الرئيسية',
+  'nav.myList': 'قائمتي',
+  'nav.library': 'المكتبة',
+  'nav.upload': 'رفع',
+  'nav.import': 'استيراد',
+  'nav.genres': 'الأنواع',
+  'nav.series': 'المسلسلات',
+  'nav.logIn': 'تسجيل الدخول',
+  'nav.logOut': 'تسجيل الخروج',
+  'nav.language': 'اللغة',
+  'nav.browserLanguage': 'لغة المتصفح',
+
+  'search.placeholder': 'ابحث عن عناوين',
+  'search.noMatches': 'لا توجد عناوين تطابق «{query}».',
+  'search.seeAll': 'عرض كل نتائج «{query}»',
+
+  // Home page and catalog listings
+  'home.title': 'استكشف الفيديوهات',
+  'home.allTitles': 'كل العناوين',
+  'home.continueWatching': 'متابعة المشاهدة',
+  'home.recommended': 'مقترحات لك',
+  'catalog.count': {
+    zero: 'لا توجد عناوين',
+    one: 'عنوان واحد',
+    two: 'عنوانان',
+    few: '{count} عناوين',
+    many: '{count} عنوانًا',
+    other: '{count} عنوان',
+  },
+  'catalog.empty': 'محتوى جديد قادم قريبًا. ترقبوه!',
+  'catalog.error': 'خطأ:',
+  'catalog.loadFailed': 'تعذر تحميل الفيديوهات. يرجى المحاولة لاحقًا.',
+  'catalog.tryAgain': 'حاول مرة أخرى',
+  'catalog.end': 'وصلت إلى نهاية القائمة.',
+  'sort.label': 'ترتيب حسب',
+  'sort.newest': 'الأحدث',
+  'sort.popular': 'الأكثر مشاهدة',
+  'sort.rating': 'الأعلى تقييمًا',
+  'sort.title': 'العنوان (أ–ي)',
+  'rail.seeAll': 'عرض الكل',
+  'rail.previous': 'تمرير {title} إلى الخلف',
+  'rail.next': 'تمرير {title} إلى الأمام',
+  'rail.moreLikeThis': 'عناوين مشابهة',
+
+  // Video cards and the watch page
+  'video.genre': 'النوع: {genres}',
+  'video.noGenre': 'غير متوفر',
+  'video.uploaded': 'تاريخ الرفع: {date}',
+  'video.views': {
+    zero: 'لا توجد مشاهدات',
+    one: 'مشاهدة واحدة',
+    two: 'مشاهدتان',
+    few: '{count} مشاهدات',
+    many: '{count} مشاهدة',
+    other: '{count} مشاهدة',
+  },
+  'video.ratings': {
+    zero: 'لا توجد تقييمات',
+    one: 'تقييم واحد',
+    two: 'تقييمان',
+    few: '{count} تقييمات',
+    many: '{count} تقييمًا',
+    other: '{count} تقييم',
+  },
+  'video.averageRating': 'متوسط التقييم',
+  'video.premium': 'مميز',
+  'video.noThumbnail': 'لا توجد صورة مصغرة',
+  'publication.draft': 'مسودة',
+  'publication.scheduled': 'مجدول',
+  'publication.published': 'منشور',
+  'watchlist.add': 'أضف إلى قائمتي',
+  'watchlist.remove': 'أزل من قائمتي',
+  'watchlist.listed': 'في قائمتي',
+  'detail.back': 'رجوع',
+  'detail.loading': 'جارٍ تحميل تفاصيل الفيديو...',
+  'detail.loadFailed': 'تعذر تحميل الفيديو. تحقق من اتصالك وحاول مرة أخرى.',
+  'detail.notFoundTitle': 'الفيديو غير موجود',
+  'detail.notFoundMessage': 'هذا العنوان غير موجود أو تمت إزالته.',
+  'detail.scheduledNotice': 'موعد الإصدار {date}. لا يمكن للمشاهدين رؤيته بعد.',
+  'detail.draftNotice': 'هذا العنوان مسودة. لا يمكن للمشاهدين رؤيته.',
+  'detail.noVideo': 'رابط الفيديو غير متوفر.',
+  'detail.generalGenre': 'عام',
+  'detail.nextEpisode': 'التالي: {episode}',
+  'nextEpisode.title': 'الحلقة التالية',
+  'nextEpisode.countdown': {
+    zero: 'الحلقة التالية الآن',
+    one: 'الحلقة التالية بعد ثانية واحدة',
+    two: 'الحلقة التالية بعد ثانيتين',
+    few: 'الحلقة التالية بعد {count} ثوانٍ',
+    many: 'الحلقة التالية بعد {count} ثانية',
+    other: 'الحلقة التالية بعد {count} ثانية',
+  },
+  'nextEpisode.playNow': 'شغّل الآن',
+  'nextEpisode.cancel': 'إلغاء',
+
+  // Search, My List, series and genre pages
+  'search.resultsFor': 'نتائج البحث عن «{query}»',
+  'search.browse': 'تصفّح',
+  'search.genre': 'النوع',
+  'search.anyGenre': 'كل الأنواع',
+  'search.access': 'الوصول',
+  'search.anyAccess': 'مجاني ومميز',
+  'search.freeOnly': 'المجاني فقط',
+  'search.premiumOnly': 'المميز فقط',
+  'search.duration': 'المدة',
+  'search.anyLength': 'أي مدة',
+  'search.durationShort': 'أقل من 20 دقيقة',
+  'search.durationMedium': 'من 20 إلى 60 دقيقة',
+  'search.durationLong': 'أكثر من ساعة',
+  'search.searching': 'جارٍ البحث...',
+  'search.noResults': 'لا توجد عناوين تطابق بحثك.',
+  'search.loading': 'جارٍ التحميل...',
+  'search.showMore': 'عرض المزيد من النتائج',
+  'search.failed': 'فشل البحث. يرجى المحاولة لاحقًا.',
+  'search.loadMoreFailed': 'تعذّر تحميل المزيد من النتائج. يرجى المحاولة مرة أخرى.',
+  'myList.localOnly': 'محفوظة في هذا المتصفح فقط.',
+  'myList.logInPrompt': 'سجّل الدخول للاحتفاظ بها على كل أجهزتك.',
+  'myList.empty': 'لا شيء هنا بعد. استخدم زر + على أي عنوان لحفظه لوقت لاحق.',
+  'myList.moveUp': 'نقل {title} إلى الأعلى',
+  'myList.moveDown': 'نقل {title} إلى الأسفل',
+  'myList.remove': 'إزالة {title} من قائمتي',
+  'myList.loadFailed': 'تعذّر تحميل قائمتي. يرجى المحاولة لاحقًا.',
+  'series.season': 'الموسم {number}',
+  'series.specials': 'حلقات خاصة',
+  'series.seasonTitle': '{season}: {title}',
+  'series.seasons': 'المواسم',
+  'series.noEpisodes': 'لم تُعرض أي حلقة بعد.',
+  'series.loadFailed': 'تعذّر تحميل هذا المسلسل. يرجى المحاولة لاحقًا.',
+  'series.notFoundTitle': 'المسلسل غير موجود',
+  'series.notFoundMessage': 'هذا المسلسل غير موجود أو تمت إزالته.',
+  'genre.empty': 'لا توجد عناوين من نوع {genre} بعد.',
+  'genre.loadFailed': 'تعذّر تحميل هذا النوع. يرجى المحاولة لاحقًا.',
+  'genre.notFoundTitle': 'النوع غير موجود',
+  'genre.notFoundMessage': 'هذا النوع غير موجود أو تمت إزالته.',
+
+  // Player
+  'player.resumedAt': 'استُؤنف عند {time}',
+  'player.startOver': 'البدء من جديد',
+  'player.seek': 'موضع التشغيل',
+  'player.quality': 'جودة الفيديو',
+  'player.autoQuality': 'تلقائي',
+  'player.unsupported': 'متصفحك لا يدعم تشغيل الفيديو.',
+  'captions.menu': 'الترجمة',
+  'captions.off': 'إيقاف',
+  'captions.sdh': 'للصم',
+  'captions.size': 'الحجم',
+  'captions.sizeSmall': 'صغير',
+  'captions.sizeMedium': 'متوسط',
+  'captions.sizeLarge': 'كبير',
+  'captions.sizeExtraLarge': 'كبير جدًا',
+  'captions.background': 'الخلفية',
+  'captions.backgroundNone': 'بلا',
+  'captions.backgroundTranslucent': 'شبه شفافة',
+  'captions.backgroundSolid': 'معتمة',
+  'upgrade.title': 'عنوان مميز',
+  'upgrade.logInPrompt': 'سجّل الدخول لبدء تجربتك المجانية ومشاهدة جميع العناوين المميزة.',
+  'upgrade.prompt': 'اشترك في الباقة المميزة لمواصلة المشاهدة.',
+  'upgrade.perMonth': '/ شهر',
+  'upgrade.perYear': '/ سنة',
+  'upgrade.failed': 'فشل الاشتراك.',
+  'upgrade.unavailable': 'تعذّر الاتصال بخدمة الاشتراك. يرجى المحاولة مرة أخرى.',
+
+  // Ratings and reviews
+  'reviews.heading': 'التقييمات والمراجعات',
+  'reviews.yourRating': 'تقييمك',
+  'reviews.rateTitle': 'قيّم هذا العنوان',
+  'reviews.review': 'المراجعة',
+  'reviews.placeholder': 'اكتب مراجعة (اختياري)',
+  'reviews.post': 'نشر المراجعة',
+  'reviews.update': 'تحديث المراجعة',
+  'reviews.delete': 'حذف',
+  'reviews.confirmDelete': 'هل تريد حذف مراجعتك؟',
+  'reviews.ratingRequired': 'اختر عدد النجوم أولًا.',
+  'reviews.logInPrompt': 'سجّل الدخول لتقييم هذا العنوان ومراجعته.',
+  'reviews.empty': 'لا توجد مراجعات بعد. كن أول من يكتب!',
+  'reviews.userRating': 'تقييم {name}',
+  'reviews.you': '(أنت)',
+  'reviews.more': 'مزيد من المراجعات',
+  'reviews.loading': 'جارٍ التحميل...',
+  'reviews.loadFailed': 'تعذّر تحميل المراجعات.',
+  'reviews.loadMoreFailed': 'تعذّر تحميل مزيد من المراجعات.',
+  'stars.label': 'التقييم',
+  'stars.value': '{label}: {value} من 5',
+  'stars.count': {
+    zero: 'لا نجوم',
+    one: 'نجمة واحدة',
+    two: 'نجمتان',
+    few: '{count} نجوم',
+    many: '{count} نجمة',
+    other: '{count} نجمة',
+  },
+
+  // Log-in and error pages
+  'login.title': 'تسجيل الدخول',
+  'login.email': 'البريد الإلكتروني',
+  'login.password': 'كلمة المرور',
+  'login.submitting': 'جارٍ تسجيل الدخول...',
+  'login.invalid': 'البريد الإلكتروني أو كلمة المرور غير صحيحة.',
+  'login.failed': 'فشل تسجيل الدخول. يرجى المحاولة مرة أخرى.',
+  'notFound.title': 'الصفحة غير موجودة',
+  'notFound.message': 'لم نعثر على ما تبحث عنه.',
+  'notFound.home': 'العودة إلى الرئيسية',
+  'routeError.title': 'حدث خطأ ما',
+  'routeError.message': 'يرجى إعادة تحميل الصفحة والمحاولة مرة أخرى.',
+  'admin.onlyTitle': 'لمديري المحتوى فقط',
+  'admin.onlyMessage': 'لا يملك حسابك صلاحية الوصول إلى هذه الصفحة.',
+
+  // Upload form
+  'upload.heading': 'رفع محتوى جديد',
+  'upload.title': 'عنوان الفيديو',
+  'upload.titlePlaceholder': 'مثال: رحلة ملحمية عبر جبال الألب',
+  'upload.description': 'الوصف',
+  'upload.descriptionPlaceholder': 'اكتب وصفًا مفصلًا لمحتوى الفيديو...',
+  'upload.duration': 'تحديد المدة يدويًا (بالثواني)',
+  'upload.durationPlaceholder': 'تُكتشف تلقائيًا من الفيديو',
+  'upload.durationHint': 'اتركه فارغًا لاستخدام المدة المقروءة من الملف.',
+  'upload.premium': 'تمييز كمحتوى مميز',
+  'upload.genres': 'الأنواع',
+  'upload.genresLoading': 'جارٍ تحميل الأنواع...',
+  'upload.noGenres': 'لا توجد أنواع بعد. أضف بعضها من صفحة الأنواع أولًا.',
+  'upload.genresHint': 'اختر حتى خمسة.',
+  'upload.tags': 'الوسوم',
+  'upload.videoFile': 'ملف الفيديو',
+  'upload.selected': 'المحدد:',
+  'upload.resumeNotice': 'توقف رفع سابق لهذا الملف — سيُستأنف من حيث توقف.',
+  'upload.thumbnail': 'الصورة المصغرة',
+  'upload.framesHint': 'لا توجد صورة؟ اختر لقطة من الفيديو، أو اترك الخادم يختار واحدة.',
+  'upload.generatingFrames': 'جارٍ إنشاء اللقطات...',
+  'upload.generateFrames': 'إنشاء صور مصغرة من الفيديو',
+  'upload.frameAlt': 'لقطة عند {time}',
+  'upload.uploadingVideo': 'جارٍ رفع الفيديو...',
+  'upload.uploading': 'جارٍ الرفع...',
+  'upload.submit': 'رفع المحتوى',
+  'upload.invalidVideo': 'يرجى اختيار ملف فيديو صالح (مثل .mp4 أو .mov).',
+  'upload.invalidImage': 'يرجى اختيار صورة صالحة (مثل .jpg أو .png).',
+  'upload.interrupted': 'توقف رفع الفيديو: {message} اختر الملف نفسه مرة أخرى للاستئناف.',
+  'upload.framesFailed': 'تعذر إنشاء الصور المصغرة.',
+  'upload.framesUnavailable': 'تعذر الاتصال بخدمة الصور المصغرة. يرجى المحاولة مرة أخرى.',
+  'upload.missingFields': 'يرجى ملء كل الحقول المطلوبة واختيار ملف فيديو.',
+  'upload.genreCount': 'يرجى اختيار ما بين نوع واحد وخمسة أنواع.',
+  'upload.releaseRequired': 'يرجى اختيار تاريخ الإصدار ووقته.',
+  'upload.episodeRequired': 'يرجى اختيار الموسم ورقم الحلقة.',
+  'upload.subtitleLanguageRequired': 'يرجى إدخال رمز اللغة لكل ملف ترجمة.',
+  'upload.translationRequired': 'يرجى إدخال رمز اللغة والعنوان لكل ترجمة.',
+  'upload.savedDraft': 'تم رفع الفيديو وحفظه كمسودة.',
+  'upload.savedScheduled': 'تم رفع الفيديو وجدولة إصداره.',
+  'upload.saved': 'تم رفع الفيديو وحفظ بياناته بنجاح!',
+  'upload.unknownError': 'حدث خطأ غير معروف أثناء الرفع.',
+  'upload.serviceUnavailable': 'تعذر الاتصال بخدمة الرفع. تحقق من الشبكة أو حاول مرة أخرى.',
+
+  // Content library, genres and series
+  'admin.name': 'الاسم',
+  'admin.title': 'العنوان',
+  'admin.description': 'الوصف',
+  'admin.save': 'حفظ',
+  'admin.cancel': 'إلغاء',
+  'admin.edit': 'تعديل',
+  'admin.delete': 'حذف',
+  'library.shown': '{shown} من {count}',
+  'library.filterText': 'تصفية حسب العنوان أو المعرّف',
+  'library.anyPublication': 'أي حالة نشر',
+  'library.transcodeStatus': 'حالة التحويل',
+  'library.anyStatus': 'أي حالة',
+  'library.empty': 'لا توجد عناوين بعد.',
+  'library.uploadOne': 'ارفع عنوانًا.',
+  'library.noMatches': 'لا توجد عناوين تطابق هذه المرشحات.',
+  'library.thumbnail': 'الصورة المصغّرة',
+  'library.columnTitle': 'العنوان',
+  'library.columnLength': 'المدة',
+  'library.columnViews': 'المشاهدات',
+  'library.columnRating': 'التقييم',
+  'library.columnUploaded': 'تاريخ الرفع',
+  'library.columnTranscode': 'التحويل',
+  'library.actions': 'الإجراءات',
+  'library.rating': '{average} ({count})',
+  'library.unpublish': 'إلغاء النشر',
+  'library.confirmUnpublish': 'إلغاء نشر «{title}»؟ لن يتمكن المشاهدون من رؤيته بعد الآن.',
+  'library.confirmDelete': 'حذف «{title}» وكل ملفاته؟ لا يمكن التراجع عن ذلك.',
+  'transcode.pending': 'قيد الانتظار',
+  'transcode.processing': 'قيد المعالجة',
+  'transcode.ready': 'جاهز',
+  'transcode.failed': 'فشل',
+  'genresAdmin.namePlaceholder': 'مثال: وثائقي',
+  'genresAdmin.descriptionPlaceholder': 'يظهر في صفحة النوع',
+  'genresAdmin.order': 'الترتيب',
+  'genresAdmin.orderValue': 'الترتيب {order}',
+  'genresAdmin.add': 'إضافة نوع',
+  'genresAdmin.empty': 'لا توجد أنواع بعد.',
+  'genresAdmin.nameRequired': 'يجب أن يكون للنوع اسم.',
+  'genresAdmin.confirmDelete': 'حذف النوع «{name}»؟',
+  'seriesAdmin.titlePlaceholder': 'مثال: الطريق الطويل',
+  'seriesAdmin.descriptionPlaceholder': 'يظهر في صفحة المسلسل',
+  'seriesAdmin.add': 'إضافة مسلسل',
+  'seriesAdmin.empty': 'لا توجد مسلسلات بعد.',
+  'seriesAdmin.episodeCount': {
+    zero: 'لا توجد حلقات منشورة',
+    one: 'حلقة منشورة واحدة',
+    two: 'حلقتان منشورتان',
+    few: '{count} حلقات منشورة',
+    many: '{count} حلقة منشورة',
+    other: '{count} حلقة منشورة',
+  },
+  'seriesAdmin.titleRequired': 'يجب أن يكون للمسلسل عنوان.',
+  'seriesAdmin.confirmDelete': 'حذف المسلسل «{title}» ومواسمه؟',
+  'seriesAdmin.seasonNumber': 'رقم الموسم',
+  'seriesAdmin.seasonTitle': 'عنوان الموسم',
+  'seriesAdmin.editSeason': 'تعديل الموسم',
+  'seriesAdmin.deleteSeason': 'حذف الموسم',
+  'seriesAdmin.confirmDeleteSeason': 'حذف {season}؟',
+  'seriesAdmin.newSeasonNumber': 'رقم الموسم الجديد',
+  'seriesAdmin.newSeasonTitle': 'عنوان الموسم الجديد',
+  'seriesAdmin.seasonTitlePlaceholder': 'عنوان الموسم (اختياري)',
+  'seriesAdmin.addSeason': 'إضافة موسم',
+  'seriesAdmin.seasonNumberRequired': 'يجب أن يكون للموسم رقم.',
+
+  // Title fields shared by the upload form and the library editor
+  'publication.legend': 'النشر',
+  'publication.saveDraft': 'حفظ كمسودة',
+  'publication.draftHint': 'لا يراه إلا مديرو المحتوى.',
+  'publication.schedule': 'جدولة',
+  'publication.scheduleHint': 'يُنشر تلقائيًا في موعد الإصدار.',
+  'publication.publishNow': 'انشر الآن',
+  'publication.publishHint': 'يظهر للجميع فورًا.',
+  'publication.releaseTime': 'تاريخ الإصدار ووقته',
+  'publication.timeZone': 'المنطقة الزمنية',
+  'episode.series': 'المسلسل',
+  'episode.loading': 'جارٍ تحميل المسلسلات...',
+  'episode.loadFailed': 'تعذّر تحميل المسلسلات: {message}',
+  'episode.episodeOf': 'حلقة من',
+  'episode.standalone': 'لا شيء (عنوان مستقل)',
+  'episode.season': 'الموسم',
+  'episode.chooseSeason': 'اختر موسمًا',
+  'episode.episode': 'الحلقة',
+  'episode.noSeasons': 'لا توجد مواسم لهذا المسلسل بعد.',
+  'episode.addSeason': 'أضف موسمًا في صفحة المسلسلات أولًا.',
+  'translations.legend': 'الترجمات',
+  'translations.hint': 'العنوان والوصف الرئيسيان باللغة {language} ({code}). يرى المشاهدون الترجمة المطابقة للغتهم.',
+  'translations.languageCode': 'رمز اللغة',
+  'translations.remove': 'إزالة الترجمة',
+  'translations.title': 'العنوان',
+  'translations.titleLabel': 'العنوان المترجم',
+  'translations.description': 'الوصف (اختياري)',
+  'translations.descriptionLabel': 'الوصف المترجم',
+  'translations.add': 'إضافة ترجمة',
+  'subtitleTracks.legend': 'الترجمة المرئية',
+  'subtitleTracks.currentFile': 'الملف الحالي',
+  'subtitleTracks.languageCode': 'رمز اللغة',
+  'subtitleTracks.label': 'التسمية',
+  'subtitleTracks.labelPlaceholder': 'التسمية (مثال: العربية)',
+  'subtitleTracks.sdh': 'SDH',
+  'subtitleTracks.sdhHint': 'يصف الأصوات أيضًا، للمشاهدين الصم وضعاف السمع',
+  'subtitleTracks.remove': 'إزالة',
+  'subtitleTracks.hint': 'SubRip (.srt) أو WebVTT (.vtt)؛ تُحوَّل ملفات SubRip إلى WebVTT.',
+  'tags.placeholder': 'مثال: مغامرة، جبال، سفر',
+  'tags.remove': 'إزالة {tag}',
+
+  // Bulk import
+  'import.heading': 'استيراد جماعي',
+  'import.intro': 'اختر ملف بيان بصيغة CSV أو JSON يحتوي على صف لكل عنوان، ثم حدّد كل ملفات الفيديو والصور المصغّرة والترجمة المذكورة فيه. تُطابَق الملفات حسب الاسم.',
+  'import.manifest': 'ملف البيان',
+  'import.mediaFiles': 'ملفات الوسائط',
+  'import.filesSelected': {
+    zero: 'لم يُحدَّد أي ملف',
+    one: 'حُدِّد ملف واحد',
+    two: 'حُدِّد ملفان',
+    few: 'حُدِّدت {count} ملفات',
+    many: 'حُدِّد {count} ملفًا',
+    other: 'حُدِّد {count} ملف',
+  },
+  'import.check': 'التحقق من ملف البيان',
+  'import.submit': {
+    zero: 'لا توجد عناوين للاستيراد',
+    one: 'استيراد عنوان واحد',
+    two: 'استيراد عنوانين',
+    few: 'استيراد {count} عناوين',
+    many: 'استيراد {count} عنوانًا',
+    other: 'استيراد {count} عنوان',
+  },
+  'import.stop': 'التوقف بعد هذا العنوان',
+  'import.downloadLog': 'تنزيل سجل النتائج',
+  'import.summary': 'جاهز: {ready}، يحتاج إلى إصلاح: {invalid}، مستورد سابقًا: {imported}.',
+  'import.fixHint': 'أصلح ملف البيان أو حدّد الملفات الناقصة، ثم تحقّق مرة أخرى.',
+  'import.row': 'الصف',
+  'import.title': 'العنوان',
+  'import.video': 'الفيديو',
+  'import.status': 'الحالة',
+  'import.uploading': 'جارٍ الرفع {percent}',
+  'import.saving': 'جارٍ الحفظ...',
+  'import.imported': 'تم الاستيراد',
+  'import.failed': 'فشل: {error} (ستُعاد المحاولة)',
+  'import.ready': 'جاهز',
+  'import.fileMissing': 'الملف {name} ليس ضمن الملفات المحدّدة.',
+  'import.notVideo': 'الملف {name} ليس ملف فيديو.',
+  'import.notImage': 'الملف {name} ليس صورة.',
+  'import.checkFailed': 'تعذّر التحقق من ملف البيان.',
+  'import.uploadFailed': 'فشل الرفع.',
+};
@@ -0,0 +1,345 @@
+// --- English Messages ---
+// The reference catalog: every key used with t() is defined here (see lib/i18n.js).
+export default {
+  // Navigation bar
+  'nav.home': 'Home',
+  'nav.myList': 'My List',
+  'nav.library': 'Library',
+  'nav.upload': 'Upload',
+  'nav.import': 'Bulk Import',
+  'nav.genres': 'Genres',
+  'nav.series': 'Series',
+  'nav.logIn': 'Log In',
+  'nav.logOut': 'Log Out',
+  'nav.language': 'Language',
+  'nav.browserLanguage': 'Browser language',
+
+  'search.placeholder': 'Search titles',
+  'search.noMatches': 'No titles match “{query}”.',
+  'search.seeAll': 'See all results for “{query}”',
+
+  // Home page and catalog listings
+  'home.title': 'Explore Videos',
+  'home.allTitles': 'All titles',
+  'home.continueWatching': 'Continue Watching',
+  'home.recommended': 'Recommended for you',
+  'catalog.count': { one: '{count} title', other: '{count} titles' },
+  'catalog.empty': 'New content is coming. Stay tuned!',
+  'catalog.error': 'Error:',
+  'catalog.loadFailed': 'Failed to load videos. Please try again later.',
+  'catalog.tryAgain': 'Try again',
+  'catalog.end': 'You’ve reached the end of the list.',
+  'sort.label': 'Sort by',
+  'sort.newest': 'Newest',
+  'sort.popular': 'Most viewed',
+  'sort.rating': 'Top rated',
+  'sort.title': 'Title A–Z',
+  'rail.seeAll': 'See all',
+  'rail.previous': 'Scroll {title} back',
+  'rail.next': 'Scroll {title} forward',
+  'rail.moreLikeThis': 'More like this',
+
+  // Video cards and the watch page
+  'video.genre': 'Genre: {genres}',
+  'video.noGenre': 'N/A',
+  'video.uploaded': 'Uploaded: {date}',
+  'video.views': { zero: 'No Views', one: '{count} View', other: '{count} Views' },
+  'video.ratings': { one: '{count} rating', other: '{count} ratings' },
+  'video.averageRating': 'Average rating',
+  'video.premium': 'Premium',
+  'video.noThumbnail': 'No Thumbnail Available',
+  'publication.draft': 'Draft',
+  'publication.scheduled': 'Scheduled',
+  'publication.published': 'Published',
+  'watchlist.add': 'Add to My List',
+  'watchlist.remove': 'Remove from My List',
+  'watchlist.listed': 'In My List',
+  'detail.back': 'Back',
+  'detail.loading': 'Loading video details...',
+  'detail.loadFailed': 'Failed to load video. Please check your connection and try again.',
+  'detail.notFoundTitle': 'Video not found',
+  'detail.notFoundMessage': 'This title doesn’t exist or has been removed.',
+  'detail.scheduledNotice': 'Scheduled for release on {date}. Viewers can’t see it yet.',
+  'detail.draftNotice': 'This title is a draft. Viewers can’t see it.',
+  'detail.noVideo': 'Video URL not available.',
+  'detail.generalGenre': 'General',
+  'detail.nextEpisode': 'Next: {episode}',
+  'nextEpisode.title': 'Next episode',
+  'nextEpisode.countdown': { one: 'Next episode in {count} second', other: 'Next episode in {count} seconds' },
+  'nextEpisode.playNow': 'Play now',
+  'nextEpisode.cancel': 'Cancel',
+
+  // Search, My List, series and genre pages
+  'search.resultsFor': 'Results for “{query}”',
+  'search.browse': 'Browse',
+  'search.genre': 'Genre',
+  'search.anyGenre': 'Any genre',
+  'search.access': 'Access',
+  'search.anyAccess': 'Free and premium',
+  'search.freeOnly': 'Free only',
+  'search.premiumOnly': 'Premium only',
+  'search.duration': 'Duration',
+  'search.anyLength': 'Any length',
+  'search.durationShort': 'Under 20 min',
+  'search.durationMedium': '20–60 min',
+  'search.durationLong': 'Over an hour',
+  'search.searching': 'Searching...',
+  'search.noResults': 'No titles match your search.',
+  'search.loading': 'Loading...',
+  'search.showMore': 'Show more results',
+  'search.failed': 'Search failed. Please try again later.',
+  'search.loadMoreFailed': 'Failed to load more results. Please try again.',
+  'myList.localOnly': 'Saved in this browser only.',
+  'myList.logInPrompt': 'Log in to keep it on every device.',
+  'myList.empty': 'Nothing here yet. Use the + on any title to save it for later.',
+  'myList.moveUp': 'Move {title} up',
+  'myList.moveDown': 'Move {title} down',
+  'myList.remove': 'Remove {title} from My List',
+  'myList.loadFailed': 'Failed to load My List. Please try again later.',
+  'series.season': 'Season {number}',
+  'series.specials': 'Specials',
+  'series.seasonTitle': '{season}: {title}',
+  'series.seasons': 'Seasons',
+  'series.noEpisodes': 'No episodes have been released yet.',
+  'series.loadFailed': 'Failed to load this series. Please try again later.',
+  'series.notFoundTitle': 'Series not found',
+  'series.notFoundMessage': 'This series doesn’t exist or has been removed.',
+  'genre.empty': 'No {genre} titles yet.',
+  'genre.loadFailed': 'Failed to load this genre. Please try again later.',
+  'genre.notFoundTitle': 'Genre not found',
+  'genre.notFoundMessage': 'This genre doesn’t exist or has been removed.',
+
+  // Player
+  'player.resumedAt': 'Resumed at {time}',
+  'player.startOver': 'Start over',
+  'player.seek': 'Seek',
+  'player.quality': 'Video quality',
+  'player.autoQuality': 'Auto',
+  'player.unsupported': 'Your browser does not support the video tag.',
+  'captions.menu': 'Subtitles',
+  'captions.off': 'Off',
+  'captions.sdh': 'SDH',
+  'captions.size': 'Size',
+  'captions.sizeSmall': 'Small',
+  'captions.sizeMedium': 'Medium',
+  'captions.sizeLarge': 'Large',
+  'captions.sizeExtraLarge': 'Extra large',
+  'captions.background': 'Background',
+  'captions.backgroundNone': 'None',
+  'captions.backgroundTranslucent': 'Translucent',
+  'captions.backgroundSolid': 'Solid',
+  'upgrade.title': 'Premium title',
+  'upgrade.logInPrompt': 'Log in to start your free trial and watch every premium title.',
+  'upgrade.prompt': 'Upgrade to Premium to keep watching.',
+  'upgrade.perMonth': '/ month',
+  'upgrade.perYear': '/ year',
+  'upgrade.failed': 'Subscription failed.',
+  'upgrade.unavailable': 'Failed to connect to the subscription service. Please try again.',
+
+  // Ratings and reviews
+  'reviews.heading': 'Ratings & Reviews',
+  'reviews.yourRating': 'Your rating',
+  'reviews.rateTitle': 'Rate this title',
+  'reviews.review': 'Review',
+  'reviews.placeholder': 'Write a review (optional)',
+  'reviews.post': 'Post review',
+  'reviews.update': 'Update review',
+  'reviews.delete': 'Delete',
+  'reviews.confirmDelete': 'Delete your review?',
+  'reviews.ratingRequired': 'Pick a star rating first.',
+  'reviews.logInPrompt': 'Log in to rate and review this title.',
+  'reviews.empty': 'No reviews yet. Be the first!',
+  'reviews.userRating': '{name}’s rating',
+  'reviews.you': '(you)',
+  'reviews.more': 'More reviews',
+  'reviews.loading': 'Loading...',
+  'reviews.loadFailed': 'Failed to load reviews.',
+  'reviews.loadMoreFailed': 'Failed to load more reviews.',
+  'stars.label': 'Rating',
+  'stars.value': '{label}: {value} out of 5',
+  'stars.count': { one: '{count} star', other: '{count} stars' },
+
+  // Log-in and error pages
+  'login.title': 'Log In',
+  'login.email': 'Email',
+  'login.password': 'Password',
+  'login.submitting': 'Logging in...',
+  'login.invalid': 'Invalid email or password.',
+  'login.failed': 'Login failed. Please try again.',
+  'notFound.title': 'Page not found',
+  'notFound.message': 'We couldn’t find what you were looking for.',
+  'notFound.home': 'Back to Home',
+  'routeError.title': 'Something went wrong',
+  'routeError.message': 'Please reload the page and try again.',
+  'admin.onlyTitle': 'Content managers only',
+  'admin.onlyMessage': 'Your account does not have access to this page.',
+
+  // Upload form
+  'upload.heading': 'Upload New Content',
+  'upload.title': 'Video Title',
+  'upload.titlePlaceholder': 'e.g., Epic Journey Through the Alps',
+  'upload.description': 'Description',
+  'upload.descriptionPlaceholder': 'Provide a detailed description of the video content...',
+  'upload.duration': 'Duration override (seconds)',
+  'upload.durationPlaceholder': 'Detected automatically from the video',
+  'upload.durationHint': 'Leave empty to use the duration read from the file.',
+  'upload.premium': 'Mark as Premium Content',
+  'upload.genres': 'Genres',
+  'upload.genresLoading': 'Loading genres...',
+  'upload.noGenres': 'No genres yet. Add some on the Genres page first.',
+  'upload.genresHint': 'Choose up to five.',
+  'upload.tags': 'Tags',
+  'upload.videoFile': 'Video File',
+  'upload.selected': 'Selected:',
+  'upload.resumeNotice': 'A previous upload of this file was interrupted — it will resume where it left off.',
+  'upload.thumbnail': 'Thumbnail Image',
+  'upload.framesHint': 'No image? Pick a frame from the video, or leave it to the server to choose one.',
+  'upload.generatingFrames': 'Generating frames...',
+  'upload.generateFrames': 'Generate thumbnails from video',
+  'upload.frameAlt': 'Frame at {time}',
+  'upload.uploadingVideo': 'Uploading video...',
+  'upload.uploading': 'Uploading...',
+  'upload.submit': 'Upload Content',
+  'upload.invalidVideo': 'Please select a valid video file (e.g., .mp4, .mov).',
+  'upload.invalidImage': 'Please select a valid image file (e.g., .jpg, .png).',
+  'upload.interrupted': 'Video upload interrupted: {message} Select the same file again to resume.',
+  'upload.framesFailed': 'Failed to generate thumbnails.',
+  'upload.framesUnavailable': 'Failed to connect to the thumbnail service. Please try again.',
+  'upload.missingFields': 'Please fill in all required fields and select a video file.',
+  'upload.genreCount': 'Please choose between one and five genres.',
+  'upload.releaseRequired': 'Please choose a release date and time.',
+  'upload.episodeRequired': 'Please choose the season and episode number.',
+  'upload.subtitleLanguageRequired': 'Please enter a language code for every subtitle file.',
+  'upload.translationRequired': 'Please enter a language code and title for every translation.',
+  'upload.savedDraft': 'Video uploaded and saved as a draft.',
+  'upload.savedScheduled': 'Video uploaded and scheduled for release.',
+  'upload.saved': 'Video uploaded and metadata saved successfully!',
+  'upload.unknownError': 'An unknown error occurred during upload.',
+  'upload.serviceUnavailable': 'Failed to connect to the upload service. Please check your network or try again.',
+
+  // Content library, genres and series
+  'admin.name': 'Name',
+  'admin.title': 'Title',
+  'admin.description': 'Description',
+  'admin.save': 'Save',
+  'admin.cancel': 'Cancel',
+  'admin.edit': 'Edit',
+  'admin.delete': 'Delete',
+  'library.shown': { one: '{shown} of {count} title', other: '{shown} of {count} titles' },
+  'library.filterText': 'Filter by title or ID',
+  'library.anyPublication': 'Any publication',
+  'library.transcodeStatus': 'Transcode status',
+  'library.anyStatus': 'Any status',
+  'library.empty': 'No titles yet.',
+  'library.uploadOne': 'Upload one.',
+  'library.noMatches': 'No titles match these filters.',
+  'library.thumbnail': 'Thumbnail',
+  'library.columnTitle': 'Title',
+  'library.columnLength': 'Length',
+  'library.columnViews': 'Views',
+  'library.columnRating': 'Rating',
+  'library.columnUploaded': 'Uploaded',
+  'library.columnTranscode': 'Transcode',
+  'library.actions': 'Actions',
+  'library.rating': '{average} ({count})',
+  'library.unpublish': 'Unpublish',
+  'library.confirmUnpublish': 'Unpublish “{title}”? Viewers will no longer see it.',
+  'library.confirmDelete': 'Delete “{title}” and all of its files? This cannot be undone.',
+  'transcode.pending': 'Pending',
+  'transcode.processing': 'Processing',
+  'transcode.ready': 'Ready',
+  'transcode.failed': 'Failed',
+  'genresAdmin.namePlaceholder': 'e.g., Documentary',
+  'genresAdmin.descriptionPlaceholder': 'Shown on the genre page',
+  'genresAdmin.order': 'Order',
+  'genresAdmin.orderValue': 'Order {order}',
+  'genresAdmin.add': 'Add genre',
+  'genresAdmin.empty': 'No genres yet.',
+  'genresAdmin.nameRequired': 'A genre needs a name.',
+  'genresAdmin.confirmDelete': 'Delete the genre “{name}”?',
+  'seriesAdmin.titlePlaceholder': 'e.g., The Long Road',
+  'seriesAdmin.descriptionPlaceholder': 'Shown on the series page',
+  'seriesAdmin.add': 'Add series',
+  'seriesAdmin.empty': 'No series yet.',
+  'seriesAdmin.episodeCount': { one: '{count} published episode', other: '{count} published episodes' },
+  'seriesAdmin.titleRequired': 'A series needs a title.',
+  'seriesAdmin.confirmDelete': 'Delete the series “{title}” and its seasons?',
+  'seriesAdmin.seasonNumber': 'Season number',
+  'seriesAdmin.seasonTitle': 'Season title',
+  'seriesAdmin.editSeason': 'Edit season',
+  'seriesAdmin.deleteSeason': 'Delete season',
+  'seriesAdmin.confirmDeleteSeason': 'Delete {season}?',
+  'seriesAdmin.newSeasonNumber': 'New season number',
+  'seriesAdmin.newSeasonTitle': 'New season title',
+  'seriesAdmin.seasonTitlePlaceholder': 'Season title (optional)',
+  'seriesAdmin.addSeason': 'Add season',
+  'seriesAdmin.seasonNumberRequired': 'A season needs a number.',
+
+  // Title fields shared by the upload form and the library editor
+  'publication.legend': 'Publication',
+  'publication.saveDraft': 'Save as draft',
+  'publication.draftHint': 'Only content managers can see it.',
+  'publication.schedule': 'Schedule',
+  'publication.scheduleHint': 'Published automatically at the release time.',
+  'publication.publishNow': 'Publish now',
+  'publication.publishHint': 'Visible to everyone straight away.',
+  'publication.releaseTime': 'Release date and time',
+  'publication.timeZone': 'Time zone',
+  'episode.series': 'Series',
+  'episode.loading': 'Loading series...',
+  'episode.loadFailed': 'Series could not be loaded: {message}',
+  'episode.episodeOf': 'Episode of',
+  'episode.standalone': 'None (standalone title)',
+  'episode.season': 'Season',
+  'episode.chooseSeason': 'Choose a season',
+  'episode.episode': 'Episode',
+  'episode.noSeasons': 'This series has no seasons yet.',
+  'episode.addSeason': 'Add one on the Series page first.',
+  'translations.legend': 'Translations',
+  'translations.hint': 'The main title and description are in {language} ({code}). Viewers see the translation matching their language.',
+  'translations.languageCode': 'Language code',
+  'translations.remove': 'Remove translation',
+  'translations.title': 'Title',
+  'translations.titleLabel': 'Translated title',
+  'translations.description': 'Description (optional)',
+  'translations.descriptionLabel': 'Translated description',
+  'translations.add': 'Add translation',
+  'subtitleTracks.legend': 'Subtitles',
+  'subtitleTracks.currentFile': 'Current file',
+  'subtitleTracks.languageCode': 'Language code',
+  'subtitleTracks.label': 'Label',
+  'subtitleTracks.labelPlaceholder': 'Label (e.g., English)',
+  'subtitleTracks.sdh': 'SDH',
+  'subtitleTracks.sdhHint': 'Also describes sounds, for deaf and hard-of-hearing viewers',
+  'subtitleTracks.remove': 'Remove',
+  'subtitleTracks.hint': 'SubRip (.srt) or WebVTT (.vtt); SubRip files are converted to WebVTT.',
+  'tags.placeholder': 'e.g., adventure, mountains, travel',
+  'tags.remove': 'Remove {tag}',
+
+  // Bulk import
+  'import.heading': 'Bulk Import',
+  'import.intro': 'Choose a CSV or JSON manifest with a row per title, and select every video, thumbnail and subtitle file it names. Files are matched by name.',
+  'import.manifest': 'Manifest',
+  'import.mediaFiles': 'Media files',
+  'import.filesSelected': { one: '{count} file selected', other: '{count} files selected' },
+  'import.check': 'Check manifest',
+  'import.submit': { one: 'Import {count} title', other: 'Import {count} titles' },
+  'import.stop': 'Stop after this title',
+  'import.downloadLog': 'Download result log',
+  'import.summary': '{ready} ready, {invalid} to fix, {imported} already imported.',
+  'import.fixHint': 'Fix the manifest or select the missing files, then check again.',
+  'import.row': 'Row',
+  'import.title': 'Title',
+  'import.video': 'Video',
+  'import.status': 'Status',
+  'import.uploading': 'Uploading {percent}',
+  'import.saving': 'Saving...',
+  'import.imported': 'Imported',
+  'import.failed': 'Failed: {error} (will be retried)',
+  'import.ready': 'Ready',
+  'import.fileMissing': '{name} is not among the selected files.',
+  'import.notVideo': '{name} is not a video file.',
+  'import.notImage': '{name} is not an image file.',
+  'import.checkFailed': 'Failed to check the manifest.',
+  'import.uploadFailed': 'The upload failed.',
+};
@@ -0,0 +1,344 @@
+// --- French Messages ---
+export default {
+  // Navigation bar
+  'nav.home': 'Accueil',
+  'nav.myList': 'Ma liste',
+  'nav.library': 'Bibliothèque',
+  'nav.upload': 'Importer',
+  'nav.import': 'Import groupé',
+  'nav.genres': 'Genres',
+  'nav.series': 'Séries',
+  'nav.logIn': 'Se connecter',
+  'nav.logOut': 'Se déconnecter',
+  'nav.language': 'Langue',
+  'nav.browserLanguage': 'Langue du navigateur',
+
+  'search.placeholder': 'Rechercher des titres',
+  'search.noMatches': 'Aucun titre ne correspond à « {query} ».',
+  'search.seeAll': 'Voir tous les résultats pour « {query} »',
+
+  // Home page and catalog listings
+  'home.title': 'Explorer les vidéos',
+  'home.allTitles': 'Tous les titres',
+  'home.continueWatching': 'Reprendre la lecture',
+  'home.recommended': 'Recommandé pour vous',
+  'catalog.count': { one: '{count} titre', other: '{count} titres' },
+  'catalog.empty': 'De nouveaux contenus arrivent bientôt. Restez à l’écoute !',
+  'catalog.error': 'Erreur :',
+  'catalog.loadFailed': 'Impossible de charger les vidéos. Veuillez réessayer plus tard.',
+  'catalog.tryAgain': 'Réessayer',
+  'catalog.end': 'Vous avez atteint la fin de la liste.',
+  'sort.label': 'Trier par',
+  'sort.newest': 'Plus récents',
+  'sort.popular': 'Plus vus',
+  'sort.rating': 'Mieux notés',
+  'sort.title': 'Titre de A à Z',
+  'rail.seeAll': 'Tout voir',
+  'rail.previous': 'Faire défiler {title} vers l’arrière',
+  'rail.next': 'Faire défiler {title} vers l’avant',
+  'rail.moreLikeThis': 'Titres similaires',
+
+  // Video cards and the watch page
+  'video.genre': 'Genre : {genres}',
+  'video.noGenre': 'N/D',
+  'video.uploaded': 'Mis en ligne le {date}',
+  'video.views': { zero: 'Aucune vue', one: '{count} vue', other: '{count} vues' },
+  'video.ratings': { one: '{count} note', other: '{count} notes' },
+  'video.averageRating': 'Note moyenne',
+  'video.premium': 'Premium',
+  'video.noThumbnail': 'Aucune miniature disponible',
+  'publication.draft': 'Brouillon',
+  'publication.scheduled': 'Programmé',
+  'publication.published': 'Publié',
+  'watchlist.add': 'Ajouter à Ma liste',
+  'watchlist.remove': 'Retirer de Ma liste',
+  'watchlist.listed': 'Dans Ma liste',
+  'detail.back': 'Retour',
+  'detail.loading': 'Chargement de la vidéo...',
+  'detail.loadFailed': 'Impossible de charger la vidéo. Vérifiez votre connexion et réessayez.',
+  'detail.notFoundTitle': 'Vidéo introuvable',
+  'detail.notFoundMessage': 'Ce titre n’existe pas ou a été supprimé.',
+  'detail.scheduledNotice': 'Sortie prévue le {date}. Les spectateurs ne peuvent pas encore le voir.',
+  'detail.draftNotice': 'Ce titre est un brouillon. Les spectateurs ne peuvent pas le voir.',
+  'detail.noVideo': 'URL de la vidéo indisponible.',
+  'detail.generalGenre': 'Général',
+  'detail.nextEpisode': 'Suivant : {episode}',
+  'nextEpisode.title': 'Épisode suivant',
+  'nextEpisode.countdown': { one: 'Épisode suivant dans {count} seconde', other: 'Épisode suivant dans {count} secondes' },
+  'nextEpisode.playNow': 'Lire maintenant',
+  'nextEpisode.cancel': 'Annuler',
+
+  // Search, My List, series and genre pages
+  'search.resultsFor': 'Résultats pour « {query} »',
+  'search.browse': 'Parcourir',
+  'search.genre': 'Genre',
+  'search.anyGenre': 'Tous les genres',
+  'search.access': 'Accès',
+  'search.anyAccess': 'Gratuit et premium',
+  'search.freeOnly': 'Gratuit uniquement',
+  'search.premiumOnly': 'Premium uniquement',
+  'search.duration': 'Durée',
+  'search.anyLength': 'Toutes durées',
+  'search.durationShort': 'Moins de 20 min',
+  'search.durationMedium': '20 à 60 min',
+  'search.durationLong': 'Plus d’une heure',
+  'search.searching': 'Recherche...',
+  'search.noResults': 'Aucun titre ne correspond à votre recherche.',
+  'search.loading': 'Chargement...',
+  'search.showMore': 'Afficher plus de résultats',
+  'search.failed': 'La recherche a échoué. Veuillez réessayer plus tard.',
+  'search.loadMoreFailed': 'Impossible de charger plus de résultats. Veuillez réessayer.',
+  'myList.localOnly': 'Enregistrée dans ce navigateur uniquement.',
+  'myList.logInPrompt': 'Connectez-vous pour la retrouver sur tous vos appareils.',
+  'myList.empty': 'Rien pour l’instant. Utilisez le + sur un titre pour l’enregistrer pour plus tard.',
+  'myList.moveUp': 'Monter {title}',
+  'myList.moveDown': 'Descendre {title}',
+  'myList.remove': 'Retirer {title} de Ma liste',
+  'myList.loadFailed': 'Impossible de charger Ma liste. Veuillez réessayer plus tard.',
+  'series.season': 'Saison {number}',
+  'series.specials': 'Épisodes spéciaux',
+  'series.seasonTitle': '{season} : {title}',
+  'series.seasons': 'Saisons',
+  'series.noEpisodes': 'Aucun épisode n’est encore sorti.',
+  'series.loadFailed': 'Impossible de charger cette série. Veuillez réessayer plus tard.',
+  'series.notFoundTitle': 'Série introuvable',
+  'series.notFoundMessage': 'Cette série n’existe pas ou a été supprimée.',
+  'genre.empty': 'Aucun titre {genre} pour l’instant.',
+  'genre.loadFailed': 'Impossible de charger ce genre. Veuillez réessayer plus tard.',
+  'genre.notFoundTitle': 'Genre introuvable',
+  'genre.notFoundMessage': 'Ce genre n’existe pas ou a été supprimé.',
+
+  // Player
+  'player.resumedAt': 'Reprise à {time}',
+  'player.startOver': 'Reprendre du début',
+  'player.seek': 'Position de lecture',
+  'player.quality': 'Qualité vidéo',
+  'player.autoQuality': 'Auto',
+  'player.unsupported': 'Votre navigateur ne prend pas en charge la lecture vidéo.',
+  'captions.menu': 'Sous-titres',
+  'captions.off': 'Désactivés',
+  'captions.sdh': 'SME',
+  'captions.size': 'Taille',
+  'captions.sizeSmall': 'Petite',
+  'captions.sizeMedium': 'Moyenne',
+  'captions.sizeLarge': 'Grande',
+  'captions.sizeExtraLarge': 'Très grande',
+  'captions.background': 'Arrière-plan',
+  'captions.backgroundNone': 'Aucun',
+  'captions.backgroundTranslucent': 'Translucide',
+  'captions.backgroundSolid': 'Opaque',
+  'upgrade.title': 'Titre Premium',
+  'upgrade.logInPrompt': 'Connectez-vous pour commencer votre essai gratuit et regarder tous les titres Premium.',
+  'upgrade.prompt': 'Passez à Premium pour continuer à regarder.',
+  'upgrade.perMonth': '/ mois',
+  'upgrade.perYear': '/ an',
+  'upgrade.failed': 'L’abonnement a échoué.',
+  'upgrade.unavailable': 'Impossible de joindre le service d’abonnement. Veuillez réessayer.',
+
+  // Ratings and reviews
+  'reviews.heading': 'Notes et critiques',
+  'reviews.yourRating': 'Votre note',
+  'reviews.rateTitle': 'Notez ce titre',
+  'reviews.review': 'Critique',
+  'reviews.placeholder': 'Écrivez une critique (facultatif)',
+  'reviews.post': 'Publier la critique',
+  'reviews.update': 'Modifier la critique',
+  'reviews.delete': 'Supprimer',
+  'reviews.confirmDelete': 'Supprimer votre critique ?',
+  'reviews.ratingRequired': 'Choisissez d’abord une note.',
+  'reviews.logInPrompt': 'Connectez-vous pour noter et critiquer ce titre.',
+  'reviews.empty': 'Aucune critique pour le moment. Soyez le premier !',
+  'reviews.userRating': 'Note de {name}',
+  'reviews.you': '(vous)',
+  'reviews.more': 'Plus de critiques',
+  'reviews.loading': 'Chargement...',
+  'reviews.loadFailed': 'Impossible de charger les critiques.',
+  'reviews.loadMoreFailed': 'Impossible de charger plus de critiques.',
+  'stars.label': 'Note',
+  'stars.value': '{label} : {value} sur 5',
+  'stars.count': { one: '{count} étoile', other: '{count} étoiles' },
+
+  // Log-in and error pages
+  'login.title': 'Connexion',
+  'login.email': 'E-mail',
+  'login.password': 'Mot de passe',
+  'login.submitting': 'Connexion...',
+  'login.invalid': 'E-mail ou mot de passe incorrect.',
+  'login.failed': 'La connexion a échoué. Veuillez réessayer.',
+  'notFound.title': 'Page introuvable',
+  'notFound.message': 'Nous n’avons pas trouvé ce que vous cherchiez.',
+  'notFound.home': 'Retour à l’accueil',
+  'routeError.title': 'Un problème est survenu',
+  'routeError.message': 'Veuillez recharger la page et réessayer.',
+  'admin.onlyTitle': 'Réservé aux gestionnaires de contenu',
+  'admin.onlyMessage': 'Votre compte n’a pas accès à cette page.',
+
+  // Upload form
+  'upload.heading': 'Importer un nouveau contenu',
+  'upload.title': 'Titre de la vidéo',
+  'upload.titlePlaceholder': 'p. ex. Voyage épique à travers les Alpes',
+  'upload.description': 'Description',
+  'upload.descriptionPlaceholder': 'Décrivez le contenu de la vidéo en détail...',
+  'upload.duration': 'Durée imposée (secondes)',
+  'upload.durationPlaceholder': 'Détectée automatiquement à partir de la vidéo',
+  'upload.durationHint': 'Laissez vide pour utiliser la durée lue dans le fichier.',
+  'upload.premium': 'Marquer comme contenu Premium',
+  'upload.genres': 'Genres',
+  'upload.genresLoading': 'Chargement des genres...',
+  'upload.noGenres': 'Aucun genre pour l’instant. Ajoutez-en d’abord sur la page Genres.',
+  'upload.genresHint': 'Choisissez-en jusqu’à cinq.',
+  'upload.tags': 'Mots-clés',
+  'upload.videoFile': 'Fichier vidéo',
+  'upload.selected': 'Sélectionné :',
+  'upload.resumeNotice': 'Un import précédent de ce fichier a été interrompu — il reprendra là où il s’est arrêté.',
+  'upload.thumbnail': 'Image miniature',
+  'upload.framesHint': 'Pas d’image ? Choisissez une image de la vidéo, ou laissez le serveur en choisir une.',
+  'upload.generatingFrames': 'Génération des images...',
+  'upload.generateFrames': 'Générer des miniatures à partir de la vidéo',
+  'upload.frameAlt': 'Image à {time}',
+  'upload.uploadingVideo': 'Import de la vidéo...',
+  'upload.uploading': 'Import en cours...',
+  'upload.submit': 'Importer le contenu',
+  'upload.invalidVideo': 'Veuillez sélectionner un fichier vidéo valide (p. ex. .mp4, .mov).',
+  'upload.invalidImage': 'Veuillez sélectionner une image valide (p. ex. .jpg, .png).',
+  'upload.interrupted': 'Import de la vidéo interrompu : {message} Sélectionnez à nouveau le même fichier pour reprendre.',
+  'upload.framesFailed': 'Impossible de générer les miniatures.',
+  'upload.framesUnavailable': 'Impossible de joindre le service de miniatures. Veuillez réessayer.',
+  'upload.missingFields': 'Veuillez remplir tous les champs obligatoires et sélectionner un fichier vidéo.',
+  'upload.genreCount': 'Veuillez choisir entre un et cinq genres.',
+  'upload.releaseRequired': 'Veuillez choisir une date et une heure de sortie.',
+  'upload.episodeRequired': 'Veuillez choisir la saison et le numéro d’épisode.',
+  'upload.subtitleLanguageRequired': 'Veuillez saisir un code de langue pour chaque fichier de sous-titres.',
+  'upload.translationRequired': 'Veuillez saisir un code de langue et un titre pour chaque traduction.',
+  'upload.savedDraft': 'Vidéo importée et enregistrée comme brouillon.',
+  'upload.savedScheduled': 'Vidéo importée et programmée pour sa sortie.',
+  'upload.saved': 'Vidéo importée et métadonnées enregistrées !',
+  'upload.unknownError': 'Une erreur inconnue s’est produite pendant l’import.',
+  'upload.serviceUnavailable': 'Impossible de joindre le service d’import. Vérifiez votre réseau ou réessayez.',
+
+  // Content library, genres and series
+  'admin.name': 'Nom',
+  'admin.title': 'Titre',
+  'admin.description': 'Description',
+  'admin.save': 'Enregistrer',
+  'admin.cancel': 'Annuler',
+  'admin.edit': 'Modifier',
+  'admin.delete': 'Supprimer',
+  'library.shown': { one: '{shown} sur {count} titre', other: '{shown} sur {count} titres' },
+  'library.filterText': 'Filtrer par titre ou ID',
+  'library.anyPublication': 'Toutes publications',
+  'library.transcodeStatus': 'État du transcodage',
+  'library.anyStatus': 'Tous les états',
+  'library.empty': 'Aucun titre pour l’instant.',
+  'library.uploadOne': 'Téléversez-en un.',
+  'library.noMatches': 'Aucun titre ne correspond à ces filtres.',
+  'library.thumbnail': 'Miniature',
+  'library.columnTitle': 'Titre',
+  'library.columnLength': 'Durée',
+  'library.columnViews': 'Vues',
+  'library.columnRating': 'Note',
+  'library.columnUploaded': 'Ajouté le',
+  'library.columnTranscode': 'Transcodage',
+  'library.actions': 'Actions',
+  'library.rating': '{average} ({count})',
+  'library.unpublish': 'Dépublier',
+  'library.confirmUnpublish': 'Dépublier « {title} » ? Les spectateurs ne le verront plus.',
+  'library.confirmDelete': 'Supprimer « {title} » et tous ses fichiers ? Cette action est irréversible.',
+  'transcode.pending': 'En attente',
+  'transcode.processing': 'En cours',
+  'transcode.ready': 'Prêt',
+  'transcode.failed': 'Échec',
+  'genresAdmin.namePlaceholder': 'ex. : Documentaire',
+  'genresAdmin.descriptionPlaceholder': 'Affichée sur la page du genre',
+  'genresAdmin.order': 'Ordre',
+  'genresAdmin.orderValue': 'Ordre {order}',
+  'genresAdmin.add': 'Ajouter le genre',
+  'genresAdmin.empty': 'Aucun genre pour l’instant.',
+  'genresAdmin.nameRequired': 'Un genre doit avoir un nom.',
+  'genresAdmin.confirmDelete': 'Supprimer le genre « {name} » ?',
+  'seriesAdmin.titlePlaceholder': 'ex. : La Longue Route',
+  'seriesAdmin.descriptionPlaceholder': 'Affichée sur la page de la série',
+  'seriesAdmin.add': 'Ajouter la série',
+  'seriesAdmin.empty': 'Aucune série pour l’instant.',
+  'seriesAdmin.episodeCount': { one: '{count} épisode publié', other: '{count} épisodes publiés' },
+  'seriesAdmin.titleRequired': 'Une série doit avoir un titre.',
+  'seriesAdmin.confirmDelete': 'Supprimer la série « {title} » et ses saisons ?',
+  'seriesAdmin.seasonNumber': 'Numéro de saison',
+  'seriesAdmin.seasonTitle': 'Titre de la saison',
+  'seriesAdmin.editSeason': 'Modifier la saison',
+  'seriesAdmin.deleteSeason': 'Supprimer la saison',
+  'seriesAdmin.confirmDeleteSeason': 'Supprimer {season} ?',
+  'seriesAdmin.newSeasonNumber': 'Numéro de la nouvelle saison',
+  'seriesAdmin.newSeasonTitle': 'Titre de la nouvelle saison',
+  'seriesAdmin.seasonTitlePlaceholder': 'Titre de la saison (facultatif)',
+  'seriesAdmin.addSeason': 'Ajouter la saison',
+  'seriesAdmin.seasonNumberRequired': 'Une saison doit avoir un numéro.',
+
+  // Title fields shared by the upload form and the library editor
+  'publication.legend': 'Publication',
+  'publication.saveDraft': 'Enregistrer comme brouillon',
+  'publication.draftHint': 'Seuls les gestionnaires de contenu peuvent le voir.',
+  'publication.schedule': 'Programmer',
+  'publication.scheduleHint': 'Publié automatiquement à l’heure de sortie.',
+  'publication.publishNow': 'Publier maintenant',
+  'publication.publishHint': 'Visible par tous immédiatement.',
+  'publication.releaseTime': 'Date et heure de sortie',
+  'publication.timeZone': 'Fuseau horaire',
+  'episode.series': 'Série',
+  'episode.loading': 'Chargement des séries...',
+  'episode.loadFailed': 'Impossible de charger les séries : {message}',
+  'episode.episodeOf': 'Épisode de',
+  'episode.standalone': 'Aucune (titre indépendant)',
+  'episode.season': 'Saison',
+  'episode.chooseSeason': 'Choisissez une saison',
+  'episode.episode': 'Épisode',
+  'episode.noSeasons': 'Cette série n’a pas encore de saison.',
+  'episode.addSeason': 'Ajoutez-en une d’abord sur la page Séries.',
+  'translations.legend': 'Traductions',
+  'translations.hint': 'Le titre et la description principaux sont en {language} ({code}). Les spectateurs voient la traduction dans leur langue.',
+  'translations.languageCode': 'Code de langue',
+  'translations.remove': 'Supprimer la traduction',
+  'translations.title': 'Titre',
+  'translations.titleLabel': 'Titre traduit',
+  'translations.description': 'Description (facultative)',
+  'translations.descriptionLabel': 'Description traduite',
+  'translations.add': 'Ajouter une traduction',
+  'subtitleTracks.legend': 'Sous-titres',
+  'subtitleTracks.currentFile': 'Fichier actuel',
+  'subtitleTracks.languageCode': 'Code de langue',
+  'subtitleTracks.label': 'Libellé',
+  'subtitleTracks.labelPlaceholder': 'Libellé (ex. : Français)',
+  'subtitleTracks.sdh': 'SME',
+  'subtitleTracks.sdhHint': 'Décrit aussi les sons, pour les spectateurs sourds et malentendants',
+  'subtitleTracks.remove': 'Supprimer',
+  'subtitleTracks.hint': 'SubRip (.srt) ou WebVTT (.vtt) ; les fichiers SubRip sont convertis en WebVTT.',
+  'tags.placeholder': 'ex. : aventure, montagne, voyage',
+  'tags.remove': 'Retirer {tag}',
+
+  // Bulk import
+  'import.heading': 'Import en masse',
+  'import.intro': 'Choisissez un manifeste CSV ou JSON avec une ligne par titre, puis sélectionnez chaque fichier vidéo, vignette et sous-titres qu’il cite. Les fichiers sont associés par nom.',
+  'import.manifest': 'Manifeste',
+  'import.mediaFiles': 'Fichiers média',
+  'import.filesSelected': { one: '{count} fichier sélectionné', other: '{count} fichiers sélectionnés' },
+  'import.check': 'Vérifier le manifeste',
+  'import.submit': { one: 'Importer {count} titre', other: 'Importer {count} titres' },
+  'import.stop': 'Arrêter après ce titre',
+  'import.downloadLog': 'Télécharger le journal',
+  'import.summary': '{ready} prêt(s), {invalid} à corriger, {imported} déjà importé(s).',
+  'import.fixHint': 'Corrigez le manifeste ou sélectionnez les fichiers manquants, puis vérifiez à nouveau.',
+  'import.row': 'Ligne',
+  'import.title': 'Titre',
+  'import.video': 'Vidéo',
+  'import.status': 'État',
+  'import.uploading': 'Envoi {percent}',
+  'import.saving': 'Enregistrement...',
+  'import.imported': 'Importé',
+  'import.failed': 'Échec : {error} (nouvel essai au prochain import)',
+  'import.ready': 'Prêt',
+  'import.fileMissing': '{name} ne fait pas partie des fichiers sélectionnés.',
+  'import.notVideo': '{name} n’est pas un fichier vidéo.',
+  'import.notImage': '{name} n’est pas une image.',
+  'import.checkFailed': 'Impossible de vérifier le manifeste.',
+  'import.uploadFailed': 'L’envoi a échoué.',
+};
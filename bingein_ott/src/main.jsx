@@ -1,10 +1,20 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import { RouterProvider } from 'react-router-dom'
 import './index.css'
-import App from './App.jsx'
+import { router } from './router.jsx'
+import AuthProvider from './context/AuthProvider.jsx'
+import WatchlistProvider from './context/WatchlistProvider.jsx'
+import LocaleProvider from './context/LocaleProvider.jsx'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <LocaleProvider>
+      <AuthProvider>
+        <WatchlistProvider>
+          <RouterProvider router={router} />
+        </WatchlistProvider>
+      </AuthProvider>
+    </LocaleProvider>
   </StrictMode>,
 )
@@ -0,0 +1,53 @@
+// --- Application Routes ---
+// Pages are split into their own chunks with React.lazy. The admin pages sit behind
+// RequireAdmin, so their chunk is only fetched for content managers.
+import React, { lazy } from 'react';
+import { createBrowserRouter } from 'react-router-dom';
+import App from './App';
+import RequireAdmin from './components/RequireAdmin';
+import RouteError from './components/RouteError';
+import NotFoundPage from './components/NotFoundPage';
+
+const HomePage = lazy(() => import('./components/HomePage'));
+const VideoDetailPage = lazy(() => import('./components/videoDetailPage'));
+const SearchPage = lazy(() => import('./components/SearchPage'));
+const GenrePage = lazy(() => import('./components/GenrePage'));
+const TagPage = lazy(() => import('./components/TagPage'));
+const MyListPage = lazy(() => import('./components/MyListPage'));
+const SeriesPage = lazy(() => import('./components/SeriesPage'));
+const LoginPage = lazy(() => import('./components/LoginPage'));
+const AdminUploadPage = lazy(() => import('./admin/AdminUploadPage'));
+const AdminImportPage = lazy(() => import('./admin/AdminImportPage'));
+const AdminGenresPage = lazy(() => import('./admin/AdminGenresPage'));
+const AdminLibraryPage = lazy(() => import('./admin/AdminLibraryPage'));
+const AdminSeriesPage = lazy(() => import('./admin/AdminSeriesPage'));
+
+export const router = createBrowserRouter([
+  {
+    path: '/',
+    element: <App />,
+    errorElement: <RouteError />,
+    children: [
+      { index: true, element: <HomePage /> },
+      { path: 'watch/:videoId', element: <VideoDetailPage /> },
+      { path: 'search', element: <SearchPage /> },
+      { path: 'genre/:slug', element: <GenrePage /> },
+      { path: 'tag/:name', element: <TagPage /> },
+      { path: 'my-list', element: <MyListPage /> },
+      { path: 'series/:seriesId', element: <SeriesPage /> },
+      { path: 'login', element: <LoginPage /> },
+      {
+        path: 'admin',
+        element: <RequireAdmin />,
+        children: [
+          { path: 'upload', element: <AdminUploadPage /> },
+          { path: 'import', element: <AdminImportPage /> },
+          { path: 'genres', element: <AdminGenresPage /> },
+          { path: 'library', element: <AdminLibraryPage /> },
+          { path: 'series', element: <AdminSeriesPage /> },
+        ],
+      },
+      { path: '*', element: <NotFoundPage /> },
+    ],
+  },
+]);